@@ -2,13 +2,26 @@
  * Game Logic and State Management
  */
 
+// Log lines for vital status changes, about yourself and about others
+const VITAL_STATUS_MESSAGES = {
+  dead: { self: 'have died.', other: 'has died.' },
+  unconscious: { self: 'collapse, unconscious.', other: 'collapses, unconscious.' },
+  critical: { self: 'are close to death.', other: 'is close to death.' },
+  alive: { self: 'have recovered.', other: 'has recovered.' },
+};
+
 class Game {
   constructor(mcpClient) {
     this.mcp = mcpClient;
     this.character = null;
     this.currentArea = null;
     this.sessionToken = null;
-    this.updateInterval = null;
+
+    // Open trade offers made to the character, newest first
+    this.tradeOffers = [];
+
+    // Server pushes events for the character's area
+    this.mcp.on('notifications/world_event', (event) => this.handleWorldEvent(event));
   }
 
   /**
@@ -31,7 +44,8 @@ class Game {
 
       // Claim character
       const result = await this.mcp.callTool('player_claim_character', {
-        character_id: character.id
+        character_id: character.id,
+        player_id: this.getPlayerId()
       });
 
       this.character = character;
@@ -45,9 +59,6 @@ class Game {
         await this.loadArea(this.character.current_area_id);
       }
 
-      // Start update loop
-      this.startUpdateLoop();
-
       return { success: true, character: this.character };
     } catch (error) {
       console.error('Login failed:', error);
@@ -55,6 +66,20 @@ class Game {
     }
   }
 
+  /**
+   * Get the persistent player ID for this browser
+   */
+  getPlayerId() {
+    let playerId = localStorage.getItem('storysplicer-player-id');
+
+    if (!playerId) {
+      playerId = `player_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+      localStorage.setItem('storysplicer-player-id', playerId);
+    }
+
+    return playerId;
+  }
+
   /**
    * Load character details
    */
@@ -112,8 +137,8 @@ class Game {
         area_id: targetAreaId
       });
 
+      // The area itself is loaded when the server pushes our arrival
       this.addLog(`You move ${direction}`);
-      await this.loadArea(targetAreaId);
       await this.loadCharacter();
     } catch (error) {
       this.addLog(`Cannot move ${direction}: ${error.message}`, 'error');
@@ -123,16 +148,27 @@ class Game {
 
   /**
    * Character speaks
+   * @param {string} text - What to say
+   * @param {string} volume - 'normal', 'whisper' or 'shout'
+   * @param {Object} target - Character to whisper to
    */
-  async speak(text) {
+  async speak(text, volume = 'normal', target = null) {
     try {
       await this.mcp.callTool('character_speak', {
         character_id: this.character.id,
         text,
-        action_type: 'speech'
+        action_type: 'speech',
+        volume,
+        target_character_id: target ? target.id : undefined
       });
 
-      this.addLog(`You say: "${text}"`);
+      if (volume === 'whisper') {
+        this.addLog(`You whisper to ${target.name}: "${text}"`);
+      } else if (volume === 'shout') {
+        this.addLog(`You shout: "${text}"`);
+      } else {
+        this.addLog(`You say: "${text}"`);
+      }
       await this.loadCharacter();
     } catch (error) {
       this.addLog(`Failed to speak: ${error.message}`, 'error');
@@ -160,7 +196,6 @@ class Game {
       });
 
       this.addLog(`You pick up ${item.name}`);
-      await this.loadArea(this.currentArea.id);
       await this.loadCharacter();
     } catch (error) {
       this.addLog(`Failed to pick up: ${error.message}`, 'error');
@@ -192,7 +227,6 @@ class Game {
       });
 
       this.addLog(`You drop ${item.name}`);
-      await this.loadArea(this.currentArea.id);
       await this.loadCharacter();
     } catch (error) {
       this.addLog(`Failed to drop: ${error.message}`, 'error');
@@ -200,6 +234,281 @@ class Game {
     }
   }
 
+  /**
+   * Eat or drink an item that is held or in the area
+   * @param {string} method - 'eat' or 'drink'
+   * @param {string} itemName - Item name (or part of it)
+   */
+  async consume(method, itemName) {
+    try {
+      const inventory = await this.getInventory();
+      const item = [...inventory, ...this.currentArea.items].find(i =>
+        i.name.toLowerCase().includes(itemName.toLowerCase())
+      );
+
+      if (!item) {
+        throw new Error(`Item not found: ${itemName}`);
+      }
+
+      await this.mcp.callTool('character_consume', {
+        character_id: this.character.id,
+        item_id: item.id,
+        method
+      });
+
+      this.addLog(`You ${method} ${item.name}`);
+      await this.loadCharacter();
+    } catch (error) {
+      this.addLog(`Failed to ${method}: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Find an item by name among items and their contents
+   * @param {Array} items - Items, possibly with contents
+   * @param {string} name - Item name (or part of it)
+   * @returns {Object|null} Item or null
+   */
+  findNestedItem(items, name) {
+    for (const item of items) {
+      if (item.name.toLowerCase().includes(name)) {
+        return item;
+      }
+      const inner = this.findNestedItem(item.contents || [], name);
+      if (inner) return inner;
+    }
+    return null;
+  }
+
+  /**
+   * Put an item that is held or in the area into a container
+   * @param {string} itemName - Item name (or part of it)
+   * @param {string} containerName - Container name (or part of it)
+   */
+  async putIn(itemName, containerName) {
+    try {
+      const inventory = await this.getInventory();
+      const reachable = [...inventory, ...this.currentArea.items];
+      const item = reachable.find(i => i.name.toLowerCase().includes(itemName));
+      if (!item) {
+        throw new Error(`Item not found: ${itemName}`);
+      }
+      const container = this.findNestedItem(reachable.filter(i => i.id !== item.id), containerName);
+      if (!container) {
+        throw new Error(`Container not found: ${containerName}`);
+      }
+
+      await this.mcp.callTool('item_put_in', {
+        character_id: this.character.id,
+        item_id: item.id,
+        container_id: container.id
+      });
+
+      this.addLog(`You put ${item.name} in ${container.name}.`);
+    } catch (error) {
+      this.addLog(`Failed to put away: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Take an item out of a container that is carried or in the area
+   * @param {string} itemName - Item name (or part of it)
+   * @param {string} containerName - Container name (or part of it)
+   */
+  async takeOut(itemName, containerName) {
+    try {
+      const inventory = await this.getInventory();
+      const container = this.findNestedItem([...inventory, ...this.currentArea.items], containerName);
+      if (!container) {
+        throw new Error(`Container not found: ${containerName}`);
+      }
+
+      // Area items are listed without contents; look inside
+      const details = await this.mcp.callTool('item_get', { item_id: container.id });
+      const item = details.content.contents.find(i => i.name.toLowerCase().includes(itemName));
+      if (!item) {
+        throw new Error(`No ${itemName} in ${container.name}`);
+      }
+
+      await this.mcp.callTool('item_take_out', {
+        character_id: this.character.id,
+        item_id: item.id
+      });
+
+      this.addLog(`You take ${item.name} from ${container.name}.`);
+    } catch (error) {
+      this.addLog(`Failed to take: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Attack a character in the area
+   * @param {Object} target - Character to attack
+   * @param {string} weaponName - Held item to attack with (or part of its name), optional
+   */
+  async attack(target, weaponName = null) {
+    try {
+      let weapon = null;
+      if (weaponName) {
+        const inventory = await this.getInventory();
+        weapon = inventory.find(i => i.name.toLowerCase().includes(weaponName.toLowerCase()));
+        if (!weapon) {
+          throw new Error(`You are not holding ${weaponName}`);
+        }
+      }
+
+      const result = await this.mcp.callTool('character_attack', {
+        character_id: this.character.id,
+        target_character_id: target.id,
+        item_id: weapon ? weapon.id : undefined
+      });
+
+      const outcome = result.content;
+      if (outcome.hit) {
+        this.addLog(`You hit ${target.name} in the ${outcome.part} with ${outcome.weapon}.`);
+      } else {
+        this.addLog(`You swing at ${target.name} with ${outcome.weapon} and miss.`);
+      }
+      await this.loadCharacter();
+    } catch (error) {
+      this.addLog(`Failed to attack: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Find another character in the area by name
+   * @param {string} name - Character name (or part of it)
+   * @returns {Object|null} Character or null
+   */
+  findCharacterHere(name) {
+    return this.currentArea.characters.find(c =>
+      c.id !== this.character.id && c.name.toLowerCase().includes(name)
+    ) || null;
+  }
+
+  /**
+   * Give a held item to a character in the area
+   * @param {Object} target - Character to give it to
+   * @param {string} itemName - Held item name (or part of it)
+   */
+  async give(target, itemName) {
+    try {
+      const inventory = await this.getInventory();
+      const item = inventory.find(i => i.name.toLowerCase().includes(itemName));
+      if (!item) {
+        throw new Error(`You are not holding ${itemName}`);
+      }
+
+      await this.mcp.callTool('item_give', {
+        character_id: this.character.id,
+        target_character_id: target.id,
+        item_id: item.id
+      });
+
+      this.addLog(`You give ${item.name} to ${target.name}.`);
+    } catch (error) {
+      this.addLog(`Failed to give: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Offer a held item to a character in the area for one they carry
+   * @param {Object} target - Character to offer it to
+   * @param {string} itemName - Held item name (or part of it)
+   * @param {string} wantedName - Name of the item wanted from them (or part of it)
+   */
+  async offerTrade(target, itemName, wantedName) {
+    try {
+      const inventory = await this.getInventory();
+      const item = inventory.find(i => i.name.toLowerCase().includes(itemName));
+      if (!item) {
+        throw new Error(`You are not holding ${itemName}`);
+      }
+
+      const theirs = await this.mcp.callTool('character_get_inventory', { character_id: target.id });
+      const wanted = theirs.content.find(i => i.name.toLowerCase().includes(wantedName));
+      if (!wanted) {
+        throw new Error(`${target.name} is not holding ${wantedName}`);
+      }
+
+      await this.mcp.callTool('item_offer_trade', {
+        character_id: this.character.id,
+        target_character_id: target.id,
+        item_id: item.id,
+        requested_item_id: wanted.id
+      });
+
+      this.addLog(`You offer ${item.name} to ${target.name} for ${wanted.name}.`);
+    } catch (error) {
+      this.addLog(`Failed to offer a trade: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Accept the newest trade offer, from a particular character if given
+   * @param {string} fromName - Name of the character who made the offer (or part of it), optional
+   */
+  async acceptTrade(fromName = null) {
+    try {
+      const offer = this.tradeOffers.find(o => !fromName || o.character.name.toLowerCase().includes(fromName));
+      if (!offer) {
+        throw new Error(fromName ? `No trade offer from ${fromName}` : 'No one has offered you a trade');
+      }
+
+      await this.mcp.callTool('item_accept_trade', {
+        character_id: this.character.id,
+        offer_id: offer.offer_id
+      });
+
+      this.tradeOffers = this.tradeOffers.filter(o => o !== offer);
+      this.addLog(`You trade ${offer.requested_item.name} to ${offer.character.name} for ${offer.item.name}.`);
+      await this.loadCharacter();
+    } catch (error) {
+      this.addLog(`Failed to trade: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Try to steal from a character in the area
+   * @param {Object} target - Character to steal from
+   * @param {string} itemName - Item to steal (or part of its name), optional
+   */
+  async steal(target, itemName = null) {
+    try {
+      let item = null;
+      if (itemName) {
+        const theirs = await this.mcp.callTool('character_get_inventory', { character_id: target.id });
+        item = theirs.content.find(i => i.name.toLowerCase().includes(itemName));
+        if (!item) {
+          throw new Error(`${target.name} is not holding ${itemName}`);
+        }
+      }
+
+      const result = await this.mcp.callTool('item_steal', {
+        character_id: this.character.id,
+        target_character_id: target.id,
+        item_id: item ? item.id : undefined
+      });
+
+      const outcome = result.content;
+      if (outcome.stolen) {
+        this.addLog(`You slip ${outcome.item_name} away from ${target.name}.`);
+      } else {
+        this.addLog(`${target.name} catches you reaching for ${outcome.item_name}!`, 'error');
+      }
+    } catch (error) {
+      this.addLog(`Failed to steal: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+
   /**
    * Get character inventory
    */
@@ -237,6 +546,25 @@ class Game {
         return;
       }
 
+      if (text.startsWith('shout ')) {
+        await this.speak(actionText.substring(actionText.indexOf(' ') + 1), 'shout');
+        return;
+      }
+
+      // whisper <name> <text>
+      if (text.startsWith('whisper ')) {
+        const rest = actionText.substring(actionText.indexOf(' ') + 1).trim();
+        const target = this.currentArea.characters.find(c =>
+          c.id !== this.character.id && rest.toLowerCase().startsWith(`${c.name.toLowerCase()} `)
+        );
+        if (!target) {
+          this.addLog('Whisper to whom? Try: whisper <name> <message>', 'error');
+          return;
+        }
+        await this.speak(rest.substring(target.name.length).trim(), 'whisper', target);
+        return;
+      }
+
       // Look command
       if (text === 'look' || text === 'look around') {
         await this.loadArea(this.currentArea.id);
@@ -250,11 +578,28 @@ class Game {
         if (inventory.length === 0) {
           this.addLog('Your inventory is empty.', 'system');
         } else {
-          this.addLog(`You have: ${inventory.map(i => i.name).join(', ')}`, 'system');
+          const describe = (item) => (item.contents && item.contents.length > 0
+            ? `${item.name} (${item.contents.map(describe).join(', ')})`
+            : item.name);
+          this.addLog(`You have: ${inventory.map(describe).join(', ')}`, 'system');
         }
         return;
       }
 
+      // put <item> in <container>
+      if (text.startsWith('put ') && text.includes(' in ')) {
+        const [itemName, containerName] = text.substring(4).split(' in ');
+        await this.putIn(itemName.trim(), containerName.trim());
+        return;
+      }
+
+      // take <item> from <container>
+      if (text.startsWith('take ') && text.includes(' from ')) {
+        const [itemName, containerName] = text.substring(5).split(' from ');
+        await this.takeOut(itemName.trim(), containerName.trim());
+        return;
+      }
+
       // Pickup commands
       if (text.startsWith('pick up ') || text.startsWith('take ') || text.startsWith('get ')) {
         const parts = text.split(' ');
@@ -270,6 +615,70 @@ class Game {
         return;
       }
 
+      // Eat and drink commands
+      if (text.startsWith('eat ') || text.startsWith('drink ')) {
+        const [method, ...rest] = text.split(' ');
+        await this.consume(method, rest.join(' '));
+        return;
+      }
+
+      // attack <name> [with <item>]
+      if (text.startsWith('attack ')) {
+        const [targetName, weaponName] = text.substring(7).split(' with ');
+        const target = this.currentArea.characters.find(c =>
+          c.id !== this.character.id && c.name.toLowerCase().includes(targetName.trim())
+        );
+        if (!target) {
+          this.addLog('Attack whom? Try: attack <name> [with <item>]', 'error');
+          return;
+        }
+        await this.attack(target, weaponName ? weaponName.trim() : null);
+        return;
+      }
+
+      // give <item> to <name>
+      if (text.startsWith('give ') && text.includes(' to ')) {
+        const [itemName, targetName] = text.substring(5).split(' to ');
+        const target = this.findCharacterHere(targetName.trim());
+        if (!target) {
+          this.addLog('Give to whom? Try: give <item> to <name>', 'error');
+          return;
+        }
+        await this.give(target, itemName.trim());
+        return;
+      }
+
+      // offer <item> to <name> for <item>
+      if (text.startsWith('offer ') && text.includes(' to ') && text.includes(' for ')) {
+        const [itemName, rest] = text.substring(6).split(' to ');
+        const [targetName, wantedName] = rest.split(' for ');
+        const target = this.findCharacterHere(targetName.trim());
+        if (!target) {
+          this.addLog('Trade with whom? Try: offer <item> to <name> for <item>', 'error');
+          return;
+        }
+        await this.offerTrade(target, itemName.trim(), wantedName.trim());
+        return;
+      }
+
+      // accept [name]
+      if (text === 'accept' || text.startsWith('accept ')) {
+        await this.acceptTrade(text.substring(7).trim() || null);
+        return;
+      }
+
+      // steal [<item>] from <name>
+      if (text.startsWith('steal ') && text.includes('from ')) {
+        const [itemName, targetName] = text.substring(6).split(/\s*from /);
+        const target = this.findCharacterHere(targetName.trim());
+        if (!target) {
+          this.addLog('Steal from whom? Try: steal [<item>] from <name>', 'error');
+          return;
+        }
+        await this.steal(target, itemName.trim() || null);
+        return;
+      }
+
       // Wait command
       if (text === 'wait') {
         this.addLog('You wait a moment.');
@@ -285,30 +694,186 @@ class Game {
   }
 
   /**
-   * Start periodic updates
+   * Apply a world event pushed by the server
+   * @param {Object} event - World event for the character's area
    */
-  startUpdateLoop() {
-    if (this.updateInterval) {
-      clearInterval(this.updateInterval);
+  handleWorldEvent(event) {
+    if (!this.character || !this.currentArea || !event) {
+      return;
     }
 
-    // Update every 5 seconds
-    this.updateInterval = setInterval(async () => {
-      if (this.character && this.currentArea) {
-        await this.loadCharacter();
-        await this.loadArea(this.currentArea.id);
-      }
-    }, 5000);
-  }
+    const isSelf = event.character_id === this.character.id;
 
-  /**
-   * Stop update loop
-   */
-  stopUpdateLoop() {
-    if (this.updateInterval) {
-      clearInterval(this.updateInterval);
-      this.updateInterval = null;
+    switch (event.type) {
+      case 'character_arrived':
+        if (isSelf) {
+          // Moved by something other than our own command (e.g. a trigger)
+          if (event.area_id !== this.currentArea.id) {
+            this.loadArea(event.area_id);
+          }
+          return;
+        }
+        if (!this.currentArea.characters.some(c => c.id === event.character_id)) {
+          this.currentArea.characters.push(event.character);
+        }
+        this.addLog(`${event.character.name} arrives.`);
+        break;
+
+      case 'character_departed':
+        if (isSelf) return;
+        this.currentArea.characters = this.currentArea.characters.filter(c => c.id !== event.character_id);
+        this.addLog(`${event.character.name} leaves.`);
+        break;
+
+      case 'character_spoke':
+        if (isSelf) return;
+        if (event.from_area_id) {
+          this.addLog(`Someone shouts nearby: "${event.text}"`);
+        } else if (event.volume === 'whisper') {
+          if (event.target_character_id === this.character.id) {
+            this.addLog(`${event.character.name} whispers to you: "${event.text}"`);
+          } else {
+            this.addLog(`${event.character.name} whispers something.`);
+          }
+        } else if (event.volume === 'shout') {
+          this.addLog(`${event.character.name} shouts: "${event.text}"`);
+        } else if (event.action_type === 'speech') {
+          this.addLog(`${event.character.name} says: "${event.text}"`);
+        } else {
+          this.addLog(`${event.character.name} ${event.text}`);
+        }
+        return;
+
+      case 'item_picked_up':
+        this.currentArea.items = this.currentArea.items.filter(i => i.id !== event.item.id);
+        if (!isSelf) {
+          this.addLog(`${event.character.name} picks up ${event.item.name}.`);
+        }
+        break;
+
+      case 'item_dropped':
+        if (!this.currentArea.items.some(i => i.id === event.item.id)) {
+          this.currentArea.items.push(event.item);
+        }
+        if (!isSelf) {
+          this.addLog(`${event.character.name} drops ${event.item.name}.`);
+        }
+        break;
+
+      case 'item_appeared':
+        if (!this.currentArea.items.some(i => i.id === event.item.id)) {
+          this.currentArea.items.push(event.item);
+        }
+        this.addLog(`${event.item.name} appears.`);
+        break;
+
+      case 'item_stored':
+        this.currentArea.items = this.currentArea.items.filter(i => i.id !== event.item.id);
+        if (!isSelf) {
+          this.addLog(`${event.character.name} puts ${event.item.name} in ${event.container.name}.`);
+        }
+        break;
+
+      case 'item_retrieved':
+        if (!isSelf) {
+          this.addLog(`${event.character.name} takes ${event.item.name} from ${event.container.name}.`);
+        }
+        return;
+
+      case 'item_consumed':
+        if (event.portions_left <= 0) {
+          this.currentArea.items = this.currentArea.items.filter(i => i.id !== event.item.id);
+        }
+        if (!isSelf) {
+          this.addLog(`${event.character.name} ${event.method === 'eat' ? 'eats' : 'drinks'} ${event.item.name}.`);
+        }
+        break;
+
+      case 'character_attacked':
+        if (isSelf) return;
+        if (event.target_character_id === this.character.id) {
+          this.addLog(event.hit
+            ? `${event.character.name} hits you in the ${event.part} with ${event.weapon}!`
+            : `${event.character.name} attacks you with ${event.weapon} and misses.`, 'error');
+          this.loadCharacter();
+        } else {
+          this.addLog(event.hit
+            ? `${event.character.name} hits ${event.target.name} with ${event.weapon}.`
+            : `${event.character.name} attacks ${event.target.name} and misses.`);
+        }
+        return;
+
+      case 'item_given':
+        if (isSelf) return;
+        if (event.target_character_id === this.character.id) {
+          this.addLog(`${event.character.name} gives you ${event.item.name}.`);
+          this.loadCharacter();
+        } else {
+          this.addLog(`${event.character.name} gives ${event.item.name} to ${event.target.name}.`);
+        }
+        return;
+
+      case 'trade_offered':
+        if (isSelf) return;
+        if (event.target_character_id === this.character.id) {
+          this.tradeOffers.unshift(event);
+          this.addLog(`${event.character.name} offers you ${event.item.name} for your ${event.requested_item.name}. Type "accept" to trade.`);
+        } else {
+          this.addLog(`${event.character.name} offers ${event.target.name} a trade.`);
+        }
+        return;
+
+      case 'trade_completed':
+        if (isSelf) return;
+        if (event.target_character_id === this.character.id) {
+          this.addLog(`${event.character.name} accepts your offer: you get ${event.requested_item.name} for ${event.item.name}.`);
+          this.loadCharacter();
+        } else {
+          this.addLog(`${event.character.name} and ${event.target.name} trade ${event.requested_item.name} for ${event.item.name}.`);
+        }
+        return;
+
+      case 'item_stolen':
+        if (isSelf) return;
+        if (event.target_character_id === this.character.id) {
+          this.addLog(event.stolen
+            ? `Your ${event.item.name} is gone!`
+            : `You catch ${event.character.name} trying to steal your ${event.item.name}!`, 'error');
+          this.loadCharacter();
+        } else if (!event.stolen) {
+          // A theft that works goes unseen
+          this.addLog(`${event.target.name} catches ${event.character.name} trying to steal ${event.item.name}.`);
+        }
+        return;
+
+      case 'character_vital_status':
+        if (isSelf) {
+          this.character.vital_status = event.vital_status;
+          this.emitUpdate('character', this.character);
+          this.addLog(`You ${VITAL_STATUS_MESSAGES[event.vital_status].self}`, 'error');
+        } else {
+          this.addLog(`${event.character.name} ${VITAL_STATUS_MESSAGES[event.vital_status].other}`, 'system');
+        }
+        return;
+
+      case 'trigger_fired':
+        Object.assign(this.currentArea, event.area);
+        this.currentArea.items = event.items;
+        this.addLog('Something changes around you.', 'system');
+        if (event.reactions.some(r => r === 'apply_damage' || r === 'modify_state')) {
+          this.loadCharacter();
+        }
+        break;
+
+      case 'area_message':
+        this.addLog(event.text, 'system');
+        return;
+
+      default:
+        return;
     }
+
+    this.emitUpdate('area', this.currentArea);
   }
 
   /**
@@ -316,8 +881,6 @@ class Game {
    */
   async logout() {
     try {
-      this.stopUpdateLoop();
-
       if (this.sessionToken) {
         await this.mcp.callTool('player_release_character', {
           session_token: this.sessionToken
@@ -153,14 +153,29 @@ class MCPClient {
    * Call MCP tool
    * @param {string} toolName - Tool name
    * @param {object} args - Tool arguments
-   * @returns {Promise} - Tool result
+   * @returns {Promise} - Tool result with parsed content
    */
   async callTool(toolName, args = {}) {
     const result = await this.request('tools/call', {
       name: toolName,
       arguments: args
     });
-    return result;
+
+    // Tools reply with a single text block, which is JSON for data lookups
+    const text = result.content && result.content[0] ? result.content[0].text : '';
+
+    if (result.isError) {
+      throw new Error(text.replace(/^Error: /, '') || 'Tool call failed');
+    }
+
+    let content = text;
+    try {
+      content = JSON.parse(text);
+    } catch (error) {
+      // Plain confirmation message
+    }
+
+    return { ...result, content };
   }
 
   /**
@@ -4,9 +4,45 @@
  * Parses LLM responses and executes character actions via MCP tools
  */
 
-import { Character, Area, Item } from '../db/models/index.js';
+import { Character, Area, Item, Species, TradeOffer } from '../db/models/index.js';
 import { handleCharacterTool } from '../mcp/tools/character.js';
 import { handleItemTool } from '../mcp/tools/item.js';
+import { recordEvent } from '../mcp/handlers/events.js';
+import { executeTriggers } from '../mcp/handlers/triggers.js';
+import { addInjury, healingRate } from '../mcp/handlers/combat.js';
+import { findFreeSlot, loadContents, loadInventory } from '../mcp/handlers/inventory.js';
+import { assessVitalStatus, canAct, setVitalStatus, WHOLE_BODY } from '../mcp/handlers/vitals.js';
+import { assessThermal, EXTREME_STRESS } from './thermal.js';
+
+// Actions the executor understands, with the fields each takes. A field's kind
+// says what it may hold (see grammar.js): an exit, a visible item, a character
+// present, a speaking volume or free text
+export const ACTIONS = {
+  move: { required: { direction: 'direction' } },
+  speak: { required: { text: 'text' }, optional: { volume: 'volume', to: 'character' } },
+  pickup: { required: { item: 'item' } },
+  drop: { required: { item: 'item' } },
+  put: { required: { item: 'item', container: 'item' } },
+  take: { required: { item: 'item', from: 'item' } },
+  give: { required: { item: 'item', to: 'character' } },
+  offer_trade: { required: { item: 'item', to: 'character', for: 'item' } },
+  accept_trade: { required: { from: 'character' } },
+  steal: { required: { from: 'character' }, optional: { item: 'item' } },
+  eat: { required: { item: 'item' } },
+  drink: { required: { item: 'item' } },
+  attack: { required: { target: 'character' }, optional: { with: 'item', part: 'text' } },
+  wait: {},
+  sleep: {},
+};
+
+const ACTION_TYPES = Object.keys(ACTIONS);
+
+// Damage severity (percentage points per hour) while nutrition or hydration is at 0
+const STARVATION_DAMAGE_PER_HOUR = 2;
+const DEHYDRATION_DAMAGE_PER_HOUR = 10;
+
+// Hypothermia/heatstroke severity per hour for each degree at or past EXTREME_STRESS
+const THERMAL_DAMAGE_PER_DEGREE_HOUR = 2;
 
 /**
  * Parse LLM response to extract action
@@ -58,40 +94,99 @@ export async function executeAction(characterId, action) {
     throw new Error(`Character not found: ${characterId}`);
   }
 
-  try {
-    switch (action.action) {
-      case 'move':
-        return await executeMoveAction(character, action);
-
-      case 'speak':
-        return await executeSpeakAction(character, action);
-
-      case 'pickup':
-        return await executePickupAction(character, action);
-
-      case 'drop':
-        return await executeDropAction(character, action);
-
-      case 'wait':
-        return await executeWaitAction(character, action);
+  if (!canAct(character)) {
+    return {
+      success: false,
+      error: `${character.name} is ${character.vital_status} and cannot act`,
+    };
+  }
 
-      case 'sleep':
-        return await executeSleepAction(character, action);
+  // Acting answers whatever the character heard
+  if (character.heard_at) {
+    await Character.update(character.id, { heard_at: null });
+  }
 
-      default:
-        console.warn(`Unknown action type: ${action.action}`);
-        return {
-          success: false,
-          error: `Unknown action: ${action.action}`,
-        };
-    }
+  let result;
+  try {
+    result = await dispatchAction(character, action);
   } catch (error) {
     console.error(`Error executing action for ${character.name}:`, error);
-    return {
+    result = {
       success: false,
       error: error.message,
     };
   }
+
+  // Successful actions are logged by the MCP tools; log failed attempts here
+  if (!result.success && ACTION_TYPES.includes(action.action)) {
+    await recordEvent({
+      world_id: character.world_id,
+      area_id: character.current_area_id,
+      actor_id: character.id,
+      event_type: action.action,
+      payload: action,
+      result,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Dispatch a parsed action to its executor
+ */
+async function dispatchAction(character, action) {
+  switch (action.action) {
+    case 'move':
+      return await executeMoveAction(character, action);
+
+    case 'speak':
+      return await executeSpeakAction(character, action);
+
+    case 'pickup':
+      return await executePickupAction(character, action);
+
+    case 'drop':
+      return await executeDropAction(character, action);
+
+    case 'put':
+      return await executePutAction(character, action);
+
+    case 'take':
+      return await executeTakeAction(character, action);
+
+    case 'give':
+      return await executeGiveAction(character, action);
+
+    case 'offer_trade':
+      return await executeOfferTradeAction(character, action);
+
+    case 'accept_trade':
+      return await executeAcceptTradeAction(character, action);
+
+    case 'steal':
+      return await executeStealAction(character, action);
+
+    case 'eat':
+    case 'drink':
+      return await executeConsumeAction(character, action);
+
+    case 'attack':
+      return await executeAttackAction(character, action);
+
+    case 'wait':
+      return await executeWaitAction(character, action);
+
+    case 'sleep':
+      return await executeSleepAction(character, action);
+
+    default:
+      console.warn(`Unknown action type: ${action.action}`);
+      return {
+        success: false,
+        error: `Unknown action: ${action.action}`,
+      };
+  }
 }
 
 /**
@@ -145,18 +240,39 @@ async function executeSpeakAction(character, action) {
     return { success: false, error: 'Speak action requires text' };
   }
 
+  const volume = action.volume ? action.volume.toLowerCase() : 'normal';
+
+  // Whispers need someone in the area to whisper to
+  let target = null;
+  if (volume === 'whisper') {
+    if (!action.to || !character.current_area_id) {
+      return { success: false, error: 'Whisper requires someone to whisper to' };
+    }
+    const present = await Character.findByAreaId(character.current_area_id);
+    target = present.find(c =>
+      c.id !== character.id && c.name.toLowerCase().includes(action.to.toLowerCase())
+    );
+    if (!target) {
+      return { success: false, error: `No one here called ${action.to}` };
+    }
+  }
+
   // Execute speak via MCP
   await handleCharacterTool('character_speak', {
     character_id: character.id,
     text: action.text,
     action_type: 'speech',
+    volume,
+    target_character_id: target ? target.id : undefined,
   });
 
+  const verb = { whisper: `whispers to ${target && target.name}`, shout: 'shouts' }[volume] || 'says';
   return {
     success: true,
     action: 'speak',
     text: action.text,
-    description: `${character.name} says: "${action.text}"`,
+    volume,
+    description: `${character.name} ${verb}: "${action.text}"`,
   };
 }
 
@@ -185,20 +301,15 @@ async function executePickupAction(character, action) {
     };
   }
 
-  // Check if hands are free
+  // Use the species' first free carrying slot the item fits (hands come first for humans)
+  const species = await Species.forCharacter(character);
   const inventory = await Character.getInventory(character.id);
-  const rightHand = inventory.find(i => i.held_location === 'right hand');
-  const leftHand = inventory.find(i => i.held_location === 'left hand');
-
-  let location = null;
-  if (!rightHand) {
-    location = 'right hand';
-  } else if (!leftHand) {
-    location = 'left hand';
-  } else {
+  const location = findFreeSlot(species, inventory, item);
+
+  if (!location) {
     return {
       success: false,
-      error: 'Both hands are full',
+      error: `Nowhere free to carry ${item.name}`,
     };
   }
 
@@ -253,6 +364,363 @@ async function executeDropAction(character, action) {
   };
 }
 
+/**
+ * Load everything a character can reach (carried or in their area), with nested contents
+ * @param {Object} character - Character object
+ * @returns {Promise<Object>} {carried, lying} item trees
+ */
+async function loadReachableItems(character) {
+  const areaItems = character.current_area_id ? await Area.getItems(character.current_area_id) : [];
+  return {
+    carried: await loadInventory(character.id),
+    lying: await Promise.all(areaItems.map(loadContents)),
+  };
+}
+
+/**
+ * Find an item by name in item trees, looking inside containers
+ * @param {Array} items - Items with contents
+ * @param {string} name - Item name (or part of it)
+ * @returns {Object|null} Item or null
+ */
+function findNested(items, name) {
+  for (const item of items) {
+    if (item.name.toLowerCase().includes(name.toLowerCase())) {
+      return item;
+    }
+    const inner = findNested(item.contents || [], name);
+    if (inner) return inner;
+  }
+  return null;
+}
+
+/**
+ * Execute put action (put an item into a container)
+ */
+async function executePutAction(character, action) {
+  if (!action.item || !action.container) {
+    return { success: false, error: 'Put action requires item and container names' };
+  }
+
+  const { carried, lying } = await loadReachableItems(character);
+
+  // The item must be at hand; the container may be inside something else
+  const item = [...carried, ...lying].find(i =>
+    i.name.toLowerCase().includes(action.item.toLowerCase())
+  );
+  if (!item) {
+    return { success: false, error: `Item not found: ${action.item}` };
+  }
+
+  const container = findNested([...carried, ...lying].filter(i => i.id !== item.id), action.container);
+  if (!container) {
+    return { success: false, error: `Container not found: ${action.container}` };
+  }
+
+  // Execute put via MCP
+  await handleItemTool('item_put_in', {
+    character_id: character.id,
+    item_id: item.id,
+    container_id: container.id,
+  });
+
+  return {
+    success: true,
+    action: 'put',
+    item: item.name,
+    container: container.name,
+    description: `${character.name} put ${item.name} in ${container.name}`,
+  };
+}
+
+/**
+ * Execute take action (take an item out of a container)
+ */
+async function executeTakeAction(character, action) {
+  if (!action.item || !action.from) {
+    return { success: false, error: 'Take action requires item and container names' };
+  }
+
+  const { carried, lying } = await loadReachableItems(character);
+
+  const container = findNested([...carried, ...lying], action.from);
+  if (!container) {
+    return { success: false, error: `Container not found: ${action.from}` };
+  }
+
+  const item = (container.contents || []).find(i =>
+    i.name.toLowerCase().includes(action.item.toLowerCase())
+  );
+  if (!item) {
+    return { success: false, error: `No ${action.item} in ${container.name}` };
+  }
+
+  // Execute take via MCP (the tool picks a free slot)
+  const response = await handleItemTool('item_take_out', {
+    character_id: character.id,
+    item_id: item.id,
+  });
+
+  return {
+    success: true,
+    action: 'take',
+    item: item.name,
+    container: container.name,
+    description: response.content[0].text,
+  };
+}
+
+/**
+ * Find another character in the same area by name
+ * @param {Object} character - Character object
+ * @param {string} name - Name (or part of it)
+ * @returns {Promise<Object|null>} Character or null
+ */
+async function findPresent(character, name) {
+  if (!character.current_area_id) {
+    return null;
+  }
+  const present = await Character.findByAreaId(character.current_area_id);
+  return present.find(c =>
+    c.id !== character.id && c.name.toLowerCase().includes(name.toLowerCase())
+  ) || null;
+}
+
+/**
+ * Find a held item by name
+ * @param {Array} inventory - Items held by a character
+ * @param {string} name - Item name (or part of it)
+ * @returns {Object|null} Item or null
+ */
+function findHeld(inventory, name) {
+  return inventory.find(i => i.name.toLowerCase().includes(name.toLowerCase())) || null;
+}
+
+/**
+ * Execute give action (hand a held item to someone present)
+ */
+async function executeGiveAction(character, action) {
+  if (!action.item || !action.to) {
+    return { success: false, error: 'Give action requires item and recipient names' };
+  }
+
+  const receiver = await findPresent(character, action.to);
+  if (!receiver) {
+    return { success: false, error: `No one here called ${action.to}` };
+  }
+  const item = findHeld(await Character.getInventory(character.id), action.item);
+  if (!item) {
+    return { success: false, error: `Not holding item: ${action.item}` };
+  }
+
+  // Execute give via MCP (the tool picks the receiver's free slot)
+  const response = await handleItemTool('item_give', {
+    character_id: character.id,
+    target_character_id: receiver.id,
+    item_id: item.id,
+  });
+
+  return {
+    success: true,
+    action: 'give',
+    item: item.name,
+    target: receiver.name,
+    description: response.content[0].text,
+  };
+}
+
+/**
+ * Execute offer_trade action (offer a held item for one someone present holds)
+ */
+async function executeOfferTradeAction(character, action) {
+  if (!action.item || !action.to || !action.for) {
+    return { success: false, error: 'Offer_trade action requires item, recipient and wanted item names' };
+  }
+
+  const target = await findPresent(character, action.to);
+  if (!target) {
+    return { success: false, error: `No one here called ${action.to}` };
+  }
+  const item = findHeld(await Character.getInventory(character.id), action.item);
+  if (!item) {
+    return { success: false, error: `Not holding item: ${action.item}` };
+  }
+  const wanted = findHeld(await Character.getInventory(target.id), action.for);
+  if (!wanted) {
+    return { success: false, error: `${target.name} is not holding ${action.for}` };
+  }
+
+  // Execute offer via MCP
+  const response = await handleItemTool('item_offer_trade', {
+    character_id: character.id,
+    target_character_id: target.id,
+    item_id: item.id,
+    requested_item_id: wanted.id,
+  });
+
+  return {
+    success: true,
+    action: 'offer_trade',
+    item: item.name,
+    target: target.name,
+    wanted: wanted.name,
+    description: response.content[0].text,
+  };
+}
+
+/**
+ * Execute accept_trade action (accept the newest open offer, from someone in particular if named)
+ */
+async function executeAcceptTradeAction(character, action) {
+  const offers = await TradeOffer.findOpenForCharacter(character.id);
+
+  let offer = offers[0];
+  if (action.from) {
+    const offerer = await findPresent(character, action.from);
+    if (!offerer) {
+      return { success: false, error: `No one here called ${action.from}` };
+    }
+    offer = offers.find(o => o.from_character_id === offerer.id);
+  }
+  if (!offer) {
+    return { success: false, error: action.from ? `No trade offer from ${action.from}` : 'No trade offers to accept' };
+  }
+
+  // Execute accept via MCP
+  const response = await handleItemTool('item_accept_trade', {
+    character_id: character.id,
+    offer_id: offer.id,
+  });
+
+  return {
+    success: true,
+    action: 'accept_trade',
+    offer_id: offer.id,
+    description: response.content[0].text,
+  };
+}
+
+/**
+ * Execute steal action (try to take an item from someone present)
+ */
+async function executeStealAction(character, action) {
+  if (!action.from) {
+    return { success: false, error: 'Steal action requires a target' };
+  }
+
+  const target = await findPresent(character, action.from);
+  if (!target) {
+    return { success: false, error: `No one here called ${action.from}` };
+  }
+
+  // Steal a named item, or whatever comes to hand
+  let item = null;
+  if (action.item) {
+    item = findHeld(await Character.getInventory(target.id), action.item);
+    if (!item) {
+      return { success: false, error: `${target.name} is not holding ${action.item}` };
+    }
+  }
+
+  // Execute steal via MCP
+  const response = await handleItemTool('item_steal', {
+    character_id: character.id,
+    target_character_id: target.id,
+    item_id: item ? item.id : undefined,
+  });
+  const outcome = JSON.parse(response.content[0].text);
+
+  return {
+    success: true,
+    action: 'steal',
+    target: target.name,
+    ...outcome,
+    description: outcome.stolen
+      ? `${character.name} slips ${outcome.item_name} away from ${target.name}`
+      : `${target.name} catches ${character.name} reaching for ${outcome.item_name}`,
+  };
+}
+
+/**
+ * Execute eat or drink action
+ */
+async function executeConsumeAction(character, action) {
+  if (!action.item) {
+    return { success: false, error: `${action.action} action requires item name` };
+  }
+
+  // Prefer what the character is holding, then what is lying around
+  const inventory = await Character.getInventory(character.id);
+  const areaItems = character.current_area_id ? await Area.getItems(character.current_area_id) : [];
+  const item = [...inventory, ...areaItems].find(i =>
+    i.name.toLowerCase().includes(action.item.toLowerCase())
+  );
+
+  if (!item) {
+    return {
+      success: false,
+      error: `Item not found: ${action.item}`,
+    };
+  }
+
+  // Execute consume via MCP
+  await handleCharacterTool('character_consume', {
+    character_id: character.id,
+    item_id: item.id,
+    method: action.action,
+  });
+
+  return {
+    success: true,
+    action: action.action,
+    item: item.name,
+    description: `${character.name} ${action.action === 'eat' ? 'eats' : 'drinks'} ${item.name}`,
+  };
+}
+
+/**
+ * Execute attack action
+ */
+async function executeAttackAction(character, action) {
+  if (!action.target) {
+    return { success: false, error: 'Attack action requires a target' };
+  }
+
+  const target = await findPresent(character, action.target);
+  if (!target) {
+    return { success: false, error: `No one here called ${action.target}` };
+  }
+
+  // Attack with a named held item, or the best weapon to hand
+  let weapon = null;
+  if (action.with) {
+    const inventory = await Character.getInventory(character.id);
+    weapon = inventory.find(i => i.name.toLowerCase().includes(action.with.toLowerCase()));
+    if (!weapon) {
+      return { success: false, error: `Not holding item: ${action.with}` };
+    }
+  }
+
+  // Execute attack via MCP
+  const response = await handleCharacterTool('character_attack', {
+    character_id: character.id,
+    target_character_id: target.id,
+    item_id: weapon ? weapon.id : undefined,
+    part: action.part || undefined,
+  });
+  const outcome = JSON.parse(response.content[0].text);
+
+  return {
+    success: true,
+    action: 'attack',
+    target: target.name,
+    ...outcome,
+    description: outcome.hit
+      ? `${character.name} hits ${target.name}'s ${outcome.part} with ${outcome.weapon}`
+      : `${character.name} swings at ${target.name} with ${outcome.weapon} and misses`,
+  };
+}
+
 /**
  * Execute wait action
  */
@@ -267,6 +735,14 @@ async function executeWaitAction(character, action) {
     character.character_class === 'story' ? 5 : 3
   );
 
+  await recordEvent({
+    world_id: character.world_id,
+    area_id: character.current_area_id,
+    actor_id: character.id,
+    event_type: 'wait',
+    result: { success: true },
+  });
+
   return {
     success: true,
     action: 'wait',
@@ -284,6 +760,14 @@ async function executeSleepAction(character, action) {
     alertness: 0,
   });
 
+  await recordEvent({
+    world_id: character.world_id,
+    area_id: character.current_area_id,
+    actor_id: character.id,
+    event_type: 'sleep',
+    result: { success: true },
+  });
+
   return {
     success: true,
     action: 'sleep',
@@ -292,34 +776,44 @@ async function executeSleepAction(character, action) {
 }
 
 /**
- * Update character physical state based on time passed
+ * Update character physical state based on time passed, at the rates of the
+ * character's species, then fire the area's character_state triggers
  * @param {number} characterId - Character ID
  * @param {number} secondsPassed - Seconds since last update
  */
 export async function updatePhysicalState(characterId, secondsPassed) {
   const character = await Character.findById(characterId);
-  if (!character) {
+  if (!character || character.vital_status === 'dead') {
     return;
   }
 
   const updates = {};
-
-  // Deplete nutrition (lose ~1% per 15 minutes)
-  const nutritionLoss = (secondsPassed / 900) * 1.0;
+  const species = await Species.forCharacter(character);
+  const hours = secondsPassed / 3600;
+
+  // Thermal stress: each degree outside the comfort band adds 10% strain
+  const area = character.current_area_id ? await Area.findById(character.current_area_id) : null;
+  const thermal = area
+    ? assessThermal(parseFloat(area.temperature), species, await Character.getInventory(characterId))
+    : null;
+  const strain = thermal ? 1 + Math.abs(thermal.stress) / 10 : 1;
+
+  // Deplete nutrition (human: ~1% per 15 minutes)
+  const nutritionLoss = hours * species.nutrition_loss_per_hour;
   updates.nutrition = Math.max(0, parseFloat(character.nutrition) - nutritionLoss);
 
-  // Deplete hydration (lose ~1% per 10 minutes)
-  const hydrationLoss = (secondsPassed / 600) * 1.0;
+  // Deplete hydration (human: ~1% per 10 minutes, faster under thermal stress)
+  const hydrationLoss = hours * species.hydration_loss_per_hour * strain;
   updates.hydration = Math.max(0, parseFloat(character.hydration) - hydrationLoss);
 
   // Handle tiredness and alertness
   if (parseFloat(character.alertness) < 20) {
-    // Sleeping: reduce tiredness, increase alertness
-    updates.tiredness = Math.max(0, parseFloat(character.tiredness) - (secondsPassed / 60) * 5);
-    updates.alertness = Math.min(100, parseFloat(character.alertness) + (secondsPassed / 60) * 5);
+    // Sleeping: reduce tiredness, increase alertness (less restful when too hot or cold)
+    updates.tiredness = Math.max(0, parseFloat(character.tiredness) - hours * species.sleep_recovery_per_hour / strain);
+    updates.alertness = Math.min(100, parseFloat(character.alertness) + hours * species.sleep_recovery_per_hour);
   } else {
-    // Awake: increase tiredness, maintain alertness
-    updates.tiredness = Math.min(100, parseFloat(character.tiredness) + (secondsPassed / 600) * 1);
+    // Awake: increase tiredness (faster under thermal stress), maintain alertness
+    updates.tiredness = Math.min(100, parseFloat(character.tiredness) + hours * species.tiredness_gain_per_hour * strain);
 
     // Force sleep at 100% tiredness
     if (updates.tiredness >= 100) {
@@ -327,15 +821,57 @@ export async function updatePhysicalState(characterId, secondsPassed) {
     }
   }
 
-  // Heal damage over time (very slowly)
-  if (character.damage && character.damage.length > 0) {
-    const damage = [...character.damage];
-    for (const injury of damage) {
-      injury.severity = Math.max(0, injury.severity - (secondsPassed / 3600) * 0.5);
-    }
-    // Remove healed injuries
-    updates.damage = damage.filter(d => d.severity > 0);
+  // Heal damage over time (very slowly; bruises fastest, fractures slowest)
+  let damage = (character.damage || []).map(injury => ({
+    ...injury,
+    severity: Math.max(0, injury.severity - hours * species.healing_per_hour * healingRate(injury.type)),
+  }));
+
+  // Starvation and dehydration wear the body down until the character eats or drinks
+  if (updates.nutrition <= 0) {
+    damage = worsenInjury(damage, 'starvation', hours * STARVATION_DAMAGE_PER_HOUR);
+  }
+  if (updates.hydration <= 0) {
+    damage = worsenInjury(damage, 'dehydration', hours * DEHYDRATION_DAMAGE_PER_HOUR);
   }
 
-  await Character.update(characterId, updates);
+  // Extreme cold or heat
+  if (thermal && Math.abs(thermal.stress) >= EXTREME_STRESS) {
+    const degrees = Math.abs(thermal.stress) - EXTREME_STRESS + 1;
+    damage = worsenInjury(
+      damage,
+      thermal.stress < 0 ? 'hypothermia' : 'heatstroke',
+      hours * degrees * THERMAL_DAMAGE_PER_DEGREE_HOUR
+    );
+  }
+
+  // Remove healed injuries
+  updates.damage = damage.filter(d => d.severity > 0);
+
+  const { status, cause } = assessVitalStatus(updates);
+  if (status !== character.vital_status) {
+    await setVitalStatus(character, status, cause, updates);
+  } else {
+    await Character.update(characterId, updates);
+  }
+
+  // Let the area react to needs and injuries crossing a threshold
+  if (area) {
+    await executeTriggers(area.id, 'character_state', {
+      character_id: characterId,
+      before: character,
+      after: { ...character, ...updates },
+    });
+  }
+}
+
+/**
+ * Add severity to a whole-body injury of the given type, creating it if needed
+ * @param {Array} damage - Array of {part, type, severity}
+ * @param {string} type - Injury type
+ * @param {number} amount - Severity to add
+ * @returns {Array} Updated damage
+ */
+function worsenInjury(damage, type, amount) {
+  return addInjury(damage, { part: WHOLE_BODY, type, severity: amount });
 }
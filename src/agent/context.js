@@ -3,13 +3,19 @@
  *
  * Builds the context window for each character cycle, including:
  * 1. Identity (name, age, gender, species, description, backstory)
- * 2. Physical state (hydration, nutrition, tiredness, alertness, damage)
- * 3. Inventory (what's in hands and pockets)
- * 4. Current area (description, exits, items, other characters)
- * 5. Memory (recent actions/reactions)
+ * 2. Physical state (hydration, nutrition, tiredness, alertness, damage, how hot or cold)
+ * 3. Inventory (what's in each carrying slot, inside containers, and how heavy it is)
+ * 4. Current area (description, exits, items, other characters and what they openly carry)
+ * 5. Time of day from the world clock
+ * 6. Trade offers made to the character
+ * 7. Memory (summaries of older events plus recent actions/reactions)
  */
 
-import { Character, Area, Item } from '../db/models/index.js';
+import { Character, Area, Item, MemorySummary, Species, TradeOffer, World } from '../db/models/index.js';
+import { assessThermal } from './thermal.js';
+import { SUMMARIES_PER_LEVEL } from './memory.js';
+import { describeClock } from '../mcp/handlers/clock.js';
+import { describeEncumbrance, loadInventory, totalWeight } from '../mcp/handlers/inventory.js';
 
 /**
  * Build complete context window for a character
@@ -28,15 +34,23 @@ export async function buildContextWindow(characterId) {
     areaContext = await buildAreaContext(character.current_area_id, characterId);
   }
 
-  // Get inventory
-  const inventory = await Character.getInventory(characterId);
+  // Get inventory, with the contents of containers
+  const inventory = await loadInventory(characterId);
+  const species = await Species.forCharacter(character);
+
+  // How the area's temperature feels to this character
+  const thermal = areaContext
+    ? assessThermal(areaContext.temperature, species, inventory)
+    : null;
 
   return {
     identity: buildIdentityContext(character),
-    physicalState: buildPhysicalStateContext(character),
-    inventory: buildInventoryContext(inventory),
+    physicalState: buildPhysicalStateContext(character, thermal),
+    inventory: buildInventoryContext(inventory, species),
     location: areaContext,
-    memory: buildMemoryContext(character),
+    time: describeClock(await World.findById(character.world_id)),
+    offers: await buildOffersContext(characterId),
+    memory: await buildMemoryContext(character),
   };
 }
 
@@ -64,27 +78,38 @@ function buildIdentityContext(character) {
 /**
  * Build physical state section of context
  * @param {Object} character - Character object
+ * @param {Object|null} thermal - Thermal assessment from assessThermal
  * @returns {Object} Physical state context
  */
-function buildPhysicalStateContext(character) {
+function buildPhysicalStateContext(character, thermal = null) {
   const state = {
+    vitalStatus: character.vital_status || 'alive',
     nutrition: parseFloat(character.nutrition),
     hydration: parseFloat(character.hydration),
     tiredness: parseFloat(character.tiredness),
     alertness: parseFloat(character.alertness),
     damage: character.damage || [],
+    thermal,
   };
 
   // Add interpretations
   const notes = [];
 
-  if (state.nutrition < 30) {
+  if (state.vitalStatus === 'critical') {
+    notes.push('CRITICAL: you are close to death');
+  }
+
+  if (state.nutrition <= 0) {
+    notes.push('Starving');
+  } else if (state.nutrition < 30) {
     notes.push('Very hungry');
   } else if (state.nutrition < 60) {
     notes.push('Somewhat hungry');
   }
 
-  if (state.hydration < 30) {
+  if (state.hydration <= 0) {
+    notes.push('Dying of thirst');
+  } else if (state.hydration < 30) {
     notes.push('Very thirsty');
   } else if (state.hydration < 60) {
     notes.push('Somewhat thirsty');
@@ -103,7 +128,7 @@ function buildPhysicalStateContext(character) {
   }
 
   if (state.damage.length > 0) {
-    notes.push(`Injured: ${state.damage.map(d => `${d.part} (${d.type}, ${d.severity}%)`).join(', ')}`);
+    notes.push(`Injured: ${state.damage.map(d => `${d.part} (${d.type}, ${Math.round(d.severity)}%)`).join(', ')}`);
   }
 
   state.notes = notes;
@@ -112,37 +137,42 @@ function buildPhysicalStateContext(character) {
 
 /**
  * Build inventory section of context
- * @param {Array} items - Array of item objects
+ * @param {Array} items - Held items with contents (see loadInventory)
+ * @param {Object} species - Species row, for carrying slots and capacity
  * @returns {Object} Inventory context
  */
-function buildInventoryContext(items) {
-  const inventory = {
-    'right hand': null,
-    'left hand': null,
-    pockets: [],
+function buildInventoryContext(items, species) {
+  const describe = (item) => ({
+    name: item.name,
+    description: item.description,
+    contents: (item.contents || []).map(describe),
+  });
+
+  // Every slot of the species, plus any other place something is held
+  const slots = [...new Set([...species.carrying_slots, ...items.map(i => i.held_location)])];
+
+  return {
+    slots: slots.map(slot => {
+      const item = items.find(i => i.held_location === slot);
+      return { slot, item: item ? describe(item) : null };
+    }),
+    encumbrance: describeEncumbrance(
+      items.reduce((sum, item) => sum + totalWeight(item), 0),
+      species.carry_capacity
+    ),
   };
+}
 
-  for (const item of items) {
-    if (item.held_location === 'right hand') {
-      inventory['right hand'] = {
-        name: item.name,
-        description: item.description,
-      };
-    } else if (item.held_location === 'left hand') {
-      inventory['left hand'] = {
-        name: item.name,
-        description: item.description,
-      };
-    } else {
-      inventory.pockets.push({
-        location: item.held_location,
-        name: item.name,
-        description: item.description,
-      });
-    }
+/**
+ * Describe an inventory item and what is inside it
+ * @param {Object} item - Item from buildInventoryContext
+ * @returns {string} e.g. "Backpack (containing Rope, Pouch (containing Coins))"
+ */
+function formatInventoryItem(item) {
+  if (item.contents.length === 0) {
+    return item.name;
   }
-
-  return inventory;
+  return `${item.name} (containing ${item.contents.map(formatInventoryItem).join(', ')})`;
 }
 
 /**
@@ -159,13 +189,18 @@ async function buildAreaContext(areaId, excludeCharacterId) {
 
   // Get other characters in the area
   const characters = await Area.getCharacters(areaId);
-  const otherCharacters = characters
+  const otherCharacters = await Promise.all(characters
     .filter(c => c.id !== excludeCharacterId)
-    .map(c => ({
+    .map(async c => ({
       name: c.name,
       species: c.species,
       description: c.description,
-    }));
+      vitalStatus: c.vital_status || 'alive',
+      // What is in their pockets stays out of sight
+      carrying: (await Character.getInventory(c.id))
+        .filter(i => !(i.held_location || '').includes('pocket'))
+        .map(i => i.name),
+    })));
 
   // Get items in the area
   const items = await Area.getItems(areaId);
@@ -174,29 +209,61 @@ async function buildAreaContext(areaId, excludeCharacterId) {
     description: i.description,
   }));
 
+  // Exits are named by where they lead: area IDs mean nothing to the model,
+  // and change when a snapshot is forked for replay
+  const exits = {};
+  for (const [direction, id] of Object.entries(area.exits || {})) {
+    const destination = await Area.findById(id);
+    exits[direction] = destination ? destination.name : 'somewhere unknown';
+  }
+
   return {
     name: area.name,
     description: area.description,
     temperature: parseFloat(area.temperature),
-    exits: area.exits || {},
+    exits,
     characters: otherCharacters,
     items: visibleItems,
   };
 }
 
+/**
+ * Build trade offers section of context
+ * @param {number} characterId - Character ID
+ * @returns {Promise<Array>} Open offers made to the character, newest first
+ */
+async function buildOffersContext(characterId) {
+  const offers = await TradeOffer.findOpenForCharacter(characterId);
+  return await Promise.all(offers.map(async offer => {
+    const from = await Character.findById(offer.from_character_id);
+    const item = await Item.findById(offer.item_id);
+    const wanted = await Item.findById(offer.requested_item_id);
+    return { from: from.name, item: item.name, wanted: wanted.name };
+  }));
+}
+
 /**
  * Build memory section of context
  * @param {Object} character - Character object
- * @returns {Array} Memory entries
+ * @returns {Promise<Object>} {summaries, recent} - condensed older memories and recent entries
  */
-function buildMemoryContext(character) {
+async function buildMemoryContext(character) {
   const memory = character.memory || [];
 
-  // Return most recent entries
   // Minor characters: last 3, Story characters: last 5
   const limit = character.character_class === 'story' ? 5 : 3;
 
-  return memory.slice(-limit);
+  // Summaries come back oldest first; higher levels cover the distant past,
+  // so they lead. Each level holds what the level above has not condensed
+  // yet, so all of it is kept (at most SUMMARIES_PER_LEVEL per level)
+  const summaries = await MemorySummary.findByCharacterId(character.id);
+  const levels = [...new Set(summaries.map(s => s.level))].sort((a, b) => b - a);
+  const selected = levels.flatMap(level => summaries.filter(s => s.level === level).slice(-SUMMARIES_PER_LEVEL));
+
+  return {
+    summaries: selected.map(s => s.summary),
+    recent: memory.slice(-limit),
+  };
 }
 
 /**
@@ -238,38 +305,33 @@ export function formatContextAsPrompt(context) {
   parts.push(`Hydration: ${context.physicalState.hydration.toFixed(0)}%`);
   parts.push(`Tiredness: ${context.physicalState.tiredness.toFixed(0)}%`);
   parts.push(`Alertness: ${context.physicalState.alertness.toFixed(0)}%`);
+  if (context.physicalState.thermal) {
+    parts.push(`Temperature: ${context.physicalState.thermal.description}`);
+  }
   if (context.physicalState.notes.length > 0) {
     parts.push(`Status: ${context.physicalState.notes.join(', ')}`);
   }
 
   // Inventory
   parts.push('\n## Your Inventory');
-  if (context.inventory['right hand']) {
-    parts.push(`Right hand: ${context.inventory['right hand'].name}`);
-  } else {
-    parts.push('Right hand: empty');
-  }
-  if (context.inventory['left hand']) {
-    parts.push(`Left hand: ${context.inventory['left hand'].name}`);
-  } else {
-    parts.push('Left hand: empty');
-  }
-  if (context.inventory.pockets.length > 0) {
-    parts.push(`Pockets: ${context.inventory.pockets.map(p => p.name).join(', ')}`);
-  } else {
-    parts.push('Pockets: empty');
+  for (const { slot, item } of context.inventory.slots) {
+    const label = slot.charAt(0).toUpperCase() + slot.slice(1);
+    parts.push(`${label}: ${item ? formatInventoryItem(item) : 'empty'}`);
   }
+  const { weight, capacity, level } = context.inventory.encumbrance;
+  parts.push(`Carrying: ${weight} of ${capacity} kg (${level})`);
 
   // Location
   if (context.location) {
     parts.push('\n## Current Location');
     parts.push(`You are in: ${context.location.name}`);
     parts.push(context.location.description);
-    parts.push(`Temperature: ${context.location.temperature.toFixed(1)}°C`);
+    const feeling = context.physicalState.thermal ? ` (feels ${context.physicalState.thermal.feeling} to you)` : '';
+    parts.push(`Temperature: ${context.location.temperature.toFixed(1)}°C${feeling}`);
 
     if (Object.keys(context.location.exits).length > 0) {
       const exitList = Object.entries(context.location.exits)
-        .map(([dir, id]) => `${dir} (to area ${id})`)
+        .map(([dir, name]) => `${dir} (to ${name})`)
         .join(', ');
       parts.push(`Exits: ${exitList}`);
     } else {
@@ -279,7 +341,9 @@ export function formatContextAsPrompt(context) {
     if (context.location.characters.length > 0) {
       parts.push('\nOther characters here:');
       for (const char of context.location.characters) {
-        parts.push(`- ${char.name} (${char.species}): ${char.description}`);
+        const condition = char.vitalStatus === 'alive' ? '' : ` [${char.vitalStatus}]`;
+        const carrying = char.carrying.length > 0 ? ` Carrying: ${char.carrying.join(', ')}.` : '';
+        parts.push(`- ${char.name} (${char.species})${condition}: ${char.description}${carrying}`);
       }
     }
 
@@ -294,10 +358,28 @@ export function formatContextAsPrompt(context) {
     parts.push('You are not currently in any specific location.');
   }
 
+  // Time
+  parts.push(`\nIt is ${context.time.period} (${context.time.time}) on day ${context.time.day}.`);
+
+  // Trade offers
+  if (context.offers.length > 0) {
+    parts.push('\n## Trade Offers');
+    for (const offer of context.offers) {
+      parts.push(`- ${offer.from} offers you ${offer.item} for your ${offer.wanted}`);
+    }
+  }
+
   // Memory
-  if (context.memory.length > 0) {
+  if (context.memory.summaries.length > 0) {
+    parts.push('\n## What You Remember');
+    for (const summary of context.memory.summaries) {
+      parts.push(`- ${summary}`);
+    }
+  }
+
+  if (context.memory.recent.length > 0) {
     parts.push('\n## Recent Events');
-    for (const entry of context.memory) {
+    for (const entry of context.memory.recent) {
       parts.push(`- ${entry.action} → ${entry.result}`);
     }
   }
@@ -320,8 +402,19 @@ export function getSystemPrompt(characterClass) {
 Available actions (pick ONE):
 - {"action": "move", "direction": "north/south/east/west"}
 - {"action": "speak", "text": "what you want to say"}
+- {"action": "speak", "text": "...", "volume": "whisper", "to": "character name"}
+- {"action": "speak", "text": "...", "volume": "shout"} (heard in nearby areas)
 - {"action": "pickup", "item": "item name"}
 - {"action": "drop", "item": "item name"}
+- {"action": "put", "item": "item name", "container": "container name"}
+- {"action": "take", "item": "item name", "from": "container name"}
+- {"action": "give", "item": "held item", "to": "character name"}
+- {"action": "offer_trade", "item": "held item", "to": "character name", "for": "item they carry"}
+- {"action": "accept_trade", "from": "character name"} (accept their trade offer)
+- {"action": "steal", "from": "character name", "item": "item they carry (optional)"} (risky, likelier to work on the drowsy)
+- {"action": "eat", "item": "item name"} (when hungry)
+- {"action": "drink", "item": "item name"} (when thirsty)
+- {"action": "attack", "target": "character name", "with": "held item (optional)", "part": "body part (optional)"}
 - {"action": "wait"}
 - {"action": "sleep"}
 
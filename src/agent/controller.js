@@ -5,25 +5,52 @@
  *
  * Cycle-based world simulation controller that:
  * 1. Loads LLM models for minor and story characters
- * 2. Processes all awake, AI-controlled characters each cycle
- * 3. Builds context windows for each character
- * 4. Gets actions from LLMs
- * 5. Executes actions via MCP
- * 6. Updates physical states
+ * 2. Advances the persisted world clock and fires time-based area triggers
+ * 3. Processes all awake, AI-controlled characters each cycle
+ * 4. Builds context windows for each character
+ * 5. Gets actions from LLMs, constrained to the actions each character can
+ *    take (see grammar.js), with one repair prompt for invalid answers
+ * 6. Executes actions via MCP
+ * 7. Updates physical states
+ * 8. Periodically condenses older memories into summaries
+ *
+ * Set RECORD_FILE to record the run for replaying (see replay.js).
  */
 
-import { Character } from '../db/models/index.js';
+import { Character, World } from '../db/models/index.js';
 import { getLLMManager } from './llm.js';
 import { buildContextWindow, formatContextAsPrompt, getSystemPrompt } from './context.js';
 import { parseAction, executeAction, updatePhysicalState } from './actions.js';
+import { setCurrentCycle } from '../mcp/handlers/events.js';
+import { executeClockTriggers } from '../mcp/handlers/triggers.js';
+import { describeClock } from '../mcp/handlers/clock.js';
+import { condenseWorldMemories } from './memory.js';
+import { actionVocabulary, buildActionSchema, formatRepairPrompt, validateAction } from './grammar.js';
+import { CycleRecorder } from './replay.js';
 
 // Configuration
 const CYCLE_INTERVAL = parseInt(process.env.CYCLE_INTERVAL || '5000', 10); // 5 seconds default
 const WORLD_ID = parseInt(process.env.WORLD_ID || '1', 10);
+// Set to "minor" while the narrator drives story characters
+const CHARACTER_CLASSES = (process.env.AGENT_CHARACTER_CLASSES || 'minor,story').split(',').map(c => c.trim());
+const MEMORY_CONDENSE_INTERVAL = parseInt(process.env.MEMORY_CONDENSE_INTERVAL || '10', 10); // cycles
+// Recording of the run, for replay.js
+const RECORD_FILE = process.env.RECORD_FILE || null;
 
 class AgentController {
-  constructor() {
-    this.llmManager = null;
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.worldId] - World to run (default WORLD_ID)
+   * @param {Object} [options.llmManager] - LLM manager (default getLLMManager())
+   * @param {Object} [options.recorder] - CycleRecorder or CycleReplayer for the run
+   * @param {Array<string>} [options.characterClasses] - Classes to drive (default AGENT_CHARACTER_CLASSES)
+   */
+  constructor({ worldId = WORLD_ID, llmManager = null, recorder = null, characterClasses = CHARACTER_CLASSES } = {}) {
+    this.worldId = worldId;
+    this.characterClasses = characterClasses;
+    this.llmManager = llmManager;
+    this.recorder = recorder;
+    this.worldCycle = null;
     this.running = false;
     this.cycleCount = 0;
     this.lastCycleTime = Date.now();
@@ -31,6 +58,7 @@ class AgentController {
       totalActions: 0,
       successfulActions: 0,
       failedActions: 0,
+      repairedActions: 0,
       avgCycleTime: 0,
       charactersProcessed: 0,
     };
@@ -43,12 +71,18 @@ class AgentController {
     console.log('='.repeat(60));
     console.log('StorySplicer Agent Controller');
     console.log('='.repeat(60));
-    console.log(`World ID: ${WORLD_ID}`);
+    console.log(`World ID: ${this.worldId}`);
     console.log(`Cycle Interval: ${CYCLE_INTERVAL}ms`);
+    console.log(`Character Classes: ${this.characterClasses.join(', ')}`);
     console.log('');
 
     // Initialize LLM manager
-    this.llmManager = getLLMManager();
+    this.llmManager = this.llmManager || getLLMManager();
+    if (this.recorder) {
+      await this.recorder.start(this.worldId);
+      this.llmManager = this.recorder.wrapLLM(this.llmManager);
+      console.log(this.recorder.file ? `Recording to ${this.recorder.file}` : 'Recording in memory');
+    }
     await this.llmManager.initialize();
 
     console.log('');
@@ -77,6 +111,22 @@ class AgentController {
     this.scheduleNextCycle();
   }
 
+  /**
+   * Run cycles back to back, without waiting between them
+   * @param {number} lastCycle - World cycle to stop after
+   */
+  async runUntil(lastCycle) {
+    this.running = true;
+    this.lastCycleTime = Date.now();
+
+    while (this.running && (this.worldCycle === null || this.worldCycle < lastCycle)) {
+      const before = this.worldCycle;
+      await this.runCycle();
+      // The clock did not move (the world is gone)
+      if (this.worldCycle === before) break;
+    }
+  }
+
   /**
    * Stop the simulation
    */
@@ -94,6 +144,10 @@ class AgentController {
     // Cleanup LLM manager
     await this.llmManager.dispose();
 
+    if (this.recorder) {
+      await this.recorder.close();
+    }
+
     console.log('Agent Controller stopped');
   }
 
@@ -118,32 +172,78 @@ class AgentController {
     const cycleStartTime = Date.now();
     this.cycleCount++;
 
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`Cycle ${this.cycleCount} - ${new Date().toLocaleTimeString()}`);
-    console.log('='.repeat(60));
-
     try {
-      // Get all AI-controllable awake characters
-      const characters = await Character.findAIControllable(WORLD_ID);
+      // The world's clock carries on from where the last run left it
+      const world = await World.advanceClock(this.worldId);
+      if (!world) {
+        throw new Error(`World not found: ${this.worldId}`);
+      }
+      const clock = describeClock(world);
+      this.worldCycle = world.cycle;
 
-      console.log(`Processing ${characters.length} characters...`);
+      // Everything logged from here on belongs to this cycle
+      setCurrentCycle(this.worldId, world.cycle);
+      if (this.recorder) {
+        this.recorder.beginCycle(world.cycle);
+      }
 
-      if (characters.length === 0) {
-        console.log('No awake AI characters to process');
-        return;
+      console.log(`\n${'='.repeat(60)}`);
+      console.log(`Cycle ${world.cycle} - day ${clock.day}, ${clock.time} (${clock.period})`);
+      console.log('='.repeat(60));
+
+      // Day/night changes, locking doors, respawns...
+      await executeClockTriggers(world);
+
+      // Condense memories that fell out of characters' recent lists
+      if (world.cycle % MEMORY_CONDENSE_INTERVAL === 0) {
+        const condensed = await condenseWorldMemories(this.worldId, this.llmManager);
+        if (condensed > 0) {
+          console.log(`Condensed memories into ${condensed} summary(ies)`);
+        }
       }
 
       // Calculate time since last cycle
       const now = Date.now();
-      const secondsPassed = (now - this.lastCycleTime) / 1000;
+      let secondsPassed = (now - this.lastCycleTime) / 1000;
       this.lastCycleTime = now;
+      if (this.recorder) {
+        // Replays use the recorded time instead
+        secondsPassed = this.recorder.elapsed(secondsPassed);
+      }
+
+      // Needs, healing and vital status move on for everyone still alive,
+      // including sleeping, unconscious and player characters, and story
+      // characters the narrator drives while this controller does not
+      const living = (await Character.findByWorldId(this.worldId))
+        .filter(c => c.vital_status !== 'dead');
+      for (const character of living) {
+        await updatePhysicalState(character.id, secondsPassed);
+      }
+
+      // Get all AI-controllable awake characters of the classes this controller drives
+      const characters = (await Character.findAIControllable(this.worldId))
+        .filter(c => this.characterClasses.includes(c.character_class));
+
+      console.log(`Processing ${characters.length} characters...`);
+
+      if (characters.length === 0) {
+        console.log('No awake AI characters to process');
+        if (this.recorder) {
+          await this.recorder.endCycle(this.worldId);
+        }
+        return;
+      }
 
       // Process each character
       for (const character of characters) {
-        await this.processCharacter(character, secondsPassed);
+        await this.processCharacter(character);
         this.stats.charactersProcessed++;
       }
 
+      if (this.recorder) {
+        await this.recorder.endCycle(this.worldId);
+      }
+
       // Calculate cycle time
       const cycleTime = Date.now() - cycleStartTime;
       this.stats.avgCycleTime =
@@ -158,15 +258,11 @@ class AgentController {
   /**
    * Process a single character
    * @param {Object} character - Character object
-   * @param {number} secondsPassed - Seconds since last cycle
    */
-  async processCharacter(character, secondsPassed) {
+  async processCharacter(character) {
     console.log(`\n[${character.name}] (${character.character_class})`);
 
     try {
-      // Update physical state based on time passed
-      await updatePhysicalState(character.id, secondsPassed);
-
       // Build context window
       const context = await buildContextWindow(character.id);
       const prompt = formatContextAsPrompt(context);
@@ -174,26 +270,42 @@ class AgentController {
       // Get system prompt
       const systemPrompt = getSystemPrompt(character.character_class);
 
+      // Only the actions this character can take here, naming what it can see
+      const schema = buildActionSchema(actionVocabulary(context));
+      const options = {
+        temperature: 0.3, // Lower temperature for more focused JSON output
+        maxTokens: 128, // Room for a short speech
+        stopStrings: ['}', '\n\n'], // Stop after JSON closes, where the schema can't
+        schema,
+      };
+
       // Generate action from LLM
       console.log(`  Generating action...`);
       const startTime = Date.now();
 
-      const response = await this.llmManager.generate(
-        character.character_class,
-        systemPrompt,
-        prompt,
-        {
-          temperature: 0.3, // Lower temperature for more focused JSON output
-          maxTokens: 64, // Reduced since we only need short JSON
-          stopStrings: ['}', '\n\n'], // Stop after JSON closes
-        }
-      );
+      const response = await this.llmManager.generate(character.character_class, systemPrompt, prompt, options);
 
       const genTime = Date.now() - startTime;
       console.log(`  Generated in ${genTime}ms`);
 
-      // Parse action
-      const action = parseAction(response);
+      // Parse action, asking once more if it isn't one the character can take
+      let action = parseAction(response);
+      const errors = action ? validateAction(action, schema) : ['Not a JSON object with an "action" field'];
+      if (errors.length > 0) {
+        console.log(`  Repairing: ${errors.join('; ')}`);
+        const repaired = parseAction(await this.llmManager.generate(
+          character.character_class,
+          systemPrompt,
+          formatRepairPrompt(prompt, response, errors),
+          options
+        ));
+        if (repaired && validateAction(repaired, schema).length === 0) {
+          this.stats.repairedActions++;
+        }
+        // Still invalid: the executor explains why, and records the attempt
+        action = repaired || action;
+      }
+
       if (!action) {
         console.log(`  ✗ Failed to parse action`);
         this.stats.failedActions++;
@@ -230,6 +342,7 @@ class AgentController {
     console.log(`Total Actions: ${this.stats.totalActions}`);
     console.log(`Successful: ${this.stats.successfulActions}`);
     console.log(`Failed: ${this.stats.failedActions}`);
+    console.log(`Repaired: ${this.stats.repairedActions}`);
     console.log(`Characters Processed: ${this.stats.charactersProcessed}`);
     console.log(`Avg Cycle Time: ${this.stats.avgCycleTime.toFixed(1)}ms`);
     console.log(`Success Rate: ${(this.stats.successfulActions / this.stats.totalActions * 100).toFixed(1)}%`);
@@ -239,7 +352,9 @@ class AgentController {
 
 // Main execution
 async function main() {
-  const controller = new AgentController();
+  const controller = new AgentController({
+    recorder: RECORD_FILE ? new CycleRecorder(RECORD_FILE) : null,
+  });
 
   // Handle graceful shutdown
   process.on('SIGINT', async () => {
@@ -0,0 +1,189 @@
+/**
+ * Action grammar
+ *
+ * Builds a JSON schema from the registered actions (ACTIONS in actions.js)
+ * and what a character can see, so providers that constrain output (a GBNF
+ * grammar in llama.cpp, response_format on OpenAI-compatible servers) can
+ * only produce actions that name real exits, items and characters. Responses
+ * from providers that can't are checked against the same schema instead, and
+ * answered with a repair prompt listing what was wrong.
+ */
+
+import { ACTIONS } from './actions.js';
+
+// Volumes the speak action understands
+export const VOLUMES = ['normal', 'whisper', 'shout'];
+
+// Longest free text (speech, body parts) a constrained model may write
+export const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Collect the names a character's actions may refer to
+ * @param {Object} context - Context window from buildContextWindow
+ * @returns {Object} {directions, items, characters}
+ */
+export function actionVocabulary(context) {
+  const location = context.location || { exits: {}, items: [], characters: [] };
+  const items = [];
+  const addItem = (item) => {
+    items.push(item.name);
+    (item.contents || []).forEach(addItem);
+  };
+
+  location.items.forEach(addItem);
+  context.inventory.slots.filter(slot => slot.item).forEach(slot => addItem(slot.item));
+  location.characters.forEach(c => items.push(...c.carrying));
+  (context.offers || []).forEach(offer => items.push(offer.item, offer.wanted));
+
+  return {
+    directions: Object.keys(location.exits),
+    items: [...new Set(items)],
+    characters: location.characters.map(c => c.name),
+  };
+}
+
+/**
+ * Schema for one kind of field, or null if there is nothing it could name
+ * @param {string} kind - 'direction', 'item', 'character', 'volume' or 'text'
+ * @param {Object} vocabulary - From actionVocabulary
+ * @returns {Object|null} Field schema
+ */
+function fieldSchema(kind, vocabulary) {
+  const choices = {
+    direction: vocabulary.directions,
+    item: vocabulary.items,
+    character: vocabulary.characters,
+    volume: VOLUMES,
+  }[kind];
+
+  if (!choices) {
+    return { type: 'string', maxLength: MAX_TEXT_LENGTH };
+  }
+  return choices.length > 0 ? { enum: choices } : null;
+}
+
+/**
+ * Every subset of a list, smallest first
+ * @param {Array} list - List
+ * @returns {Array<Array>} Subsets
+ */
+function subsets(list) {
+  return list
+    .reduce((all, entry) => [...all, ...all.map(subset => [...subset, entry])], [[]])
+    .sort((a, b) => a.length - b.length);
+}
+
+/**
+ * Build the JSON schema of the actions a character can take
+ *
+ * Grammars require every property of an object, so each combination of an
+ * action's optional fields is its own variant. Actions whose required fields
+ * have nothing to name (no exits, no items in sight) are left out.
+ * @param {Object} vocabulary - From actionVocabulary
+ * @returns {Object} Schema: {oneOf: [object schema per variant]}
+ */
+export function buildActionSchema(vocabulary) {
+  const variants = [];
+
+  for (const [action, { required = {}, optional = {} }] of Object.entries(ACTIONS)) {
+    const fields = {};
+    for (const [field, kind] of Object.entries(required)) {
+      fields[field] = fieldSchema(kind, vocabulary);
+    }
+    if (Object.values(fields).includes(null)) {
+      continue;
+    }
+
+    const extras = Object.entries(optional)
+      .map(([field, kind]) => [field, fieldSchema(kind, vocabulary)])
+      .filter(([, schema]) => schema);
+
+    for (const subset of subsets(extras)) {
+      const properties = { action: { const: action }, ...fields, ...Object.fromEntries(subset) };
+      variants.push({
+        type: 'object',
+        properties,
+        required: Object.keys(properties),
+        additionalProperties: false,
+      });
+    }
+  }
+
+  return { oneOf: variants };
+}
+
+/**
+ * Problems with one field of an action
+ * @param {string} field - Field name
+ * @param {*} value - Value given
+ * @param {Object} schema - Field schema
+ * @returns {Array<string>} Problems
+ */
+function fieldErrors(field, value, schema) {
+  if (value === undefined) {
+    return [`"${field}" is missing`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`"${field}" must be one of: ${schema.enum.join(', ')}`];
+  }
+  if (schema.type === 'string' && typeof value !== 'string') {
+    return [`"${field}" must be text`];
+  }
+  if (schema.maxLength && value.length > schema.maxLength) {
+    return [`"${field}" is longer than ${schema.maxLength} characters`];
+  }
+  return [];
+}
+
+/**
+ * Check a parsed action against an action schema
+ *
+ * Fields no action takes are ignored; the executor never reads them.
+ * @param {Object} action - Parsed action
+ * @param {Object} schema - From buildActionSchema
+ * @returns {Array<string>} Problems, empty if the action is valid
+ */
+export function validateAction(action, schema) {
+  const candidates = schema.oneOf.filter(variant => variant.properties.action.const === action.action);
+  if (candidates.length === 0) {
+    const open = [...new Set(schema.oneOf.map(variant => variant.properties.action.const))];
+    return [`"${action.action}" is not an action you can take now; choose one of: ${open.join(', ')}`];
+  }
+
+  // Fields the action takes, whether or not they can name anything here
+  const { required = {}, optional = {} } = ACTIONS[action.action];
+  const known = new Set([...Object.keys(required), ...Object.keys(optional)]);
+
+  // Fullest variants first, so a bad optional value is reported as such
+  const problems = [...candidates].reverse().map(variant => [
+    ...Object.entries(variant.properties)
+      .filter(([field]) => field !== 'action')
+      .flatMap(([field, expected]) => fieldErrors(field, action[field], expected)),
+    ...Object.keys(action)
+      .filter(field => known.has(field) && !(field in variant.properties))
+      .map(field => `"${field}" can't be used here`),
+  ]);
+
+  return problems.reduce((fewest, errors) => (errors.length < fewest.length ? errors : fewest));
+}
+
+/**
+ * Ask again for an action, saying what was wrong with the last answer
+ * @param {string} prompt - Original prompt
+ * @param {string} response - The answer that failed
+ * @param {Array<string>} errors - What was wrong with it
+ * @returns {string} Repair prompt
+ */
+export function formatRepairPrompt(prompt, response, errors) {
+  return [
+    prompt,
+    '',
+    '## Your Last Answer',
+    response.trim(),
+    '',
+    'That answer could not be carried out:',
+    ...errors.map(error => `- ${error}`),
+    '',
+    'Respond again with ONE valid JSON action.',
+  ].join('\n');
+}
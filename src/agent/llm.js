@@ -1,87 +1,33 @@
 /**
  * LLM Manager for character agents
  *
- * Manages two models:
- * - Llama-3.2-3B-Instruct-uncensored for minor characters (~2.3GB VRAM with Q5_K_M)
- * - Qwen2-7B-Instruct for story characters (~5GB VRAM with Q5_K_M)
+ * Sends each character class's prompts to its own provider (see
+ * providers/index.js for the settings). By default both classes run GGUF
+ * models in process with llama.cpp:
+ * - Llama-3.2-3B-Instruct-uncensored for minor characters
+ * - Qwen2-7B-Instruct for story characters
  *
- * Total VRAM: ~7.3GB (fits comfortably in RTX 3070 8GB)
+ * Set LLM_MODE=stub to use a deterministic stand-in that loads no models,
+ * so pipelines can be run and tested offline.
  */
 
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { getLlama, LlamaChatSession } from 'node-llama-cpp';
+import { DEFAULT_MODELS } from './providers/llamacpp.js';
+import { ScriptedProvider } from './providers/scripted.js';
+import { createProvider, providerConfig } from './providers/index.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const PROJECT_ROOT = join(__dirname, '../..');
-const MODELS_DIR = join(PROJECT_ROOT, 'models');
-
-// Model configurations with fallback paths
-const MODELS = {
-  minor: {
-    name: 'Llama-3.2-3B-Instruct',
-    // Try uncensored first, fall back to standard
-    paths: [
-      join(MODELS_DIR, 'llama-3.2-3b-instruct-uncensored.Q5_K_M.gguf'),
-      join(MODELS_DIR, 'llama-3.2-3b-instruct.Q5_K_M.gguf'),
-    ],
-    contextSize: 1024, // Reduced from 2048 to save VRAM
-    gpuLayers: 99, // Full offload to GPU
-  },
-  story: {
-    name: 'Qwen2-7B-Instruct',
-    paths: [
-      join(MODELS_DIR, 'qwen2-7b-instruct.Q5_K_M.gguf'),
-    ],
-    contextSize: 2048, // Reduced from 4096 to save VRAM
-    gpuLayers: 99, // Full offload to GPU
-  },
-};
-
-class LLMManager {
-  constructor() {
-    this.llama = null;
-    this.models = {
-      minor: null,
-      story: null,
-    };
-    this.initialized = false;
-  }
+export const CHARACTER_CLASSES = ['minor', 'story'];
 
+export class LLMManager {
   /**
-   * Load a model with fallback paths
-   * @param {string} modelType - 'minor' or 'story'
-   * @returns {Promise<Object>} Loaded model
+   * @param {Object} [providers] - Provider by character class; the rest come from the environment
    */
-  async loadModelWithFallback(modelType) {
-    const config = MODELS[modelType];
-    const paths = Array.isArray(config.paths) ? config.paths : [config.paths];
-
-    let lastError = null;
-    for (const path of paths) {
-      try {
-        console.log(`  Trying: ${path}`);
-        const model = await this.llama.loadModel({
-          modelPath: path,
-          gpuLayers: config.gpuLayers,
-        });
-        console.log(`  Success!`);
-        return model;
-      } catch (error) {
-        console.log(`  Not found or failed: ${error.message}`);
-        lastError = error;
-      }
-    }
-
-    // All paths failed
-    console.error(`Failed to load ${config.name} from any of these paths:`);
-    paths.forEach(p => console.error(`  - ${p}`));
-    throw lastError || new Error(`No model found for ${modelType}`);
+  constructor(providers = {}) {
+    this.providers = { ...providers };
+    this.initialized = false;
   }
 
   /**
-   * Initialize the LLM manager (lazy-load models on first use)
+   * Set up each class's provider (models load on first use)
    */
   async initialize() {
     if (this.initialized) {
@@ -90,31 +36,41 @@ class LLMManager {
 
     console.log('Initializing LLM Manager...');
 
-    // Get llama instance
-    this.llama = await getLlama();
+    for (const characterClass of CHARACTER_CLASSES) {
+      if (!this.providers[characterClass]) {
+        this.providers[characterClass] = await createProvider(providerConfig(characterClass));
+      }
+      const provider = this.providers[characterClass];
+      if (provider.initialize) {
+        await provider.initialize();
+      }
+    }
 
     this.initialized = true;
     console.log('LLM Manager initialized (models will be loaded on-demand)');
-    console.log(`Minor characters: ${MODELS.minor.name}`);
-    console.log(`Story characters: ${MODELS.story.name}`);
+    console.log(`Minor characters: ${this.providers.minor.name}`);
+    console.log(`Story characters: ${this.providers.story.name}`);
   }
 
   /**
-   * Ensure a model is loaded (lazy loading)
-   * @param {string} modelType - 'minor' or 'story'
+   * Get the provider for a character class
+   * @param {string} characterClass - 'minor' or 'story'
+   * @returns {Object} Provider
    */
-  async ensureModelLoaded(modelType) {
-    if (this.models[modelType]) {
-      return; // Already loaded
+  provider(characterClass) {
+    if (!this.initialized) {
+      throw new Error('LLM Manager not initialized');
     }
 
-    console.log(`Loading ${MODELS[modelType].name}...`);
-    this.models[modelType] = await this.loadModelWithFallback(modelType);
-    console.log(`✓ Loaded ${MODELS[modelType].name}`);
+    const provider = this.providers[characterClass];
+    if (!provider) {
+      throw new Error(`Invalid character class: ${characterClass}`);
+    }
+    return provider;
   }
 
   /**
-   * Generate a response from the appropriate model
+   * Generate a response from the character class's provider
    * @param {string} characterClass - 'minor' or 'story'
    * @param {string} systemPrompt - System prompt for the character
    * @param {string} userPrompt - User/context prompt
@@ -122,47 +78,11 @@ class LLMManager {
    * @returns {Promise<string>} Generated response
    */
   async generate(characterClass, systemPrompt, userPrompt, options = {}) {
-    if (!this.initialized) {
-      throw new Error('LLM Manager not initialized');
-    }
-
-    // Ensure model is loaded
-    await this.ensureModelLoaded(characterClass);
-
-    const model = this.models[characterClass];
-    if (!model) {
-      throw new Error(`Invalid character class: ${characterClass}`);
-    }
-
-    const config = MODELS[characterClass];
-
-    // Create context
-    const context = await model.createContext({
-      contextSize: config.contextSize,
-    });
-
-    // Create session
-    const session = new LlamaChatSession({
-      contextSequence: context.getSequence(),
-    });
-
-    // Generate response
-    const response = await session.prompt(userPrompt, {
-      systemPrompt,
-      temperature: options.temperature || 0.8,
-      topP: options.topP || 0.95,
-      maxTokens: options.maxTokens || 256,
-      stopStrings: options.stopStrings || [],
-    });
-
-    // Clean up
-    await context.dispose();
-
-    return response;
+    return this.provider(characterClass).generate(systemPrompt, userPrompt, options);
   }
 
   /**
-   * Stream a response from the appropriate model
+   * Stream a response from the character class's provider
    * @param {string} characterClass - 'minor' or 'story'
    * @param {string} systemPrompt - System prompt for the character
    * @param {string} userPrompt - User/context prompt
@@ -171,67 +91,17 @@ class LLMManager {
    * @returns {Promise<string>} Full generated response
    */
   async generateStream(characterClass, systemPrompt, userPrompt, onToken, options = {}) {
-    if (!this.initialized) {
-      throw new Error('LLM Manager not initialized');
-    }
-
-    // Ensure model is loaded
-    await this.ensureModelLoaded(characterClass);
-
-    const model = this.models[characterClass];
-    if (!model) {
-      throw new Error(`Invalid character class: ${characterClass}`);
-    }
-
-    const config = MODELS[characterClass];
-
-    // Create context
-    const context = await model.createContext({
-      contextSize: config.contextSize,
-    });
-
-    // Create session
-    const session = new LlamaChatSession({
-      contextSequence: context.getSequence(),
-    });
-
-    // Stream response
-    let fullResponse = '';
-
-    await session.prompt(userPrompt, {
-      systemPrompt,
-      temperature: options.temperature || 0.8,
-      topP: options.topP || 0.95,
-      maxTokens: options.maxTokens || 256,
-      stopStrings: options.stopStrings || [],
-      onTextChunk: (chunk) => {
-        fullResponse += chunk;
-        if (onToken) {
-          onToken(chunk);
-        }
-      },
-    });
-
-    // Clean up
-    await context.dispose();
-
-    return fullResponse;
+    return this.provider(characterClass).generateStream(systemPrompt, userPrompt, onToken, options);
   }
 
   /**
-   * Cleanup and dispose of models
+   * Cleanup and dispose of providers
    */
   async dispose() {
     console.log('Disposing LLM Manager...');
 
-    if (this.models.minor) {
-      await this.models.minor.dispose();
-    }
-    if (this.models.story) {
-      await this.models.story.dispose();
-    }
-    if (this.llama) {
-      await this.llama.dispose();
+    for (const provider of new Set(Object.values(this.providers))) {
+      await provider.dispose();
     }
 
     this.initialized = false;
@@ -239,6 +109,27 @@ class LLMManager {
   }
 }
 
+/**
+ * Deterministic stand-in for LLMManager, with a scripted provider per class
+ *
+ * By default it answers with the part of the user prompt after the last
+ * MATERIAL_SEPARATOR (or the whole prompt), so the same prompt always
+ * yields the same response.
+ */
+export class StubLLMManager extends LLMManager {
+  /**
+   * @param {Function} [respond] - (characterClass, systemPrompt, userPrompt, options) => string
+   */
+  constructor(respond = null) {
+    super(Object.fromEntries(CHARACTER_CLASSES.map(characterClass => [
+      characterClass,
+      new ScriptedProvider({
+        respond: respond && ((systemPrompt, userPrompt, options) => respond(characterClass, systemPrompt, userPrompt, options)),
+      }),
+    ])));
+  }
+}
+
 // Singleton instance
 let llmManager = null;
 
@@ -254,17 +145,17 @@ export function getLLMManager() {
 }
 
 /**
- * Model information for reference
+ * Default model information for reference
  */
 export const MODEL_INFO = {
   minor: {
-    name: MODELS.minor.name,
-    contextSize: MODELS.minor.contextSize,
+    name: DEFAULT_MODELS.minor.name,
+    contextSize: DEFAULT_MODELS.minor.contextSize,
     estimatedVRAM: '~2.3GB (Q5_K_M)',
   },
   story: {
-    name: MODELS.story.name,
-    contextSize: MODELS.story.contextSize,
+    name: DEFAULT_MODELS.story.name,
+    contextSize: DEFAULT_MODELS.story.contextSize,
     estimatedVRAM: '~5GB (Q5_K_M)',
   },
 };
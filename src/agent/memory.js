@@ -0,0 +1,114 @@
+/**
+ * Character Memory Tiers
+ *
+ * 1. Recent: the last 3 (minor) or 5 (story) raw entries in characters.memory
+ * 2. Summaries: older entries condensed by the character's LLM into
+ *    memory_summaries; once a level has too many summaries, the oldest are
+ *    condensed again one level up, so memory grows logarithmically
+ * 3. Backstory: entries flagged `major` (appended by Character.addMemory)
+ */
+
+import { Character, MemorySummary } from '../db/models/index.js';
+import { MATERIAL_SEPARATOR } from './prompts.js';
+
+// Pending raw entries condensed into one level-1 summary
+export const ENTRIES_PER_SUMMARY = parseInt(process.env.MEMORY_ENTRIES_PER_SUMMARY || '5', 10);
+
+// Summaries kept at a level before the oldest are condensed one level up
+export const SUMMARIES_PER_LEVEL = parseInt(process.env.MEMORY_SUMMARIES_PER_LEVEL || '4', 10);
+
+/**
+ * Ask the character's model to condense memories
+ * @param {Object} character - Character object
+ * @param {Array<string>} lines - Memories, oldest first
+ * @param {Object} llmManager - LLM manager
+ * @returns {Promise<string>} Summary
+ */
+async function summarize(character, lines, llmManager) {
+  const systemPrompt = `You condense the memories of ${character.name}, a ${character.species}. ` +
+    'Write one or two sentences in the second person ("You ..."). ' +
+    'Keep names, places, objects and anything that mattered; drop routine details.';
+
+  const prompt = 'Condense these memories, oldest first:\n' +
+    MATERIAL_SEPARATOR + lines.map(line => `- ${line}`).join('\n');
+
+  const response = await llmManager.generate(character.character_class, systemPrompt, prompt, {
+    temperature: 0.3,
+    maxTokens: 96,
+  });
+
+  return response.trim();
+}
+
+/**
+ * Condense a character's pending memories and over-full summary levels
+ * @param {Object} character - Character object
+ * @param {Object} llmManager - LLM manager
+ * @returns {Promise<number>} Number of summaries created
+ */
+export async function condenseCharacterMemory(character, llmManager) {
+  let created = 0;
+
+  // Raw pending entries -> level 1
+  let pending = character.memory_pending || [];
+  while (pending.length >= ENTRIES_PER_SUMMARY) {
+    const batch = pending.slice(0, ENTRIES_PER_SUMMARY);
+    const summary = await summarize(character, batch.map(e => `${e.action} → ${e.result}`), llmManager);
+
+    await MemorySummary.create({
+      character_id: character.id,
+      level: 1,
+      summary,
+      entry_count: batch.length,
+      started_at: batch[0].timestamp,
+      ended_at: batch[batch.length - 1].timestamp,
+    });
+    created++;
+
+    const updated = await Character.removePendingMemories(character.id, batch.length);
+    pending = updated.memory_pending || [];
+  }
+
+  // Level N -> level N + 1
+  for (let level = 1; ; level++) {
+    const summaries = await MemorySummary.findByCharacterId(character.id, level);
+    if (summaries.length <= SUMMARIES_PER_LEVEL) {
+      break;
+    }
+
+    const batch = summaries.slice(0, SUMMARIES_PER_LEVEL);
+    const summary = await summarize(character, batch.map(s => s.summary), llmManager);
+
+    await MemorySummary.create({
+      character_id: character.id,
+      level: level + 1,
+      summary,
+      entry_count: batch.reduce((count, s) => count + s.entry_count, 0),
+      started_at: batch[0].started_at,
+      ended_at: batch[batch.length - 1].ended_at,
+    });
+    await MemorySummary.deleteByIds(batch.map(s => s.id));
+    created++;
+  }
+
+  return created;
+}
+
+/**
+ * Condense memories for every character in a world with enough pending entries
+ * @param {number} worldId - World ID
+ * @param {Object} llmManager - LLM manager
+ * @returns {Promise<number>} Number of summaries created
+ */
+export async function condenseWorldMemories(worldId, llmManager) {
+  const characters = await Character.findByWorldId(worldId);
+  let created = 0;
+
+  for (const character of characters) {
+    if ((character.memory_pending || []).length >= ENTRIES_PER_SUMMARY) {
+      created += await condenseCharacterMemory(character, llmManager);
+    }
+  }
+
+  return created;
+}
@@ -0,0 +1,594 @@
+#!/usr/bin/env node
+
+/**
+ * Narrator Agent
+ *
+ * Orchestrates the story of one book, chapter by chapter:
+ * 1. Loads the book's current chapter and the world's writing style
+ * 2. Drives AI-controlled story characters toward the chapter goals
+ * 3. Appends relevant world events to the chapter's raw_events
+ * 4. Detects when the chapter goals are met and completes the chapter
+ *
+ * The narrator never takes over a character whose owner_id is set.
+ * Run the agent controller with AGENT_CHARACTER_CLASSES=minor alongside it
+ * so story characters are not driven twice; the controller still moves
+ * their needs, healing and vital status on.
+ */
+
+import { Character, Area, Book, Series, Chapter, WritingStyle, Event } from '../db/models/index.js';
+import { getLLMManager } from './llm.js';
+import { buildContextWindow, formatContextAsPrompt, getSystemPrompt } from './context.js';
+import { parseAction, executeAction } from './actions.js';
+import { actionVocabulary, buildActionSchema, formatRepairPrompt, validateAction } from './grammar.js';
+import { assertSeriesReady } from '../series/importer.js';
+import { describeVitalStatus } from '../mcp/handlers/vitals.js';
+
+// Configuration
+const NARRATOR_INTERVAL = parseInt(process.env.NARRATOR_INTERVAL || '5000', 10); // 5 seconds default
+const BOOK_ID = parseInt(process.env.BOOK_ID || '1', 10);
+
+// Maximum events fetched from the log per cycle
+const EVENT_BATCH_SIZE = 500;
+
+class NarratorAgent {
+  /**
+   * @param {number} bookId - Book to narrate
+   * @param {Object} llmManager - LLM manager (defaults to the shared instance)
+   */
+  constructor(bookId = BOOK_ID, llmManager = null) {
+    this.bookId = bookId;
+    this.llmManager = llmManager;
+    this.book = null;
+    this.series = null;
+    this.worldId = null;
+    this.writingStyle = null;
+    this.chapterId = null;
+    this.lastEventId = 0;
+    this.running = false;
+    this.cycleCount = 0;
+  }
+
+  /**
+   * Initialize the narrator: load the book, its series, world and writing style
+   */
+  async initialize() {
+    console.log('='.repeat(60));
+    console.log('StorySplicer Narrator');
+    console.log('='.repeat(60));
+
+    this.book = await Book.findById(this.bookId);
+    if (!this.book) {
+      throw new Error(`Book not found: ${this.bookId}`);
+    }
+
+    this.series = await Series.findById(this.book.series_id);
+    if (!this.series) {
+      throw new Error(`Series not found: ${this.book.series_id}`);
+    }
+
+    // Never start a series whose design still has {working} markers
+    await assertSeriesReady(this.series);
+
+    this.worldId = this.series.world_id;
+    this.writingStyle = await WritingStyle.findByWorldId(this.worldId);
+
+    console.log(`Book: ${this.book.title} (ID: ${this.book.id})`);
+    console.log(`Series: ${this.series.name}`);
+    console.log(`World ID: ${this.worldId}`);
+    console.log(`Writing style: ${this.writingStyle ? this.writingStyle.tone : 'none (defaults)'}`);
+    console.log('');
+
+    if (!this.llmManager) {
+      this.llmManager = getLLMManager();
+    }
+    await this.llmManager.initialize();
+
+    console.log('Narrator initialized successfully');
+    console.log('='.repeat(60));
+  }
+
+  /**
+   * Start narrating
+   */
+  async start() {
+    if (this.running) {
+      console.warn('Narrator is already running');
+      return;
+    }
+
+    this.running = true;
+    console.log('\nStarting narration...\n');
+
+    await this.runCycle();
+    this.scheduleNextCycle();
+  }
+
+  /**
+   * Stop narrating
+   */
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+
+    console.log('\nStopping narrator...');
+    this.running = false;
+
+    await this.llmManager.dispose();
+
+    console.log('Narrator stopped');
+  }
+
+  /**
+   * Schedule the next cycle
+   */
+  scheduleNextCycle() {
+    if (!this.running) {
+      return;
+    }
+
+    setTimeout(async () => {
+      await this.runCycle();
+      this.scheduleNextCycle();
+    }, NARRATOR_INTERVAL);
+  }
+
+  /**
+   * Run a single narration cycle
+   * @returns {Promise<Object|null>} Current chapter after the cycle, or null when the book is done
+   */
+  async runCycle() {
+    this.cycleCount++;
+
+    try {
+      const chapter = await this.loadCurrentChapter();
+      if (!chapter) {
+        console.log(`All chapters of "${this.book.title}" are complete`);
+        await this.stop();
+        return null;
+      }
+
+      console.log(`\n[Narrator] Cycle ${this.cycleCount} - Chapter ${chapter.chapter_number}: ${chapter.title || 'untitled'}`);
+
+      const characters = await this.getNarratableCharacters();
+      for (const character of characters) {
+        await this.directCharacter(character, chapter);
+      }
+
+      await this.collectEvents(chapter);
+      return await this.checkChapterGoals(chapter.id);
+    } catch (error) {
+      console.error('Error during narration cycle:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load the chapter the book is currently on, starting it if needed
+   * @returns {Promise<Object|null>} Chapter or null if every chapter is done
+   */
+  async loadCurrentChapter() {
+    let chapter = await Chapter.findCurrent(this.bookId);
+    if (!chapter) {
+      return null;
+    }
+
+    if (chapter.status === 'planning') {
+      chapter = await Chapter.update(chapter.id, { status: 'in_progress' });
+      console.log(`Starting chapter ${chapter.chapter_number}`);
+    }
+
+    // Resume collecting after the last event already in raw_events
+    if (chapter.id !== this.chapterId) {
+      this.chapterId = chapter.id;
+      const collected = chapter.raw_events || [];
+      this.lastEventId = collected.length > 0
+        ? Math.max(...collected.map(e => e.id))
+        : await Event.latestId(this.worldId);
+    }
+
+    return chapter;
+  }
+
+  /**
+   * Get story characters the narrator may drive this cycle
+   * @returns {Promise<Array>} Awake, unowned story characters
+   */
+  async getNarratableCharacters() {
+    const characters = await Character.findAIControllable(this.worldId);
+    return characters.filter(c => c.character_class === 'story');
+  }
+
+  /**
+   * Ask the story model for an action that moves the character toward the chapter goals
+   * @param {Object} character - Character object
+   * @param {Object} chapter - Current chapter
+   */
+  async directCharacter(character, chapter) {
+    const context = await buildContextWindow(character.id);
+    const prompt = `${this.buildDirection(chapter)}\n\n${formatContextAsPrompt(context)}`;
+    const systemPrompt = getSystemPrompt('story') +
+      '\n\nThe narrator is directing you: choose the action that best moves the story toward its goals while staying true to who you are.';
+
+    // Only the actions this character can take here, naming what it can see
+    const schema = buildActionSchema(actionVocabulary(context));
+    const options = {
+      temperature: 0.3,
+      maxTokens: 128, // Room for a short speech
+      stopStrings: ['}', '\n\n'], // Stop after JSON closes, where the schema can't
+      schema,
+    };
+
+    const response = await this.llmManager.generate('story', systemPrompt, prompt, options);
+
+    // Ask once more if it isn't an action the character can take
+    let action = parseAction(response);
+    const errors = action ? validateAction(action, schema) : ['Not a JSON object with an "action" field'];
+    if (errors.length > 0) {
+      console.log(`  [${character.name}] repairing: ${errors.join('; ')}`);
+      const repaired = parseAction(await this.llmManager.generate(
+        'story',
+        systemPrompt,
+        formatRepairPrompt(prompt, response, errors),
+        options
+      ));
+      // Still invalid: the executor explains why, and records the attempt
+      action = repaired || action;
+    }
+
+    if (!action) {
+      console.log(`  [${character.name}] ✗ Failed to parse action`);
+      return;
+    }
+
+    // A player may have claimed the character while we were generating
+    const current = await Character.findById(character.id);
+    if (!current || current.owner_id) {
+      console.log(`  [${character.name}] skipped: now player-controlled`);
+      return;
+    }
+
+    const result = await executeAction(character.id, action);
+    if (result.success) {
+      console.log(`  [${character.name}] ✓ ${result.description}`);
+    } else {
+      console.log(`  [${character.name}] ✗ ${result.error}`);
+    }
+  }
+
+  /**
+   * Build the narrator's direction for a story character
+   * @param {Object} chapter - Current chapter
+   * @returns {string} Direction prompt section
+   */
+  buildDirection(chapter) {
+    const parts = ['## Narrator Direction'];
+    parts.push(`Chapter ${chapter.chapter_number}${chapter.title ? `: ${chapter.title}` : ''}`);
+
+    if (chapter.plot_outline) {
+      parts.push(`What should happen: ${chapter.plot_outline}`);
+    }
+
+    const openGoals = (chapter.goals || []).filter(g => !g.met);
+    if (openGoals.length > 0) {
+      parts.push('Goals still to reach:');
+      for (const goal of openGoals) {
+        parts.push(`- ${goal.description}`);
+      }
+    }
+
+    if (this.writingStyle) {
+      parts.push(`Story tone: ${this.writingStyle.tone}`);
+      if (this.writingStyle.theme_keywords && this.writingStyle.theme_keywords.length > 0) {
+        parts.push(`Themes: ${this.writingStyle.theme_keywords.join(', ')}`);
+      }
+    }
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Append relevant new world events to the chapter's raw_events
+   * @param {Object} chapter - Current chapter
+   * @returns {Promise<Array>} Events appended this cycle
+   */
+  async collectEvents(chapter) {
+    const events = await Event.query({
+      world_id: this.worldId,
+      after_id: this.lastEventId,
+      limit: EVENT_BATCH_SIZE,
+    });
+
+    if (events.length === 0) {
+      return [];
+    }
+
+    this.lastEventId = events[events.length - 1].id;
+
+    const names = await loadNames(this.worldId);
+    const storyCharacterIds = new Set(names.storyCharacterIds);
+    const storyAreaIds = new Set(names.storyAreaIds);
+
+    // Keep what story characters did and what happened around them
+    const relevant = events
+      .filter(e => e.result && e.result.success !== false)
+      .filter(e => storyCharacterIds.has(e.actor_id) || storyAreaIds.has(e.area_id))
+      .map(e => ({
+        ...e,
+        description: describeEvent(e, names),
+      }));
+
+    if (relevant.length > 0) {
+      await Chapter.appendRawEvents(chapter.id, relevant);
+      console.log(`  Collected ${relevant.length} event(s)`);
+    }
+
+    return relevant;
+  }
+
+  /**
+   * Check the chapter goals and complete the chapter once all are met
+   * @param {number} chapterId - Chapter ID
+   * @returns {Promise<Object>} Updated chapter
+   */
+  async checkChapterGoals(chapterId) {
+    const chapter = await Chapter.findById(chapterId);
+    const goals = chapter.goals || [];
+
+    if (goals.length === 0) {
+      return chapter;
+    }
+
+    let changed = false;
+    for (const goal of goals) {
+      if (goal.met) {
+        continue;
+      }
+
+      if (await this.isGoalMet(goal, chapter.raw_events || [])) {
+        goal.met = true;
+        changed = true;
+        console.log(`  Goal met: ${goal.description}`);
+      }
+    }
+
+    const allMet = goals.every(g => g.met);
+    if (!changed && !allMet) {
+      return chapter;
+    }
+
+    const updates = { goals };
+    if (allMet) {
+      updates.status = 'completed';
+      console.log(`Chapter ${chapter.chapter_number} complete`);
+    }
+
+    return await Chapter.update(chapterId, updates);
+  }
+
+  /**
+   * Decide whether a chapter goal has been reached
+   * @param {Object} goal - Goal {description, condition}
+   * @param {Array} events - Events collected for the chapter
+   * @returns {Promise<boolean>} Whether the goal is met
+   */
+  async isGoalMet(goal, events) {
+    if (goal.condition) {
+      return await evaluateGoalCondition(goal.condition, events);
+    }
+
+    // Free-text goals are judged by the story model against recent events
+    if (events.length === 0) {
+      return false;
+    }
+
+    const recent = events.slice(-30).map(e => `- ${e.description}`).join('\n');
+    const response = await this.llmManager.generate(
+      'story',
+      'You judge whether a story goal has been achieved. Answer only "yes" or "no".',
+      `Goal: ${goal.description}\n\nEvents so far:\n${recent}\n\nHas the goal been achieved?`,
+      {
+        temperature: 0.1,
+        maxTokens: 4,
+      }
+    );
+
+    return response.trim().toLowerCase().startsWith('yes');
+  }
+}
+
+/**
+ * Evaluate a structured goal condition against the world
+ * @param {Object} condition - Goal condition
+ * @param {Array} events - Events collected for the chapter
+ * @returns {Promise<boolean>} Whether the condition holds
+ */
+export async function evaluateGoalCondition(condition, events = []) {
+  switch (condition.type) {
+    case 'character_in_area': {
+      const character = await Character.findById(condition.character_id);
+      return !!character && character.current_area_id === condition.area_id;
+    }
+
+    case 'character_has_item': {
+      const inventory = await Character.getInventory(condition.character_id);
+      const wanted = condition.item_name.toLowerCase();
+      return inventory.some(i => i.name.toLowerCase().includes(wanted));
+    }
+
+    case 'characters_together': {
+      const characters = await Promise.all(
+        condition.character_ids.map(id => Character.findById(id))
+      );
+      if (characters.some(c => !c || !c.current_area_id)) {
+        return false;
+      }
+      return characters.every(c => c.current_area_id === characters[0].current_area_id);
+    }
+
+    case 'event_occurred': {
+      return events.some(e => {
+        if (condition.event_type && e.event_type !== condition.event_type) return false;
+        if (condition.actor_id && e.actor_id !== condition.actor_id) return false;
+        if (condition.area_id && e.area_id !== condition.area_id) return false;
+        if (condition.text_includes) {
+          const text = JSON.stringify(e.payload || {}).toLowerCase();
+          if (!text.includes(condition.text_includes.toLowerCase())) return false;
+        }
+        return true;
+      });
+    }
+
+    default:
+      console.warn(`Unknown goal condition type: ${condition.type}`);
+      return false;
+  }
+}
+
+/**
+ * Load character and area names for describing events
+ * @param {number} worldId - World ID
+ * @returns {Promise<Object>} Name lookups and story character/area IDs
+ */
+export async function loadNames(worldId) {
+  const characters = await Character.findByWorldId(worldId);
+  const areas = await Area.findByWorldId(worldId);
+  const storyCharacters = characters.filter(c => c.character_class === 'story');
+
+  return {
+    characters: new Map(characters.map(c => [c.id, c.name])),
+    areas: new Map(areas.map(a => [a.id, a.name])),
+    storyCharacterIds: storyCharacters.map(c => c.id),
+    storyAreaIds: storyCharacters.map(c => c.current_area_id).filter(Boolean),
+  };
+}
+
+/**
+ * Describe a logged event in plain words
+ * @param {Object} event - Event row
+ * @param {Object} names - Name lookups from loadNames
+ * @returns {string} Description
+ */
+export function describeEvent(event, names) {
+  const actor = names.characters.get(event.actor_id) || 'Someone';
+  const areaName = (id) => names.areas.get(id) || `area ${id}`;
+  const payload = event.payload || {};
+
+  switch (event.event_type) {
+    case 'move':
+      return `${actor} went to ${areaName(payload.to_area_id || event.area_id)}`;
+
+    case 'speak':
+      if (payload.action_type === 'action') {
+        return `${actor} ${payload.text}`;
+      }
+      if (payload.action_type === 'thought') {
+        return `${actor} thought: "${payload.text}"`;
+      }
+      if (payload.volume === 'whisper') {
+        const target = names.characters.get(payload.target_character_id) || 'someone';
+        return `${actor} whispered to ${target}: "${payload.text}"`;
+      }
+      if (payload.volume === 'shout') {
+        return `${actor} shouted: "${payload.text}"`;
+      }
+      return `${actor} said: "${payload.text}"`;
+
+    case 'pickup':
+      return `${actor} picked up ${payload.item_name}`;
+
+    case 'drop':
+      return `${actor} dropped ${payload.item_name}`;
+
+    case 'put':
+      return `${actor} put ${payload.item_name} in ${payload.container_name}`;
+
+    case 'take':
+      return `${actor} took ${payload.item_name} from ${payload.container_name}`;
+
+    case 'give':
+      return `${actor} gave ${payload.item_name} to ${payload.target_name}`;
+
+    case 'offer_trade':
+      return `${actor} offered ${payload.item_name} to ${payload.target_name} for ${payload.requested_item_name}`;
+
+    case 'accept_trade':
+      return `${actor} traded ${payload.requested_item_name} to ${payload.target_name} for ${payload.item_name}`;
+
+    case 'steal': {
+      const result = event.result || {};
+      const target = payload.target_name || 'someone';
+      return result.stolen
+        ? `${actor} stole ${result.item_name} from ${target}`
+        : `${actor} was caught trying to steal ${result.item_name || 'something'} from ${target}`;
+    }
+
+    case 'eat':
+      return `${actor} ate ${payload.item_name}`;
+
+    case 'drink':
+      return `${actor} drank ${payload.item_name}`;
+
+    case 'attack': {
+      const result = event.result || {};
+      const target = payload.target_name || 'someone';
+      return result.hit
+        ? `${actor} hit ${target} in the ${result.part} with ${result.weapon}`
+        : `${actor} attacked ${target} with ${result.weapon} and missed`;
+    }
+
+    case 'wait':
+      return `${actor} waited`;
+
+    case 'sleep':
+      return `${actor} fell asleep`;
+
+    case 'vital_status':
+      return `${actor} ${describeVitalStatus(payload.to, payload.cause)}`;
+
+    case 'trigger_reaction': {
+      const reaction = payload.reaction || {};
+      return `In ${areaName(event.area_id)}, something changed (${reaction.type})`;
+    }
+
+    default:
+      return `${actor}: ${event.event_type}`;
+  }
+}
+
+// Main execution
+async function main() {
+  const narrator = new NarratorAgent();
+
+  // Handle graceful shutdown
+  process.on('SIGINT', async () => {
+    console.log('\n\nReceived SIGINT, shutting down...');
+    await narrator.stop();
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    console.log('\n\nReceived SIGTERM, shutting down...');
+    await narrator.stop();
+    process.exit(0);
+  });
+
+  try {
+    await narrator.initialize();
+    await narrator.start();
+  } catch (error) {
+    console.error('Fatal error:', error);
+    await narrator.stop();
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
+
+export { NarratorAgent };
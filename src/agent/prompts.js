@@ -0,0 +1,10 @@
+/**
+ * Prompt layout
+ *
+ * Prompts that hand the model material to work on (events to narrate, a
+ * draft to polish, memories to condense) give their instructions first and
+ * the material last, after MATERIAL_SEPARATOR.
+ */
+
+// Divides a prompt's instructions from the material they apply to
+export const MATERIAL_SEPARATOR = '\n---\n';
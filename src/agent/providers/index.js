@@ -0,0 +1,84 @@
+/**
+ * LLM providers
+ *
+ * A provider turns a system and user prompt into text. Each implements:
+ * - generate(systemPrompt, userPrompt, options) => Promise<string>
+ * - generateStream(systemPrompt, userPrompt, onToken, options) => Promise<string>
+ * - dispose() => Promise<void>
+ * and may implement initialize(). Options are temperature, topP, maxTokens,
+ * stopStrings and schema, a JSON schema the response must match. llamacpp and
+ * openai constrain output to the schema (and drop the stop strings); scripted
+ * ignores it, so its callers validate what comes back.
+ *
+ * Each character class gets its own provider, configured by environment
+ * variables. A variable with the class as suffix (LLM_PROVIDER_STORY) beats
+ * the plain one (LLM_PROVIDER):
+ * - LLM_PROVIDER: llamacpp (default), openai or scripted
+ * - LLM_MODEL: GGUF file (llamacpp) or model name (openai)
+ * - LLM_BASE_URL, LLM_API_KEY, LLM_TIMEOUT: openai
+ * - LLM_CONTEXT_SIZE, LLM_GPU_LAYERS: llamacpp
+ * - LLM_SCRIPT: JSON script file (scripted)
+ * LLM_MODE=stub still makes every class scripted.
+ */
+
+import { LlamaCppProvider } from './llamacpp.js';
+import { OpenAICompatibleProvider } from './openai.js';
+import { ScriptedProvider, loadScript } from './scripted.js';
+
+export const PROVIDERS = ['llamacpp', 'openai', 'scripted'];
+
+/**
+ * Read the provider settings for a character class
+ * @param {string} characterClass - 'minor' or 'story'
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} {characterClass, provider, model, baseUrl, apiKey, timeout, contextSize, gpuLayers, script}
+ */
+export function providerConfig(characterClass, env = process.env) {
+  const setting = name => env[`${name}_${characterClass.toUpperCase()}`] || env[name] || null;
+  const number = (name) => {
+    const value = setting(name);
+    if (value === null) return null;
+    const parsed = parseInt(value, 10);
+    if (Number.isNaN(parsed)) {
+      throw new Error(`${name} must be a whole number, not "${value}"`);
+    }
+    return parsed;
+  };
+
+  return {
+    characterClass,
+    provider: env.LLM_MODE === 'stub' ? 'scripted' : (setting('LLM_PROVIDER') || 'llamacpp'),
+    model: setting('LLM_MODEL'),
+    baseUrl: setting('LLM_BASE_URL'),
+    apiKey: setting('LLM_API_KEY'),
+    timeout: number('LLM_TIMEOUT'),
+    contextSize: number('LLM_CONTEXT_SIZE'),
+    gpuLayers: number('LLM_GPU_LAYERS'),
+    script: setting('LLM_SCRIPT'),
+  };
+}
+
+/**
+ * Create the provider a configuration names
+ * @param {Object} config - Settings from providerConfig
+ * @returns {Promise<Object>} Provider
+ */
+export async function createProvider(config) {
+  switch (config.provider) {
+    case 'llamacpp':
+      return new LlamaCppProvider(config);
+
+    case 'openai':
+      return new OpenAICompatibleProvider(config);
+
+    case 'scripted':
+      return new ScriptedProvider({ script: config.script ? await loadScript(config.script) : [] });
+
+    default:
+      throw new Error(
+        `Unknown LLM provider "${config.provider}" for ${config.characterClass} characters (expected ${PROVIDERS.join(', ')})`
+      );
+  }
+}
+
+export { LlamaCppProvider, OpenAICompatibleProvider, ScriptedProvider };
@@ -0,0 +1,183 @@
+/**
+ * llama.cpp provider
+ *
+ * Runs GGUF models in process with node-llama-cpp. By default:
+ * - Llama-3.2-3B-Instruct-uncensored for minor characters (~2.3GB VRAM with Q5_K_M)
+ * - Qwen2-7B-Instruct for story characters (~5GB VRAM with Q5_K_M)
+ *
+ * Total VRAM: ~7.3GB (fits comfortably in RTX 3070 8GB)
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '../../..');
+const MODELS_DIR = join(PROJECT_ROOT, 'models');
+
+// Model configurations with fallback paths
+export const DEFAULT_MODELS = {
+  minor: {
+    name: 'Llama-3.2-3B-Instruct',
+    // Try uncensored first, fall back to standard
+    paths: [
+      join(MODELS_DIR, 'llama-3.2-3b-instruct-uncensored.Q5_K_M.gguf'),
+      join(MODELS_DIR, 'llama-3.2-3b-instruct.Q5_K_M.gguf'),
+    ],
+    contextSize: 1024, // Reduced from 2048 to save VRAM
+  },
+  story: {
+    name: 'Qwen2-7B-Instruct',
+    paths: [
+      join(MODELS_DIR, 'qwen2-7b-instruct.Q5_K_M.gguf'),
+    ],
+    contextSize: 2048, // Reduced from 4096 to save VRAM
+  },
+};
+
+// Full offload to GPU
+const DEFAULT_GPU_LAYERS = 99;
+
+// One llama.cpp runtime, shared by the providers of both classes
+let llama = null;
+let llamaUsers = 0;
+
+export class LlamaCppProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.characterClass - 'minor' or 'story', for the default model
+   * @param {string} [config.model] - GGUF file to load instead of the default
+   * @param {number} [config.contextSize] - Context size in tokens
+   * @param {number} [config.gpuLayers] - Layers to offload to the GPU
+   */
+  constructor({ characterClass, model = null, contextSize = null, gpuLayers = null }) {
+    const defaults = DEFAULT_MODELS[characterClass] || DEFAULT_MODELS.minor;
+    this.modelName = model ? model.split('/').pop() : defaults.name;
+    this.name = `llama.cpp: ${this.modelName}`;
+    this.paths = model ? [model] : defaults.paths;
+    this.contextSize = contextSize || defaults.contextSize;
+    this.gpuLayers = gpuLayers ?? DEFAULT_GPU_LAYERS;
+    this.model = null;
+    this.runtime = null;
+  }
+
+  /**
+   * Start the llama.cpp runtime (the model loads on first use)
+   */
+  async initialize() {
+    if (this.runtime) {
+      return;
+    }
+
+    const { getLlama, LlamaChatSession } = await import('node-llama-cpp');
+    if (!llama) {
+      llama = await getLlama();
+    }
+    llamaUsers++;
+    this.runtime = llama;
+    this.LlamaChatSession = LlamaChatSession;
+  }
+
+  /**
+   * Load the model, trying each path in turn
+   */
+  async ensureModelLoaded() {
+    if (this.model) {
+      return; // Already loaded
+    }
+    if (!this.runtime) {
+      throw new Error('LLM Manager not initialized');
+    }
+
+    console.log(`Loading ${this.modelName}...`);
+    let lastError = null;
+    for (const path of this.paths) {
+      try {
+        console.log(`  Trying: ${path}`);
+        this.model = await this.runtime.loadModel({
+          modelPath: path,
+          gpuLayers: this.gpuLayers,
+        });
+        console.log(`✓ Loaded ${this.modelName}`);
+        return;
+      } catch (error) {
+        console.log(`  Not found or failed: ${error.message}`);
+        lastError = error;
+      }
+    }
+
+    // All paths failed
+    console.error(`Failed to load ${this.modelName} from any of these paths:`);
+    this.paths.forEach(p => console.error(`  - ${p}`));
+    throw lastError || new Error(`No model found for ${this.modelName}`);
+  }
+
+  /**
+   * Run one prompt in a fresh context
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userPrompt - User prompt
+   * @param {Object} options - Generation options
+   * @param {Function} [onTextChunk] - Called with each chunk of text
+   * @returns {Promise<string>} Response
+   */
+  async prompt(systemPrompt, userPrompt, options, onTextChunk) {
+    await this.ensureModelLoaded();
+
+    const context = await this.model.createContext({
+      contextSize: this.contextSize,
+    });
+
+    try {
+      const session = new this.LlamaChatSession({
+        contextSequence: context.getSequence(),
+      });
+
+      // A JSON schema becomes a grammar, which also ends the response
+      const grammar = options.schema
+        ? await this.runtime.createGrammarForJsonSchema(options.schema)
+        : null;
+
+      return await session.prompt(userPrompt, {
+        systemPrompt,
+        temperature: options.temperature || 0.8,
+        topP: options.topP || 0.95,
+        maxTokens: options.maxTokens || 256,
+        ...(grammar ? { grammar } : { stopStrings: options.stopStrings || [] }),
+        ...(onTextChunk ? { onTextChunk } : {}),
+      });
+    } finally {
+      await context.dispose();
+    }
+  }
+
+  async generate(systemPrompt, userPrompt, options = {}) {
+    return this.prompt(systemPrompt, userPrompt, options);
+  }
+
+  async generateStream(systemPrompt, userPrompt, onToken, options = {}) {
+    let fullResponse = '';
+    await this.prompt(systemPrompt, userPrompt, options, (chunk) => {
+      fullResponse += chunk;
+      if (onToken) {
+        onToken(chunk);
+      }
+    });
+    return fullResponse;
+  }
+
+  async dispose() {
+    if (this.model) {
+      await this.model.dispose();
+      this.model = null;
+    }
+    if (this.runtime) {
+      this.runtime = null;
+      llamaUsers--;
+      if (llamaUsers === 0) {
+        await llama.dispose();
+        llama = null;
+      }
+    }
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * OpenAI-compatible provider
+ *
+ * Sends prompts to a chat completions endpoint: llama.cpp's llama-server,
+ * Ollama, vLLM or any hosted API that speaks the OpenAI protocol.
+ */
+
+// llama-server's default address
+const DEFAULT_BASE_URL = 'http://localhost:8080/v1';
+
+// Requests still unanswered after this many milliseconds are abandoned
+const DEFAULT_TIMEOUT = 120000;
+
+// The most stop sequences the OpenAI API accepts
+const MAX_STOP_STRINGS = 4;
+
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} config
+   * @param {string} [config.baseUrl] - API base URL, up to and including /v1
+   * @param {string} [config.model] - Model name (servers with one model may not need it)
+   * @param {string} [config.apiKey] - Bearer token, if the server wants one
+   * @param {number} [config.timeout] - Request timeout in milliseconds
+   */
+  constructor({ baseUrl = null, model = null, apiKey = null, timeout = null } = {}) {
+    this.baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.model = model;
+    this.apiKey = apiKey;
+    this.timeout = timeout || DEFAULT_TIMEOUT;
+    this.name = `openai: ${model || 'default model'} at ${this.baseUrl}`;
+  }
+
+  /**
+   * Send a chat completion request
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userPrompt - User prompt
+   * @param {Object} options - Generation options
+   * @param {boolean} stream - Whether to stream the response
+   * @returns {Promise<Response>} Successful response
+   */
+  async request(systemPrompt, userPrompt, options, stream) {
+    // With a schema the server constrains the response, and stop strings would cut it short
+    const stop = options.schema ? [] : (options.stopStrings || []).slice(0, MAX_STOP_STRINGS);
+    const body = {
+      ...(this.model ? { model: this.model } : {}),
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ],
+      temperature: options.temperature || 0.8,
+      top_p: options.topP || 0.95,
+      max_tokens: options.maxTokens || 256,
+      ...(stop.length > 0 ? { stop } : {}),
+      ...(options.schema
+        ? { response_format: { type: 'json_schema', json_schema: { name: 'response', schema: options.schema } } }
+        : {}),
+      stream,
+    };
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeout),
+      });
+    } catch (error) {
+      throw new Error(`Cannot reach ${this.baseUrl}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`${this.baseUrl} answered ${response.status}: ${text.slice(0, 200)}`);
+    }
+    return response;
+  }
+
+  async generate(systemPrompt, userPrompt, options = {}) {
+    const response = await this.request(systemPrompt, userPrompt, options, false);
+    const data = await response.json();
+    const choice = (data.choices || [])[0];
+    if (!choice || !choice.message) {
+      throw new Error(`${this.baseUrl} sent no completion`);
+    }
+    return choice.message.content || '';
+  }
+
+  async generateStream(systemPrompt, userPrompt, onToken, options = {}) {
+    const response = await this.request(systemPrompt, userPrompt, options, true);
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let fullResponse = '';
+
+    // Server-sent events: one "data: {json}" line per chunk, then "data: [DONE]"
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return false;
+      const payload = line.slice('data:'.length).trim();
+      if (payload === '[DONE]') return true;
+
+      const delta = ((JSON.parse(payload).choices || [])[0] || {}).delta || {};
+      if (delta.content) {
+        fullResponse += delta.content;
+        if (onToken) {
+          onToken(delta.content);
+        }
+      }
+      return false;
+    };
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (handleLine(line.trim())) {
+          return fullResponse;
+        }
+      }
+    }
+    handleLine(buffer.trim());
+    return fullResponse;
+  }
+
+  async dispose() {}
+}
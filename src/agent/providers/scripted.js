@@ -0,0 +1,105 @@
+/**
+ * Scripted provider
+ *
+ * Answers without a model, the same way every time, so tests and CI can run
+ * agents, the narrator and revision offline. A script (LLM_SCRIPT, a JSON
+ * file) is an array of entries:
+ * - {"match": "text", "response": "..."}: answers every prompt containing text
+ * - "...": answers the next prompt no rule matched, in order
+ * Prompts nothing in the script answers get the part of the user prompt
+ * after the last MATERIAL_SEPARATOR (see prompts.js), or the whole prompt.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { MATERIAL_SEPARATOR } from '../prompts.js';
+
+/**
+ * Echo the material of a prompt
+ * @param {string} userPrompt - User prompt
+ * @returns {string} Text after the last separator, or the whole prompt
+ */
+function echo(userPrompt) {
+  const index = userPrompt.lastIndexOf(MATERIAL_SEPARATOR);
+  return index === -1
+    ? userPrompt.trim()
+    : userPrompt.slice(index + MATERIAL_SEPARATOR.length).trim();
+}
+
+/**
+ * Check a script
+ * @param {*} script - Parsed script
+ * @returns {Array} The script
+ */
+export function validateScript(script) {
+  if (!Array.isArray(script)) {
+    throw new Error('An LLM script must be an array of responses and {match, response} rules');
+  }
+  script.forEach((entry, i) => {
+    const isRule = entry && typeof entry === 'object' &&
+      typeof entry.match === 'string' && typeof entry.response === 'string';
+    if (typeof entry !== 'string' && !isRule) {
+      throw new Error(`LLM script entry ${i + 1} must be a string or {match, response} with string values`);
+    }
+  });
+  return script;
+}
+
+/**
+ * Read a script file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Promise<Array>} Script entries
+ */
+export async function loadScript(filePath) {
+  const file = path.resolve(filePath);
+  let script;
+  try {
+    script = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read LLM script ${file}: ${error.message}`);
+  }
+  try {
+    return validateScript(script);
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+export class ScriptedProvider {
+  /**
+   * @param {Object} [config]
+   * @param {Function} [config.respond] - (systemPrompt, userPrompt, options) => string, instead of a script
+   * @param {Array} [config.script] - Script entries (see validateScript)
+   */
+  constructor({ respond = null, script = [] } = {}) {
+    this.name = respond ? 'scripted (custom)' : `scripted (${script.length} entries)`;
+    this.respond = respond;
+    this.rules = validateScript(script).filter(entry => typeof entry !== 'string');
+    this.queue = script.filter(entry => typeof entry === 'string');
+  }
+
+  async generate(systemPrompt, userPrompt, options = {}) {
+    if (this.respond) {
+      return this.respond(systemPrompt, userPrompt, options);
+    }
+
+    const rule = this.rules.find(r => userPrompt.includes(r.match) || systemPrompt.includes(r.match));
+    if (rule) {
+      return rule.response;
+    }
+    return this.queue.length > 0 ? this.queue.shift() : echo(userPrompt);
+  }
+
+  async generateStream(systemPrompt, userPrompt, onToken, options = {}) {
+    const response = await this.generate(systemPrompt, userPrompt, options);
+    if (onToken) {
+      // Emit word by word, like a real stream
+      for (const chunk of response.match(/\S+\s*|\s+/g) || []) {
+        onToken(chunk);
+      }
+    }
+    return response;
+  }
+
+  async dispose() {}
+}
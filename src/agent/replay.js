@@ -0,0 +1,615 @@
+#!/usr/bin/env node
+
+/**
+ * Simulation recording and replay
+ *
+ * A recording is a JSON Lines file. Its header names the world snapshot the
+ * run started from, and each cycle adds what the agent controller could not
+ * work out for itself:
+ * - cycle: the seconds that passed since the last cycle (needs and healing)
+ * - llm: every prompt and the model's response (actions, memory summaries)
+ * - seed: every random seed drawn for an attack or steal
+ * - state: where everyone and everything is once the cycle ends, by name
+ *
+ * Replaying forks the snapshot into a new world and runs the controller on
+ * it, feeding back the recorded seconds, seeds and responses, so the world
+ * reaches the recorded state at each cycle. A live replay asks the models
+ * instead, to see where a new run parts from the recording. Actions made
+ * outside the controller (players, the narrator) are not recorded.
+ *
+ * Record a run with RECORD_FILE=<file> npm run agent, then:
+ *   node src/agent/replay.js run <recording> [--until <cycle>] [--live] [--record <file>]
+ *   node src/agent/replay.js diff <recording> <other recording>
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { World, Area, Character, Item } from '../db/models/index.js';
+import { end } from '../db/index.js';
+import { createSnapshot, forkSnapshot } from '../world/snapshots.js';
+import { describeClock } from '../mcp/handlers/clock.js';
+import { freshSeed, setSeedSource } from '../mcp/handlers/combat.js';
+
+export const RECORDING_VERSION = 1;
+
+// Entry fields compared when diffing, by entry type
+const COMPARED_FIELDS = {
+  cycle: ['seconds_passed'],
+  llm: ['character_class', 'system_prompt', 'prompt', 'response'],
+  seed: ['seed'],
+  state: ['state'],
+};
+
+/**
+ * Give each row a key made from its name, unique among the rows
+ * @param {Array} rows - Rows with id and name
+ * @returns {Map<number, string>} Keys by ID
+ */
+function nameKeys(rows) {
+  const keys = new Map();
+  const taken = new Set();
+  for (const row of rows) {
+    let key = row.name;
+    for (let n = 2; taken.has(key); n++) {
+      key = `${row.name} (${n})`;
+    }
+    taken.add(key);
+    keys.set(row.id, key);
+  }
+  return keys;
+}
+
+/**
+ * Describe where a world stands, by name, so runs in different worlds compare
+ * @param {number} worldId - World ID
+ * @returns {Promise<Object>} {clock, characters, items}
+ */
+export async function describeWorldState(worldId) {
+  const [world, areas, characters, items] = await Promise.all([
+    World.findById(worldId),
+    Area.findByWorldId(worldId),
+    Character.findByWorldId(worldId),
+    Item.findByWorldId(worldId),
+  ]);
+
+  const areaNames = nameKeys(areas);
+  const characterNames = nameKeys(characters);
+  const itemNames = nameKeys(items);
+  const nameOf = (names, id) => names.get(id) ?? `#${id}`;
+
+  const placeOf = (item) => {
+    if (item.current_area_id) return `in area ${nameOf(areaNames, item.current_area_id)}`;
+    if (item.held_by_character_id) return `held by ${nameOf(characterNames, item.held_by_character_id)} (${item.held_location})`;
+    if (item.contained_in_item_id) return `inside ${nameOf(itemNames, item.contained_in_item_id)}`;
+    return 'nowhere';
+  };
+
+  const clock = describeClock(world);
+  return {
+    clock: `day ${clock.day}, ${clock.time}`,
+    characters: Object.fromEntries(characters.map(c => [characterNames.get(c.id), {
+      area: c.current_area_id ? nameOf(areaNames, c.current_area_id) : null,
+      vital_status: c.vital_status,
+      nutrition: parseFloat(c.nutrition),
+      hydration: parseFloat(c.hydration),
+      tiredness: parseFloat(c.tiredness),
+      alertness: parseFloat(c.alertness),
+      injuries: (c.damage || []).length,
+    }])),
+    items: Object.fromEntries(items.map(i => [itemNames.get(i.id), placeOf(i)])),
+  };
+}
+
+/**
+ * Parse a recording
+ * @param {string} text - JSON Lines
+ * @returns {Array<Object>} Entries, header first
+ */
+export function parseRecording(text) {
+  const entries = text.split('\n').filter(line => line.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Recording line ${i + 1} is not JSON: ${error.message}`);
+    }
+  });
+
+  const [header] = entries;
+  if (!header || header.type !== 'header') {
+    throw new Error('A recording must start with a header line');
+  }
+  if (header.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${header.version} (expected ${RECORDING_VERSION})`);
+  }
+  return entries;
+}
+
+/**
+ * Read a recording file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Array<Object>>} Entries, header first
+ */
+export async function readRecording(filePath) {
+  const file = path.resolve(filePath);
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read recording ${file}: ${error.message}`);
+  }
+  try {
+    return parseRecording(text);
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Generation options worth recording
+ *
+ * Action schemas are left out: they follow from the prompt, and would make
+ * up most of the recording.
+ * @param {Object} options - Generation options
+ * @returns {Object} Options without the schema
+ */
+function recordedOptions({ schema, ...options }) {
+  return options;
+}
+
+/**
+ * LLM manager that writes every response into a recording
+ */
+class RecordingLLMManager {
+  /**
+   * @param {Object} inner - LLM manager that answers
+   * @param {CycleRecorder} recorder - Recorder to write to
+   */
+  constructor(inner, recorder) {
+    this.inner = inner;
+    this.recorder = recorder;
+  }
+
+  async initialize() {
+    await this.inner.initialize();
+  }
+
+  async generate(characterClass, systemPrompt, userPrompt, options = {}) {
+    return this.recorder.respond(
+      { character_class: characterClass, system_prompt: systemPrompt, prompt: userPrompt, options: recordedOptions(options) },
+      () => this.inner.generate(characterClass, systemPrompt, userPrompt, options)
+    );
+  }
+
+  async generateStream(characterClass, systemPrompt, userPrompt, onToken, options = {}) {
+    return this.recorder.respond(
+      { character_class: characterClass, system_prompt: systemPrompt, prompt: userPrompt, options: recordedOptions(options) },
+      () => this.inner.generateStream(characterClass, systemPrompt, userPrompt, onToken, options),
+      onToken
+    );
+  }
+
+  async dispose() {
+    await this.inner.dispose();
+  }
+}
+
+// Stands in for the models in a replay; only asked once the recording runs out
+const NO_MODELS = {
+  initialize: async () => {},
+  generate: async () => {
+    throw new Error('The recording has no more model responses');
+  },
+  generateStream: async () => {
+    throw new Error('The recording has no more model responses');
+  },
+  dispose: async () => {},
+};
+
+/**
+ * Records an agent controller run
+ *
+ * Pass one to AgentController as its recorder. Without a file, entries are
+ * only kept in memory (see entries).
+ */
+export class CycleRecorder {
+  /**
+   * @param {string|null} [file] - Recording file to write
+   */
+  constructor(file = null) {
+    this.file = file ? path.resolve(file) : null;
+    this.entries = [];
+    this.cycle = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Add an entry to the recording
+   * @param {Object} entry - Entry
+   */
+  write(entry) {
+    this.entries.push(entry);
+    if (this.file) {
+      const line = `${JSON.stringify(entry)}\n`;
+      this.writing = this.writing.then(() => fs.appendFile(this.file, line));
+    }
+  }
+
+  /**
+   * Snapshot the world and start the recording
+   * @param {number} worldId - World the controller runs
+   * @returns {Promise<void>}
+   */
+  async start(worldId) {
+    const snapshot = await createSnapshot(worldId, `recording ${this.file ? path.basename(this.file) : 'in memory'}`);
+    await this.begin({ world_id: worldId, snapshot_id: snapshot.id, cycle: snapshot.cycle, mode: 'record' });
+  }
+
+  /**
+   * Write the header and start taking seeds from this recorder
+   * @param {Object} header - Header fields
+   * @returns {Promise<void>}
+   */
+  async begin(header) {
+    if (this.file) {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.writeFile(this.file, '');
+    }
+    this.write({ type: 'header', version: RECORDING_VERSION, ...header, created_at: new Date().toISOString() });
+    setSeedSource(() => this.seed());
+  }
+
+  /**
+   * Wrap the controller's LLM manager
+   * @param {Object} manager - LLM manager
+   * @returns {Object} Manager that records its responses
+   */
+  wrapLLM(manager) {
+    return new RecordingLLMManager(manager, this);
+  }
+
+  /**
+   * A cycle has started
+   * @param {number} cycle - World cycle
+   */
+  beginCycle(cycle) {
+    this.cycle = cycle;
+  }
+
+  /**
+   * Record the seconds that passed since the last cycle
+   * @param {number} seconds - Seconds measured
+   * @returns {number} Seconds the cycle should use
+   */
+  elapsed(seconds) {
+    this.write({ type: 'cycle', cycle: this.cycle, seconds_passed: seconds });
+    return seconds;
+  }
+
+  /**
+   * Record a model response
+   * @param {Object} request - {character_class, system_prompt, prompt, options}
+   * @param {Function} generate - Asks the model
+   * @param {Function} [onToken] - Stream callback, for responses that do not come from generate
+   * @returns {Promise<string>} Response
+   */
+  async respond(request, generate, onToken = null) {
+    const response = await generate();
+    this.write({ type: 'llm', cycle: this.cycle, ...request, response });
+    return response;
+  }
+
+  /**
+   * Draw and record a random seed
+   * @returns {number} Seed
+   */
+  seed() {
+    const seed = freshSeed();
+    this.write({ type: 'seed', cycle: this.cycle, seed });
+    return seed;
+  }
+
+  /**
+   * Record the world's state once a cycle is over
+   * @param {number} worldId - World ID
+   * @returns {Promise<void>}
+   */
+  async endCycle(worldId) {
+    this.write({ type: 'state', cycle: this.cycle, state: await describeWorldState(worldId) });
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<void>}
+   */
+  async close() {
+    setSeedSource(null);
+    await this.writing;
+  }
+}
+
+/**
+ * Replays a recording into another world
+ *
+ * Seconds, seeds and (unless live) model responses come from the recording,
+ * in order. The replay is recorded too, so it can be diffed against the
+ * original; once the recording runs out, values are measured, drawn or
+ * generated afresh.
+ */
+export class CycleReplayer extends CycleRecorder {
+  /**
+   * @param {Array<Object>} recording - Recording entries (see parseRecording)
+   * @param {Object} [options]
+   * @param {string} [options.file] - File to record the replay to
+   * @param {boolean} [options.live] - Ask the models instead of replaying responses
+   */
+  constructor(recording, { file = null, live = false } = {}) {
+    super(file);
+    this.header = recording[0];
+    this.live = live;
+    this.queues = { cycle: [], llm: [], seed: [] };
+    for (const entry of recording) {
+      if (this.queues[entry.type]) this.queues[entry.type].push(entry);
+    }
+    // Recorded responses that were not asked for with the same prompt
+    this.mismatches = [];
+  }
+
+  /**
+   * Take the next recorded entry of a type
+   * @param {string} type - 'cycle', 'llm' or 'seed'
+   * @returns {Object|undefined} Entry, or undefined once they run out
+   */
+  next(type) {
+    return this.queues[type].shift();
+  }
+
+  async start(worldId) {
+    const world = await World.findById(worldId);
+    await this.begin({
+      world_id: worldId,
+      snapshot_id: this.header.snapshot_id,
+      cycle: world.cycle,
+      mode: this.live ? 'live' : 'replay',
+    });
+  }
+
+  wrapLLM(manager) {
+    // Replayed responses need no models
+    return super.wrapLLM(this.live ? manager : NO_MODELS);
+  }
+
+  elapsed(seconds) {
+    const recorded = this.next('cycle');
+    return super.elapsed(recorded ? recorded.seconds_passed : seconds);
+  }
+
+  async respond(request, generate, onToken = null) {
+    const recorded = this.next('llm');
+    if (recorded && (recorded.prompt !== request.prompt || recorded.system_prompt !== request.system_prompt)) {
+      this.mismatches.push({ cycle: this.cycle, character_class: request.character_class });
+    }
+    if (this.live || !recorded) {
+      return super.respond(request, generate);
+    }
+
+    if (onToken) {
+      onToken(recorded.response);
+    }
+    return super.respond(request, async () => recorded.response);
+  }
+
+  seed() {
+    const recorded = this.next('seed');
+    if (!recorded) {
+      return super.seed();
+    }
+    this.write({ type: 'seed', cycle: this.cycle, seed: recorded.seed });
+    return recorded.seed;
+  }
+}
+
+/**
+ * Flatten a value into paths and leaf values
+ * @param {*} value - Value
+ * @param {string} [prefix] - Path so far
+ * @param {Map} [into] - Map to fill
+ * @returns {Map<string, *>} Leaf values by path
+ */
+function flatten(value, prefix = '', into = new Map()) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, into);
+    }
+  } else {
+    into.set(prefix, value);
+  }
+  return into;
+}
+
+/**
+ * List the fields where two values differ
+ * @param {*} expected - Value in the recording
+ * @param {*} actual - Value in the other run
+ * @returns {Array<Object>} {path, expected, actual}
+ */
+function changes(expected, actual) {
+  const a = flatten(expected);
+  const b = flatten(actual);
+  const paths = [...new Set([...a.keys(), ...b.keys()])];
+  return paths
+    .filter(p => JSON.stringify(a.get(p)) !== JSON.stringify(b.get(p)))
+    .map(p => ({ path: p, expected: a.get(p), actual: b.get(p) }));
+}
+
+/**
+ * Find where a run parts from a recording
+ * @param {Array<Object>} expected - Recording entries
+ * @param {Array<Object>} actual - Entries of the other run
+ * @returns {Object} {matched, cycles, divergence, states} - matched counts
+ *   the entries that agree before the first divergence ({index, cycle, type,
+ *   changes}, or null); states lists the cycles whose end state differs
+ */
+export function diffRecordings(expected, actual) {
+  const a = expected.filter(entry => entry.type !== 'header');
+  const b = actual.filter(entry => entry.type !== 'header');
+
+  let divergence = null;
+  let matched = 0;
+  for (; matched < Math.max(a.length, b.length); matched++) {
+    const x = a[matched];
+    const y = b[matched];
+    if (!x || !y) {
+      const entry = x || y;
+      divergence = {
+        index: matched,
+        cycle: entry.cycle,
+        type: entry.type,
+        changes: [{ path: 'entry', expected: x ? x.type : undefined, actual: y ? y.type : undefined }],
+      };
+      break;
+    }
+
+    const fields = x.type === y.type ? COMPARED_FIELDS[x.type] || [] : [];
+    const found = x.type !== y.type || x.cycle !== y.cycle
+      ? changes({ type: x.type, cycle: x.cycle }, { type: y.type, cycle: y.cycle })
+      : fields.flatMap(field => changes({ [field]: x[field] }, { [field]: y[field] }));
+    if (found.length > 0) {
+      divergence = { index: matched, cycle: x.cycle, type: x.type, changes: found };
+      break;
+    }
+  }
+
+  const statesOf = entries => new Map(entries.filter(e => e.type === 'state').map(e => [e.cycle, e.state]));
+  const expectedStates = statesOf(a);
+  const actualStates = statesOf(b);
+  const states = [...expectedStates.keys()]
+    .filter(cycle => actualStates.has(cycle))
+    .map(cycle => ({ cycle, changes: changes(expectedStates.get(cycle), actualStates.get(cycle)) }))
+    .filter(state => state.changes.length > 0);
+
+  const cycles = [...expectedStates.keys()].filter(cycle => actualStates.has(cycle)).length;
+  return { matched, cycles, divergence, states };
+}
+
+/**
+ * Show a long text as the first line where it differs from another
+ * @param {*} value - Value
+ * @param {*} other - Value it is compared with
+ * @returns {string} Short description
+ */
+function showValue(value, other) {
+  if (typeof value === 'string' && typeof other === 'string' && (value.includes('\n') || other.includes('\n'))) {
+    const lines = value.split('\n');
+    const otherLines = other.split('\n');
+    const line = lines.findIndex((text, i) => text !== otherLines[i]);
+    const at = line === -1 ? lines.length : line;
+    return `line ${at + 1}: ${JSON.stringify(lines[at] ?? '(end)')}`;
+  }
+  return JSON.stringify(value) ?? '(none)';
+}
+
+/**
+ * Describe a diff for people
+ * @param {Object} diff - Result of diffRecordings
+ * @param {number} [maxStates] - Differing cycles to detail
+ * @returns {Array<string>} Lines
+ */
+export function formatDiff(diff, maxStates = 3) {
+  const lines = [];
+  const showChanges = list => list.forEach(({ path: field, expected, actual }) => {
+    lines.push(`  ${field}:`);
+    lines.push(`    recorded: ${showValue(expected, actual)}`);
+    lines.push(`    this run: ${showValue(actual, expected)}`);
+  });
+
+  if (!diff.divergence) {
+    lines.push(`✓ Runs match (${diff.matched} entries, ${diff.cycles} cycle(s))`);
+    return lines;
+  }
+
+  const { index, cycle, type } = diff.divergence;
+  lines.push(`✗ Runs part at entry ${index + 1} (cycle ${cycle}, ${type}) after ${diff.matched} matching entries`);
+  showChanges(diff.divergence.changes);
+
+  if (diff.states.length > 0) {
+    lines.push(`End states differ in ${diff.states.length} of ${diff.cycles} cycle(s), from cycle ${diff.states[0].cycle}`);
+    for (const state of diff.states.slice(0, maxStates)) {
+      lines.push(`Cycle ${state.cycle}:`);
+      showChanges(state.changes);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Replay a recording into a fork of its snapshot
+ * @param {Array<Object>} recording - Recording entries
+ * @param {Object} [options]
+ * @param {number} [options.until] - Last cycle to run (default: the recording's last)
+ * @param {boolean} [options.live] - Ask the models instead of replaying responses
+ * @param {string} [options.file] - File to record the replay to
+ * @param {Object} [options.llmManager] - LLM manager for live replays
+ * @returns {Promise<Object>} {world_id, replayer, diff}
+ */
+export async function replayRecording(recording, { until, live = false, file = null, llmManager = null } = {}) {
+  // Imported when needed, so diffing does not load the model runtime
+  const { AgentController } = await import('./controller.js');
+
+  const [header] = recording;
+  const lastCycle = recording.reduce((last, entry) => Math.max(last, entry.cycle ?? header.cycle), header.cycle);
+  const fork = await forkSnapshot(header.snapshot_id);
+
+  const replayer = new CycleReplayer(recording, { file, live });
+  const controller = new AgentController({ worldId: fork.world_id, recorder: replayer, llmManager });
+  await controller.initialize();
+  await controller.runUntil(until ?? lastCycle);
+  await controller.stop();
+
+  return { world_id: fork.world_id, replayer, diff: diffRecordings(recording, replayer.entries) };
+}
+
+// Main execution
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const option = name => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+  const [first, second] = args.filter((arg, i) => !arg.startsWith('--') && !['--until', '--record'].includes(args[i - 1]));
+
+  if (command === 'diff' && first && second) {
+    const diff = diffRecordings(await readRecording(first), await readRecording(second));
+    formatDiff(diff).forEach(line => console.log(line));
+    process.exit(diff.divergence ? 1 : 0);
+  }
+
+  if (command !== 'run' || !first) {
+    console.error('Usage:');
+    console.error('  node src/agent/replay.js run <recording> [--until <cycle>] [--live] [--record <file>]');
+    console.error('  node src/agent/replay.js diff <recording> <other recording>');
+    process.exit(1);
+  }
+
+  try {
+    const until = option('--until') !== undefined ? parseInt(option('--until'), 10) : undefined;
+    const { world_id, replayer, diff } = await replayRecording(await readRecording(first), {
+      until,
+      live: args.includes('--live'),
+      file: option('--record'),
+    });
+
+    console.log('');
+    console.log(`Replayed into world ${world_id}`);
+    if (replayer.mismatches.length > 0) {
+      console.log(`${replayer.mismatches.length} prompt(s) differed from the recording, first in cycle ${replayer.mismatches[0].cycle}`);
+    }
+    formatDiff(diff).forEach(line => console.log(line));
+  } finally {
+    await end();
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
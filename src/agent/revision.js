@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+
+/**
+ * Chapter Revision
+ *
+ * Turns a chapter's collected raw_events into finished prose:
+ * 1. Filters out events that don't matter to the chapter, book or series plot
+ * 2. Drafts narrated text passage by passage with the story model
+ *    (chapter status in_progress -> completed)
+ * 3. Polishes the draft against the writing style (completed -> revised)
+ *
+ * Usage:
+ *   node src/agent/revision.js <chapter_id>   Revise one chapter
+ *   node src/agent/revision.js                Revise every completed chapter of BOOK_ID
+ */
+
+import { Book, Series, Chapter, WritingStyle } from '../db/models/index.js';
+import { getLLMManager } from './llm.js';
+import { MATERIAL_SEPARATOR } from './prompts.js';
+import { loadNames } from './narrator.js';
+
+const BOOK_ID = parseInt(process.env.BOOK_ID || '1', 10);
+
+// Events drafted per model call (keeps prompts inside the story model's context)
+const EVENTS_PER_PASSAGE = 20;
+
+// Paragraphs polished per model call
+const PARAGRAPHS_PER_PASS = 6;
+
+// Routine actions that never carry the plot on their own
+const ROUTINE_EVENT_TYPES = ['wait', 'sleep'];
+
+// Words too common to count as plot keywords
+const STOP_WORDS = new Set([
+  'about', 'after', 'again', 'against', 'before', 'being', 'between', 'chapter',
+  'could', 'during', 'every', 'first', 'from', 'have', 'into', 'must', 'other',
+  'should', 'some', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'through', 'under', 'until', 'what', 'when', 'where', 'which', 'while', 'with',
+  'without', 'would', 'your',
+]);
+
+// Used when the world has no writing style configured
+const DEFAULT_STYLE = {
+  tone: 'reflective',
+  narrative_voice: 'third-person limited',
+  tense: 'past',
+  sentence_complexity: 'medium',
+  dialogue_style: 'naturalistic',
+  theme_keywords: [],
+  conflict_density: 'moderate',
+  pacing_model: 'rising',
+  moral_ambiguity: 'balanced',
+  descriptive_depth: 'moderate',
+  emotional_realism: 'high',
+  language_register: 'neutral-to-technical',
+  prose_format_rules: [],
+};
+
+/**
+ * Extract plot keywords from outlines and goal descriptions
+ * @param {Array<string>} texts - Plot outlines and goal descriptions
+ * @returns {Array<string>} Lowercase keywords
+ */
+export function extractPlotKeywords(texts) {
+  const keywords = new Set();
+  for (const text of texts) {
+    if (!text) continue;
+    for (const word of text.toLowerCase().match(/[a-z']+/g) || []) {
+      if (word.length >= 4 && !STOP_WORDS.has(word)) {
+        keywords.add(word);
+      }
+    }
+  }
+  return [...keywords];
+}
+
+/**
+ * Keep only the events that matter to the plot
+ *
+ * An event is kept when it succeeded and either a story character did
+ * something other than a routine action, or its description mentions a
+ * plot keyword.
+ *
+ * @param {Array} events - Chapter raw_events (with descriptions)
+ * @param {Object} plot - Plot context
+ * @param {Array<number>} plot.storyCharacterIds - Story character IDs
+ * @param {Array<string>} plot.keywords - Plot keywords
+ * @returns {Array} Relevant events, in order
+ */
+export function filterRelevantEvents(events, { storyCharacterIds = [], keywords = [] }) {
+  const storyIds = new Set(storyCharacterIds);
+
+  return events.filter(event => {
+    if (event.result && event.result.success === false) {
+      return false;
+    }
+
+    const description = (event.description || '').toLowerCase();
+    if (keywords.some(k => description.includes(k))) {
+      return true;
+    }
+
+    if (ROUTINE_EVENT_TYPES.includes(event.event_type)) {
+      return false;
+    }
+    if (event.payload && event.payload.action_type === 'thought') {
+      return false;
+    }
+
+    return storyIds.has(event.actor_id);
+  });
+}
+
+/**
+ * Build the system prompt that asks for prose in the writing style
+ * @param {Object|null} writingStyle - Writing style row
+ * @returns {string} System prompt
+ */
+export function buildStyleGuide(writingStyle) {
+  const style = { ...DEFAULT_STYLE, ...(writingStyle || {}) };
+  const parts = ['You are the narrator of a novel. Write prose that follows this style guide exactly.'];
+
+  parts.push('');
+  parts.push('## Style Guide');
+  parts.push(`Tone: ${style.tone}`);
+  parts.push(`Narrative voice: ${style.narrative_voice}`);
+  parts.push(`Tense: ${style.tense}`);
+  parts.push(`Sentence complexity: ${style.sentence_complexity}`);
+  parts.push(`Dialogue style: ${style.dialogue_style}`);
+  parts.push(`Conflict density: ${style.conflict_density}`);
+  parts.push(`Pacing: ${style.pacing_model}`);
+  parts.push(`Moral ambiguity: ${style.moral_ambiguity}`);
+  parts.push(`Descriptive depth: ${style.descriptive_depth}`);
+  parts.push(`Emotional realism: ${style.emotional_realism}`);
+  parts.push(`Language register: ${style.language_register}`);
+
+  if (style.theme_keywords && style.theme_keywords.length > 0) {
+    parts.push(`Themes: ${style.theme_keywords.join(', ')}`);
+  }
+
+  if (style.prose_format_rules && style.prose_format_rules.length > 0) {
+    parts.push('');
+    parts.push('## Formatting Rules');
+    for (const rule of style.prose_format_rules) {
+      parts.push(`- ${rule}`);
+    }
+  }
+
+  parts.push('');
+  parts.push('Output only the prose. No headings, notes or commentary.');
+
+  return parts.join('\n');
+}
+
+/**
+ * Split a list into fixed-size batches
+ * @param {Array} list - Items
+ * @param {number} size - Batch size
+ * @returns {Array<Array>} Batches
+ */
+function batch(list, size) {
+  const batches = [];
+  for (let i = 0; i < list.length; i += size) {
+    batches.push(list.slice(i, i + size));
+  }
+  return batches;
+}
+
+class ChapterReviser {
+  /**
+   * @param {Object} llmManager - LLM manager (defaults to the shared instance)
+   * @param {Object} options - Options
+   * @param {Function} [options.onToken] - Called with each streamed chunk
+   */
+  constructor(llmManager = null, { onToken = null } = {}) {
+    this.llmManager = llmManager;
+    this.onToken = onToken;
+  }
+
+  /**
+   * Initialize the LLM manager
+   */
+  async initialize() {
+    if (!this.llmManager) {
+      this.llmManager = getLLMManager();
+    }
+    await this.llmManager.initialize();
+  }
+
+  /**
+   * Draft (if needed) and polish a chapter
+   * @param {number} chapterId - Chapter ID
+   * @returns {Promise<Object>} Revised chapter
+   */
+  async revise(chapterId) {
+    let chapter = await Chapter.findById(chapterId);
+    if (!chapter) {
+      throw new Error(`Chapter not found: ${chapterId}`);
+    }
+    if (!['in_progress', 'completed'].includes(chapter.status)) {
+      throw new Error(`Chapter ${chapterId} cannot be revised from status '${chapter.status}'`);
+    }
+
+    const plot = await this.loadPlot(chapter);
+    const systemPrompt = buildStyleGuide(plot.writingStyle);
+
+    if (chapter.status === 'in_progress' || !chapter.content) {
+      const events = filterRelevantEvents(chapter.raw_events || [], plot);
+      if (events.length === 0) {
+        throw new Error(`No relevant events for chapter ${chapter.chapter_number}: nothing involves a story character or the plot`);
+      }
+      console.log(`Drafting chapter ${chapter.chapter_number} from ${events.length} of ${(chapter.raw_events || []).length} event(s)`);
+
+      const content = await this.draft(chapter, plot, events, systemPrompt);
+      chapter = await Chapter.update(chapterId, { content, status: 'completed' });
+    }
+
+    console.log(`Polishing chapter ${chapter.chapter_number}`);
+    const content = await this.polish(chapter, systemPrompt);
+    return await Chapter.update(chapterId, { content, status: 'revised' });
+  }
+
+  /**
+   * Load the plot context a chapter is written against
+   * @param {Object} chapter - Chapter row
+   * @returns {Promise<Object>} Outlines, keywords, story characters and writing style
+   */
+  async loadPlot(chapter) {
+    const book = await Book.findById(chapter.book_id);
+    const series = await Series.findById(book.series_id);
+    const names = await loadNames(series.world_id);
+    const goals = (chapter.goals || []).map(g => g.description);
+
+    return {
+      names,
+      storyCharacterIds: names.storyCharacterIds,
+      outlines: {
+        series: series.plot_outline,
+        book: book.plot_outline,
+        chapter: chapter.plot_outline,
+      },
+      goals,
+      keywords: extractPlotKeywords([series.plot_outline, book.plot_outline, chapter.plot_outline, ...goals]),
+      writingStyle: await WritingStyle.findByWorldId(series.world_id),
+    };
+  }
+
+  /**
+   * Narrate the relevant events, one passage per batch
+   * @param {Object} chapter - Chapter row
+   * @param {Object} plot - Plot context from loadPlot
+   * @param {Array} events - Relevant events
+   * @param {string} systemPrompt - Style guide
+   * @returns {Promise<string>} Draft text
+   */
+  async draft(chapter, plot, events, systemPrompt) {
+    const passages = [];
+
+    for (const group of batch(events, EVENTS_PER_PASSAGE)) {
+      const parts = [`Chapter ${chapter.chapter_number}${chapter.title ? `: ${chapter.title}` : ''}`];
+
+      if (plot.outlines.series) parts.push(`Series plot: ${plot.outlines.series}`);
+      if (plot.outlines.book) parts.push(`Book plot: ${plot.outlines.book}`);
+      if (plot.outlines.chapter) parts.push(`Chapter plot: ${plot.outlines.chapter}`);
+
+      if (passages.length > 0) {
+        const previous = passages[passages.length - 1].split('\n\n').pop();
+        parts.push(`\nThe story so far ends with:\n${previous}`);
+      }
+
+      parts.push('\nNarrate the following events as continuous prose, in order, without inventing new plot.');
+      parts.push(MATERIAL_SEPARATOR + group.map(e => `- ${e.description}`).join('\n'));
+
+      passages.push(await this.write(systemPrompt, parts.join('\n')));
+    }
+
+    return passages.join('\n\n');
+  }
+
+  /**
+   * Polish draft text against the style guide, a few paragraphs at a time
+   * @param {Object} chapter - Chapter row with draft content
+   * @param {string} systemPrompt - Style guide
+   * @returns {Promise<string>} Polished text
+   */
+  async polish(chapter, systemPrompt) {
+    const paragraphs = (chapter.content || '').split(/\n\s*\n/).filter(p => p.trim());
+    const polished = [];
+
+    for (const group of batch(paragraphs, PARAGRAPHS_PER_PASS)) {
+      const prompt = 'Revise this draft so it follows every rule of the style guide. ' +
+        'Tighten the prose and fix tense and voice; keep every event and line of dialogue.\n' +
+        MATERIAL_SEPARATOR + group.join('\n\n');
+
+      polished.push(await this.write(systemPrompt, prompt));
+    }
+
+    return polished.join('\n\n');
+  }
+
+  /**
+   * Stream one response from the story model
+   * @param {string} systemPrompt - System prompt
+   * @param {string} prompt - User prompt
+   * @returns {Promise<string>} Response text
+   */
+  async write(systemPrompt, prompt) {
+    const response = await this.llmManager.generateStream('story', systemPrompt, prompt, this.onToken, {
+      temperature: 0.7,
+      maxTokens: 768,
+    });
+    return response.trim();
+  }
+}
+
+// Main execution
+async function main() {
+  const reviser = new ChapterReviser(null, {
+    onToken: (chunk) => process.stdout.write(chunk),
+  });
+  await reviser.initialize();
+
+  const chapterId = process.argv[2] ? parseInt(process.argv[2], 10) : null;
+  const chapters = chapterId
+    ? [{ id: chapterId }]
+    : (await Chapter.findByBookId(BOOK_ID)).filter(c => c.status === 'completed');
+
+  for (const chapter of chapters) {
+    const revised = await reviser.revise(chapter.id);
+    console.log(`\n✓ Chapter ${revised.chapter_number} revised`);
+  }
+
+  await reviser.llmManager.dispose();
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
+
+export { ChapterReviser };
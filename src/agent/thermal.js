@@ -0,0 +1,96 @@
+/**
+ * Thermal Stress
+ *
+ * Compares an area's temperature with the comfort band of the character's
+ * species (species table), widened on the cold side by insulating items
+ * they wear or hold.
+ * Outside the band, characters dehydrate and tire faster; far outside it
+ * they suffer hypothermia or heatstroke.
+ */
+
+// Degrees outside the comfort band at which damage starts
+export const EXTREME_STRESS = 10;
+
+/**
+ * Get the comfort band for a species
+ * @param {Object} species - Species row (see Species.forCharacter)
+ * @returns {Object} {min, max} in °C
+ */
+export function comfortRange(species) {
+  return {
+    min: Number(species.comfort_min_temperature),
+    max: Number(species.comfort_max_temperature),
+  };
+}
+
+/**
+ * Total insulation from worn or held items
+ *
+ * Items in pockets do not count. Each item's `insulation` property is the
+ * number of degrees it lowers the comfort band's cold edge.
+ *
+ * @param {Array} items - Items held by the character
+ * @returns {number} Insulation in °C
+ */
+export function totalInsulation(items) {
+  return (items || [])
+    .filter(item => !(item.held_location || '').includes('pocket'))
+    .reduce((total, item) => total + (Number((item.properties || {}).insulation) || 0), 0);
+}
+
+/**
+ * Assess how an area's temperature affects a character
+ * @param {number} temperature - Area temperature in °C
+ * @param {Object} species - Species row (see Species.forCharacter)
+ * @param {Array} items - Items held by the character
+ * @returns {Object} {temperature, comfort, stress, feeling, description}
+ *   stress is the number of degrees outside the band: negative when too
+ *   cold, positive when too hot, 0 when comfortable
+ */
+export function assessThermal(temperature, species, items = []) {
+  const band = comfortRange(species);
+  const insulation = totalInsulation(items);
+
+  // Warm clothing helps in the cold and hurts (half as much) in the heat
+  const comfort = {
+    min: band.min - insulation,
+    max: band.max - insulation / 2,
+  };
+
+  let stress = 0;
+  if (temperature < comfort.min) {
+    stress = temperature - comfort.min;
+  } else if (temperature > comfort.max) {
+    stress = temperature - comfort.max;
+  }
+
+  const { feeling, description } = describeStress(stress);
+  return { temperature, comfort, stress, feeling, description };
+}
+
+/**
+ * Put thermal stress into words
+ * @param {number} stress - Degrees outside the comfort band
+ * @returns {Object} {feeling, description}
+ */
+function describeStress(stress) {
+  if (stress <= -EXTREME_STRESS) {
+    return { feeling: 'freezing', description: 'You are freezing and losing heat dangerously' };
+  }
+  if (stress <= -4) {
+    return { feeling: 'cold', description: 'You feel cold and are shivering' };
+  }
+  if (stress < 0) {
+    return { feeling: 'chilly', description: 'You feel a little chilly' };
+  }
+  if (stress >= EXTREME_STRESS) {
+    return { feeling: 'sweltering', description: 'The heat is overwhelming; you risk heatstroke' };
+  }
+  if (stress >= 4) {
+    return { feeling: 'hot', description: 'You feel hot and are sweating' };
+  }
+  if (stress > 0) {
+    return { feeling: 'warm', description: 'You feel warm' };
+  }
+  return { feeling: 'comfortable', description: 'The temperature feels comfortable' };
+}
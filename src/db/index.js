@@ -2,6 +2,7 @@
  * Database connection pool and query interface
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
 import pg from 'pg';
 import { dbConfig } from './config.js';
 
@@ -10,6 +11,9 @@ const { Pool } = pg;
 // Create connection pool
 const pool = new Pool(dbConfig);
 
+// Client of the transaction the current async call chain is running in
+const transactionClient = new AsyncLocalStorage();
+
 // Handle pool errors
 pool.on('error', (err) => {
   console.error('Unexpected error on idle database client', err);
@@ -17,7 +21,7 @@ pool.on('error', (err) => {
 });
 
 /**
- * Execute a SQL query
+ * Execute a SQL query (inside transaction(), on the transaction's client)
  * @param {string} text - SQL query text
  * @param {Array} params - Query parameters
  * @returns {Promise<Object>} Query result
@@ -25,7 +29,7 @@ pool.on('error', (err) => {
 export async function query(text, params) {
   const start = Date.now();
   try {
-    const res = await pool.query(text, params);
+    const res = await (transactionClient.getStore() || pool).query(text, params);
     const duration = Date.now() - start;
 
     if (process.env.LOG_QUERIES === 'true') {
@@ -71,6 +75,63 @@ export async function getClient() {
   return client;
 }
 
+/**
+ * Run a function in a transaction
+ *
+ * Every query() made while the function runs, including those of the models,
+ * goes through the transaction. It commits when the function resolves and
+ * rolls back when it throws. A transaction inside another joins the outer one.
+ *
+ * @param {Function} fn - Async function to run
+ * @param {Object} [options]
+ * @param {string} [options.isolation] - Isolation level, e.g. 'REPEATABLE READ'
+ * @returns {Promise<*>} What the function returns
+ */
+export async function transaction(fn, { isolation } = {}) {
+  if (transactionClient.getStore()) {
+    return fn();
+  }
+
+  // Straight from the pool: long imports should not set off getClient's warning
+  const client = await pool.connect();
+  try {
+    await client.query(isolation ? `BEGIN ISOLATION LEVEL ${isolation}` : 'BEGIN');
+    const result = await transactionClient.run(client, fn);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Open a dedicated connection that listens for NOTIFY messages on a channel
+ * @param {string} channel - Notification channel name
+ * @param {Function} onNotification - Called with each notification payload string
+ * @returns {Promise<Object>} Connected client (call client.end() to stop listening)
+ */
+export async function listen(channel, onNotification) {
+  // LISTEN needs a long-lived connection, so it does not come from the pool
+  const client = new pg.Client(dbConfig);
+  await client.connect();
+
+  client.on('notification', (message) => {
+    if (message.channel === channel) {
+      onNotification(message.payload);
+    }
+  });
+
+  client.on('error', (err) => {
+    console.error('Database listener error', err);
+  });
+
+  await client.query(`LISTEN ${channel}`);
+  return client;
+}
+
 /**
  * End the pool (for graceful shutdown)
  */
@@ -96,6 +157,8 @@ export async function testConnection() {
 export default {
   query,
   getClient,
+  transaction,
+  listen,
   end,
   testConnection,
 };
@@ -0,0 +1,34 @@
+/**
+ * World event log migration
+ * Creates the events table recording every action and trigger reaction
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS events (
+      id SERIAL PRIMARY KEY,
+      world_id INTEGER NOT NULL REFERENCES worlds(id) ON DELETE CASCADE,
+      cycle INTEGER, -- Simulation cycle number (NULL for actions outside the agent controller)
+      area_id INTEGER REFERENCES areas(id) ON DELETE SET NULL,
+      actor_id INTEGER REFERENCES characters(id) ON DELETE SET NULL,
+      event_type VARCHAR(50) NOT NULL, -- move, speak, pickup, drop, wait, sleep, trigger_reaction
+      payload JSONB DEFAULT '{}', -- What was attempted
+      result JSONB DEFAULT '{}', -- What happened
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_events_world_id ON events(world_id)');
+  await client.query('CREATE INDEX idx_events_area_id ON events(area_id)');
+  await client.query('CREATE INDEX idx_events_actor_id ON events(actor_id)');
+  await client.query('CREATE INDEX idx_events_type ON events(event_type)');
+  await client.query('CREATE INDEX idx_events_created_at ON events(created_at)');
+
+  console.log('✓ Created events table');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS events CASCADE');
+
+  console.log('✓ Dropped events table');
+}
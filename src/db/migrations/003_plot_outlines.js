@@ -0,0 +1,25 @@
+/**
+ * Plot outline migration
+ * Adds plot outlines to series, books and chapters, and goals to chapters,
+ * so the narrator knows what each chapter should achieve
+ */
+
+export async function up(client) {
+  await client.query('ALTER TABLE series ADD COLUMN IF NOT EXISTS plot_outline TEXT');
+  await client.query('ALTER TABLE books ADD COLUMN IF NOT EXISTS plot_outline TEXT');
+  await client.query('ALTER TABLE chapters ADD COLUMN IF NOT EXISTS plot_outline TEXT');
+
+  // Array of {description, condition, met} objects
+  await client.query(`ALTER TABLE chapters ADD COLUMN IF NOT EXISTS goals JSONB DEFAULT '[]'`);
+
+  console.log('✓ Added plot outlines and chapter goals');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE chapters DROP COLUMN IF EXISTS goals');
+  await client.query('ALTER TABLE chapters DROP COLUMN IF EXISTS plot_outline');
+  await client.query('ALTER TABLE books DROP COLUMN IF EXISTS plot_outline');
+  await client.query('ALTER TABLE series DROP COLUMN IF EXISTS plot_outline');
+
+  console.log('✓ Removed plot outlines and chapter goals');
+}
@@ -0,0 +1,28 @@
+/**
+ * Open slots migration
+ * Records where a series design leaves {narrator discretion} for the
+ * narrator to fill in, at series, book and chapter level
+ */
+
+export async function up(client) {
+  // Array of {line, text} objects, one per {narrator discretion} marker
+  await client.query(`ALTER TABLE series ADD COLUMN IF NOT EXISTS open_slots JSONB DEFAULT '[]'`);
+  await client.query(`ALTER TABLE books ADD COLUMN IF NOT EXISTS open_slots JSONB DEFAULT '[]'`);
+  await client.query(`ALTER TABLE chapters ADD COLUMN IF NOT EXISTS open_slots JSONB DEFAULT '[]'`);
+
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_books_series_number ON books(series_id, book_number)');
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_chapters_book_number ON chapters(book_id, chapter_number)');
+
+  console.log('✓ Added open slots to series, books and chapters');
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_chapters_book_number');
+  await client.query('DROP INDEX IF EXISTS idx_books_series_number');
+
+  await client.query('ALTER TABLE chapters DROP COLUMN IF EXISTS open_slots');
+  await client.query('ALTER TABLE books DROP COLUMN IF EXISTS open_slots');
+  await client.query('ALTER TABLE series DROP COLUMN IF EXISTS open_slots');
+
+  console.log('✓ Removed open slots');
+}
@@ -0,0 +1,19 @@
+/**
+ * Book exports migration
+ * Records where each exported format of a book was written
+ */
+
+export async function up(client) {
+  // {markdown, epub, print} file paths; output_file_path keeps the markdown manuscript
+  await client.query(`ALTER TABLE books ADD COLUMN IF NOT EXISTS export_paths JSONB DEFAULT '{}'`);
+  await client.query('ALTER TABLE books ADD COLUMN IF NOT EXISTS published_at TIMESTAMP');
+
+  console.log('✓ Added book export paths');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE books DROP COLUMN IF EXISTS published_at');
+  await client.query('ALTER TABLE books DROP COLUMN IF EXISTS export_paths');
+
+  console.log('✓ Removed book export paths');
+}
@@ -0,0 +1,34 @@
+/**
+ * Memory tiers migration
+ * Keeps memories that fall out of the recent list for summarization,
+ * and stores the summaries the agent controller condenses them into
+ */
+
+export async function up(client) {
+  // Entries pushed out of characters.memory, waiting to be summarized
+  await client.query(`ALTER TABLE characters ADD COLUMN IF NOT EXISTS memory_pending JSONB DEFAULT '[]'`);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS memory_summaries (
+      id SERIAL PRIMARY KEY,
+      character_id INTEGER NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+      level INTEGER NOT NULL DEFAULT 1, -- 1 = summary of raw entries, 2+ = summary of summaries
+      summary TEXT NOT NULL,
+      entry_count INTEGER NOT NULL, -- Raw memory entries covered
+      started_at TIMESTAMP, -- Oldest entry covered
+      ended_at TIMESTAMP, -- Newest entry covered
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_memory_summaries_character_id ON memory_summaries(character_id)');
+
+  console.log('✓ Added memory tiers');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS memory_summaries CASCADE');
+  await client.query('ALTER TABLE characters DROP COLUMN IF EXISTS memory_pending');
+
+  console.log('✓ Removed memory tiers');
+}
@@ -0,0 +1,17 @@
+/**
+ * Speech listeners migration
+ * Records when a character last heard someone, so they can respond first
+ */
+
+export async function up(client) {
+  // Cleared when the character next acts
+  await client.query('ALTER TABLE characters ADD COLUMN IF NOT EXISTS heard_at TIMESTAMP');
+
+  console.log('✓ Added character heard_at');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE characters DROP COLUMN IF EXISTS heard_at');
+
+  console.log('✓ Removed character heard_at');
+}
@@ -0,0 +1,19 @@
+/**
+ * Vital status migration
+ * Tracks whether characters are alive, critical, unconscious or dead
+ */
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE characters ADD COLUMN IF NOT EXISTS vital_status VARCHAR(20) NOT NULL DEFAULT 'alive'
+      CHECK (vital_status IN ('alive', 'unconscious', 'critical', 'dead'))
+  `);
+
+  console.log('✓ Added character vital status');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE characters DROP COLUMN IF EXISTS vital_status');
+
+  console.log('✓ Removed character vital status');
+}
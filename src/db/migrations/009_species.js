@@ -0,0 +1,54 @@
+/**
+ * Species migration
+ * Moves metabolism, healing, sleep, temperature tolerance, body parts and
+ * carrying slots from hard-coded human values into per-world species rows
+ */
+
+export async function up(client) {
+  // Defaults match DEFAULT_SPECIES in src/db/models/Species.js
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS species (
+      id SERIAL PRIMARY KEY,
+      world_id INTEGER NOT NULL REFERENCES worlds(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      description TEXT DEFAULT '',
+      nutrition_loss_per_hour NUMERIC(6,2) NOT NULL DEFAULT 4,
+      hydration_loss_per_hour NUMERIC(6,2) NOT NULL DEFAULT 6,
+      tiredness_gain_per_hour NUMERIC(6,2) NOT NULL DEFAULT 6, -- While awake
+      sleep_recovery_per_hour NUMERIC(6,2) NOT NULL DEFAULT 300, -- Tiredness lost and alertness gained while asleep
+      healing_per_hour NUMERIC(6,2) NOT NULL DEFAULT 0.5, -- Severity healed per injury
+      comfort_min_temperature NUMERIC(5,2) NOT NULL DEFAULT 16,
+      comfort_max_temperature NUMERIC(5,2) NOT NULL DEFAULT 26,
+      body_parts TEXT[] NOT NULL DEFAULT '{head,torso,"left arm","right arm","left hand","right hand","left leg","right leg","left foot","right foot"}',
+      carrying_slots TEXT[] NOT NULL DEFAULT '{"right hand","left hand","right pocket","left pocket"}',
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (world_id, name)
+    )
+  `);
+
+  await client.query('ALTER TABLE characters ADD COLUMN IF NOT EXISTS species_id INTEGER REFERENCES species(id) ON DELETE SET NULL');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_characters_species_id ON characters(species_id)');
+
+  // One species per name already used in each world, with default traits
+  await client.query(`
+    INSERT INTO species (world_id, name)
+    SELECT DISTINCT world_id, LOWER(species) FROM characters WHERE species IS NOT NULL
+    ON CONFLICT (world_id, name) DO NOTHING
+  `);
+  await client.query(`
+    UPDATE characters c SET species_id = s.id
+    FROM species s
+    WHERE s.world_id = c.world_id AND s.name = LOWER(c.species)
+  `);
+
+  console.log('✓ Added species');
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_characters_species_id');
+  await client.query('ALTER TABLE characters DROP COLUMN IF EXISTS species_id');
+  await client.query('DROP TABLE IF EXISTS species CASCADE');
+
+  console.log('✓ Removed species');
+}
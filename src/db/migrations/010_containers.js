@@ -0,0 +1,37 @@
+/**
+ * Containers migration
+ * Lets items hold other items, gives species a carrying capacity and adds
+ * back and belt slots to the default human slots
+ */
+
+const OLD_HUMAN_SLOTS = '{"right hand","left hand","right pocket","left pocket"}';
+const NEW_HUMAN_SLOTS = '{"right hand","left hand",back,belt,"right pocket","left pocket"}';
+
+export async function up(client) {
+  // An item is in an area, held by a character, or inside another item; contents go with their container
+  await client.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS contained_in_item_id INTEGER REFERENCES items(id) ON DELETE CASCADE');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_items_contained_in ON items(contained_in_item_id)');
+
+  // Total weight (kg) a character of the species can carry
+  await client.query('ALTER TABLE species ADD COLUMN IF NOT EXISTS carry_capacity NUMERIC(6,2) NOT NULL DEFAULT 25');
+
+  await client.query(`ALTER TABLE species ALTER COLUMN carrying_slots SET DEFAULT '${NEW_HUMAN_SLOTS}'`);
+  await client.query(
+    `UPDATE species SET carrying_slots = '${NEW_HUMAN_SLOTS}' WHERE carrying_slots = '${OLD_HUMAN_SLOTS}'`
+  );
+
+  console.log('✓ Added item containers and carrying capacity');
+}
+
+export async function down(client) {
+  await client.query(
+    `UPDATE species SET carrying_slots = '${OLD_HUMAN_SLOTS}' WHERE carrying_slots = '${NEW_HUMAN_SLOTS}'`
+  );
+  await client.query(`ALTER TABLE species ALTER COLUMN carrying_slots SET DEFAULT '${OLD_HUMAN_SLOTS}'`);
+  await client.query('ALTER TABLE species DROP COLUMN IF EXISTS carry_capacity');
+
+  await client.query('DROP INDEX IF EXISTS idx_items_contained_in');
+  await client.query('ALTER TABLE items DROP COLUMN IF EXISTS contained_in_item_id');
+
+  console.log('✓ Removed item containers and carrying capacity');
+}
@@ -0,0 +1,31 @@
+/**
+ * Trade offers migration
+ * Stores item swaps one character has proposed to another
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS trade_offers (
+      id SERIAL PRIMARY KEY,
+      world_id INTEGER NOT NULL REFERENCES worlds(id) ON DELETE CASCADE,
+      from_character_id INTEGER NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+      to_character_id INTEGER NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+      item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE, -- Offered by from_character_id
+      requested_item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE, -- Wanted from to_character_id
+      status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'accepted', 'cancelled')),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      resolved_at TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_trade_offers_to_character_id ON trade_offers(to_character_id, status)');
+
+  console.log('✓ Added trade offers');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS trade_offers CASCADE');
+
+  console.log('✓ Removed trade offers');
+}
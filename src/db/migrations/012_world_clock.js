@@ -0,0 +1,28 @@
+/**
+ * World clock migration
+ * Persists each world's simulation cycle and in-world time, so time-based
+ * triggers survive controller restarts
+ */
+
+export async function up(client) {
+  // Simulation cycles run so far
+  await client.query('ALTER TABLE worlds ADD COLUMN IF NOT EXISTS cycle INTEGER NOT NULL DEFAULT 0');
+
+  // In-world minutes since midnight before day 1; worlds start at 08:00 on day 1
+  await client.query('ALTER TABLE worlds ADD COLUMN IF NOT EXISTS clock_minutes INTEGER NOT NULL DEFAULT 480');
+
+  // In-world minutes each cycle moves the clock on
+  await client.query(
+    'ALTER TABLE worlds ADD COLUMN IF NOT EXISTS minutes_per_cycle INTEGER NOT NULL DEFAULT 10 CHECK (minutes_per_cycle > 0)'
+  );
+
+  console.log('✓ Added world clock');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE worlds DROP COLUMN IF EXISTS minutes_per_cycle');
+  await client.query('ALTER TABLE worlds DROP COLUMN IF EXISTS clock_minutes');
+  await client.query('ALTER TABLE worlds DROP COLUMN IF EXISTS cycle');
+
+  console.log('✓ Removed world clock');
+}
@@ -0,0 +1,27 @@
+/**
+ * World snapshots migration
+ * Stores labelled copies of every row of a world, to restore or fork from
+ */
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS world_snapshots (
+      id SERIAL PRIMARY KEY,
+      world_id INTEGER NOT NULL REFERENCES worlds(id) ON DELETE CASCADE,
+      label VARCHAR(255) NOT NULL,
+      cycle INTEGER NOT NULL, -- worlds.cycle when the snapshot was taken
+      data JSONB NOT NULL, -- The world row and its rows from each table
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_world_snapshots_world_id ON world_snapshots(world_id)');
+
+  console.log('✓ Added world snapshots');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS world_snapshots CASCADE');
+
+  console.log('✓ Removed world snapshots');
+}
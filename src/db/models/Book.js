@@ -0,0 +1,113 @@
+/**
+ * Book model - represents a book within a series
+ */
+
+import { query } from '../index.js';
+
+export class Book {
+  /**
+   * Create a new book
+   * @param {Object} data - Book data
+   * @returns {Promise<Object>} Created book
+   */
+  static async create({
+    series_id,
+    book_number,
+    title,
+    isbn = null,
+    plot_outline = null,
+    open_slots = []
+  }) {
+    const result = await query(
+      `INSERT INTO books (series_id, book_number, title, isbn, plot_outline, open_slots)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [series_id, book_number, title, isbn, plot_outline, JSON.stringify(open_slots)]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find a book by ID
+   * @param {number} id - Book ID
+   * @returns {Promise<Object|null>} Book or null
+   */
+  static async findById(id) {
+    const result = await query(
+      'SELECT * FROM books WHERE id = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find all books in a series
+   * @param {number} series_id - Series ID
+   * @returns {Promise<Array>} Books in book_number order
+   */
+  static async findBySeriesId(series_id) {
+    const result = await query(
+      'SELECT * FROM books WHERE series_id = $1 ORDER BY book_number ASC',
+      [series_id]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Update a book
+   * @param {number} id - Book ID
+   * @param {Object} data - Updated data
+   * @returns {Promise<Object|null>} Updated book or null
+   */
+  static async update(id, data) {
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    const allowedFields = ['book_number', 'title', 'isbn', 'status', 'output_file_path', 'plot_outline', 'published_at'];
+    for (const field of allowedFields) {
+      if (data[field] !== undefined) {
+        updates.push(`${field} = $${paramCount++}`);
+        values.push(data[field]);
+      }
+    }
+
+    // JSON fields
+    const jsonFields = ['open_slots', 'export_paths'];
+    for (const field of jsonFields) {
+      if (data[field] !== undefined) {
+        updates.push(`${field} = $${paramCount++}`);
+        values.push(JSON.stringify(data[field]));
+      }
+    }
+
+    if (updates.length === 0) {
+      return await Book.findById(id);
+    }
+
+    updates.push(`updated_at = NOW()`);
+    values.push(id);
+
+    const result = await query(
+      `UPDATE books SET ${updates.join(', ')}
+       WHERE id = $${paramCount}
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a book (cascades to its chapters)
+   * @param {number} id - Book ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    const result = await query(
+      'DELETE FROM books WHERE id = $1',
+      [id]
+    );
+    return result.rowCount > 0;
+  }
+}
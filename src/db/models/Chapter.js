@@ -0,0 +1,146 @@
+/**
+ * Chapter model - represents a chapter within a book
+ */
+
+import { query } from '../index.js';
+
+export class Chapter {
+  /**
+   * Create a new chapter
+   * @param {Object} data - Chapter data
+   * @returns {Promise<Object>} Created chapter
+   */
+  static async create({
+    book_id,
+    chapter_number,
+    title = null,
+    plot_outline = null,
+    goals = [],
+    open_slots = []
+  }) {
+    const result = await query(
+      `INSERT INTO chapters (book_id, chapter_number, title, plot_outline, goals, open_slots)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [book_id, chapter_number, title, plot_outline, JSON.stringify(goals), JSON.stringify(open_slots)]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find a chapter by ID
+   * @param {number} id - Chapter ID
+   * @returns {Promise<Object|null>} Chapter or null
+   */
+  static async findById(id) {
+    const result = await query(
+      'SELECT * FROM chapters WHERE id = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find all chapters in a book
+   * @param {number} book_id - Book ID
+   * @returns {Promise<Array>} Chapters in chapter_number order
+   */
+  static async findByBookId(book_id) {
+    const result = await query(
+      'SELECT * FROM chapters WHERE book_id = $1 ORDER BY chapter_number ASC',
+      [book_id]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Find the chapter a book is currently on (first one not yet completed)
+   * @param {number} book_id - Book ID
+   * @returns {Promise<Object|null>} Chapter or null if every chapter is done
+   */
+  static async findCurrent(book_id) {
+    const result = await query(
+      `SELECT * FROM chapters
+       WHERE book_id = $1
+       AND status IN ('planning', 'in_progress')
+       ORDER BY chapter_number ASC
+       LIMIT 1`,
+      [book_id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Update a chapter
+   * @param {number} id - Chapter ID
+   * @param {Object} data - Updated data
+   * @returns {Promise<Object|null>} Updated chapter or null
+   */
+  static async update(id, data) {
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    const simpleFields = ['chapter_number', 'title', 'content', 'status', 'plot_outline'];
+    for (const field of simpleFields) {
+      if (data[field] !== undefined) {
+        updates.push(`${field} = $${paramCount++}`);
+        values.push(data[field]);
+      }
+    }
+
+    // JSON fields
+    const jsonFields = ['raw_events', 'goals', 'open_slots'];
+    for (const field of jsonFields) {
+      if (data[field] !== undefined) {
+        updates.push(`${field} = $${paramCount++}`);
+        values.push(JSON.stringify(data[field]));
+      }
+    }
+
+    if (updates.length === 0) {
+      return await Chapter.findById(id);
+    }
+
+    updates.push(`updated_at = NOW()`);
+    values.push(id);
+
+    const result = await query(
+      `UPDATE chapters SET ${updates.join(', ')}
+       WHERE id = $${paramCount}
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Append events to a chapter's raw_events
+   * @param {number} id - Chapter ID
+   * @param {Array} events - Events to append
+   * @returns {Promise<Object|null>} Updated chapter or null
+   */
+  static async appendRawEvents(id, events) {
+    const result = await query(
+      `UPDATE chapters SET raw_events = COALESCE(raw_events, '[]'::jsonb) || $1::jsonb, updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [JSON.stringify(events), id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a chapter
+   * @param {number} id - Chapter ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    const result = await query(
+      'DELETE FROM chapters WHERE id = $1',
+      [id]
+    );
+    return result.rowCount > 0;
+  }
+}
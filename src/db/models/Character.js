@@ -3,10 +3,15 @@
  */
 
 import { query } from '../index.js';
+import { Species } from './Species.js';
 
 export class Character {
   /**
    * Create a new character
+   *
+   * Without a species_id, the character is linked to the world's species of
+   * the same name, if there is one.
+   *
    * @param {Object} data - Character data
    * @returns {Promise<Object>} Created character
    */
@@ -35,19 +40,25 @@ export class Character {
       character_class = 'minor'
     } = data;
 
+    let species_id = data.species_id || null;
+    if (!species_id && species) {
+      const match = await Species.findByName(world_id, species);
+      species_id = match ? match.id : null;
+    }
+
     const result = await query(
       `INSERT INTO characters (
         world_id, name, description, species, gender, age, backstory,
         memory, likes, dislikes, interests, internal_conflict, beliefs,
         nutrition, hydration, damage, tiredness, alertness,
-        current_area_id, owner_id, character_class
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+        current_area_id, owner_id, character_class, species_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
       RETURNING *`,
       [
         world_id, name, description, species, gender, age, backstory,
         JSON.stringify(memory), likes, dislikes, interests, internal_conflict, beliefs,
         nutrition, hydration, JSON.stringify(damage), tiredness, alertness,
-        current_area_id, owner_id, character_class
+        current_area_id, owner_id, character_class, species_id
       ]
     );
 
@@ -94,20 +105,26 @@ export class Character {
   }
 
   /**
-   * Find awake characters (alertness >= 20%)
+   * Find awake characters (alertness >= 20%, neither unconscious nor dead)
    * @param {number} world_id - World ID
    * @returns {Promise<Array>} Array of awake characters
    */
   static async findAwake(world_id) {
     const result = await query(
-      'SELECT * FROM characters WHERE world_id = $1 AND alertness >= 20 ORDER BY character_class DESC, id ASC',
+      `SELECT * FROM characters WHERE world_id = $1 AND alertness >= 20
+       AND vital_status IN ('alive', 'critical')
+       ORDER BY character_class DESC, id ASC`,
       [world_id]
     );
     return result.rows;
   }
 
   /**
-   * Find characters available for AI control (not player-owned and awake)
+   * Find characters available for AI control (not player-owned, awake and able to act)
+   *
+   * Characters who were spoken to since they last acted come first, in the
+   * order they heard something, so they get to respond.
+   *
    * @param {number} world_id - World ID
    * @returns {Promise<Array>} Array of AI-controllable characters
    */
@@ -117,7 +134,8 @@ export class Character {
        WHERE world_id = $1
        AND owner_id IS NULL
        AND alertness >= 20
-       ORDER BY character_class DESC, id ASC`,
+       AND vital_status IN ('alive', 'critical')
+       ORDER BY heard_at ASC NULLS LAST, character_class DESC, id ASC`,
       [world_id]
     );
     return result.rows;
@@ -138,7 +156,7 @@ export class Character {
     const simpleFields = [
       'name', 'description', 'species', 'gender', 'age', 'backstory',
       'internal_conflict', 'nutrition', 'hydration', 'tiredness', 'alertness',
-      'current_area_id', 'owner_id', 'character_class'
+      'current_area_id', 'owner_id', 'character_class', 'heard_at', 'vital_status', 'species_id'
     ];
 
     for (const field of simpleFields) {
@@ -158,7 +176,7 @@ export class Character {
     }
 
     // JSON fields
-    const jsonFields = ['memory', 'damage'];
+    const jsonFields = ['memory', 'memory_pending', 'damage'];
     for (const field of jsonFields) {
       if (data[field] !== undefined) {
         updates.push(`${field} = $${paramCount++}`);
@@ -198,8 +216,13 @@ export class Character {
 
   /**
    * Add a memory entry to character
+   *
+   * Entries pushed out of the recent list move to memory_pending, where the
+   * agent controller condenses them into summaries (see src/agent/memory.js).
+   * Entries flagged `major` are also appended to the backstory.
+   *
    * @param {number} id - Character ID
-   * @param {Object} memoryEntry - Memory entry to add
+   * @param {Object} memoryEntry - Memory entry to add ({action, result, major})
    * @param {number} maxRecent - Max recent memories (3 for minor, 5 for story)
    * @returns {Promise<Object|null>} Updated character
    */
@@ -208,18 +231,54 @@ export class Character {
     if (!character) return null;
 
     const memory = character.memory || [];
+    const pending = character.memory_pending || [];
     memory.push({
       ...memoryEntry,
       timestamp: new Date().toISOString()
     });
 
-    // Keep only recent memories, summarize older ones
-    // This is simplified - actual implementation should summarize before truncating
-    if (memory.length > maxRecent) {
-      memory.shift(); // Remove oldest
+    // Keep only recent memories; older ones wait to be summarized
+    while (memory.length > maxRecent) {
+      pending.push(memory.shift());
+    }
+
+    const updates = { memory, memory_pending: pending };
+    if (memoryEntry.major) {
+      const line = `${memoryEntry.action} (${memoryEntry.result}).`;
+      updates.backstory = character.backstory ? `${character.backstory}\n${line}` : line;
     }
 
-    return await Character.update(id, { memory });
+    return await Character.update(id, updates);
+  }
+
+  /**
+   * Mark characters as having heard something (keeps the earliest time)
+   * @param {Array<number>} ids - Character IDs
+   */
+  static async markHeard(ids) {
+    if (ids.length === 0) return;
+    await query('UPDATE characters SET heard_at = COALESCE(heard_at, NOW()) WHERE id = ANY($1)', [ids]);
+  }
+
+  /**
+   * Remove the oldest pending memories once they have been summarized
+   * @param {number} id - Character ID
+   * @param {number} count - Number of entries to remove
+   * @returns {Promise<Object|null>} Updated character
+   */
+  static async removePendingMemories(id, count) {
+    // Entries added while summarizing are kept
+    const result = await query(
+      `UPDATE characters SET memory_pending = COALESCE((
+         SELECT jsonb_agg(entry ORDER BY position)
+         FROM jsonb_array_elements(memory_pending) WITH ORDINALITY AS pending(entry, position)
+         WHERE position > $1
+       ), '[]'::jsonb), updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [count, id]
+    );
+    return result.rows[0] || null;
   }
 
   /**
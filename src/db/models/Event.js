@@ -0,0 +1,135 @@
+/**
+ * Event model - persistent log of world actions and trigger reactions
+ */
+
+import { query } from '../index.js';
+
+export class Event {
+  /**
+   * Record a new event
+   * @param {Object} data - Event data
+   * @returns {Promise<Object>} Created event
+   */
+  static async create({
+    world_id,
+    cycle = null,
+    area_id = null,
+    actor_id = null,
+    event_type,
+    payload = {},
+    result = {}
+  }) {
+    const res = await query(
+      `INSERT INTO events (world_id, cycle, area_id, actor_id, event_type, payload, result)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [world_id, cycle, area_id, actor_id, event_type, JSON.stringify(payload), JSON.stringify(result)]
+    );
+    return res.rows[0];
+  }
+
+  /**
+   * Find an event by ID
+   * @param {number} id - Event ID
+   * @returns {Promise<Object|null>} Event or null
+   */
+  static async findById(id) {
+    const res = await query(
+      'SELECT * FROM events WHERE id = $1',
+      [id]
+    );
+    return res.rows[0] || null;
+  }
+
+  /**
+   * Find events in a world matching filters
+   * @param {Object} filters - Query filters
+   * @param {number} filters.world_id - World ID (required)
+   * @param {number} [filters.area_id] - Only events in this area
+   * @param {number} [filters.character_id] - Only events where this character is actor or target
+   * @param {Array<string>} [filters.types] - Only these event types
+   * @param {string} [filters.since] - Only events at or after this timestamp
+   * @param {string} [filters.until] - Only events at or before this timestamp
+   * @param {number} [filters.from_cycle] - Only events at or after this cycle
+   * @param {number} [filters.to_cycle] - Only events at or before this cycle
+   * @param {number} [filters.after_id] - Only events with a higher ID
+   * @param {number} [filters.limit] - Maximum number of events (default 100)
+   * @returns {Promise<Array>} Events in chronological order
+   */
+  static async query(filters) {
+    const conditions = ['world_id = $1'];
+    const values = [filters.world_id];
+    let paramCount = 2;
+
+    if (filters.area_id !== undefined) {
+      conditions.push(`area_id = $${paramCount++}`);
+      values.push(filters.area_id);
+    }
+    if (filters.character_id !== undefined) {
+      conditions.push(`(actor_id = $${paramCount} OR (payload->>'target_character_id')::int = $${paramCount})`);
+      paramCount++;
+      values.push(filters.character_id);
+    }
+    if (filters.types !== undefined && filters.types.length > 0) {
+      conditions.push(`event_type = ANY($${paramCount++})`);
+      values.push(filters.types);
+    }
+    if (filters.since !== undefined) {
+      conditions.push(`created_at >= $${paramCount++}`);
+      values.push(filters.since);
+    }
+    if (filters.until !== undefined) {
+      conditions.push(`created_at <= $${paramCount++}`);
+      values.push(filters.until);
+    }
+    if (filters.from_cycle !== undefined) {
+      conditions.push(`cycle >= $${paramCount++}`);
+      values.push(filters.from_cycle);
+    }
+    if (filters.to_cycle !== undefined) {
+      conditions.push(`cycle <= $${paramCount++}`);
+      values.push(filters.to_cycle);
+    }
+    if (filters.after_id !== undefined) {
+      conditions.push(`id > $${paramCount++}`);
+      values.push(filters.after_id);
+    }
+
+    values.push(filters.limit || 100);
+
+    const res = await query(
+      `SELECT * FROM events
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY id ASC
+       LIMIT $${paramCount}`,
+      values
+    );
+    return res.rows;
+  }
+
+  /**
+   * Get the ID of the most recent event in a world
+   * @param {number} world_id - World ID
+   * @returns {Promise<number>} Latest event ID, or 0 if the world has no events
+   */
+  static async latestId(world_id) {
+    const res = await query(
+      'SELECT COALESCE(MAX(id), 0) AS latest FROM events WHERE world_id = $1',
+      [world_id]
+    );
+    return res.rows[0].latest;
+  }
+
+  /**
+   * Delete all events for a world
+   * @param {number} world_id - World ID
+   * @returns {Promise<number>} Number of deleted events
+   */
+  static async deleteByWorldId(world_id) {
+    const res = await query(
+      'DELETE FROM events WHERE world_id = $1',
+      [world_id]
+    );
+    return res.rowCount;
+  }
+}
@@ -17,13 +17,14 @@ export class Item {
     properties = {},
     current_area_id = null,
     held_by_character_id = null,
-    held_location = null
+    held_location = null,
+    contained_in_item_id = null
   }) {
     const result = await query(
-      `INSERT INTO items (world_id, name, description, properties, current_area_id, held_by_character_id, held_location)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `INSERT INTO items (world_id, name, description, properties, current_area_id, held_by_character_id, held_location, contained_in_item_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING *`,
-      [world_id, name, description, JSON.stringify(properties), current_area_id, held_by_character_id, held_location]
+      [world_id, name, description, JSON.stringify(properties), current_area_id, held_by_character_id, held_location, contained_in_item_id]
     );
     return result.rows[0];
   }
@@ -80,6 +81,19 @@ export class Item {
     return result.rows;
   }
 
+  /**
+   * Find items inside a container
+   * @param {number} container_id - Container item ID
+   * @returns {Promise<Array>} Array of items
+   */
+  static async findByContainerId(container_id) {
+    const result = await query(
+      'SELECT * FROM items WHERE contained_in_item_id = $1 ORDER BY id ASC',
+      [container_id]
+    );
+    return result.rows;
+  }
+
   /**
    * Update an item
    * @param {number} id - Item ID
@@ -91,7 +105,7 @@ export class Item {
     const values = [];
     let paramCount = 1;
 
-    const simpleFields = ['name', 'description', 'current_area_id', 'held_by_character_id', 'held_location'];
+    const simpleFields = ['name', 'description', 'current_area_id', 'held_by_character_id', 'held_location', 'contained_in_item_id'];
     for (const field of simpleFields) {
       if (data[field] !== undefined) {
         updates.push(`${field} = $${paramCount++}`);
@@ -144,7 +158,8 @@ export class Item {
     return await Item.update(id, {
       current_area_id: area_id,
       held_by_character_id: null,
-      held_location: null
+      held_location: null,
+      contained_in_item_id: null
     });
   }
 
@@ -159,7 +174,23 @@ export class Item {
     return await Item.update(id, {
       current_area_id: null,
       held_by_character_id: character_id,
-      held_location: location
+      held_location: location,
+      contained_in_item_id: null
+    });
+  }
+
+  /**
+   * Put item inside a container item
+   * @param {number} id - Item ID
+   * @param {number} container_id - Container item ID
+   * @returns {Promise<Object|null>} Updated item
+   */
+  static async putInContainer(id, container_id) {
+    return await Item.update(id, {
+      current_area_id: null,
+      held_by_character_id: null,
+      held_location: null,
+      contained_in_item_id: container_id
     });
   }
 }
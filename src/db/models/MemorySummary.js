@@ -0,0 +1,61 @@
+/**
+ * MemorySummary model - condensed older memories of a character
+ */
+
+import { query } from '../index.js';
+
+export class MemorySummary {
+  /**
+   * Create a new memory summary
+   * @param {Object} data - Summary data
+   * @returns {Promise<Object>} Created summary
+   */
+  static async create({
+    character_id,
+    level = 1,
+    summary,
+    entry_count,
+    started_at = null,
+    ended_at = null
+  }) {
+    const result = await query(
+      `INSERT INTO memory_summaries (character_id, level, summary, entry_count, started_at, ended_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [character_id, level, summary, entry_count, started_at, ended_at]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find a character's summaries
+   * @param {number} character_id - Character ID
+   * @param {number} [level] - Only summaries at this level
+   * @returns {Promise<Array>} Summaries, oldest first
+   */
+  static async findByCharacterId(character_id, level = undefined) {
+    const result = level === undefined
+      ? await query(
+        'SELECT * FROM memory_summaries WHERE character_id = $1 ORDER BY started_at ASC, id ASC',
+        [character_id]
+      )
+      : await query(
+        'SELECT * FROM memory_summaries WHERE character_id = $1 AND level = $2 ORDER BY started_at ASC, id ASC',
+        [character_id, level]
+      );
+    return result.rows;
+  }
+
+  /**
+   * Delete summaries by ID
+   * @param {Array<number>} ids - Summary IDs
+   * @returns {Promise<number>} Number of deleted summaries
+   */
+  static async deleteByIds(ids) {
+    const result = await query(
+      'DELETE FROM memory_summaries WHERE id = ANY($1)',
+      [ids]
+    );
+    return result.rowCount;
+  }
+}
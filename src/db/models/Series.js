@@ -0,0 +1,122 @@
+/**
+ * Series model - represents a book series set in a world
+ */
+
+import { query } from '../index.js';
+
+export class Series {
+  /**
+   * Create a new series
+   * @param {Object} data - Series data
+   * @returns {Promise<Object>} Created series
+   */
+  static async create({
+    world_id,
+    name,
+    description = null,
+    design_file_path = null,
+    plot_outline = null,
+    open_slots = []
+  }) {
+    const result = await query(
+      `INSERT INTO series (world_id, name, description, design_file_path, plot_outline, open_slots)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [world_id, name, description, design_file_path, plot_outline, JSON.stringify(open_slots)]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find a series by ID
+   * @param {number} id - Series ID
+   * @returns {Promise<Object|null>} Series or null
+   */
+  static async findById(id) {
+    const result = await query(
+      'SELECT * FROM series WHERE id = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find all series in a world
+   * @param {number} world_id - World ID
+   * @returns {Promise<Array>} Series
+   */
+  static async findByWorldId(world_id) {
+    const result = await query(
+      'SELECT * FROM series WHERE world_id = $1 ORDER BY id ASC',
+      [world_id]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Find the series imported from a design file
+   * @param {string} design_file_path - Absolute path to the design file
+   * @returns {Promise<Object|null>} Series or null
+   */
+  static async findByDesignFile(design_file_path) {
+    const result = await query(
+      'SELECT * FROM series WHERE design_file_path = $1 ORDER BY id ASC LIMIT 1',
+      [design_file_path]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Update a series
+   * @param {number} id - Series ID
+   * @param {Object} data - Updated data
+   * @returns {Promise<Object|null>} Updated series or null
+   */
+  static async update(id, data) {
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    const simpleFields = ['name', 'description', 'design_file_path', 'plot_outline'];
+    for (const field of simpleFields) {
+      if (data[field] !== undefined) {
+        updates.push(`${field} = $${paramCount++}`);
+        values.push(data[field]);
+      }
+    }
+
+    if (data.open_slots !== undefined) {
+      updates.push(`open_slots = $${paramCount++}`);
+      values.push(JSON.stringify(data.open_slots));
+    }
+
+    if (updates.length === 0) {
+      return await Series.findById(id);
+    }
+
+    updates.push(`updated_at = NOW()`);
+    values.push(id);
+
+    const result = await query(
+      `UPDATE series SET ${updates.join(', ')}
+       WHERE id = $${paramCount}
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a series (cascades to its books and chapters)
+   * @param {number} id - Series ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    const result = await query(
+      'DELETE FROM series WHERE id = $1',
+      [id]
+    );
+    return result.rowCount > 0;
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * Species model - physical traits shared by the characters of a species
+ */
+
+import { query } from '../index.js';
+
+// Human values, used for characters whose species has no row
+export const DEFAULT_SPECIES = {
+  id: null,
+  name: 'human',
+  description: '',
+  nutrition_loss_per_hour: 4,
+  hydration_loss_per_hour: 6,
+  tiredness_gain_per_hour: 6,
+  sleep_recovery_per_hour: 300,
+  healing_per_hour: 0.5,
+  comfort_min_temperature: 16,
+  comfort_max_temperature: 26,
+  body_parts: [
+    'head', 'torso', 'left arm', 'right arm', 'left hand', 'right hand',
+    'left leg', 'right leg', 'left foot', 'right foot',
+  ],
+  carrying_slots: ['right hand', 'left hand', 'back', 'belt', 'right pocket', 'left pocket'],
+  carry_capacity: 25,
+};
+
+// Rates and temperatures come back from PostgreSQL as NUMERIC strings
+const NUMERIC_FIELDS = [
+  'nutrition_loss_per_hour', 'hydration_loss_per_hour', 'tiredness_gain_per_hour',
+  'sleep_recovery_per_hour', 'healing_per_hour', 'comfort_min_temperature', 'comfort_max_temperature',
+  'carry_capacity',
+];
+
+/**
+ * Convert NUMERIC columns of a species row to numbers
+ * @param {Object|undefined} row - Species row
+ * @returns {Object|null} Species or null
+ */
+function toSpecies(row) {
+  if (!row) return null;
+  const species = { ...row };
+  for (const field of NUMERIC_FIELDS) {
+    species[field] = parseFloat(species[field]);
+  }
+  return species;
+}
+
+export class Species {
+  /**
+   * Create a new species and link the world's characters already using its name
+   * @param {Object} data - Species data (missing traits default to DEFAULT_SPECIES)
+   * @returns {Promise<Object>} Created species
+   */
+  static async create(data) {
+    const species = { ...DEFAULT_SPECIES, ...data };
+
+    const result = await query(
+      `INSERT INTO species (
+        world_id, name, description,
+        nutrition_loss_per_hour, hydration_loss_per_hour, tiredness_gain_per_hour,
+        sleep_recovery_per_hour, healing_per_hour,
+        comfort_min_temperature, comfort_max_temperature,
+        body_parts, carrying_slots, carry_capacity
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *`,
+      [
+        species.world_id, species.name, species.description,
+        species.nutrition_loss_per_hour, species.hydration_loss_per_hour, species.tiredness_gain_per_hour,
+        species.sleep_recovery_per_hour, species.healing_per_hour,
+        species.comfort_min_temperature, species.comfort_max_temperature,
+        species.body_parts, species.carrying_slots, species.carry_capacity,
+      ]
+    );
+    const created = result.rows[0];
+
+    await query(
+      `UPDATE characters SET species_id = $1
+       WHERE world_id = $2 AND species_id IS NULL AND LOWER(species) = LOWER($3)`,
+      [created.id, created.world_id, created.name]
+    );
+
+    return toSpecies(created);
+  }
+
+  /**
+   * Find a species by ID
+   * @param {number} id - Species ID
+   * @returns {Promise<Object|null>} Species or null
+   */
+  static async findById(id) {
+    const result = await query(
+      'SELECT * FROM species WHERE id = $1',
+      [id]
+    );
+    return toSpecies(result.rows[0]);
+  }
+
+  /**
+   * Find all species in a world
+   * @param {number} world_id - World ID
+   * @returns {Promise<Array>} Species
+   */
+  static async findByWorldId(world_id) {
+    const result = await query(
+      'SELECT * FROM species WHERE world_id = $1 ORDER BY name ASC',
+      [world_id]
+    );
+    return result.rows.map(toSpecies);
+  }
+
+  /**
+   * Find a species in a world by name (case-insensitive)
+   * @param {number} world_id - World ID
+   * @param {string} name - Species name
+   * @returns {Promise<Object|null>} Species or null
+   */
+  static async findByName(world_id, name) {
+    const result = await query(
+      'SELECT * FROM species WHERE world_id = $1 AND LOWER(name) = LOWER($2)',
+      [world_id, name]
+    );
+    return toSpecies(result.rows[0]);
+  }
+
+  /**
+   * Get the species traits that apply to a character
+   * @param {Object} character - Character row
+   * @returns {Promise<Object>} Linked species, species with the same name, or DEFAULT_SPECIES
+   */
+  static async forCharacter(character) {
+    if (character.species_id) {
+      const species = await Species.findById(character.species_id);
+      if (species) return species;
+    }
+    if (character.species) {
+      const species = await Species.findByName(character.world_id, character.species);
+      if (species) return species;
+    }
+    return DEFAULT_SPECIES;
+  }
+
+  /**
+   * Update a species (renaming also renames its characters' species)
+   * @param {number} id - Species ID
+   * @param {Object} data - Updated data
+   * @returns {Promise<Object|null>} Updated species or null
+   */
+  static async update(id, data) {
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    const simpleFields = ['name', 'description', ...NUMERIC_FIELDS, 'body_parts', 'carrying_slots'];
+    for (const field of simpleFields) {
+      if (data[field] !== undefined) {
+        updates.push(`${field} = $${paramCount++}`);
+        values.push(data[field]);
+      }
+    }
+
+    if (updates.length === 0) {
+      return await Species.findById(id);
+    }
+
+    updates.push(`updated_at = NOW()`);
+    values.push(id);
+
+    const result = await query(
+      `UPDATE species SET ${updates.join(', ')}
+       WHERE id = $${paramCount}
+       RETURNING *`,
+      values
+    );
+
+    if (result.rows[0] && data.name !== undefined) {
+      await query('UPDATE characters SET species = $1 WHERE species_id = $2', [data.name, id]);
+    }
+
+    return toSpecies(result.rows[0]);
+  }
+
+  /**
+   * Delete a species (its characters fall back to default traits)
+   * @param {number} id - Species ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    const result = await query(
+      'DELETE FROM species WHERE id = $1',
+      [id]
+    );
+    return result.rowCount > 0;
+  }
+}
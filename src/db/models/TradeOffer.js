@@ -0,0 +1,72 @@
+/**
+ * TradeOffer model - an item swap one character proposes to another
+ */
+
+import { query } from '../index.js';
+
+export class TradeOffer {
+  /**
+   * Create a new open trade offer
+   * @param {Object} data - Offer data
+   * @returns {Promise<Object>} Created offer
+   */
+  static async create({
+    world_id,
+    from_character_id,
+    to_character_id,
+    item_id,
+    requested_item_id
+  }) {
+    const result = await query(
+      `INSERT INTO trade_offers (world_id, from_character_id, to_character_id, item_id, requested_item_id)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [world_id, from_character_id, to_character_id, item_id, requested_item_id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find an offer by ID
+   * @param {number} id - Offer ID
+   * @returns {Promise<Object|null>} Offer or null
+   */
+  static async findById(id) {
+    const result = await query(
+      'SELECT * FROM trade_offers WHERE id = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the open offers made to a character
+   * @param {number} character_id - Character ID
+   * @returns {Promise<Array>} Offers, newest first
+   */
+  static async findOpenForCharacter(character_id) {
+    const result = await query(
+      `SELECT * FROM trade_offers
+       WHERE to_character_id = $1 AND status = 'open'
+       ORDER BY created_at DESC, id DESC`,
+      [character_id]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Close an offer
+   * @param {number} id - Offer ID
+   * @param {string} status - 'accepted' or 'cancelled'
+   * @returns {Promise<Object|null>} Updated offer or null
+   */
+  static async resolve(id, status) {
+    const result = await query(
+      `UPDATE trade_offers SET status = $1, resolved_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [status, id]
+    );
+    return result.rows[0] || null;
+  }
+}
@@ -48,7 +48,7 @@ export class World {
    * @param {Object} data - Updated data
    * @returns {Promise<Object|null>} Updated world or null
    */
-  static async update(id, { name, description }) {
+  static async update(id, { name, description, clock_minutes, minutes_per_cycle }) {
     const updates = [];
     const values = [];
     let paramCount = 1;
@@ -61,6 +61,14 @@ export class World {
       updates.push(`description = $${paramCount++}`);
       values.push(description);
     }
+    if (clock_minutes !== undefined) {
+      updates.push(`clock_minutes = $${paramCount++}`);
+      values.push(clock_minutes);
+    }
+    if (minutes_per_cycle !== undefined) {
+      updates.push(`minutes_per_cycle = $${paramCount++}`);
+      values.push(minutes_per_cycle);
+    }
 
     if (updates.length === 0) {
       return await World.findById(id);
@@ -79,6 +87,21 @@ export class World {
     return result.rows[0] || null;
   }
 
+  /**
+   * Move a world's clock on by one cycle
+   * @param {number} id - World ID
+   * @returns {Promise<Object|null>} Updated world or null
+   */
+  static async advanceClock(id) {
+    const result = await query(
+      `UPDATE worlds SET cycle = cycle + 1, clock_minutes = clock_minutes + minutes_per_cycle
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
   /**
    * Delete a world
    * @param {number} id - World ID
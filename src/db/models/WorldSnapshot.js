@@ -0,0 +1,63 @@
+/**
+ * WorldSnapshot model - a labelled copy of a world's rows at one cycle
+ */
+
+import { query } from '../index.js';
+
+export class WorldSnapshot {
+  /**
+   * Store a snapshot
+   * @param {Object} data - Snapshot data
+   * @returns {Promise<Object>} Created snapshot, without its data
+   */
+  static async create({ world_id, label, cycle, data }) {
+    const result = await query(
+      `INSERT INTO world_snapshots (world_id, label, cycle, data)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, world_id, label, cycle, created_at`,
+      [world_id, label, cycle, JSON.stringify(data)]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find a snapshot by ID
+   * @param {number} id - Snapshot ID
+   * @returns {Promise<Object|null>} Snapshot with its data, or null
+   */
+  static async findById(id) {
+    const result = await query(
+      'SELECT * FROM world_snapshots WHERE id = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find a world's snapshots, without their data
+   * @param {number} world_id - World ID
+   * @returns {Promise<Array>} Snapshots, oldest first
+   */
+  static async findByWorldId(world_id) {
+    const result = await query(
+      `SELECT id, world_id, label, cycle, created_at FROM world_snapshots
+       WHERE world_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [world_id]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {number} id - Snapshot ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    const result = await query(
+      'DELETE FROM world_snapshots WHERE id = $1',
+      [id]
+    );
+    return result.rowCount > 0;
+  }
+}
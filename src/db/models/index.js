@@ -7,3 +7,11 @@ export { Area } from './Area.js';
 export { Character } from './Character.js';
 export { Item } from './Item.js';
 export { WritingStyle } from './WritingStyle.js';
+export { Event } from './Event.js';
+export { Series } from './Series.js';
+export { Book } from './Book.js';
+export { Chapter } from './Chapter.js';
+export { MemorySummary } from './MemorySummary.js';
+export { Species, DEFAULT_SPECIES } from './Species.js';
+export { TradeOffer } from './TradeOffer.js';
+export { WorldSnapshot } from './WorldSnapshot.js';
@@ -13,6 +13,65 @@ import { Character } from '../../db/models/index.js';
 // In-memory session storage (would use Redis or database in production)
 const sessions = new Map();
 
+// Tools that act on behalf of a character and need a matching player session
+// when called over the player (WebSocket) transport
+export const SESSION_PROTECTED_TOOLS = new Set([
+  'character_move',
+  'character_speak',
+  'character_consume',
+  'character_attack',
+  'character_update_state',
+  'character_add_memory',
+  'item_pickup',
+  'item_drop',
+  'item_put_in',
+  'item_take_out',
+  'item_give',
+  'item_offer_trade',
+  'item_accept_trade',
+  'item_steal',
+]);
+
+// Tools for designers and server-side agents only; never callable by players
+export const SERVER_ONLY_TOOLS = new Set([
+  'series_create',
+  'series_update',
+  'series_delete',
+  'book_create',
+  'book_update',
+  'book_delete',
+  'chapter_create',
+  'chapter_update',
+  'chapter_delete',
+  'series_validate',
+  'series_import',
+  'book_export',
+  'event_query',
+  'event_get',
+  'world_create',
+  'area_create',
+  'item_create',
+  'character_set_vital_status',
+  'species_create',
+  'species_update',
+  'species_delete',
+  'world_set_clock',
+  'world_import',
+  'world_export',
+  'world_snapshot_create',
+  'world_snapshot_list',
+  'world_snapshot_restore',
+  'world_snapshot_fork',
+  'world_snapshot_delete',
+]);
+
+// Tools whose outcome follows from an optional `seed` argument. Only the
+// server and replays may choose it, or a player could pick a winning roll
+export const SERVER_SEEDED_TOOLS = new Set([
+  'character_attack',
+  'item_steal',
+]);
+
 /**
  * Create a new player session
  * @param {string} playerId - Unique player identifier
@@ -127,6 +186,46 @@ export async function canControlCharacter(playerId, characterId) {
   return character.owner_id === playerId;
 }
 
+/**
+ * Require a valid session for a character
+ * @param {string|null} token - Session token held by the connection
+ * @param {number} characterId - Character the caller wants to act as
+ * @returns {Object} Session data
+ */
+export function requireCharacterSession(token, characterId) {
+  const session = token ? validateSession(token) : null;
+
+  if (!session) {
+    throw new Error('No valid session: claim a character with player_claim_character first');
+  }
+
+  if (session.characterId !== characterId) {
+    throw new Error(`Session does not control character ${characterId}`);
+  }
+
+  return session;
+}
+
+/**
+ * Check that a player connection may call a tool with the given arguments
+ * @param {string} toolName - Tool being called
+ * @param {Object} args - Tool arguments
+ * @param {string|null} token - Session token held by the connection
+ */
+export function authorizeToolCall(toolName, args, token) {
+  if (SERVER_ONLY_TOOLS.has(toolName)) {
+    throw new Error(`${toolName} is not available to player connections`);
+  }
+
+  if (SERVER_SEEDED_TOOLS.has(toolName) && args.seed !== undefined) {
+    throw new Error(`${toolName} does not take a seed from player connections`);
+  }
+
+  if (SESSION_PROTECTED_TOOLS.has(toolName)) {
+    requireCharacterSession(token, args.character_id);
+  }
+}
+
 /**
  * Generate a random session token
  * @returns {string} Session token
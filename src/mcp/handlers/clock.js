@@ -0,0 +1,173 @@
+/**
+ * World clock
+ *
+ * Each world keeps a simulation cycle count and an in-world clock, counted in
+ * minutes since midnight before day 1. The agent controller moves both on once
+ * per cycle (World.advanceClock), then evaluates time-based triggers:
+ *
+ * - time_of_day: {at: "HH:MM"} or {period: "night"}; fires in the cycle the clock
+ *   reaches that time or the start of that period
+ * - elapsed_cycles: {every: N, offset?: M} repeats every N cycles (from cycle M);
+ *   {after: N} fires once at cycle N
+ * - schedule: {cron: "minute hour [day]"}; fires in each cycle whose stretch of
+ *   time includes a matching minute
+ */
+
+export const MINUTES_PER_DAY = 24 * 60;
+
+// Parts of the day, by the time they start
+const PERIODS = [
+  { name: 'night', from: 0 },
+  { name: 'morning', from: 6 * 60 },
+  { name: 'afternoon', from: 12 * 60 },
+  { name: 'evening', from: 18 * 60 },
+  { name: 'night', from: 22 * 60 },
+];
+
+// Period start times for time_of_day conditions (night starts at 22:00)
+const PERIOD_STARTS = {
+  morning: 6 * 60,
+  afternoon: 12 * 60,
+  evening: 18 * 60,
+  night: 22 * 60,
+};
+
+// Trigger condition types evaluated on the clock rather than on actions
+export const CLOCK_CONDITION_TYPES = ['time_of_day', 'elapsed_cycles', 'schedule'];
+
+/**
+ * Parse a time of day
+ * @param {string} time - "HH:MM" (24-hour)
+ * @returns {number} Minutes since midnight
+ */
+export function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time of day: "${time}" (expected HH:MM)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Format minutes since midnight as "HH:MM"
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Time of day
+ */
+export function formatTime(minutes) {
+  const ofDay = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(ofDay / 60))}:${pad(ofDay % 60)}`;
+}
+
+/**
+ * Describe a world's clock
+ * @param {Object} world - World row
+ * @returns {Object} {cycle, day, time, period, minutes_per_cycle}
+ */
+export function describeClock(world) {
+  const minutes = world.clock_minutes;
+  const ofDay = minutes % MINUTES_PER_DAY;
+  const period = [...PERIODS].reverse().find(p => ofDay >= p.from).name;
+
+  return {
+    cycle: world.cycle,
+    day: Math.floor(minutes / MINUTES_PER_DAY) + 1,
+    time: formatTime(minutes),
+    period,
+    minutes_per_cycle: world.minutes_per_cycle,
+  };
+}
+
+/**
+ * Parse one field of a cron-like schedule
+ * @param {string} field - "*", "5", "1-5", "0,30", "*\/15" or "6-18/2"
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @returns {Function} Returns whether a value matches
+ */
+function parseCronField(field, min, max) {
+  const parts = field.split(',').map(part => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid schedule field: "${field}"`);
+    }
+    const from = match[1] === '*' ? min : Number(match[2]);
+    const to = match[1] === '*' ? max : (match[3] !== undefined ? Number(match[3]) : (match[4] ? max : from));
+    const step = match[4] ? Number(match[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid schedule field: "${field}" (values ${min}-${max})`);
+    }
+    return (value) => value >= from && value <= to && (value - from) % step === 0;
+  });
+  return (value) => parts.some(matches => matches(value));
+}
+
+/**
+ * Parse a cron-like schedule
+ * @param {string} cron - "minute hour [day]", where day counts from 1
+ * @returns {Function} Returns whether an in-world minute (clock_minutes) matches
+ */
+export function parseSchedule(cron) {
+  const fields = String(cron).trim().split(/\s+/);
+  if (fields.length < 2 || fields.length > 3) {
+    throw new Error(`Invalid schedule: "${cron}" (expected "minute hour [day]")`);
+  }
+
+  const minute = parseCronField(fields[0], 0, 59);
+  const hour = parseCronField(fields[1], 0, 23);
+  const day = fields[2] ? parseCronField(fields[2], 1, Number.MAX_SAFE_INTEGER) : () => true;
+
+  return (minutes) => {
+    const ofDay = minutes % MINUTES_PER_DAY;
+    return minute(ofDay % 60) && hour(Math.floor(ofDay / 60)) && day(Math.floor(minutes / MINUTES_PER_DAY) + 1);
+  };
+}
+
+/**
+ * Check whether any in-world minute a cycle covered matches
+ * @param {Object} tick - {previous_minutes, minutes}
+ * @param {Function} matches - Returns whether a minute matches
+ * @returns {boolean} True when a minute after previous_minutes, up to minutes, matches
+ */
+function anyMinuteMatches(tick, matches) {
+  // A cycle longer than a day still passes each time of day once at most
+  const from = Math.max(tick.previous_minutes + 1, tick.minutes - MINUTES_PER_DAY + 1);
+  for (let m = from; m <= tick.minutes; m++) {
+    if (matches(m)) return true;
+  }
+  return false;
+}
+
+/**
+ * Check whether a clock condition holds for a cycle
+ * @param {Object} condition - Trigger condition with a type in CLOCK_CONDITION_TYPES
+ * @param {Object} tick - {cycle, minutes, previous_minutes}
+ * @returns {boolean} Whether the trigger should fire
+ */
+export function matchesClockCondition(condition, tick) {
+  switch (condition.type) {
+    case 'time_of_day': {
+      const start = condition.period !== undefined
+        ? PERIOD_STARTS[condition.period]
+        : parseTime(condition.at);
+      if (start === undefined) {
+        throw new Error(`Unknown period: "${condition.period}" (${Object.keys(PERIOD_STARTS).join(', ')})`);
+      }
+      return anyMinuteMatches(tick, m => m % MINUTES_PER_DAY === start);
+    }
+
+    case 'elapsed_cycles': {
+      if (condition.after !== undefined) {
+        return tick.cycle === condition.after;
+      }
+      const offset = condition.offset || 0;
+      return condition.every > 0 && tick.cycle >= offset && (tick.cycle - offset) % condition.every === 0;
+    }
+
+    case 'schedule':
+      return anyMinuteMatches(tick, parseSchedule(condition.cron));
+
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Combat resolution
+ *
+ * An attack is resolved from the attacker's weapon, the body part aimed at
+ * and both characters' alertness. All chance comes from a seeded generator,
+ * so the same seed and state always give the same outcome; the seed is
+ * recorded with the attack so fights can be replayed.
+ */
+
+// Unarmed attacks bruise
+export const UNARMED = { name: 'bare hands', damage: 4, damage_type: 'bruise', accuracy: 0 };
+
+// Damage type for weapons that do not set one
+const DEFAULT_WEAPON_DAMAGE_TYPE = 'cut';
+
+// Chance to hit before alertness, accuracy and aiming
+const BASE_HIT_CHANCE = 0.7;
+
+// Aiming at a particular body part makes a hit less likely
+const AIMED_HIT_PENALTY = 0.2;
+
+// How fast each damage type heals, relative to the species' healing_per_hour
+export const HEALING_RATES = {
+  bruise: 2,
+  cut: 1,
+  burn: 0.5,
+  pierce: 0.5,
+  fracture: 0.25,
+};
+
+/**
+ * Get how fast a damage type heals
+ * @param {string} type - Damage type
+ * @returns {number} Multiplier of the species healing rate (1 for unlisted types)
+ */
+export function healingRate(type) {
+  return HEALING_RATES[type] ?? 1;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw a fresh seed from Math.random
+ * @returns {number} 32-bit integer seed
+ */
+export function freshSeed() {
+  return Math.floor(Math.random() * 2 ** 31);
+}
+
+// Where randomSeed() gets its seeds; recordings and replays swap this out
+let seedSource = freshSeed;
+
+/**
+ * Set where unseeded attacks and steals get their seeds
+ * @param {Function|null} source - () => seed, or null for freshSeed
+ */
+export function setSeedSource(source) {
+  seedSource = source || freshSeed;
+}
+
+/**
+ * Pick a seed for an attack that was not given one
+ * @returns {number} 32-bit integer seed
+ */
+export function randomSeed() {
+  return seedSource();
+}
+
+/**
+ * Describe an item as a weapon
+ * @param {Object} item - Item row
+ * @returns {Object|null} {item_id, name, damage, damage_type, accuracy} or null if it does no damage
+ */
+export function asWeapon(item) {
+  const properties = item.properties || {};
+  const damage = Number(properties.damage) || 0;
+  if (damage <= 0) return null;
+
+  return {
+    item_id: item.id,
+    name: item.name,
+    damage,
+    damage_type: properties.damage_type || DEFAULT_WEAPON_DAMAGE_TYPE,
+    accuracy: Number(properties.accuracy) || 0,
+  };
+}
+
+/**
+ * Pick the most damaging weapon a character has to hand (pockets don't count)
+ * @param {Array} inventory - Items held by the character
+ * @returns {Object} Weapon, or UNARMED
+ */
+export function chooseWeapon(inventory) {
+  return (inventory || [])
+    .filter(item => !(item.held_location || '').includes('pocket'))
+    .map(asWeapon)
+    .filter(Boolean)
+    .reduce((best, weapon) => (weapon.damage > best.damage ? weapon : best), UNARMED);
+}
+
+/**
+ * Resolve one attack
+ * @param {Object} attack - Attack details
+ * @param {Object} attack.attacker - Attacking character
+ * @param {Object} attack.target - Target character
+ * @param {Object} attack.weapon - Weapon from chooseWeapon or asWeapon
+ * @param {Array<string>} attack.bodyParts - The target species' body parts
+ * @param {string} [attack.part] - Body part aimed at (random when omitted)
+ * @param {number} attack.seed - Random seed
+ * @returns {Object} {hit, part, type, severity, chance, roll}
+ */
+export function resolveAttack({ attacker, target, weapon, bodyParts, part = null, seed }) {
+  const rng = createRng(seed);
+  const attackerAlertness = parseFloat(attacker.alertness);
+  const targetAlertness = parseFloat(target.alertness);
+
+  // A sharp attacker hits more often; a sharp target dodges more often
+  let chance = BASE_HIT_CHANCE + (attackerAlertness - targetAlertness) / 200 + weapon.accuracy / 100;
+  if (part) {
+    chance -= AIMED_HIT_PENALTY;
+  }
+  chance = Math.min(0.95, Math.max(0.05, chance));
+
+  const roll = rng();
+  const struck = part || bodyParts[Math.floor(rng() * bodyParts.length)];
+  if (roll >= chance) {
+    return { hit: false, part: struck, type: weapon.damage_type, severity: 0, chance, roll };
+  }
+
+  // Between 50% and 150% of the weapon's damage, scaled by how alert the attacker is
+  const severity = weapon.damage * (0.5 + rng()) * (0.5 + attackerAlertness / 200);
+  return {
+    hit: true,
+    part: struck,
+    type: weapon.damage_type,
+    severity: Math.round(Math.min(100, severity) * 10) / 10,
+    chance,
+    roll,
+  };
+}
+
+/**
+ * Add an injury to a damage array, worsening an existing one of the same part and type
+ * @param {Array} damage - Array of {part, type, severity}
+ * @param {Object} injury - {part, type, severity}
+ * @returns {Array} Updated damage
+ */
+export function addInjury(damage, injury) {
+  const existing = (damage || []).find(d => d.part === injury.part && d.type === injury.type);
+  if (existing) {
+    return damage.map(d => (d === existing ? { ...d, severity: Math.min(100, d.severity + injury.severity) } : d));
+  }
+  return [...(damage || []), { part: injury.part, type: injury.type, severity: Math.min(100, injury.severity) }];
+}
@@ -0,0 +1,139 @@
+/**
+ * World events
+ *
+ * Two related streams live here:
+ *
+ * 1. The persistent event log (events table). Every move, speak, pickup, drop,
+ *    wait, sleep and trigger reaction is recorded with its cycle number. This is
+ *    the single source for the narrator, replays and debugging.
+ *
+ * 2. The live event bus. Tools publish what happens in an area so that connected
+ *    players can be told:
+ *    - Character arrives / departs
+ *    - Character speech
+ *    - Item picked up / dropped / appeared
+ *    - Trigger effects
+ *
+ *    Live events are delivered to subscribers in this process directly and to other
+ *    processes (e.g. the MCP server while the agent controller acts) via PostgreSQL NOTIFY.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { query, listen } from '../../db/index.js';
+import { Event } from '../../db/models/index.js';
+
+const CHANNEL = 'world_events';
+
+// Identifies events published by this process so NOTIFY echoes can be skipped
+const INSTANCE_ID = randomUUID();
+
+const localEvents = new EventEmitter();
+
+// Current simulation cycle per world, set by the agent controller
+const currentCycles = new Map();
+
+/**
+ * Set the simulation cycle that new log entries for a world belong to
+ * @param {number} worldId - World ID
+ * @param {number} cycle - Cycle number
+ */
+export function setCurrentCycle(worldId, cycle) {
+  currentCycles.set(worldId, cycle);
+}
+
+/**
+ * Get the current simulation cycle for a world
+ * @param {number} worldId - World ID
+ * @returns {number|null} Cycle number or null outside the agent controller
+ */
+export function getCurrentCycle(worldId) {
+  return currentCycles.has(worldId) ? currentCycles.get(worldId) : null;
+}
+
+/**
+ * Record an action or reaction in the persistent event log
+ * @param {Object} data - Event data (world_id, area_id, actor_id, event_type, payload, result)
+ * @returns {Promise<Object>} Created event
+ */
+export async function recordEvent(data) {
+  return await Event.create({
+    ...data,
+    cycle: data.cycle !== undefined ? data.cycle : getCurrentCycle(data.world_id),
+  });
+}
+
+/**
+ * Publish a world event
+ * @param {Object} event - Event data; must include type and area_id
+ */
+export async function publishWorldEvent(event) {
+  const payload = {
+    ...event,
+    timestamp: new Date().toISOString(),
+  };
+
+  localEvents.emit('event', payload);
+
+  try {
+    await query('SELECT pg_notify($1, $2)', [
+      CHANNEL,
+      JSON.stringify({ ...payload, origin: INSTANCE_ID }),
+    ]);
+  } catch (error) {
+    // Delivery to other processes is best effort; the action itself already happened
+    console.error('Failed to publish world event:', error.message);
+  }
+}
+
+/**
+ * Subscribe to world events from this and other processes
+ * @param {Function} handler - Called with each event object
+ * @returns {Promise<Function>} Unsubscribe function
+ */
+export async function subscribeWorldEvents(handler) {
+  localEvents.on('event', handler);
+
+  const client = await listen(CHANNEL, (raw) => {
+    try {
+      const { origin, ...event } = JSON.parse(raw);
+      if (origin !== INSTANCE_ID) {
+        handler(event);
+      }
+    } catch (error) {
+      console.error('Invalid world event notification:', error.message);
+    }
+  });
+
+  return async () => {
+    localEvents.off('event', handler);
+    await client.end();
+  };
+}
+
+/**
+ * Build a public summary of a character for event payloads
+ * @param {Object} character - Character row
+ * @returns {Object} Character summary
+ */
+export function summarizeCharacter(character) {
+  return {
+    id: character.id,
+    name: character.name,
+    species: character.species,
+    description: character.description,
+  };
+}
+
+/**
+ * Build a public summary of an item for event payloads
+ * @param {Object} item - Item row
+ * @returns {Object} Item summary
+ */
+export function summarizeItem(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    description: item.description,
+  };
+}
@@ -0,0 +1,277 @@
+/**
+ * Carrying and containers
+ *
+ * Characters carry one item per slot of their species (hands, back, belt,
+ * pockets...). Items may be containers holding other items, to any depth.
+ *
+ * Item properties used:
+ * - weight: kg (default 0)
+ * - volume: litres (default 0)
+ * - capacity: litres a container holds; an item with a capacity is a container
+ * - max_weight: kg a container holds (optional)
+ *
+ * A slot takes items up to its volume limit. A character carries up to their
+ * species' carry_capacity in total weight, contents included.
+ */
+
+import { Character, Item, Species } from '../../db/models/index.js';
+
+// Largest item volume (litres) for slots whose name contains each word
+const SLOT_VOLUME_LIMITS = {
+  pocket: 1,
+  belt: 2,
+  hand: 20,
+  back: 60,
+};
+
+// Limit for slots matching none of the words above
+const DEFAULT_SLOT_VOLUME_LIMIT = 20;
+
+// Share of carry capacity at which each encumbrance level starts
+const ENCUMBRANCE_LEVELS = [
+  { from: 0.8, level: 'heavily burdened' },
+  { from: 0.5, level: 'burdened' },
+  { from: 0, level: 'unburdened' },
+];
+
+/**
+ * Get an item's weight in kg
+ * @param {Object} item - Item row
+ * @returns {number} Weight, without contents
+ */
+export function itemWeight(item) {
+  return Number((item.properties || {}).weight) || 0;
+}
+
+/**
+ * Get an item's volume in litres
+ * @param {Object} item - Item row
+ * @returns {number} Volume
+ */
+export function itemVolume(item) {
+  return Number((item.properties || {}).volume) || 0;
+}
+
+/**
+ * Check whether an item can hold other items
+ * @param {Object} item - Item row
+ * @returns {boolean} True when it has a capacity
+ */
+export function isContainer(item) {
+  return Number((item.properties || {}).capacity) > 0;
+}
+
+/**
+ * Get the largest item volume a slot takes
+ * @param {string} slot - Slot name
+ * @returns {number} Volume limit in litres
+ */
+export function slotVolumeLimit(slot) {
+  const word = Object.keys(SLOT_VOLUME_LIMITS).find(w => slot.includes(w));
+  return word ? SLOT_VOLUME_LIMITS[word] : DEFAULT_SLOT_VOLUME_LIMIT;
+}
+
+/**
+ * Load an item's contents, and theirs, recursively
+ * @param {Object} item - Item row
+ * @returns {Promise<Object>} Item with a contents array
+ */
+export async function loadContents(item) {
+  const contents = await Item.findByContainerId(item.id);
+  return { ...item, contents: await Promise.all(contents.map(loadContents)) };
+}
+
+/**
+ * Load everything a character carries, with nested contents
+ * @param {number} characterId - Character ID
+ * @returns {Promise<Array>} Held items, each with a contents array
+ */
+export async function loadInventory(characterId) {
+  const items = await Character.getInventory(characterId);
+  return await Promise.all(items.map(loadContents));
+}
+
+/**
+ * Total weight of an item and everything inside it
+ * @param {Object} item - Item with contents (see loadContents)
+ * @returns {number} Weight in kg
+ */
+export function totalWeight(item) {
+  return itemWeight(item) + (item.contents || []).reduce((sum, inner) => sum + totalWeight(inner), 0);
+}
+
+/**
+ * Describe how weighed down a character is
+ * @param {number} weight - Weight carried in kg
+ * @param {number} capacity - Species carry capacity in kg
+ * @returns {Object} {weight, capacity, level}
+ */
+export function describeEncumbrance(weight, capacity) {
+  const share = capacity > 0 ? weight / capacity : 1;
+  const { level } = ENCUMBRANCE_LEVELS.find(l => share >= l.from);
+  return { weight: Math.round(weight * 10) / 10, capacity, level };
+}
+
+/**
+ * Find where an item ultimately is, looking through its containers
+ * @param {Object} item - Item row
+ * @returns {Promise<Object>} {area_id, character_id} of the outermost container
+ */
+export async function locateItem(item) {
+  let outer = item;
+  while (outer.contained_in_item_id) {
+    outer = await Item.findById(outer.contained_in_item_id);
+  }
+  return { area_id: outer.current_area_id, character_id: outer.held_by_character_id };
+}
+
+/**
+ * Check whether a character can reach an item: carried (at any depth) or in their area
+ * @param {Object} character - Character row
+ * @param {Object} item - Item row
+ * @returns {Promise<boolean>} True when reachable
+ */
+export async function canReach(character, item) {
+  const { area_id, character_id } = await locateItem(item);
+  return character_id === character.id ||
+    (area_id !== null && area_id === character.current_area_id);
+}
+
+/**
+ * Find the first free slot that takes an item
+ * @param {Object} species - Species row (see Species.forCharacter)
+ * @param {Array} inventory - Items held by the character
+ * @param {Object} item - Item to carry
+ * @returns {string|null} Slot name, or null when none is free and big enough
+ */
+export function findFreeSlot(species, inventory, item) {
+  return species.carrying_slots.find(slot =>
+    !inventory.some(i => i.held_location === slot) && itemVolume(item) <= slotVolumeLimit(slot)
+  ) || null;
+}
+
+/**
+ * Refuse a slot that the species lacks, that is taken, or that is too small
+ * @param {Object} species - Species row
+ * @param {Array} inventory - Items held by the character, without the item itself
+ * @param {Object} character - Character row
+ * @param {Object} item - Item to carry
+ * @param {string} slot - Slot to carry it in
+ */
+function checkSlot(species, inventory, character, item, slot) {
+  if (!species.carrying_slots.includes(slot)) {
+    throw new Error(`A ${species.name} cannot carry things in "${slot}" (slots: ${species.carrying_slots.join(', ')})`);
+  }
+  const occupant = inventory.find(i => i.held_location === slot);
+  if (occupant) {
+    throw new Error(`${character.name} already has ${occupant.name} in ${slot}`);
+  }
+  if (itemVolume(item) > slotVolumeLimit(slot)) {
+    throw new Error(`${item.name} is too big to carry in ${slot}`);
+  }
+}
+
+/**
+ * Refuse an item that would take a character over their carry capacity
+ * @param {Object} species - Species row
+ * @param {Array} inventory - Items held by the character, with contents
+ * @param {Object} character - Character row
+ * @param {Object} item - Item to add
+ */
+async function checkWeight(species, inventory, character, item) {
+  const carried = inventory.reduce((sum, i) => sum + totalWeight(i), 0);
+  const adding = totalWeight(await loadContents(item));
+  if (carried + adding > species.carry_capacity) {
+    throw new Error(`${item.name} is too heavy: ${character.name} carries ${carried.toFixed(1)} of ${species.carry_capacity} kg`);
+  }
+}
+
+/**
+ * Refuse to carry an item in a slot that is not free, too small, or too much weight
+ * @param {Object} character - Character row
+ * @param {Object} item - Item to carry
+ * @param {string} slot - Slot to carry it in
+ */
+export async function assertCanCarry(character, item, slot) {
+  const species = await Species.forCharacter(character);
+  const inventory = (await loadInventory(character.id)).filter(i => i.id !== item.id);
+  checkSlot(species, inventory, character, item, slot);
+
+  // Moving something the character already carries adds no weight
+  if ((await locateItem(item)).character_id !== character.id) {
+    await checkWeight(species, inventory, character, item);
+  }
+}
+
+/**
+ * Refuse to add an item to what a character carries if it would exceed their carry capacity
+ * @param {Object} character - Character row
+ * @param {Object} item - Item to carry, with whatever is inside it
+ */
+export async function assertCanLift(character, item) {
+  if ((await locateItem(item)).character_id === character.id) {
+    return;
+  }
+  const species = await Species.forCharacter(character);
+  await checkWeight(species, await loadInventory(character.id), character, item);
+}
+
+/**
+ * Work out where a character would carry an item handed to them, refusing
+ * when they have no free slot for it or it is too heavy
+ * @param {Object} character - Receiving character
+ * @param {Object} item - Item they receive
+ * @param {Object} [options]
+ * @param {string} [options.location] - Slot to use (default: first free slot it fits)
+ * @param {Object} [options.giving] - Item they hand over at the same time, freeing its slot and weight
+ * @returns {Promise<string>} Slot to carry the item in
+ */
+export async function assertCanReceive(character, item, { location = null, giving = null } = {}) {
+  const species = await Species.forCharacter(character);
+  const inventory = (await loadInventory(character.id)).filter(i => !giving || i.id !== giving.id);
+
+  const slot = location || findFreeSlot(species, inventory, item);
+  if (!slot) {
+    throw new Error(`${character.name} has no free place to carry ${item.name}`);
+  }
+  checkSlot(species, inventory, character, item, slot);
+  await checkWeight(species, inventory, character, item);
+
+  return slot;
+}
+
+/**
+ * Refuse to put an item in something that is not a container, is inside the
+ * item, or has no room left
+ * @param {Object} container - Container item
+ * @param {Object} item - Item to put in it
+ */
+export async function assertFits(container, item) {
+  if (!isContainer(container)) {
+    throw new Error(`${container.name} cannot hold anything`);
+  }
+
+  let outer = container;
+  while (outer) {
+    if (outer.id === item.id) {
+      throw new Error(`${item.name} cannot go inside itself`);
+    }
+    outer = outer.contained_in_item_id ? await Item.findById(outer.contained_in_item_id) : null;
+  }
+
+  const contents = (await Item.findByContainerId(container.id)).filter(i => i.id !== item.id);
+  const properties = container.properties;
+
+  const volume = contents.reduce((sum, i) => sum + itemVolume(i), 0) + itemVolume(item);
+  if (volume > Number(properties.capacity)) {
+    throw new Error(`${item.name} does not fit in ${container.name}`);
+  }
+
+  if (properties.max_weight !== undefined) {
+    const loaded = await Promise.all([...contents, item].map(loadContents));
+    const weight = loaded.reduce((sum, i) => sum + totalWeight(i), 0);
+    if (weight > Number(properties.max_weight)) {
+      throw new Error(`${item.name} is too heavy for ${container.name}`);
+    }
+  }
+}
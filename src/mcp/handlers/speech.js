@@ -0,0 +1,125 @@
+/**
+ * Speech propagation
+ *
+ * Delivers what a character says or does to the characters who notice it:
+ * - normal: everyone else in the speaker's area
+ * - whisper: only the target, who must be in the same area
+ * - shout: everyone in the area, plus everyone one exit away
+ *
+ * Each listener gets a memory entry. Awake listeners are also stamped with
+ * heard_at so the agent controller lets them respond first next cycle.
+ */
+
+import { Area, Character } from '../../db/models/index.js';
+import { publishWorldEvent, summarizeCharacter } from './events.js';
+import { canAct } from './vitals.js';
+
+export const SPEECH_VOLUMES = ['whisper', 'normal', 'shout'];
+
+/**
+ * Describe what a listener noticed, for their memory
+ * @param {Object} speaker - Speaking character
+ * @param {Object} speech - {text, action_type, volume}
+ * @param {Object|null} fromArea - Area the shout came from, for listeners next door
+ * @returns {string} Memory action
+ */
+function describeHeard(speaker, speech, fromArea) {
+  if (speech.action_type === 'action') {
+    return `saw ${speaker.name} ${speech.text}`;
+  }
+  if (fromArea) {
+    return `heard someone shout from ${fromArea.name}: "${speech.text}"`;
+  }
+  if (speech.volume === 'whisper') {
+    return `${speaker.name} whispered to you: "${speech.text}"`;
+  }
+  if (speech.volume === 'shout') {
+    return `heard ${speaker.name} shout: "${speech.text}"`;
+  }
+  return `heard ${speaker.name} say: "${speech.text}"`;
+}
+
+/**
+ * Deliver speech or a visible action to the characters who notice it
+ * @param {Object} speaker - Speaking character
+ * @param {Object} speech - Speech details
+ * @param {string} speech.text - What was said or done
+ * @param {string} speech.action_type - 'speech' or 'action' (thoughts are never delivered)
+ * @param {string} [speech.volume='normal'] - 'whisper', 'normal' or 'shout'
+ * @param {number} [speech.target_character_id] - Who a whisper is for
+ * @returns {Promise<Array<number>>} IDs of the characters who heard it
+ */
+export async function deliverSpeech(speaker, { text, action_type, volume = 'normal', target_character_id = null }) {
+  if (action_type === 'thought' || !speaker.current_area_id) {
+    return [];
+  }
+
+  const speech = { text, action_type, volume: action_type === 'speech' ? volume : 'normal' };
+  const listeners = []; // {character, fromArea}
+
+  // The dead and unconscious hear nothing
+  const present = (await Character.findByAreaId(speaker.current_area_id))
+    .filter(c => c.id !== speaker.id && canAct(c));
+
+  if (speech.volume === 'whisper') {
+    const target = present.find(c => c.id === target_character_id);
+    if (target) {
+      listeners.push({ character: target, fromArea: null });
+    }
+  } else {
+    listeners.push(...present.map(character => ({ character, fromArea: null })));
+  }
+
+  const event = {
+    type: 'character_spoke',
+    area_id: speaker.current_area_id,
+    character_id: speaker.id,
+    character: summarizeCharacter(speaker),
+    action_type,
+    volume: speech.volume,
+    text,
+  };
+  if (speech.volume === 'whisper') {
+    event.target_character_id = target_character_id;
+  }
+  await publishWorldEvent(event);
+
+  // Shouts carry through every exit
+  if (speech.volume === 'shout') {
+    const area = await Area.findById(speaker.current_area_id);
+    const neighbourIds = [...new Set(Object.values(area.exits || {}))]
+      .filter(id => id !== speaker.current_area_id);
+
+    for (const neighbourId of neighbourIds) {
+      const nearby = (await Character.findByAreaId(neighbourId)).filter(canAct);
+      listeners.push(...nearby.map(character => ({ character, fromArea: area })));
+
+      await publishWorldEvent({
+        type: 'character_spoke',
+        area_id: neighbourId,
+        from_area_id: area.id,
+        action_type,
+        volume: speech.volume,
+        text,
+      });
+    }
+  }
+
+  for (const { character, fromArea } of listeners) {
+    await Character.addMemory(
+      character.id,
+      {
+        action: describeHeard(speaker, speech, fromArea),
+        result: 'noticed',
+      },
+      character.character_class === 'story' ? 5 : 3
+    );
+  }
+
+  const awakeIds = listeners
+    .filter(({ character }) => parseFloat(character.alertness) >= 20)
+    .map(({ character }) => character.id);
+  await Character.markHeard(awakeIds);
+
+  return listeners.map(({ character }) => character.id);
+}
@@ -0,0 +1,75 @@
+/**
+ * Item transfers between characters
+ *
+ * Giving, trading and stealing move items straight from one character to
+ * another in the same area. The receiver needs a free carrying slot the item
+ * fits and the strength to carry it (see inventory.js).
+ *
+ * Theft succeeds more often against a drowsy target, and always risks being
+ * caught. Like attacks, attempts are resolved from a recorded seed.
+ */
+
+import { createRng } from './combat.js';
+import { canAct } from './vitals.js';
+
+// Chance to steal from a fully alert target, and from one who is asleep (alertness 0)
+const STEAL_CHANCE_ALERT = 0.2;
+const STEAL_CHANCE_ASLEEP = 0.95;
+
+/**
+ * Refuse a transfer between characters who are not together
+ * @param {Object} character - Acting character
+ * @param {Object} other - Other character
+ */
+export function assertTogether(character, other) {
+  if (other.id === character.id) {
+    throw new Error(`${character.name} cannot do that with themselves`);
+  }
+  if (!character.current_area_id || other.current_area_id !== character.current_area_id) {
+    throw new Error(`${other.name} is not in the same area as ${character.name}`);
+  }
+}
+
+/**
+ * Refuse an item that a character is not holding directly
+ * @param {Object} character - Character row
+ * @param {Object} item - Item row
+ */
+export function assertHolding(character, item) {
+  if (item.held_by_character_id !== character.id) {
+    throw new Error(`${character.name} is not holding ${item.name}`);
+  }
+}
+
+/**
+ * Get the chance of stealing from a character
+ * @param {Object} target - Character being stolen from
+ * @returns {number} Chance between 0 and 1
+ */
+export function stealChance(target) {
+  // The unconscious and dead notice nothing
+  if (!canAct(target)) {
+    return STEAL_CHANCE_ASLEEP;
+  }
+  const alertness = parseFloat(target.alertness) / 100;
+  return STEAL_CHANCE_ASLEEP - (STEAL_CHANCE_ASLEEP - STEAL_CHANCE_ALERT) * alertness;
+}
+
+/**
+ * Resolve a theft attempt
+ * @param {Object} target - Character being stolen from
+ * @param {Array} items - Items the target holds
+ * @param {number|null} itemId - Item to steal, or null for any
+ * @param {number} seed - Random seed
+ * @returns {Object} {item, stolen, chance, roll}
+ */
+export function resolveSteal(target, items, itemId, seed) {
+  const rng = createRng(seed);
+  const item = itemId !== null
+    ? items.find(i => i.id === itemId)
+    : items[Math.floor(rng() * items.length)];
+
+  const chance = stealChance(target);
+  const roll = rng();
+  return { item, stolen: roll < chance, chance, roll };
+}
@@ -4,17 +4,40 @@
  * Triggers allow areas to react to events like:
  * - Character enters area
  * - Item picked up/dropped
- * - Time-based triggers
+ * - Item given, traded or stolen between characters
+ * - Item appears (created in the area)
+ * - Time-based triggers (time of day, elapsed cycles, schedules; see clock.js)
  * - Character speech with keywords
+ * - Character state crossing a threshold (needs, alertness, injuries)
  *
  * Reactions can:
  * - Add/remove items
  * - Add/remove exits
- * - Modify area description
+ * - Modify or append to the area description
  * - Modify temperature
+ * - Spawn a character from a template, or move the triggering character elsewhere
+ * - Injure characters or change their needs
+ * - Add a memory to, or broadcast a message to, everyone in the area
+ * - Fire another area's named trigger (chains stop at MAX_TRIGGER_DEPTH)
  */
 
-import { Area, Item } from '../../db/models/index.js';
+import { Area, Character, Item, Species } from '../../db/models/index.js';
+import { publishWorldEvent, recordEvent, summarizeCharacter, summarizeItem } from './events.js';
+import { CLOCK_CONDITION_TYPES, matchesClockCondition } from './clock.js';
+import { addInjury } from './combat.js';
+import { assessVitalStatus, setVitalStatus, WHOLE_BODY } from './vitals.js';
+
+// Events raised every cycle; they only fire triggers that name them
+const PERIODIC_EVENTS = ['clock_tick', 'character_state'];
+
+// Character stats a character_state condition can test
+const STATE_STATS = ['nutrition', 'hydration', 'tiredness', 'alertness', 'damage'];
+
+// Character needs a modify_state reaction can set or shift (0-100)
+const NEED_STATS = ['nutrition', 'hydration', 'tiredness', 'alertness'];
+
+// How many triggers deep one event may set off (fire_trigger, move_character)
+export const MAX_TRIGGER_DEPTH = 5;
 
 /**
  * Execute triggers for an area based on an event
@@ -23,6 +46,11 @@ import { Area, Item } from '../../db/models/index.js';
  * @param {Object} eventData - Event-specific data
  */
 export async function executeTriggers(areaId, eventType, eventData = {}) {
+  if ((eventData.depth || 0) > MAX_TRIGGER_DEPTH) {
+    console.warn(`Trigger chain stopped at area ${areaId}: deeper than ${MAX_TRIGGER_DEPTH} triggers`);
+    return;
+  }
+
   const area = await Area.findById(areaId);
   if (!area || !area.triggers || area.triggers.length === 0) {
     return;
@@ -40,16 +68,88 @@ export async function executeTriggers(areaId, eventType, eventData = {}) {
 
   // Execute reactions for matched triggers
   for (const trigger of matchedTriggers) {
-    await executeReactions(areaId, trigger.reactions, eventData);
+    await runTrigger(areaId, trigger, eventType, eventData);
+  }
+
+  if (matchedTriggers.length > 0) {
+    await publishTriggerEffects(areaId, eventType, matchedTriggers);
+  }
+}
+
+/**
+ * Run one trigger's reactions, removing it first if it is one-time
+ * @param {number} areaId - Area the trigger belongs to
+ * @param {Object} trigger - Trigger configuration
+ * @param {string} eventType - Event that fired the trigger
+ * @param {Object} eventData - Event data
+ */
+async function runTrigger(areaId, trigger, eventType, eventData) {
+  if (trigger.one_time) {
+    // Removed first, so that a chain cannot come back round to it; earlier
+    // triggers may have changed the list since it was loaded
+    const area = await Area.findById(areaId);
+    const key = JSON.stringify(trigger);
+    const index = (area.triggers || []).findIndex(t => JSON.stringify(t) === key);
+    if (index === -1) {
+      return;
+    }
+    await Area.update(areaId, { triggers: area.triggers.filter((_, i) => i !== index) });
+  }
+
+  await executeReactions(areaId, trigger.reactions, eventType, eventData);
+}
+
+/**
+ * Evaluate time-based triggers in every area of a world, once per cycle
+ * @param {Object} world - World row, after World.advanceClock
+ */
+export async function executeClockTriggers(world) {
+  const tick = {
+    cycle: world.cycle,
+    minutes: world.clock_minutes,
+    previous_minutes: world.clock_minutes - world.minutes_per_cycle,
+  };
 
-    // If trigger is one-time, remove it
-    if (trigger.one_time) {
-      const updatedTriggers = triggers.filter(t => t !== trigger);
-      await Area.update(areaId, { triggers: updatedTriggers });
+  for (const area of await Area.findByWorldId(world.id)) {
+    try {
+      await executeTriggers(area.id, 'clock_tick', tick);
+    } catch (error) {
+      // One badly written trigger should not stop the clock for other areas
+      console.warn(`Clock triggers failed in ${area.name}: ${error.message}`);
     }
   }
 }
 
+/**
+ * Publish the resulting area state after triggers fired
+ * @param {number} areaId - Area ID
+ * @param {string} eventType - Event that fired the triggers
+ * @param {Array} firedTriggers - Triggers that fired
+ */
+async function publishTriggerEffects(areaId, eventType, firedTriggers) {
+  const area = await Area.findById(areaId);
+  if (!area) {
+    return;
+  }
+
+  const items = await Area.getItems(areaId);
+
+  await publishWorldEvent({
+    type: 'trigger_fired',
+    area_id: areaId,
+    trigger_event: eventType,
+    reactions: firedTriggers.flatMap(t => (t.reactions || []).map(r => r.type)),
+    area: {
+      id: area.id,
+      name: area.name,
+      description: area.description,
+      temperature: area.temperature,
+      exits: area.exits,
+    },
+    items: items.map(summarizeItem),
+  });
+}
+
 /**
  * Check if a trigger should fire based on event
  * @param {Object} trigger - Trigger configuration
@@ -67,8 +167,13 @@ function shouldTriggerFire(trigger, eventType, eventData) {
 
   // Complex condition object
   if (typeof condition === 'object') {
+    // Time-based conditions only look at the clock
+    if (CLOCK_CONDITION_TYPES.includes(condition.type)) {
+      return eventType === 'clock_tick' && matchesClockCondition(condition, eventData);
+    }
+
     // Check event type
-    if (condition.type && condition.type !== eventType) {
+    if (condition.type !== eventType && (condition.type || PERIODIC_EVENTS.includes(eventType))) {
       return false;
     }
 
@@ -87,34 +192,138 @@ function shouldTriggerFire(trigger, eventType, eventData) {
       return false;
     }
 
+    // Check for the character on the receiving end (given to, traded with, stolen from)
+    if (condition.target_character_id && condition.target_character_id !== eventData.target_character_id) {
+      return false;
+    }
+
     // Check for specific item
     if (condition.item_id && condition.item_id !== eventData.item_id) {
       return false;
     }
 
+    // Check for a stat crossing its threshold
+    if (eventType === 'character_state' && !crossesThreshold(condition, eventData)) {
+      return false;
+    }
+
     return true;
   }
 
   return false;
 }
 
+/**
+ * Read the stat a character_state condition tests
+ * @param {Object} condition - {stat, part?, damage_type?}
+ * @param {Object} character - Character row (or state)
+ * @returns {number} Stat value; for damage, the worst matching injury's severity
+ */
+function stateValue(condition, character) {
+  if (condition.stat === 'damage') {
+    return (character.damage || [])
+      .filter(d => (!condition.part || d.part === condition.part) &&
+        (!condition.damage_type || d.type === condition.damage_type))
+      .reduce((worst, d) => Math.max(worst, d.severity), 0);
+  }
+  return parseFloat(character[condition.stat]);
+}
+
+/**
+ * Check whether a character's state has just crossed a condition's threshold,
+ * so that the trigger fires once rather than every cycle the state holds
+ * @param {Object} condition - {stat, below?, above?, part?, damage_type?}
+ * @param {Object} eventData - {before, after} character states
+ * @returns {boolean} True when the state meets the condition now but did not before
+ */
+function crossesThreshold(condition, eventData) {
+  if (!STATE_STATS.includes(condition.stat)) {
+    console.warn(`Unknown character_state stat: "${condition.stat}" (${STATE_STATS.join(', ')})`);
+    return false;
+  }
+  if (condition.below === undefined && condition.above === undefined) {
+    console.warn('A character_state condition needs "below" or "above"');
+    return false;
+  }
+
+  const meets = (character) => {
+    const value = stateValue(condition, character);
+    return (condition.below === undefined || value < condition.below) &&
+      (condition.above === undefined || value > condition.above);
+  };
+  return meets(eventData.after) && !meets(eventData.before);
+}
+
+/**
+ * Find the characters a reaction applies to
+ * @param {number} areaId - Area the trigger belongs to
+ * @param {Object} reaction - Reaction, with an optional target ("triggering" or "all")
+ * @param {Object} eventData - Event data (character_id is the triggering character)
+ * @param {string} fallback - Target when the reaction names none
+ * @returns {Promise<Array>} Characters who are not dead
+ */
+async function reactionTargets(areaId, reaction, eventData, fallback) {
+  const target = reaction.target || fallback;
+  let characters = [];
+
+  if (target === 'all') {
+    characters = await Character.findByAreaId(areaId);
+  } else if (target === 'triggering') {
+    const character = eventData.character_id && await Character.findById(eventData.character_id);
+    characters = character ? [character] : [];
+  } else {
+    console.warn(`Unknown reaction target: "${target}" (triggering, all)`);
+  }
+
+  return characters.filter(c => c.vital_status !== 'dead');
+}
+
+/**
+ * Change a character's physical state, moving their vital status on with it
+ * @param {Object} character - Character row
+ * @param {Object} updates - Changed fields (damage, needs)
+ * @returns {Promise<Object>} Updated character
+ */
+async function updateCharacterState(character, updates) {
+  const { status, cause } = assessVitalStatus({ ...character, ...updates });
+  return status !== (character.vital_status || 'alive')
+    ? setVitalStatus(character, status, cause, updates)
+    : Character.update(character.id, updates);
+}
+
 /**
  * Execute reactions for a triggered event
  * @param {number} areaId - Area ID
  * @param {Array} reactions - Array of reaction objects
+ * @param {string} eventType - Event that fired the trigger
  * @param {Object} eventData - Event data for context
  */
-async function executeReactions(areaId, reactions, eventData) {
+async function executeReactions(areaId, reactions, eventType, eventData) {
   if (!reactions || reactions.length === 0) {
     return;
   }
 
-  const area = await Area.findById(areaId);
-  const updates = {};
+  let area = await Area.findById(areaId);
+  let updates = {};
+  const depth = eventData.depth || 0;
+
+  // Save area changes so far, before handing over to other triggers
+  const flush = async () => {
+    if (Object.keys(updates).length > 0) {
+      area = await Area.update(areaId, updates);
+      updates = {};
+    }
+  };
 
   for (const reaction of reactions) {
     switch (reaction.type) {
       case 'add_item': {
+        // Respawns skip the item while one of the same name is still here
+        if (reaction.item && reaction.unless_present &&
+          (await Area.getItems(areaId)).some(i => i.name === reaction.item.name)) {
+          continue;
+        }
+
         // Create a new item in this area
         if (reaction.item) {
           await Item.create({
@@ -139,7 +348,7 @@ async function executeReactions(areaId, reactions, eventData) {
       case 'add_exit': {
         // Add a new exit
         if (reaction.direction && reaction.target_area_id) {
-          const exits = { ...area.exits };
+          const exits = { ...(updates.exits || area.exits) };
           exits[reaction.direction] = reaction.target_area_id;
           updates.exits = exits;
         }
@@ -149,19 +358,20 @@ async function executeReactions(areaId, reactions, eventData) {
       case 'remove_exit': {
         // Remove an exit
         if (reaction.direction) {
-          const exits = { ...area.exits };
+          const exits = { ...(updates.exits || area.exits) };
           delete exits[reaction.direction];
           updates.exits = exits;
         }
         break;
       }
 
-      case 'modify_description': {
+      case 'modify_description':
+      case 'append_description': {
         // Change area description
         if (reaction.new_description) {
           updates.description = reaction.new_description;
         } else if (reaction.append_description) {
-          updates.description = area.description + '\n' + reaction.append_description;
+          updates.description = (updates.description || area.description) + '\n' + reaction.append_description;
         }
         break;
       }
@@ -171,20 +381,211 @@ async function executeReactions(areaId, reactions, eventData) {
         if (reaction.temperature !== undefined) {
           updates.temperature = reaction.temperature;
         } else if (reaction.temperature_delta !== undefined) {
-          updates.temperature = parseFloat(area.temperature) + reaction.temperature_delta;
+          updates.temperature = parseFloat(updates.temperature ?? area.temperature) + reaction.temperature_delta;
+        }
+        break;
+      }
+
+      case 'spawn_character': {
+        const template = reaction.character;
+        if (!template || !template.name) {
+          console.warn('A spawn_character reaction needs a character template with a name');
+          continue;
+        }
+
+        // Like add_item, a respawn can wait while the last one is still around
+        if (reaction.unless_present &&
+          (await Character.findByAreaId(areaId)).some(c => c.name === template.name && c.vital_status !== 'dead')) {
+          continue;
+        }
+
+        const character = await Character.create({
+          ...template,
+          world_id: area.world_id,
+          current_area_id: areaId,
+          owner_id: null,
+        });
+
+        await publishWorldEvent({
+          type: 'character_arrived',
+          area_id: areaId,
+          character_id: character.id,
+          character: summarizeCharacter(character),
+          from_area_id: null,
+        });
+        break;
+      }
+
+      case 'move_character': {
+        if (!reaction.area_id || !(await Area.findById(reaction.area_id))) {
+          console.warn(`A move_character reaction needs an existing area_id (got ${reaction.area_id})`);
+          continue;
+        }
+
+        for (const character of await reactionTargets(areaId, reaction, eventData, 'triggering')) {
+          const fromAreaId = character.current_area_id;
+          if (fromAreaId === reaction.area_id) continue;
+
+          await Character.update(character.id, { current_area_id: reaction.area_id });
+
+          if (fromAreaId) {
+            await publishWorldEvent({
+              type: 'character_departed',
+              area_id: fromAreaId,
+              character_id: character.id,
+              character: summarizeCharacter(character),
+              to_area_id: reaction.area_id,
+            });
+          }
+          await publishWorldEvent({
+            type: 'character_arrived',
+            area_id: reaction.area_id,
+            character_id: character.id,
+            character: summarizeCharacter(character),
+            from_area_id: fromAreaId,
+          });
+
+          await recordEvent({
+            world_id: character.world_id,
+            area_id: reaction.area_id,
+            actor_id: character.id,
+            event_type: 'move',
+            payload: { from_area_id: fromAreaId, to_area_id: reaction.area_id, trigger_event: eventType },
+            result: { success: true },
+          });
+
+          // Arriving counts as entering, one level further down the chain
+          await flush();
+          await executeTriggers(reaction.area_id, 'character_enters', {
+            character_id: character.id,
+            depth: depth + 1,
+          });
+        }
+        break;
+      }
+
+      case 'apply_damage': {
+        if (!(reaction.severity > 0)) {
+          console.warn('An apply_damage reaction needs a positive severity');
+          continue;
+        }
+
+        for (const character of await reactionTargets(areaId, reaction, eventData, 'triggering')) {
+          // A part the species lacks (a snake's legs) lands on the whole body
+          const species = await Species.forCharacter(character);
+          const part = reaction.part && species.body_parts.includes(reaction.part) ? reaction.part : WHOLE_BODY;
+          const damage = addInjury(character.damage, {
+            part,
+            type: reaction.damage_type || 'injury',
+            severity: reaction.severity,
+          });
+          await updateCharacterState(character, { damage });
+        }
+        break;
+      }
+
+      case 'modify_state': {
+        for (const character of await reactionTargets(areaId, reaction, eventData, 'triggering')) {
+          const changes = {};
+          for (const stat of NEED_STATS) {
+            let value;
+            if (reaction[stat] !== undefined) {
+              value = reaction[stat];
+            } else if (reaction[`${stat}_delta`] !== undefined) {
+              value = parseFloat(character[stat]) + reaction[`${stat}_delta`];
+            } else {
+              continue;
+            }
+            changes[stat] = Math.max(0, Math.min(100, value));
+          }
+          if (Object.keys(changes).length > 0) {
+            await updateCharacterState(character, changes);
+          }
+        }
+        break;
+      }
+
+      case 'add_memory': {
+        if (!reaction.action) {
+          console.warn('An add_memory reaction needs an action');
+          continue;
+        }
+
+        for (const character of await reactionTargets(areaId, reaction, eventData, 'all')) {
+          await Character.addMemory(
+            character.id,
+            { action: reaction.action, result: reaction.result || '' },
+            character.character_class === 'story' ? 5 : 3
+          );
+        }
+        break;
+      }
+
+      case 'broadcast_message': {
+        if (!reaction.text) {
+          console.warn('A broadcast_message reaction needs text');
+          continue;
+        }
+
+        const listeners = await reactionTargets(areaId, reaction, eventData, 'all');
+        for (const character of listeners) {
+          await Character.addMemory(
+            character.id,
+            { action: 'noticed', result: reaction.text },
+            character.character_class === 'story' ? 5 : 3
+          );
+        }
+        // Give AI characters the chance to respond before anyone else acts
+        await Character.markHeard(listeners.map(c => c.id));
+
+        await publishWorldEvent({
+          type: 'area_message',
+          area_id: areaId,
+          text: reaction.text,
+        });
+        break;
+      }
+
+      case 'fire_trigger': {
+        const targetAreaId = reaction.area_id || areaId;
+        const targetArea = await Area.findById(targetAreaId);
+        const trigger = targetArea && (targetArea.triggers || []).find(t => t.name === reaction.trigger);
+        if (!trigger) {
+          console.warn(`No trigger named "${reaction.trigger}" in area ${targetAreaId}`);
+          continue;
+        }
+        if (depth + 1 > MAX_TRIGGER_DEPTH) {
+          // Stops triggers that fire each other from looping forever
+          console.warn(`Trigger chain stopped at "${reaction.trigger}": deeper than ${MAX_TRIGGER_DEPTH} triggers`);
+          continue;
+        }
+
+        await flush();
+        await runTrigger(targetAreaId, trigger, eventType, { ...eventData, depth: depth + 1 });
+        area = await Area.findById(areaId);
+        if (targetAreaId !== areaId) {
+          await publishTriggerEffects(targetAreaId, eventType, [trigger]);
         }
         break;
       }
 
       default:
         console.warn(`Unknown reaction type: ${reaction.type}`);
+        continue;
     }
+
+    await recordEvent({
+      world_id: area.world_id,
+      area_id: areaId,
+      actor_id: eventData.character_id || null,
+      event_type: 'trigger_reaction',
+      payload: { trigger_event: eventType, reaction },
+      result: { success: true },
+    });
   }
 
   // Apply any accumulated updates to the area
-  if (Object.keys(updates).length > 0) {
-    await Area.update(areaId, updates);
-  }
+  await flush();
 }
 
 /**
@@ -192,10 +593,12 @@ async function executeReactions(areaId, reactions, eventData) {
  * @param {string|Object} condition - Trigger condition
  * @param {Array} reactions - Array of reactions
  * @param {boolean} oneTime - Whether trigger fires only once
+ * @param {string} [name] - Name other triggers can fire it by (see fire_trigger)
  * @returns {Object} Trigger configuration
  */
-export function createTrigger(condition, reactions, oneTime = false) {
+export function createTrigger(condition, reactions, oneTime = false, name) {
   return {
+    ...(name ? { name } : {}),
     condition,
     reactions,
     one_time: oneTime,
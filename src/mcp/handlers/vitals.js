@@ -0,0 +1,173 @@
+/**
+ * Character vital status
+ *
+ * - alive: no lasting harm
+ * - critical: badly hurt, starving or dehydrated, but still able to act
+ * - unconscious: too hurt to act; recovers as injuries heal
+ * - dead: final until a designer revives the character
+ *
+ * Status follows cumulative damage severity. Starvation and dehydration keep
+ * a character critical and add damage until they eat or drink.
+ */
+
+import { Character } from '../../db/models/index.js';
+import { publishWorldEvent, recordEvent, summarizeCharacter } from './events.js';
+
+export const VITAL_STATUSES = ['alive', 'unconscious', 'critical', 'dead'];
+
+// Cumulative damage severity (percentage points) at which each status starts
+export const DAMAGE_THRESHOLDS = {
+  critical: 50,
+  unconscious: 80,
+  dead: 100,
+};
+
+// Statuses in which a character can still act
+const ACTIVE_STATUSES = ['alive', 'critical'];
+
+// Part used for whole-body harm (starvation, dehydration, hypothermia...), valid for every species
+export const WHOLE_BODY = 'body';
+
+/**
+ * Sum the severity of all injuries
+ * @param {Array} damage - Array of {part, type, severity}
+ * @returns {number} Total severity
+ */
+export function totalDamage(damage) {
+  return (damage || []).reduce((total, injury) => total + Number(injury.severity || 0), 0);
+}
+
+/**
+ * Check that every injury is to a body part the species has
+ * @param {Object} species - Species row (see Species.forCharacter)
+ * @param {Array} damage - Array of {part, type, severity}
+ */
+export function assertValidDamage(species, damage) {
+  for (const injury of damage || []) {
+    if (injury.part !== WHOLE_BODY && !species.body_parts.includes(injury.part)) {
+      throw new Error(`A ${species.name} has no "${injury.part}" (body parts: ${species.body_parts.join(', ')}, or ${WHOLE_BODY})`);
+    }
+  }
+}
+
+/**
+ * Work out a character's vital status from their physical state
+ * @param {Object} state - {nutrition, hydration, damage}
+ * @returns {Object} {status, cause}
+ */
+export function assessVitalStatus({ nutrition, hydration, damage }) {
+  const total = totalDamage(damage);
+  const worst = (damage || []).reduce((a, b) => (Number(b.severity) > Number(a.severity) ? b : a), { severity: -1 });
+  const injuryCause = worst.type || 'injuries';
+
+  if (total >= DAMAGE_THRESHOLDS.dead) {
+    return { status: 'dead', cause: injuryCause };
+  }
+  if (total >= DAMAGE_THRESHOLDS.unconscious) {
+    return { status: 'unconscious', cause: injuryCause };
+  }
+  if (parseFloat(hydration) <= 0) {
+    return { status: 'critical', cause: 'dehydration' };
+  }
+  if (parseFloat(nutrition) <= 0) {
+    return { status: 'critical', cause: 'starvation' };
+  }
+  if (total >= DAMAGE_THRESHOLDS.critical) {
+    return { status: 'critical', cause: injuryCause };
+  }
+  return { status: 'alive', cause: 'recovery' };
+}
+
+/**
+ * Check whether a character is able to act
+ * @param {Object} character - Character row
+ * @returns {boolean} True when alive or critical
+ */
+export function canAct(character) {
+  return ACTIVE_STATUSES.includes(character.vital_status || 'alive');
+}
+
+/**
+ * Refuse an action by a dead or unconscious character
+ * @param {Object} character - Character row
+ */
+export function assertCanAct(character) {
+  if (!canAct(character)) {
+    throw new Error(`${character.name} is ${character.vital_status} and cannot act`);
+  }
+}
+
+/**
+ * Describe a vital status change in plain words
+ * @param {string} status - New status
+ * @param {string} cause - What caused it
+ * @returns {string} Description, without the character's name
+ */
+export function describeVitalStatus(status, cause) {
+  switch (status) {
+    case 'dead':
+      return `died of ${cause}`;
+    case 'unconscious':
+      return `collapsed unconscious from ${cause}`;
+    case 'critical':
+      return `is in critical condition from ${cause}`;
+    default:
+      return cause === 'revived' ? 'was revived' : 'recovered';
+  }
+}
+
+/**
+ * Change a character's vital status and announce it
+ * @param {Object} character - Character row (before the change)
+ * @param {string} status - New status
+ * @param {string} cause - What caused the change
+ * @param {Object} [updates] - Other character fields to change with it
+ * @returns {Promise<Object>} Updated character
+ */
+export async function setVitalStatus(character, status, cause, updates = {}) {
+  if (!VITAL_STATUSES.includes(status)) {
+    throw new Error(`Invalid vital status: ${status} (expected one of ${VITAL_STATUSES.join(', ')})`);
+  }
+
+  const previous = character.vital_status || 'alive';
+  const updated = await Character.update(character.id, { ...updates, vital_status: status });
+  if (previous === status) {
+    return updated;
+  }
+
+  const description = describeVitalStatus(status, cause);
+
+  await recordEvent({
+    world_id: character.world_id,
+    area_id: character.current_area_id,
+    actor_id: character.id,
+    event_type: 'vital_status',
+    payload: { from: previous, to: status, cause },
+    result: { success: true },
+  });
+
+  if (character.current_area_id) {
+    await publishWorldEvent({
+      type: 'character_vital_status',
+      area_id: character.current_area_id,
+      character_id: character.id,
+      character: summarizeCharacter(character),
+      vital_status: status,
+      previous,
+      cause,
+    });
+  }
+
+  if (status !== 'dead') {
+    await Character.addMemory(
+      character.id,
+      {
+        action: description.replace(/^(is|was) /, ''),
+        result: status,
+      },
+      character.character_class === 'story' ? 5 : 3
+    );
+  }
+
+  return updated;
+}
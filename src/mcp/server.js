@@ -9,18 +9,93 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import { WebSocketServer } from 'ws';
 import { testConnection } from '../db/index.js';
+import { authorizeToolCall, endSession } from './handlers/auth.js';
+import { subscribeWorldEvents } from './handlers/events.js';
 
 // Import MCP tools
 import { worldTools, handleWorldTool } from './tools/world.js';
 import { areaTools, handleAreaTool } from './tools/area.js';
 import { characterTools, handleCharacterTool } from './tools/character.js';
 import { itemTools, handleItemTool } from './tools/item.js';
+import { speciesTools, handleSpeciesTool } from './tools/species.js';
+import { playerTools, handlePlayerTool } from './tools/player.js';
+import { eventTools, handleEventTool } from './tools/event.js';
+import { seriesTools, handleSeriesTool } from './tools/series.js';
+import { bookTools, handleBookTool } from './tools/book.js';
+import { chapterTools, handleChapterTool } from './tools/chapter.js';
 
 const MCP_PORT = parseInt(process.env.MCP_PORT || '3000', 10);
 const USE_STDIO = process.env.MCP_TRANSPORT === 'stdio';
 
+// Collect all tools
+const allTools = [
+  ...worldTools,
+  ...areaTools,
+  ...characterTools,
+  ...itemTools,
+  ...speciesTools,
+  ...playerTools,
+  ...eventTools,
+  ...seriesTools,
+  ...bookTools,
+  ...chapterTools,
+];
+
+/**
+ * Route a tool call to the appropriate tool handler
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object|null} connection - Player connection state, null for stdio (AI agents)
+ * @returns {Promise<Object>} MCP tool result
+ */
+async function callTool(name, args = {}, connection = null) {
+  try {
+    // Player connections may only act as the character they have claimed
+    if (connection) {
+      authorizeToolCall(name, args, connection.sessionToken);
+    }
+
+    // Route to appropriate tool handler
+    if (name.startsWith('world_')) {
+      return await handleWorldTool(name, args);
+    } else if (name.startsWith('area_')) {
+      return await handleAreaTool(name, args);
+    } else if (name.startsWith('character_')) {
+      return await handleCharacterTool(name, args);
+    } else if (name.startsWith('item_')) {
+      return await handleItemTool(name, args);
+    } else if (name.startsWith('species_')) {
+      return await handleSpeciesTool(name, args);
+    } else if (name.startsWith('player_')) {
+      return await handlePlayerTool(name, args, connection);
+    } else if (name.startsWith('event_')) {
+      return await handleEventTool(name, args);
+    } else if (name.startsWith('series_')) {
+      return await handleSeriesTool(name, args);
+    } else if (name.startsWith('book_')) {
+      return await handleBookTool(name, args);
+    } else if (name.startsWith('chapter_')) {
+      return await handleChapterTool(name, args);
+    }
+
+    throw new Error(`Unknown tool: ${name}`);
+  } catch (error) {
+    console.error(`Error executing tool ${name}:`, error);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: ${error.message}`,
+        },
+      ],
+      isError: true,
+    };
+  }
+}
+
 /**
  * Create and configure MCP server
  */
@@ -37,48 +112,15 @@ function createMCPServer() {
     }
   );
 
-  // Collect all tools
-  const allTools = [
-    ...worldTools,
-    ...areaTools,
-    ...characterTools,
-    ...itemTools,
-  ];
-
   // Register list_tools handler
-  server.setRequestHandler('tools/list', async () => {
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
     return { tools: allTools };
   });
 
   // Register call_tool handler
-  server.setRequestHandler('tools/call', async (request) => {
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
     const { name, arguments: args } = request.params;
-
-    try {
-      // Route to appropriate tool handler
-      if (name.startsWith('world_')) {
-        return await handleWorldTool(name, args);
-      } else if (name.startsWith('area_')) {
-        return await handleAreaTool(name, args);
-      } else if (name.startsWith('character_')) {
-        return await handleCharacterTool(name, args);
-      } else if (name.startsWith('item_')) {
-        return await handleItemTool(name, args);
-      }
-
-      throw new Error(`Unknown tool: ${name}`);
-    } catch (error) {
-      console.error(`Error executing tool ${name}:`, error);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Error: ${error.message}`,
-          },
-        ],
-        isError: true,
-      };
-    }
+    return await callTool(name, args);
   });
 
   return server;
@@ -104,89 +146,114 @@ async function startWebSocketServer() {
   console.error(`Starting MCP server with WebSocket transport on port ${MCP_PORT}...`);
 
   const wss = new WebSocketServer({ port: MCP_PORT });
+  const connections = new Set();
+
+  // Push world events to every player whose character is in the event's area
+  await subscribeWorldEvents((event) => {
+    for (const connection of connections) {
+      pushWorldEvent(connection, event);
+    }
+  });
 
   wss.on('connection', (ws, req) => {
     console.error(`New WebSocket connection from ${req.socket.remoteAddress}`);
 
-    const server = createMCPServer();
-
-    // Simple WebSocket to MCP adapter
-    const transport = {
-      async start() {
-        ws.on('message', async (data) => {
-          try {
-            const message = JSON.parse(data.toString());
-            console.error('Received message:', message.method);
-
-            // Handle different MCP request types
-            if (message.method === 'tools/list') {
-              const response = await server.requestHandlers['tools/list'](message);
-              ws.send(JSON.stringify({
-                jsonrpc: '2.0',
-                id: message.id,
-                result: response,
-              }));
-            } else if (message.method === 'tools/call') {
-              const response = await server.requestHandlers['tools/call'](message);
-              ws.send(JSON.stringify({
-                jsonrpc: '2.0',
-                id: message.id,
-                result: response,
-              }));
-            } else if (message.method === 'initialize') {
-              ws.send(JSON.stringify({
-                jsonrpc: '2.0',
-                id: message.id,
-                result: {
-                  protocolVersion: '2024-11-05',
-                  capabilities: {
-                    tools: {},
-                  },
-                  serverInfo: {
-                    name: 'storysplicer',
-                    version: '0.1.0',
-                  },
-                },
-              }));
-            } else {
-              ws.send(JSON.stringify({
-                jsonrpc: '2.0',
-                id: message.id,
-                error: {
-                  code: -32601,
-                  message: `Method not found: ${message.method}`,
-                },
-              }));
-            }
-          } catch (error) {
-            console.error('Error handling message:', error);
-            ws.send(JSON.stringify({
-              jsonrpc: '2.0',
-              id: null,
-              error: {
-                code: -32700,
-                message: 'Parse error',
-              },
-            }));
-          }
-        });
+    // Per-connection player state, filled in by player_claim_character
+    const connection = {
+      ws,
+      sessionToken: null,
+      characterId: null,
+      areaId: null,
+    };
+    connections.add(connection);
+
+    // Simple WebSocket to MCP adapter: JSON-RPC messages are handled directly
+    ws.on('message', async (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        console.error('Error parsing message:', error);
+        ws.send(JSON.stringify({
+          jsonrpc: '2.0',
+          id: null,
+          error: {
+            code: -32700,
+            message: 'Parse error',
+          },
+        }));
+        return;
+      }
 
-        ws.on('close', () => {
-          console.error('WebSocket connection closed');
-        });
+      console.error('Received message:', message.method);
 
-        ws.on('error', (error) => {
-          console.error('WebSocket error:', error);
-        });
-      },
+      try {
+        // Handle different MCP request types
+        if (message.method === 'tools/list') {
+          ws.send(JSON.stringify({
+            jsonrpc: '2.0',
+            id: message.id,
+            result: { tools: allTools },
+          }));
+        } else if (message.method === 'tools/call') {
+          const { name, arguments: args } = message.params || {};
+          const response = await callTool(name, args, connection);
+          ws.send(JSON.stringify({
+            jsonrpc: '2.0',
+            id: message.id,
+            result: response,
+          }));
+        } else if (message.method === 'initialize') {
+          ws.send(JSON.stringify({
+            jsonrpc: '2.0',
+            id: message.id,
+            result: {
+              protocolVersion: '2024-11-05',
+              capabilities: {
+                tools: {},
+              },
+              serverInfo: {
+                name: 'storysplicer',
+                version: '0.1.0',
+              },
+            },
+          }));
+        } else {
+          ws.send(JSON.stringify({
+            jsonrpc: '2.0',
+            id: message.id,
+            error: {
+              code: -32601,
+              message: `Method not found: ${message.method}`,
+            },
+          }));
+        }
+      } catch (error) {
+        console.error('Error handling message:', error);
+        ws.send(JSON.stringify({
+          jsonrpc: '2.0',
+          id: message.id ?? null,
+          error: {
+            code: -32603,
+            message: error.message,
+          },
+        }));
+      }
+    });
 
-      async close() {
-        ws.close();
-      },
-    };
+    ws.on('close', () => {
+      console.error('WebSocket connection closed');
+      connections.delete(connection);
 
-    // We don't call server.connect(transport) for WebSocket
-    // since we're handling messages directly
+      // The character stays claimed so the player can reconnect and claim it again
+      if (connection.sessionToken) {
+        endSession(connection.sessionToken);
+      }
+    });
+
+    ws.on('error', (error) => {
+      console.error('WebSocket error:', error);
+    });
   });
 
   wss.on('error', (error) => {
@@ -197,6 +264,42 @@ async function startWebSocketServer() {
   console.error('Waiting for connections...');
 }
 
+/**
+ * Send a world event to a player connection if it concerns the player's area
+ * @param {Object} connection - Player connection state
+ * @param {Object} event - World event
+ */
+function pushWorldEvent(connection, event) {
+  if (!connection.characterId) {
+    return;
+  }
+
+  // Follow the player's own character between areas
+  const isOwnArrival = event.type === 'character_arrived' && event.character_id === connection.characterId;
+  if (isOwnArrival) {
+    connection.areaId = event.area_id;
+  } else if (event.area_id !== connection.areaId) {
+    return;
+  }
+
+  if (connection.ws.readyState !== connection.ws.OPEN) {
+    return;
+  }
+
+  // Others in the area see a whisper, but only the target hears the words
+  const overhears = event.volume === 'whisper' &&
+    ![event.character_id, event.target_character_id].includes(connection.characterId);
+  if (overhears) {
+    event = { ...event, text: null };
+  }
+
+  connection.ws.send(JSON.stringify({
+    jsonrpc: '2.0',
+    method: 'notifications/world_event',
+    params: event,
+  }));
+}
+
 /**
  * Main entry point
  */
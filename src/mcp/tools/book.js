@@ -0,0 +1,275 @@
+/**
+ * MCP tools for books
+ */
+
+import { Series, Book, Chapter } from '../../db/models/index.js';
+import { exportBook } from '../../series/exporter.js';
+import { validateBookTransition } from '../../series/status.js';
+
+export const bookTools = [
+  {
+    name: 'book_create',
+    description: 'Create a new book in a series',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        series_id: {
+          type: 'number',
+          description: 'Series ID',
+        },
+        book_number: {
+          type: 'number',
+          description: 'Book number in the series',
+        },
+        title: {
+          type: 'string',
+          description: 'Book title',
+        },
+        isbn: {
+          type: 'string',
+          description: 'ISBN (optional)',
+        },
+        plot_outline: {
+          type: 'string',
+          description: 'Book-level plot the narrator works toward (optional)',
+        },
+      },
+      required: ['series_id', 'book_number', 'title'],
+    },
+  },
+  {
+    name: 'book_get',
+    description: 'Get a book and a summary of its chapters',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        book_id: {
+          type: 'number',
+          description: 'Book ID',
+        },
+      },
+      required: ['book_id'],
+    },
+  },
+  {
+    name: 'book_list',
+    description: 'List the books in a series',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        series_id: {
+          type: 'number',
+          description: 'Series ID',
+        },
+      },
+      required: ['series_id'],
+    },
+  },
+  {
+    name: 'book_update',
+    description: 'Update a book. Status follows planning → writing → completed → published (and back one step)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        book_id: {
+          type: 'number',
+          description: 'Book ID',
+        },
+        book_number: {
+          type: 'number',
+          description: 'New book number (optional)',
+        },
+        title: {
+          type: 'string',
+          description: 'New title (optional)',
+        },
+        isbn: {
+          type: 'string',
+          description: 'ISBN (optional)',
+        },
+        plot_outline: {
+          type: 'string',
+          description: 'New plot outline (optional)',
+        },
+        status: {
+          type: 'string',
+          enum: ['planning', 'writing', 'completed', 'published'],
+          description: 'New status (optional)',
+        },
+      },
+      required: ['book_id'],
+    },
+  },
+  {
+    name: 'book_delete',
+    description: 'Delete a book with all its chapters',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        book_id: {
+          type: 'number',
+          description: 'Book ID',
+        },
+      },
+      required: ['book_id'],
+    },
+  },
+  {
+    name: 'book_export',
+    description: 'Export a book to a Markdown manuscript, plus EPUB 3 and print-ready HTML when it has an ISBN (marks it published)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        book_id: {
+          type: 'number',
+          description: 'Book ID',
+        },
+        author: {
+          type: 'string',
+          description: 'Author name for the title and copyright pages (optional, default: BOOK_AUTHOR)',
+        },
+      },
+      required: ['book_id'],
+    },
+  },
+];
+
+/**
+ * Summarize a chapter without its content and raw events
+ * @param {Object} chapter - Chapter row
+ * @returns {Object} Chapter summary
+ */
+function summarizeChapter(chapter) {
+  return {
+    id: chapter.id,
+    chapter_number: chapter.chapter_number,
+    title: chapter.title,
+    status: chapter.status,
+    words: chapter.content ? chapter.content.split(/\s+/).filter(Boolean).length : 0,
+    events: (chapter.raw_events || []).length,
+  };
+}
+
+export async function handleBookTool(name, args) {
+  switch (name) {
+    case 'book_create': {
+      const series = await Series.findById(args.series_id);
+      if (!series) {
+        throw new Error(`Series not found: ${args.series_id}`);
+      }
+
+      const existing = await Book.findBySeriesId(series.id);
+      if (existing.some(b => b.book_number === args.book_number)) {
+        throw new Error(`Book ${args.book_number} already exists in series ${series.id}`);
+      }
+
+      const book = await Book.create({
+        series_id: series.id,
+        book_number: args.book_number,
+        title: args.title,
+        isbn: args.isbn,
+        plot_outline: args.plot_outline,
+      });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(book, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'book_get': {
+      const book = await Book.findById(args.book_id);
+      if (!book) {
+        throw new Error(`Book not found: ${args.book_id}`);
+      }
+      const chapters = await Chapter.findByBookId(book.id);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({ ...book, chapters: chapters.map(summarizeChapter) }, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'book_list': {
+      const books = await Book.findBySeriesId(args.series_id);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(books, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'book_update': {
+      const book = await Book.findById(args.book_id);
+      if (!book) {
+        throw new Error(`Book not found: ${args.book_id}`);
+      }
+
+      if (args.book_number !== undefined && args.book_number !== book.book_number) {
+        const siblings = await Book.findBySeriesId(book.series_id);
+        if (siblings.some(b => b.book_number === args.book_number)) {
+          throw new Error(`Book ${args.book_number} already exists in series ${book.series_id}`);
+        }
+      }
+
+      if (args.status !== undefined) {
+        await validateBookTransition({ ...book, isbn: args.isbn !== undefined ? args.isbn : book.isbn }, args.status);
+      }
+
+      const updated = await Book.update(book.id, {
+        book_number: args.book_number,
+        title: args.title,
+        isbn: args.isbn,
+        plot_outline: args.plot_outline,
+        status: args.status,
+      });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(updated, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'book_delete': {
+      const deleted = await Book.delete(args.book_id);
+      if (!deleted) {
+        throw new Error(`Book not found: ${args.book_id}`);
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Deleted book ${args.book_id}`,
+          },
+        ],
+      };
+    }
+
+    case 'book_export': {
+      const result = await exportBook(args.book_id, { author: args.author });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    }
+
+    default:
+      throw new Error(`Unknown book tool: ${name}`);
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * MCP tools for chapters
+ */
+
+import { Book, Chapter } from '../../db/models/index.js';
+import { validateChapterTransition } from '../../series/status.js';
+
+export const chapterTools = [
+  {
+    name: 'chapter_create',
+    description: 'Create a new chapter in a book',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        book_id: {
+          type: 'number',
+          description: 'Book ID',
+        },
+        chapter_number: {
+          type: 'number',
+          description: 'Chapter number in the book',
+        },
+        title: {
+          type: 'string',
+          description: 'Chapter title (optional)',
+        },
+        plot_outline: {
+          type: 'string',
+          description: 'What should happen in the chapter (optional)',
+        },
+        goals: {
+          type: 'array',
+          items: { type: 'object' },
+          description: 'Goals the narrator drives toward, as {description, condition} objects (optional)',
+        },
+      },
+      required: ['book_id', 'chapter_number'],
+    },
+  },
+  {
+    name: 'chapter_get',
+    description: 'Get a chapter with its content, goals and collected events',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        chapter_id: {
+          type: 'number',
+          description: 'Chapter ID',
+        },
+      },
+      required: ['chapter_id'],
+    },
+  },
+  {
+    name: 'chapter_list',
+    description: 'List the chapters in a book (without content or raw events)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        book_id: {
+          type: 'number',
+          description: 'Book ID',
+        },
+      },
+      required: ['book_id'],
+    },
+  },
+  {
+    name: 'chapter_update',
+    description: 'Update a chapter. Status follows planning → in_progress → completed → revised (and back one step)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        chapter_id: {
+          type: 'number',
+          description: 'Chapter ID',
+        },
+        chapter_number: {
+          type: 'number',
+          description: 'New chapter number (optional)',
+        },
+        title: {
+          type: 'string',
+          description: 'New title (optional)',
+        },
+        plot_outline: {
+          type: 'string',
+          description: 'New plot outline (optional)',
+        },
+        goals: {
+          type: 'array',
+          items: { type: 'object' },
+          description: 'Replacement goals (optional)',
+        },
+        content: {
+          type: 'string',
+          description: 'Narrated content (optional)',
+        },
+        status: {
+          type: 'string',
+          enum: ['planning', 'in_progress', 'completed', 'revised'],
+          description: 'New status (optional)',
+        },
+      },
+      required: ['chapter_id'],
+    },
+  },
+  {
+    name: 'chapter_delete',
+    description: 'Delete a chapter',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        chapter_id: {
+          type: 'number',
+          description: 'Chapter ID',
+        },
+      },
+      required: ['chapter_id'],
+    },
+  },
+];
+
+export async function handleChapterTool(name, args) {
+  switch (name) {
+    case 'chapter_create': {
+      const book = await Book.findById(args.book_id);
+      if (!book) {
+        throw new Error(`Book not found: ${args.book_id}`);
+      }
+
+      const existing = await Chapter.findByBookId(book.id);
+      if (existing.some(c => c.chapter_number === args.chapter_number)) {
+        throw new Error(`Chapter ${args.chapter_number} already exists in book ${book.id}`);
+      }
+
+      const chapter = await Chapter.create({
+        book_id: book.id,
+        chapter_number: args.chapter_number,
+        title: args.title,
+        plot_outline: args.plot_outline,
+        goals: args.goals,
+      });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(chapter, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'chapter_get': {
+      const chapter = await Chapter.findById(args.chapter_id);
+      if (!chapter) {
+        throw new Error(`Chapter not found: ${args.chapter_id}`);
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(chapter, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'chapter_list': {
+      const chapters = await Chapter.findByBookId(args.book_id);
+      const summaries = chapters.map(({ content, raw_events, ...chapter }) => chapter);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(summaries, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'chapter_update': {
+      const chapter = await Chapter.findById(args.chapter_id);
+      if (!chapter) {
+        throw new Error(`Chapter not found: ${args.chapter_id}`);
+      }
+
+      if (args.chapter_number !== undefined && args.chapter_number !== chapter.chapter_number) {
+        const siblings = await Chapter.findByBookId(chapter.book_id);
+        if (siblings.some(c => c.chapter_number === args.chapter_number)) {
+          throw new Error(`Chapter ${args.chapter_number} already exists in book ${chapter.book_id}`);
+        }
+      }
+
+      if (args.status !== undefined) {
+        validateChapterTransition(chapter, args.status, args.content);
+      }
+
+      const updated = await Chapter.update(chapter.id, {
+        chapter_number: args.chapter_number,
+        title: args.title,
+        plot_outline: args.plot_outline,
+        goals: args.goals,
+        content: args.content,
+        status: args.status,
+      });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(updated, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'chapter_delete': {
+      const deleted = await Chapter.delete(args.chapter_id);
+      if (!deleted) {
+        throw new Error(`Chapter not found: ${args.chapter_id}`);
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Deleted chapter ${args.chapter_id}`,
+          },
+        ],
+      };
+    }
+
+    default:
+      throw new Error(`Unknown chapter tool: ${name}`);
+  }
+}
@@ -2,8 +2,13 @@
  * MCP tools for character operations
  */
 
-import { Character, Item } from '../../db/models/index.js';
+import { Character, Item, Species } from '../../db/models/index.js';
 import { executeTriggers } from '../handlers/triggers.js';
+import { publishWorldEvent, recordEvent, summarizeCharacter, summarizeItem } from '../handlers/events.js';
+import { deliverSpeech, SPEECH_VOLUMES } from '../handlers/speech.js';
+import { assertCanAct, assertValidDamage, assessVitalStatus, canAct, setVitalStatus, VITAL_STATUSES } from '../handlers/vitals.js';
+import { loadInventory } from '../handlers/inventory.js';
+import { addInjury, asWeapon, chooseWeapon, randomSeed, resolveAttack, UNARMED } from '../handlers/combat.js';
 
 export const characterTools = [
   {
@@ -71,6 +76,15 @@ export const characterTools = [
           description: 'Type of action: "speech", "action", or "thought"',
           enum: ['speech', 'action', 'thought'],
         },
+        volume: {
+          type: 'string',
+          description: 'How loudly speech is delivered (optional, default: "normal"). Shouts carry to adjacent areas',
+          enum: SPEECH_VOLUMES,
+        },
+        target_character_id: {
+          type: 'number',
+          description: 'Character to whisper to, who must be in the same area (required when volume is "whisper")',
+        },
       },
       required: ['character_id', 'text', 'action_type'],
     },
@@ -111,7 +125,7 @@ export const characterTools = [
   },
   {
     name: 'character_get_inventory',
-    description: 'Get all items held by a character',
+    description: 'Get all items held by a character, with the contents of containers',
     inputSchema: {
       type: 'object',
       properties: {
@@ -141,12 +155,101 @@ export const characterTools = [
           type: 'string',
           description: 'What happened as a result',
         },
+        major: {
+          type: 'boolean',
+          description: 'Also record this in the character\'s backstory (optional, default: false)',
+        },
       },
       required: ['character_id', 'action', 'result'],
     },
   },
+  {
+    name: 'character_consume',
+    description: 'Have a character eat or drink a consumable item they hold or that is in their area',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        character_id: {
+          type: 'number',
+          description: 'Character ID',
+        },
+        item_id: {
+          type: 'number',
+          description: 'Item ID',
+        },
+        method: {
+          type: 'string',
+          description: 'How the item is consumed',
+          enum: ['eat', 'drink'],
+        },
+      },
+      required: ['character_id', 'item_id', 'method'],
+    },
+  },
+  {
+    name: 'character_attack',
+    description: 'Have a character attack another character in the same area. The outcome depends on the weapon, the part aimed at and both characters\' alertness, and is the same for the same seed',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        character_id: {
+          type: 'number',
+          description: 'Attacking character ID',
+        },
+        target_character_id: {
+          type: 'number',
+          description: 'Character to attack',
+        },
+        item_id: {
+          type: 'number',
+          description: 'Held item to attack with (optional, defaults to the most damaging one to hand, or bare hands)',
+        },
+        part: {
+          type: 'string',
+          description: 'Body part to aim at (optional, harder to hit; random when omitted)',
+        },
+        seed: {
+          type: 'number',
+          description: 'Random seed (optional, recorded with the attack so it can be replayed; not accepted from player connections)',
+        },
+      },
+      required: ['character_id', 'target_character_id'],
+    },
+  },
+  {
+    name: 'character_set_vital_status',
+    description: 'Designer tool: kill, knock out or revive a character. Reviving heals all damage and restores nutrition and hydration to at least 50%',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        character_id: {
+          type: 'number',
+          description: 'Character ID',
+        },
+        vital_status: {
+          type: 'string',
+          description: 'New vital status',
+          enum: VITAL_STATUSES,
+        },
+        cause: {
+          type: 'string',
+          description: 'What caused the change, e.g. "a fall" (optional)',
+        },
+      },
+      required: ['character_id', 'vital_status'],
+    },
+  },
 ];
 
+// Nutrition and hydration a revived character gets back at least
+const REVIVE_MINIMUM = 50;
+
+// Which item property each way of consuming restores
+const CONSUME_VALUES = {
+  eat: 'nutrition_value',
+  drink: 'hydration_value',
+};
+
 export async function handleCharacterTool(name, args) {
   switch (name) {
     case 'character_get': {
@@ -194,6 +297,7 @@ export async function handleCharacterTool(name, args) {
       if (!character) {
         throw new Error(`Character not found: ${args.character_id}`);
       }
+      assertCanAct(character);
 
       const oldAreaId = character.current_area_id;
 
@@ -202,6 +306,33 @@ export async function handleCharacterTool(name, args) {
         current_area_id: args.area_id,
       });
 
+      // Tell anyone watching either area
+      if (oldAreaId) {
+        await publishWorldEvent({
+          type: 'character_departed',
+          area_id: oldAreaId,
+          character_id: character.id,
+          character: summarizeCharacter(character),
+          to_area_id: args.area_id,
+        });
+      }
+      await publishWorldEvent({
+        type: 'character_arrived',
+        area_id: args.area_id,
+        character_id: character.id,
+        character: summarizeCharacter(character),
+        from_area_id: oldAreaId,
+      });
+
+      await recordEvent({
+        world_id: character.world_id,
+        area_id: args.area_id,
+        actor_id: character.id,
+        event_type: 'move',
+        payload: { from_area_id: oldAreaId, to_area_id: args.area_id },
+        result: { success: true },
+      });
+
       // Execute area triggers for character entering
       await executeTriggers(args.area_id, 'character_enters', {
         character_id: args.character_id,
@@ -222,17 +353,61 @@ export async function handleCharacterTool(name, args) {
       if (!character) {
         throw new Error(`Character not found: ${args.character_id}`);
       }
+      assertCanAct(character);
+
+      const volume = args.volume || 'normal';
+      if (!SPEECH_VOLUMES.includes(volume)) {
+        throw new Error(`Invalid volume: ${volume} (expected one of ${SPEECH_VOLUMES.join(', ')})`);
+      }
+
+      let target = null;
+      if (volume === 'whisper') {
+        if (args.action_type !== 'speech') {
+          throw new Error('Only speech can be whispered');
+        }
+        target = await Character.findById(args.target_character_id);
+        if (!target || target.id === character.id || target.current_area_id !== character.current_area_id) {
+          throw new Error(`No one to whisper to: ${args.target_character_id} is not in the same area`);
+        }
+      }
 
       // Add to character memory
       await Character.addMemory(
         args.character_id,
         {
-          action: `${args.action_type}: ${args.text}`,
+          action: target
+            ? `whispered to ${target.name}: ${args.text}`
+            : `${volume === 'shout' ? 'shout' : args.action_type}: ${args.text}`,
           result: 'communicated',
         },
         character.character_class === 'story' ? 5 : 3
       );
 
+      // Thoughts stay private; speech and visible actions reach those nearby
+      const heardBy = await deliverSpeech(character, {
+        text: args.text,
+        action_type: args.action_type,
+        volume,
+        target_character_id: target && target.id,
+      });
+
+      const payload = { action_type: args.action_type, text: args.text };
+      if (volume !== 'normal') {
+        payload.volume = volume;
+      }
+      if (target) {
+        payload.target_character_id = target.id;
+      }
+
+      await recordEvent({
+        world_id: character.world_id,
+        area_id: character.current_area_id,
+        actor_id: character.id,
+        event_type: 'speak',
+        payload,
+        result: { success: true, heard_by: heardBy },
+      });
+
       // Check for speech-based triggers in current area
       if (args.action_type === 'speech' && character.current_area_id) {
         await executeTriggers(character.current_area_id, 'character_speech', {
@@ -257,7 +432,14 @@ export async function handleCharacterTool(name, args) {
       if (args.hydration !== undefined) updates.hydration = args.hydration;
       if (args.tiredness !== undefined) updates.tiredness = args.tiredness;
       if (args.alertness !== undefined) updates.alertness = args.alertness;
-      if (args.damage !== undefined) updates.damage = args.damage;
+      if (args.damage !== undefined) {
+        const existing = await Character.findById(args.character_id);
+        if (!existing) {
+          throw new Error(`Character not found: ${args.character_id}`);
+        }
+        assertValidDamage(await Species.forCharacter(existing), args.damage);
+        updates.damage = args.damage;
+      }
 
       const character = await Character.update(args.character_id, updates);
       if (!character) {
@@ -275,7 +457,7 @@ export async function handleCharacterTool(name, args) {
     }
 
     case 'character_get_inventory': {
-      const inventory = await Character.getInventory(args.character_id);
+      const inventory = await loadInventory(args.character_id);
       return {
         content: [
           {
@@ -297,6 +479,7 @@ export async function handleCharacterTool(name, args) {
         {
           action: args.action,
           result: args.result,
+          ...(args.major && { major: true }),
         },
         character.character_class === 'story' ? 5 : 3
       );
@@ -311,6 +494,250 @@ export async function handleCharacterTool(name, args) {
       };
     }
 
+    case 'character_consume': {
+      const character = await Character.findById(args.character_id);
+      if (!character) {
+        throw new Error(`Character not found: ${args.character_id}`);
+      }
+      assertCanAct(character);
+
+      const item = await Item.findById(args.item_id);
+      if (!item) {
+        throw new Error(`Item not found: ${args.item_id}`);
+      }
+
+      const reachable = item.held_by_character_id === character.id ||
+        (item.current_area_id && item.current_area_id === character.current_area_id);
+      if (!reachable) {
+        throw new Error(`${item.name} is neither held by ${character.name} nor in their area`);
+      }
+
+      const valueField = CONSUME_VALUES[args.method];
+      if (!valueField) {
+        throw new Error(`Invalid method: ${args.method} (expected eat or drink)`);
+      }
+
+      const properties = item.properties || {};
+      if (!properties.consumable || !(Number(properties[valueField]) > 0)) {
+        throw new Error(`${item.name} is not something you can ${args.method}`);
+      }
+
+      // Each use takes one portion; the item is gone with the last one
+      const updates = {
+        nutrition: Math.min(100, parseFloat(character.nutrition) + (Number(properties.nutrition_value) || 0)),
+        hydration: Math.min(100, parseFloat(character.hydration) + (Number(properties.hydration_value) || 0)),
+      };
+      await Character.update(character.id, updates);
+
+      const portions = (properties.portions !== undefined ? Number(properties.portions) : 1) - 1;
+      if (portions > 0) {
+        await Item.update(item.id, { properties: { ...properties, portions } });
+      } else {
+        await Item.delete(item.id);
+      }
+
+      const verb = args.method === 'eat' ? 'ate' : 'drank';
+
+      if (character.current_area_id) {
+        await publishWorldEvent({
+          type: 'item_consumed',
+          area_id: character.current_area_id,
+          character_id: character.id,
+          character: summarizeCharacter(character),
+          item: summarizeItem(item),
+          method: args.method,
+          portions_left: portions,
+        });
+      }
+
+      await recordEvent({
+        world_id: character.world_id,
+        area_id: character.current_area_id,
+        actor_id: character.id,
+        event_type: args.method,
+        payload: { item_id: item.id, item_name: item.name },
+        result: { success: true, ...updates, portions_left: portions },
+      });
+
+      await Character.addMemory(
+        character.id,
+        {
+          action: `${verb} ${item.name}`,
+          result: `nutrition ${updates.nutrition.toFixed(0)}%, hydration ${updates.hydration.toFixed(0)}%`,
+        },
+        character.character_class === 'story' ? 5 : 3
+      );
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${character.name} ${verb} ${item.name}` +
+              (portions > 0 ? ` (${portions} portion${portions === 1 ? '' : 's'} left)` : ' (used up)'),
+          },
+        ],
+      };
+    }
+
+    case 'character_attack': {
+      const attacker = await Character.findById(args.character_id);
+      if (!attacker) {
+        throw new Error(`Character not found: ${args.character_id}`);
+      }
+      assertCanAct(attacker);
+
+      const target = await Character.findById(args.target_character_id);
+      if (!target) {
+        throw new Error(`Character not found: ${args.target_character_id}`);
+      }
+      if (target.id === attacker.id) {
+        throw new Error(`${attacker.name} cannot attack themselves`);
+      }
+      if (!attacker.current_area_id || target.current_area_id !== attacker.current_area_id) {
+        throw new Error(`${target.name} is not in the same area as ${attacker.name}`);
+      }
+      if (target.vital_status === 'dead') {
+        throw new Error(`${target.name} is already dead`);
+      }
+
+      const inventory = await Character.getInventory(attacker.id);
+      let weapon = chooseWeapon(inventory);
+      if (args.item_id !== undefined) {
+        const item = inventory.find(i => i.id === args.item_id);
+        if (!item) {
+          throw new Error(`${attacker.name} is not holding item ${args.item_id}`);
+        }
+        // Items that are not weapons hit no harder than a fist
+        weapon = asWeapon(item) || { ...UNARMED, item_id: item.id, name: item.name };
+      }
+
+      const species = await Species.forCharacter(target);
+      if (args.part !== undefined && !species.body_parts.includes(args.part)) {
+        throw new Error(`A ${species.name} has no "${args.part}" (body parts: ${species.body_parts.join(', ')})`);
+      }
+
+      const seed = args.seed !== undefined ? args.seed : randomSeed();
+      const outcome = resolveAttack({
+        attacker,
+        target,
+        weapon,
+        bodyParts: species.body_parts,
+        part: args.part || null,
+        seed,
+      });
+
+      // A hit may knock the target out or kill them
+      let updatedTarget = target;
+      if (outcome.hit) {
+        const damage = addInjury(target.damage, outcome);
+        const { status } = assessVitalStatus({ ...target, damage });
+        updatedTarget = status !== (target.vital_status || 'alive')
+          ? await setVitalStatus(target, status, `${attacker.name}'s attack`, { damage })
+          : await Character.update(target.id, { damage });
+      }
+
+      await publishWorldEvent({
+        type: 'character_attacked',
+        area_id: attacker.current_area_id,
+        character_id: attacker.id,
+        character: summarizeCharacter(attacker),
+        target_character_id: target.id,
+        target: summarizeCharacter(target),
+        weapon: weapon.name,
+        hit: outcome.hit,
+        part: outcome.part,
+        damage_type: outcome.type,
+        severity: outcome.severity,
+      });
+
+      const result = {
+        hit: outcome.hit,
+        part: outcome.part,
+        damage_type: outcome.type,
+        severity: outcome.severity,
+        weapon: weapon.name,
+        seed,
+        target_vital_status: updatedTarget.vital_status,
+      };
+
+      await recordEvent({
+        world_id: attacker.world_id,
+        area_id: attacker.current_area_id,
+        actor_id: attacker.id,
+        event_type: 'attack',
+        payload: {
+          target_character_id: target.id,
+          target_name: target.name,
+          weapon_item_id: weapon.item_id || null,
+          aimed_part: args.part || null,
+          seed,
+        },
+        result: { success: true, ...result, chance: outcome.chance, roll: outcome.roll },
+      });
+
+      const wound = `${outcome.type} to the ${outcome.part}, severity ${outcome.severity}`;
+      await Character.addMemory(
+        attacker.id,
+        {
+          action: `attacked ${target.name} with ${weapon.name}`,
+          result: outcome.hit ? `hit: ${wound}` : 'missed',
+        },
+        attacker.character_class === 'story' ? 5 : 3
+      );
+
+      if (updatedTarget.vital_status !== 'dead') {
+        await Character.addMemory(
+          target.id,
+          {
+            action: `was attacked by ${attacker.name} with ${weapon.name}`,
+            result: outcome.hit ? `took a ${wound}` : 'was missed',
+          },
+          target.character_class === 'story' ? 5 : 3
+        );
+      }
+
+      // Let an awake target respond first next cycle
+      if (canAct(updatedTarget) && parseFloat(updatedTarget.alertness) >= 20) {
+        await Character.markHeard([target.id]);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'character_set_vital_status': {
+      const character = await Character.findById(args.character_id);
+      if (!character) {
+        throw new Error(`Character not found: ${args.character_id}`);
+      }
+
+      const updates = {};
+      let cause = args.cause || 'unknown causes';
+      if (args.vital_status === 'alive') {
+        cause = args.cause || 'revived';
+        updates.damage = [];
+        updates.nutrition = Math.max(REVIVE_MINIMUM, parseFloat(character.nutrition));
+        updates.hydration = Math.max(REVIVE_MINIMUM, parseFloat(character.hydration));
+      }
+
+      const updated = await setVitalStatus(character, args.vital_status, cause, updates);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${character.name} is now ${updated.vital_status}`,
+          },
+        ],
+      };
+    }
+
     default:
       throw new Error(`Unknown character tool: ${name}`);
   }
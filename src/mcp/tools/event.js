@@ -0,0 +1,118 @@
+/**
+ * MCP tools for querying the world event log
+ */
+
+import { Event } from '../../db/models/index.js';
+
+export const eventTools = [
+  {
+    name: 'event_query',
+    description: 'Query the world event log (moves, speech, pickups, drops, waits, sleeps, trigger reactions)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        world_id: {
+          type: 'number',
+          description: 'World ID',
+        },
+        area_id: {
+          type: 'number',
+          description: 'Only events in this area (optional)',
+        },
+        character_id: {
+          type: 'number',
+          description: 'Only events where this character is the actor or target (optional)',
+        },
+        types: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only these event types, e.g. ["move", "speak"] (optional)',
+        },
+        since: {
+          type: 'string',
+          description: 'ISO timestamp: only events at or after this time (optional)',
+        },
+        until: {
+          type: 'string',
+          description: 'ISO timestamp: only events at or before this time (optional)',
+        },
+        from_cycle: {
+          type: 'number',
+          description: 'Only events at or after this cycle (optional)',
+        },
+        to_cycle: {
+          type: 'number',
+          description: 'Only events at or before this cycle (optional)',
+        },
+        after_id: {
+          type: 'number',
+          description: 'Only events with a higher ID, for paging (optional)',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of events (default: 100)',
+        },
+      },
+      required: ['world_id'],
+    },
+  },
+  {
+    name: 'event_get',
+    description: 'Get a single event from the world event log',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        event_id: {
+          type: 'number',
+          description: 'Event ID',
+        },
+      },
+      required: ['event_id'],
+    },
+  },
+];
+
+export async function handleEventTool(name, args) {
+  switch (name) {
+    case 'event_query': {
+      const events = await Event.query({
+        world_id: args.world_id,
+        area_id: args.area_id,
+        character_id: args.character_id,
+        types: args.types,
+        since: args.since,
+        until: args.until,
+        from_cycle: args.from_cycle,
+        to_cycle: args.to_cycle,
+        after_id: args.after_id,
+        limit: args.limit,
+      });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(events, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'event_get': {
+      const event = await Event.findById(args.event_id);
+      if (!event) {
+        throw new Error(`Event not found: ${args.event_id}`);
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(event, null, 2),
+          },
+        ],
+      };
+    }
+
+    default:
+      throw new Error(`Unknown event tool: ${name}`);
+  }
+}
@@ -2,13 +2,46 @@
  * MCP tools for item operations
  */
 
-import { Item, Character } from '../../db/models/index.js';
+import { Item, Character, Species, TradeOffer } from '../../db/models/index.js';
 import { executeTriggers } from '../handlers/triggers.js';
+import { assertCanAct, canAct } from '../handlers/vitals.js';
+import { publishWorldEvent, recordEvent, summarizeCharacter, summarizeItem } from '../handlers/events.js';
+import {
+  assertCanCarry, assertCanLift, assertCanReceive, assertFits, canReach, findFreeSlot, loadContents, locateItem,
+} from '../handlers/inventory.js';
+import { randomSeed } from '../handlers/combat.js';
+import { assertHolding, assertTogether, resolveSteal } from '../handlers/transfers.js';
+
+/**
+ * Load a character, failing if they do not exist
+ * @param {number} id - Character ID
+ * @returns {Promise<Object>} Character row
+ */
+async function requireCharacter(id) {
+  const character = await Character.findById(id);
+  if (!character) {
+    throw new Error(`Character not found: ${id}`);
+  }
+  return character;
+}
+
+/**
+ * Load an item, failing if it does not exist
+ * @param {number} id - Item ID
+ * @returns {Promise<Object>} Item row
+ */
+async function requireItem(id) {
+  const item = await Item.findById(id);
+  if (!item) {
+    throw new Error(`Item not found: ${id}`);
+  }
+  return item;
+}
 
 export const itemTools = [
   {
     name: 'item_get',
-    description: 'Get details of an item',
+    description: 'Get details of an item, including the contents of containers',
     inputSchema: {
       type: 'object',
       properties: {
@@ -36,12 +69,56 @@ export const itemTools = [
         },
         location: {
           type: 'string',
-          description: 'Where to hold the item (e.g., "right hand", "left hand", "right pocket")',
+          description: 'Where to hold the item: a free carrying slot of the character\'s species (e.g., "right hand", "back", "right pocket")',
         },
       },
       required: ['character_id', 'item_id', 'location'],
     },
   },
+  {
+    name: 'item_put_in',
+    description: 'Have a character put an item they hold or that is in their area into a container they can reach',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        character_id: {
+          type: 'number',
+          description: 'Character ID',
+        },
+        item_id: {
+          type: 'number',
+          description: 'Item to put away',
+        },
+        container_id: {
+          type: 'number',
+          description: 'Container item, carried by the character or in their area (possibly inside another container)',
+        },
+      },
+      required: ['character_id', 'item_id', 'container_id'],
+    },
+  },
+  {
+    name: 'item_take_out',
+    description: 'Have a character take an item out of a container they can reach and carry it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        character_id: {
+          type: 'number',
+          description: 'Character ID',
+        },
+        item_id: {
+          type: 'number',
+          description: 'Item inside a container',
+        },
+        location: {
+          type: 'string',
+          description: 'Carrying slot to hold it in (optional, defaults to the first free slot it fits)',
+        },
+      },
+      required: ['character_id', 'item_id'],
+    },
+  },
   {
     name: 'item_drop',
     description: 'Have a character drop an item in their current area',
@@ -60,9 +137,105 @@ export const itemTools = [
       required: ['character_id', 'item_id'],
     },
   },
+  {
+    name: 'item_give',
+    description: 'Have a character hand an item they hold to another character in the same area, who needs a free carrying slot for it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        character_id: {
+          type: 'number',
+          description: 'Giving character ID',
+        },
+        target_character_id: {
+          type: 'number',
+          description: 'Receiving character ID',
+        },
+        item_id: {
+          type: 'number',
+          description: 'Item ID',
+        },
+        location: {
+          type: 'string',
+          description: 'Carrying slot of the receiver to put it in (optional, defaults to their first free slot it fits)',
+        },
+      },
+      required: ['character_id', 'target_character_id', 'item_id'],
+    },
+  },
+  {
+    name: 'item_offer_trade',
+    description: 'Have a character offer an item they hold to another character in the same area in exchange for one the other holds. The offer stays open until accepted with item_accept_trade',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        character_id: {
+          type: 'number',
+          description: 'Offering character ID',
+        },
+        target_character_id: {
+          type: 'number',
+          description: 'Character the offer is made to',
+        },
+        item_id: {
+          type: 'number',
+          description: 'Item offered, held by the offering character',
+        },
+        requested_item_id: {
+          type: 'number',
+          description: 'Item wanted in return, held by the target',
+        },
+      },
+      required: ['character_id', 'target_character_id', 'item_id', 'requested_item_id'],
+    },
+  },
+  {
+    name: 'item_accept_trade',
+    description: 'Have a character accept a trade offer made to them, swapping the two items. Fails, and cancels the offer, if either item has changed hands or the characters are apart',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        character_id: {
+          type: 'number',
+          description: 'Character the offer was made to',
+        },
+        offer_id: {
+          type: 'number',
+          description: 'Trade offer ID',
+        },
+      },
+      required: ['character_id', 'offer_id'],
+    },
+  },
+  {
+    name: 'item_steal',
+    description: 'Have a character try to steal an item from another character in the same area. Succeeds more often the less alert the target is; a failed attempt is noticed. The outcome is the same for the same seed',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        character_id: {
+          type: 'number',
+          description: 'Thief character ID',
+        },
+        target_character_id: {
+          type: 'number',
+          description: 'Character to steal from',
+        },
+        item_id: {
+          type: 'number',
+          description: 'Item to steal (optional, defaults to a random item the target holds)',
+        },
+        seed: {
+          type: 'number',
+          description: 'Random seed (optional, recorded with the attempt so it can be replayed; not accepted from player connections)',
+        },
+      },
+      required: ['character_id', 'target_character_id'],
+    },
+  },
   {
     name: 'item_create',
-    description: 'Create a new item in the world',
+    description: 'Create a new item in the world. An item created in an area fires that area\'s item_appeared triggers',
     inputSchema: {
       type: 'object',
       properties: {
@@ -103,7 +276,7 @@ export async function handleItemTool(name, args) {
         content: [
           {
             type: 'text',
-            text: JSON.stringify(item, null, 2),
+            text: JSON.stringify(await loadContents(item), null, 2),
           },
         ],
       };
@@ -114,6 +287,7 @@ export async function handleItemTool(name, args) {
       if (!character) {
         throw new Error(`Character not found: ${args.character_id}`);
       }
+      assertCanAct(character);
 
       const item = await Item.findById(args.item_id);
       if (!item) {
@@ -125,9 +299,30 @@ export async function handleItemTool(name, args) {
         throw new Error(`Item is not in character's current area`);
       }
 
+      await assertCanCarry(character, item, args.location);
+
       // Pick up the item
       await Item.giveToCharacter(args.item_id, args.character_id, args.location);
 
+      if (character.current_area_id) {
+        await publishWorldEvent({
+          type: 'item_picked_up',
+          area_id: character.current_area_id,
+          character_id: character.id,
+          character: summarizeCharacter(character),
+          item: summarizeItem(item),
+        });
+      }
+
+      await recordEvent({
+        world_id: character.world_id,
+        area_id: character.current_area_id,
+        actor_id: character.id,
+        event_type: 'pickup',
+        payload: { item_id: item.id, item_name: item.name, location: args.location },
+        result: { success: true },
+      });
+
       // Execute pickup triggers
       if (character.current_area_id) {
         await executeTriggers(character.current_area_id, 'item_picked_up', {
@@ -161,6 +356,7 @@ export async function handleItemTool(name, args) {
       if (!character) {
         throw new Error(`Character not found: ${args.character_id}`);
       }
+      assertCanAct(character);
 
       const item = await Item.findById(args.item_id);
       if (!item) {
@@ -179,6 +375,23 @@ export async function handleItemTool(name, args) {
       // Drop the item
       await Item.moveToArea(args.item_id, character.current_area_id);
 
+      await publishWorldEvent({
+        type: 'item_dropped',
+        area_id: character.current_area_id,
+        character_id: character.id,
+        character: summarizeCharacter(character),
+        item: summarizeItem(item),
+      });
+
+      await recordEvent({
+        world_id: character.world_id,
+        area_id: character.current_area_id,
+        actor_id: character.id,
+        event_type: 'drop',
+        payload: { item_id: item.id, item_name: item.name },
+        result: { success: true },
+      });
+
       // Execute drop triggers
       await executeTriggers(character.current_area_id, 'item_dropped', {
         character_id: args.character_id,
@@ -205,6 +418,475 @@ export async function handleItemTool(name, args) {
       };
     }
 
+    case 'item_put_in': {
+      const character = await Character.findById(args.character_id);
+      if (!character) {
+        throw new Error(`Character not found: ${args.character_id}`);
+      }
+      assertCanAct(character);
+
+      const item = await Item.findById(args.item_id);
+      if (!item) {
+        throw new Error(`Item not found: ${args.item_id}`);
+      }
+      const container = await Item.findById(args.container_id);
+      if (!container) {
+        throw new Error(`Item not found: ${args.container_id}`);
+      }
+
+      const held = item.held_by_character_id === character.id;
+      if (!held && !(item.current_area_id && item.current_area_id === character.current_area_id)) {
+        throw new Error(`${item.name} is neither held by ${character.name} nor in their area`);
+      }
+      if (!(await canReach(character, container))) {
+        throw new Error(`${container.name} is neither carried by ${character.name} nor in their area`);
+      }
+
+      await assertFits(container, item);
+      if ((await locateItem(container)).character_id === character.id) {
+        await assertCanLift(character, item);
+      }
+
+      await Item.putInContainer(item.id, container.id);
+
+      if (character.current_area_id) {
+        await publishWorldEvent({
+          type: 'item_stored',
+          area_id: character.current_area_id,
+          character_id: character.id,
+          character: summarizeCharacter(character),
+          item: summarizeItem(item),
+          container: summarizeItem(container),
+        });
+      }
+
+      await recordEvent({
+        world_id: character.world_id,
+        area_id: character.current_area_id,
+        actor_id: character.id,
+        event_type: 'put',
+        payload: { item_id: item.id, item_name: item.name, container_id: container.id, container_name: container.name },
+        result: { success: true },
+      });
+
+      await Character.addMemory(
+        character.id,
+        {
+          action: `put ${item.name} in ${container.name}`,
+          result: held ? `no longer holding it in ${item.held_location}` : 'stored',
+        },
+        character.character_class === 'story' ? 5 : 3
+      );
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${character.name} put ${item.name} in ${container.name}`,
+          },
+        ],
+      };
+    }
+
+    case 'item_take_out': {
+      const character = await Character.findById(args.character_id);
+      if (!character) {
+        throw new Error(`Character not found: ${args.character_id}`);
+      }
+      assertCanAct(character);
+
+      const item = await Item.findById(args.item_id);
+      if (!item) {
+        throw new Error(`Item not found: ${args.item_id}`);
+      }
+      if (!item.contained_in_item_id) {
+        throw new Error(`${item.name} is not in a container`);
+      }
+      if (!(await canReach(character, item))) {
+        throw new Error(`${item.name} is neither carried by ${character.name} nor in their area`);
+      }
+      const container = await Item.findById(item.contained_in_item_id);
+
+      let location = args.location;
+      if (!location) {
+        const species = await Species.forCharacter(character);
+        location = findFreeSlot(species, await Character.getInventory(character.id), item);
+        if (!location) {
+          throw new Error(`${character.name} has nowhere free to carry ${item.name}`);
+        }
+      }
+      await assertCanCarry(character, item, location);
+
+      await Item.giveToCharacter(item.id, character.id, location);
+
+      if (character.current_area_id) {
+        await publishWorldEvent({
+          type: 'item_retrieved',
+          area_id: character.current_area_id,
+          character_id: character.id,
+          character: summarizeCharacter(character),
+          item: summarizeItem(item),
+          container: summarizeItem(container),
+        });
+      }
+
+      await recordEvent({
+        world_id: character.world_id,
+        area_id: character.current_area_id,
+        actor_id: character.id,
+        event_type: 'take',
+        payload: { item_id: item.id, item_name: item.name, container_id: container.id, container_name: container.name, location },
+        result: { success: true },
+      });
+
+      await Character.addMemory(
+        character.id,
+        {
+          action: `took ${item.name} from ${container.name}`,
+          result: `now holding in ${location}`,
+        },
+        character.character_class === 'story' ? 5 : 3
+      );
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${character.name} took ${item.name} from ${container.name} into ${location}`,
+          },
+        ],
+      };
+    }
+
+    case 'item_give': {
+      const giver = await requireCharacter(args.character_id);
+      assertCanAct(giver);
+      const receiver = await requireCharacter(args.target_character_id);
+      assertTogether(giver, receiver);
+      assertCanAct(receiver);
+
+      const item = await requireItem(args.item_id);
+      assertHolding(giver, item);
+      const location = await assertCanReceive(receiver, item, { location: args.location || null });
+
+      await Item.giveToCharacter(item.id, receiver.id, location);
+
+      await publishWorldEvent({
+        type: 'item_given',
+        area_id: giver.current_area_id,
+        character_id: giver.id,
+        character: summarizeCharacter(giver),
+        target_character_id: receiver.id,
+        target: summarizeCharacter(receiver),
+        item: summarizeItem(item),
+      });
+
+      await recordEvent({
+        world_id: giver.world_id,
+        area_id: giver.current_area_id,
+        actor_id: giver.id,
+        event_type: 'give',
+        payload: {
+          item_id: item.id,
+          item_name: item.name,
+          target_character_id: receiver.id,
+          target_name: receiver.name,
+          location,
+        },
+        result: { success: true },
+      });
+
+      await executeTriggers(giver.current_area_id, 'item_given', {
+        character_id: giver.id,
+        target_character_id: receiver.id,
+        item_id: item.id,
+      });
+
+      await Character.addMemory(
+        giver.id,
+        { action: `gave ${item.name} to ${receiver.name}`, result: `no longer holding it in ${item.held_location}` },
+        giver.character_class === 'story' ? 5 : 3
+      );
+      await Character.addMemory(
+        receiver.id,
+        { action: `was given ${item.name} by ${giver.name}`, result: `now holding in ${location}` },
+        receiver.character_class === 'story' ? 5 : 3
+      );
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${giver.name} gave ${item.name} to ${receiver.name}, who holds it in ${location}`,
+          },
+        ],
+      };
+    }
+
+    case 'item_offer_trade': {
+      const offerer = await requireCharacter(args.character_id);
+      assertCanAct(offerer);
+      const target = await requireCharacter(args.target_character_id);
+      assertTogether(offerer, target);
+
+      const item = await requireItem(args.item_id);
+      assertHolding(offerer, item);
+      const requested = await requireItem(args.requested_item_id);
+      assertHolding(target, requested);
+
+      const offer = await TradeOffer.create({
+        world_id: offerer.world_id,
+        from_character_id: offerer.id,
+        to_character_id: target.id,
+        item_id: item.id,
+        requested_item_id: requested.id,
+      });
+
+      await publishWorldEvent({
+        type: 'trade_offered',
+        area_id: offerer.current_area_id,
+        character_id: offerer.id,
+        character: summarizeCharacter(offerer),
+        target_character_id: target.id,
+        target: summarizeCharacter(target),
+        item: summarizeItem(item),
+        requested_item: summarizeItem(requested),
+        offer_id: offer.id,
+      });
+
+      await recordEvent({
+        world_id: offerer.world_id,
+        area_id: offerer.current_area_id,
+        actor_id: offerer.id,
+        event_type: 'offer_trade',
+        payload: {
+          offer_id: offer.id,
+          target_character_id: target.id,
+          target_name: target.name,
+          item_id: item.id,
+          item_name: item.name,
+          requested_item_id: requested.id,
+          requested_item_name: requested.name,
+        },
+        result: { success: true },
+      });
+
+      await Character.addMemory(
+        offerer.id,
+        { action: `offered ${item.name} to ${target.name} for their ${requested.name}`, result: 'waiting for an answer' },
+        offerer.character_class === 'story' ? 5 : 3
+      );
+      await Character.addMemory(
+        target.id,
+        { action: `was offered ${item.name} by ${offerer.name} for ${requested.name}`, result: 'can accept the trade' },
+        target.character_class === 'story' ? 5 : 3
+      );
+
+      // Let the target answer first next cycle
+      if (canAct(target)) {
+        await Character.markHeard([target.id]);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${offerer.name} offered ${item.name} to ${target.name} for ${requested.name} (offer ID: ${offer.id})`,
+          },
+        ],
+      };
+    }
+
+    case 'item_accept_trade': {
+      const accepter = await requireCharacter(args.character_id);
+      assertCanAct(accepter);
+
+      const offer = await TradeOffer.findById(args.offer_id);
+      if (!offer || offer.to_character_id !== accepter.id) {
+        throw new Error(`No trade offer ${args.offer_id} was made to ${accepter.name}`);
+      }
+      if (offer.status !== 'open') {
+        throw new Error(`Trade offer ${offer.id} is already ${offer.status}`);
+      }
+
+      const offerer = await requireCharacter(offer.from_character_id);
+      const item = await requireItem(offer.item_id);
+      const requested = await requireItem(offer.requested_item_id);
+
+      // The offer lapses once either side can no longer keep it
+      try {
+        assertTogether(accepter, offerer);
+        assertCanAct(offerer);
+        assertHolding(offerer, item);
+        assertHolding(accepter, requested);
+      } catch (error) {
+        await TradeOffer.resolve(offer.id, 'cancelled');
+        throw new Error(`Trade offer ${offer.id} no longer stands: ${error.message}`);
+      }
+
+      const accepterSlot = await assertCanReceive(accepter, item, { giving: requested });
+      const offererSlot = await assertCanReceive(offerer, requested, { giving: item });
+
+      await Item.giveToCharacter(item.id, accepter.id, accepterSlot);
+      await Item.giveToCharacter(requested.id, offerer.id, offererSlot);
+      await TradeOffer.resolve(offer.id, 'accepted');
+
+      await publishWorldEvent({
+        type: 'trade_completed',
+        area_id: accepter.current_area_id,
+        character_id: accepter.id,
+        character: summarizeCharacter(accepter),
+        target_character_id: offerer.id,
+        target: summarizeCharacter(offerer),
+        item: summarizeItem(item),
+        requested_item: summarizeItem(requested),
+        offer_id: offer.id,
+      });
+
+      await recordEvent({
+        world_id: accepter.world_id,
+        area_id: accepter.current_area_id,
+        actor_id: accepter.id,
+        event_type: 'accept_trade',
+        payload: {
+          offer_id: offer.id,
+          target_character_id: offerer.id,
+          target_name: offerer.name,
+          item_id: item.id,
+          item_name: item.name,
+          requested_item_id: requested.id,
+          requested_item_name: requested.name,
+        },
+        result: { success: true },
+      });
+
+      await executeTriggers(accepter.current_area_id, 'item_traded', {
+        character_id: accepter.id,
+        target_character_id: offerer.id,
+        item_id: item.id,
+        requested_item_id: requested.id,
+      });
+
+      await Character.addMemory(
+        accepter.id,
+        { action: `traded ${requested.name} to ${offerer.name} for ${item.name}`, result: `now holding ${item.name} in ${accepterSlot}` },
+        accepter.character_class === 'story' ? 5 : 3
+      );
+      await Character.addMemory(
+        offerer.id,
+        { action: `traded ${item.name} to ${accepter.name} for ${requested.name}`, result: `now holding ${requested.name} in ${offererSlot}` },
+        offerer.character_class === 'story' ? 5 : 3
+      );
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${accepter.name} traded ${requested.name} to ${offerer.name} for ${item.name}`,
+          },
+        ],
+      };
+    }
+
+    case 'item_steal': {
+      const thief = await requireCharacter(args.character_id);
+      assertCanAct(thief);
+      const target = await requireCharacter(args.target_character_id);
+      assertTogether(thief, target);
+
+      const items = await Character.getInventory(target.id);
+      if (items.length === 0) {
+        throw new Error(`${target.name} has nothing to steal`);
+      }
+      if (args.item_id !== undefined && !items.some(i => i.id === args.item_id)) {
+        throw new Error(`${target.name} is not holding item ${args.item_id}`);
+      }
+
+      const seed = args.seed !== undefined ? args.seed : randomSeed();
+      const outcome = resolveSteal(target, items, args.item_id ?? null, seed);
+      const item = outcome.item;
+
+      // The thief needs somewhere to put it before reaching for it
+      const location = await assertCanReceive(thief, item);
+      if (outcome.stolen) {
+        await Item.giveToCharacter(item.id, thief.id, location);
+      }
+
+      await publishWorldEvent({
+        type: 'item_stolen',
+        area_id: thief.current_area_id,
+        character_id: thief.id,
+        character: summarizeCharacter(thief),
+        target_character_id: target.id,
+        target: summarizeCharacter(target),
+        item: summarizeItem(item),
+        stolen: outcome.stolen,
+      });
+
+      const result = {
+        stolen: outcome.stolen,
+        caught: !outcome.stolen,
+        item_id: item.id,
+        item_name: item.name,
+        location: outcome.stolen ? location : null,
+        seed,
+      };
+
+      await recordEvent({
+        world_id: thief.world_id,
+        area_id: thief.current_area_id,
+        actor_id: thief.id,
+        event_type: 'steal',
+        payload: {
+          target_character_id: target.id,
+          target_name: target.name,
+          item_id: args.item_id ?? null,
+          seed,
+        },
+        result: { success: true, ...result, chance: outcome.chance, roll: outcome.roll },
+      });
+
+      await executeTriggers(thief.current_area_id, 'item_stolen', {
+        character_id: thief.id,
+        target_character_id: target.id,
+        item_id: item.id,
+        stolen: outcome.stolen,
+      });
+
+      await Character.addMemory(
+        thief.id,
+        {
+          action: `tried to steal ${item.name} from ${target.name}`,
+          result: outcome.stolen ? `got away with it, now holding in ${location}` : 'was caught in the act',
+        },
+        thief.character_class === 'story' ? 5 : 3
+      );
+
+      if (target.vital_status !== 'dead') {
+        await Character.addMemory(
+          target.id,
+          outcome.stolen
+            ? { action: `noticed ${item.name} was missing`, result: 'someone must have taken it' }
+            : { action: `caught ${thief.name} trying to steal ${item.name}`, result: 'kept hold of it' },
+          target.character_class === 'story' ? 5 : 3
+        );
+      }
+
+      // Let a target who caught the thief respond first next cycle
+      if (!outcome.stolen && canAct(target)) {
+        await Character.markHeard([target.id]);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    }
+
     case 'item_create': {
       const item = await Item.create({
         world_id: args.world_id,
@@ -214,6 +896,19 @@ export async function handleItemTool(name, args) {
         current_area_id: args.area_id || null,
       });
 
+      if (item.current_area_id) {
+        await publishWorldEvent({
+          type: 'item_appeared',
+          area_id: item.current_area_id,
+          item: summarizeItem(item),
+        });
+
+        // Execute appearance triggers
+        await executeTriggers(item.current_area_id, 'item_appeared', {
+          item_id: item.id,
+        });
+      }
+
       return {
         content: [
           {
@@ -0,0 +1,112 @@
+/**
+ * MCP tools for player sessions
+ */
+
+import { Character } from '../../db/models/index.js';
+import { claimCharacter, releaseCharacter, validateSession, endSession } from '../handlers/auth.js';
+
+export const playerTools = [
+  {
+    name: 'player_claim_character',
+    description: 'Claim a character for player control and start a session for this connection',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        character_id: {
+          type: 'number',
+          description: 'Character ID',
+        },
+        player_id: {
+          type: 'string',
+          description: 'Unique player identifier',
+        },
+      },
+      required: ['character_id', 'player_id'],
+    },
+  },
+  {
+    name: 'player_release_character',
+    description: 'Release a claimed character back to AI control and end the session',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_token: {
+          type: 'string',
+          description: 'Session token returned by player_claim_character (defaults to the connection session)',
+        },
+      },
+    },
+  },
+];
+
+/**
+ * Handle a player tool call
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object|null} connection - Player connection state ({ sessionToken, characterId, areaId }), null for stdio
+ * @returns {Promise<Object>} MCP tool result
+ */
+export async function handlePlayerTool(name, args, connection = null) {
+  switch (name) {
+    case 'player_claim_character': {
+      if (connection && connection.sessionToken) {
+        const current = validateSession(connection.sessionToken);
+        if (current && current.characterId !== args.character_id) {
+          throw new Error('Connection already controls a character; release it first');
+        }
+        endSession(connection.sessionToken);
+      }
+
+      const sessionToken = await claimCharacter(args.player_id, args.character_id);
+      const character = await Character.findById(args.character_id);
+
+      if (connection) {
+        connection.sessionToken = sessionToken;
+        connection.characterId = args.character_id;
+        connection.areaId = character.current_area_id;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              session_token: sessionToken,
+              player_id: args.player_id,
+              character_id: character.id,
+              character_name: character.name,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'player_release_character': {
+      const token = args.session_token || (connection && connection.sessionToken);
+      const session = token ? validateSession(token) : null;
+      if (!session) {
+        throw new Error('Invalid or expired session');
+      }
+
+      await releaseCharacter(session.characterId);
+
+      if (connection && connection.sessionToken === token) {
+        connection.sessionToken = null;
+        connection.characterId = null;
+        connection.areaId = null;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Released character ${session.characterId}`,
+          },
+        ],
+      };
+    }
+
+    default:
+      throw new Error(`Unknown player tool: ${name}`);
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * MCP tools for managing series and importing series design files
+ */
+
+import { Series, Book } from '../../db/models/index.js';
+import { importSeriesFile, validateSeriesFile } from '../../series/importer.js';
+
+export const seriesTools = [
+  {
+    name: 'series_create',
+    description: 'Create a new book series in a world',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        world_id: {
+          type: 'number',
+          description: 'World the series is set in',
+        },
+        name: {
+          type: 'string',
+          description: 'Series name',
+        },
+        description: {
+          type: 'string',
+          description: 'Series description (optional)',
+        },
+        plot_outline: {
+          type: 'string',
+          description: 'Series-level plot the narrator works toward (optional)',
+        },
+      },
+      required: ['world_id', 'name'],
+    },
+  },
+  {
+    name: 'series_get',
+    description: 'Get a series and its books',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        series_id: {
+          type: 'number',
+          description: 'Series ID',
+        },
+      },
+      required: ['series_id'],
+    },
+  },
+  {
+    name: 'series_list',
+    description: 'List all series in a world',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        world_id: {
+          type: 'number',
+          description: 'World ID',
+        },
+      },
+      required: ['world_id'],
+    },
+  },
+  {
+    name: 'series_update',
+    description: 'Update a series',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        series_id: {
+          type: 'number',
+          description: 'Series ID',
+        },
+        name: {
+          type: 'string',
+          description: 'New name (optional)',
+        },
+        description: {
+          type: 'string',
+          description: 'New description (optional)',
+        },
+        plot_outline: {
+          type: 'string',
+          description: 'New plot outline (optional)',
+        },
+      },
+      required: ['series_id'],
+    },
+  },
+  {
+    name: 'series_delete',
+    description: 'Delete a series with all its books and chapters',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        series_id: {
+          type: 'number',
+          description: 'Series ID',
+        },
+      },
+      required: ['series_id'],
+    },
+  },
+  {
+    name: 'series_validate',
+    description: 'Validate a series design file: structure errors, {working} markers (file and line) and {narrator discretion} open slots',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file_path: {
+          type: 'string',
+          description: 'Path to the design file (bare names are looked up in ~/series-design)',
+        },
+      },
+      required: ['file_path'],
+    },
+  },
+  {
+    name: 'series_import',
+    description: 'Import a series design file, creating or updating the series, its books and chapters',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file_path: {
+          type: 'string',
+          description: 'Path to the design file (bare names are looked up in ~/series-design)',
+        },
+        world_id: {
+          type: 'number',
+          description: 'World the series is set in',
+        },
+      },
+      required: ['file_path', 'world_id'],
+    },
+  },
+];
+
+export async function handleSeriesTool(name, args) {
+  switch (name) {
+    case 'series_create': {
+      const series = await Series.create({
+        world_id: args.world_id,
+        name: args.name,
+        description: args.description,
+        plot_outline: args.plot_outline,
+      });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(series, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'series_get': {
+      const series = await Series.findById(args.series_id);
+      if (!series) {
+        throw new Error(`Series not found: ${args.series_id}`);
+      }
+      const books = await Book.findBySeriesId(series.id);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({ ...series, books }, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'series_list': {
+      const series = await Series.findByWorldId(args.world_id);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(series, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'series_update': {
+      const series = await Series.update(args.series_id, {
+        name: args.name,
+        description: args.description,
+        plot_outline: args.plot_outline,
+      });
+      if (!series) {
+        throw new Error(`Series not found: ${args.series_id}`);
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(series, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'series_delete': {
+      const deleted = await Series.delete(args.series_id);
+      if (!deleted) {
+        throw new Error(`Series not found: ${args.series_id}`);
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Deleted series ${args.series_id}`,
+          },
+        ],
+      };
+    }
+
+    case 'series_validate': {
+      const report = await validateSeriesFile(args.file_path);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(report, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'series_import': {
+      const summary = await importSeriesFile(args.file_path, args.world_id);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(summary, null, 2),
+          },
+        ],
+      };
+    }
+
+    default:
+      throw new Error(`Unknown series tool: ${name}`);
+  }
+}
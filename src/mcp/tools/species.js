@@ -0,0 +1,256 @@
+/**
+ * MCP tools for species operations
+ */
+
+import { Character, Species } from '../../db/models/index.js';
+
+// Traits shared by species_create and species_update
+const traitProperties = {
+  description: {
+    type: 'string',
+    description: 'Species description',
+  },
+  nutrition_loss_per_hour: {
+    type: 'number',
+    description: 'Nutrition lost per hour (human: 4)',
+  },
+  hydration_loss_per_hour: {
+    type: 'number',
+    description: 'Hydration lost per hour (human: 6)',
+  },
+  tiredness_gain_per_hour: {
+    type: 'number',
+    description: 'Tiredness gained per waking hour (human: 6)',
+  },
+  sleep_recovery_per_hour: {
+    type: 'number',
+    description: 'Tiredness recovered and alertness regained per hour of sleep (human: 300)',
+  },
+  healing_per_hour: {
+    type: 'number',
+    description: 'Injury severity healed per hour (human: 0.5)',
+  },
+  comfort_min_temperature: {
+    type: 'number',
+    description: 'Coldest comfortable temperature in Celsius (human: 16)',
+  },
+  comfort_max_temperature: {
+    type: 'number',
+    description: 'Hottest comfortable temperature in Celsius (human: 26)',
+  },
+  body_parts: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Body parts that can be injured (damage[].part must be one of these, or "body")',
+  },
+  carrying_slots: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Places items can be carried, in the order they are filled (e.g., ["right hand", "left pocket"])',
+  },
+  carry_capacity: {
+    type: 'number',
+    description: 'Total weight in kg a character can carry (human: 25)',
+  },
+};
+
+export const speciesTools = [
+  {
+    name: 'species_get',
+    description: 'Get a species and the characters belonging to it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        species_id: {
+          type: 'number',
+          description: 'Species ID',
+        },
+      },
+      required: ['species_id'],
+    },
+  },
+  {
+    name: 'species_list',
+    description: 'List all species in a world',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        world_id: {
+          type: 'number',
+          description: 'World ID',
+        },
+      },
+      required: ['world_id'],
+    },
+  },
+  {
+    name: 'species_create',
+    description: 'Create a species (unset traits default to human values). Characters of the world whose species has this name are linked to it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        world_id: {
+          type: 'number',
+          description: 'World ID',
+        },
+        name: {
+          type: 'string',
+          description: 'Species name, unique within the world',
+        },
+        ...traitProperties,
+      },
+      required: ['world_id', 'name'],
+    },
+  },
+  {
+    name: 'species_update',
+    description: 'Update a species. Renaming it renames the species of its characters.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        species_id: {
+          type: 'number',
+          description: 'Species ID',
+        },
+        name: {
+          type: 'string',
+          description: 'Species name',
+        },
+        ...traitProperties,
+      },
+      required: ['species_id'],
+    },
+  },
+  {
+    name: 'species_delete',
+    description: 'Delete a species. Its characters fall back to human traits.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        species_id: {
+          type: 'number',
+          description: 'Species ID',
+        },
+      },
+      required: ['species_id'],
+    },
+  },
+];
+
+/**
+ * Reject an empty body part or carrying slot list
+ * @param {Object} args - Tool arguments
+ */
+function validateLists(args) {
+  for (const field of ['body_parts', 'carrying_slots']) {
+    if (args[field] !== undefined && (!Array.isArray(args[field]) || args[field].length === 0)) {
+      throw new Error(`${field} must be a non-empty array of names`);
+    }
+  }
+}
+
+export async function handleSpeciesTool(name, args) {
+  switch (name) {
+    case 'species_get': {
+      const species = await Species.findById(args.species_id);
+      if (!species) {
+        throw new Error(`Species not found: ${args.species_id}`);
+      }
+
+      const characters = (await Character.findByWorldId(species.world_id))
+        .filter(c => c.species_id === species.id);
+
+      const result = {
+        ...species,
+        characters: characters.map(c => ({
+          id: c.id,
+          name: c.name,
+          vital_status: c.vital_status,
+        })),
+      };
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'species_list': {
+      const species = await Species.findByWorldId(args.world_id);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(species, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'species_create': {
+      validateLists(args);
+      if (await Species.findByName(args.world_id, args.name)) {
+        throw new Error(`Species already exists in world ${args.world_id}: ${args.name}`);
+      }
+
+      const data = { world_id: args.world_id, name: args.name };
+      for (const field of Object.keys(traitProperties)) {
+        if (args[field] !== undefined) data[field] = args[field];
+      }
+
+      const species = await Species.create(data);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(species, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'species_update': {
+      validateLists(args);
+
+      const data = {};
+      for (const field of ['name', ...Object.keys(traitProperties)]) {
+        if (args[field] !== undefined) data[field] = args[field];
+      }
+
+      const species = await Species.update(args.species_id, data);
+      if (!species) {
+        throw new Error(`Species not found: ${args.species_id}`);
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(species, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'species_delete': {
+      const deleted = await Species.delete(args.species_id);
+      if (!deleted) {
+        throw new Error(`Species not found: ${args.species_id}`);
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Deleted species ${args.species_id}`,
+          },
+        ],
+      };
+    }
+
+    default:
+      throw new Error(`Unknown species tool: ${name}`);
+  }
+}
@@ -2,12 +2,16 @@
  * MCP tools for world-level operations
  */
 
-import { World, WritingStyle } from '../../db/models/index.js';
+import { World, WorldSnapshot, WritingStyle } from '../../db/models/index.js';
+import { describeClock, MINUTES_PER_DAY, parseTime } from '../handlers/clock.js';
+import { parseWorldFile, stringifyWorldFile, WORLD_FILE_FORMATS } from '../../world/format.js';
+import { exportWorld, importWorld } from '../../world/transfer.js';
+import { createSnapshot, forkSnapshot, restoreSnapshot } from '../../world/snapshots.js';
 
 export const worldTools = [
   {
     name: 'world_get',
-    description: 'Get details of a world by ID',
+    description: 'Get details of a world by ID, including its clock (cycle, day, time of day)',
     inputSchema: {
       type: 'object',
       properties: {
@@ -45,6 +49,148 @@ export const worldTools = [
       required: ['name', 'description'],
     },
   },
+  {
+    name: 'world_set_clock',
+    description: 'Designer tool: set a world\'s in-world day and time, or how many minutes each simulation cycle lasts. Time-based triggers are not fired by the jump',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        world_id: {
+          type: 'number',
+          description: 'World ID',
+        },
+        day: {
+          type: 'number',
+          description: 'Day, counting from 1 (optional, defaults to the current day)',
+        },
+        time: {
+          type: 'string',
+          description: 'Time of day as HH:MM (optional, defaults to the current time)',
+        },
+        minutes_per_cycle: {
+          type: 'number',
+          description: 'In-world minutes each cycle moves the clock on (optional, default 10)',
+        },
+      },
+      required: ['world_id'],
+    },
+  },
+  {
+    name: 'world_import',
+    description: 'Designer tool: create a new world from a world file (YAML or JSON, see the world file format), with its writing style, species, areas, characters and items. Nothing is created if the file has errors',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        content: {
+          type: 'string',
+          description: 'World file contents',
+        },
+        format: {
+          type: 'string',
+          enum: WORLD_FILE_FORMATS,
+          description: 'File format (optional, guessed from the content)',
+        },
+      },
+      required: ['content'],
+    },
+  },
+  {
+    name: 'world_export',
+    description: 'Designer tool: export a world as a world file, with areas, characters and items referred to by slug',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        world_id: {
+          type: 'number',
+          description: 'World ID',
+        },
+        format: {
+          type: 'string',
+          enum: WORLD_FILE_FORMATS,
+          description: 'File format (optional, default yaml)',
+        },
+      },
+      required: ['world_id'],
+    },
+  },
+  {
+    name: 'world_snapshot_create',
+    description: 'Designer tool: save a snapshot of everything in a world (areas, characters with their memories and state, items, triggers, writing style, series progress and events) at its current cycle',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        world_id: {
+          type: 'number',
+          description: 'World ID',
+        },
+        label: {
+          type: 'string',
+          description: 'What the snapshot is, e.g. "before the storm"',
+        },
+      },
+      required: ['world_id', 'label'],
+    },
+  },
+  {
+    name: 'world_snapshot_list',
+    description: 'Designer tool: list the snapshots of a world, oldest first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        world_id: {
+          type: 'number',
+          description: 'World ID',
+        },
+      },
+      required: ['world_id'],
+    },
+  },
+  {
+    name: 'world_snapshot_restore',
+    description: 'Designer tool: rewind a world to a snapshot, deleting everything it gained since. Stop the agent controller first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        snapshot_id: {
+          type: 'number',
+          description: 'Snapshot ID',
+        },
+      },
+      required: ['snapshot_id'],
+    },
+  },
+  {
+    name: 'world_snapshot_fork',
+    description: 'Designer tool: copy a snapshot into a new world, to try another plot branch from the same point',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        snapshot_id: {
+          type: 'number',
+          description: 'Snapshot ID',
+        },
+        name: {
+          type: 'string',
+          description: 'Name of the new world (optional, defaults to the world name and snapshot label)',
+        },
+      },
+      required: ['snapshot_id'],
+    },
+  },
+  {
+    name: 'world_snapshot_delete',
+    description: 'Designer tool: delete a snapshot',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        snapshot_id: {
+          type: 'number',
+          description: 'Snapshot ID',
+        },
+      },
+      required: ['snapshot_id'],
+    },
+  },
   {
     name: 'world_get_writing_style',
     description: 'Get the writing style for a world',
@@ -72,7 +218,37 @@ export async function handleWorldTool(name, args) {
         content: [
           {
             type: 'text',
-            text: JSON.stringify(world, null, 2),
+            text: JSON.stringify({ ...world, clock: describeClock(world) }, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'world_set_clock': {
+      const world = await World.findById(args.world_id);
+      if (!world) {
+        throw new Error(`World not found: ${args.world_id}`);
+      }
+      if (args.day !== undefined && !(Number.isInteger(args.day) && args.day >= 1)) {
+        throw new Error(`Invalid day: ${args.day} (days count from 1)`);
+      }
+      if (args.minutes_per_cycle !== undefined && !(Number.isInteger(args.minutes_per_cycle) && args.minutes_per_cycle > 0)) {
+        throw new Error(`Invalid minutes_per_cycle: ${args.minutes_per_cycle} (must be a positive whole number)`);
+      }
+
+      const clock = describeClock(world);
+      const day = args.day !== undefined ? args.day : clock.day;
+      const time = parseTime(args.time !== undefined ? args.time : clock.time);
+
+      const updated = await World.update(world.id, {
+        clock_minutes: (day - 1) * MINUTES_PER_DAY + time,
+        minutes_per_cycle: args.minutes_per_cycle,
+      });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(describeClock(updated), null, 2),
           },
         ],
       };
@@ -105,6 +281,92 @@ export async function handleWorldTool(name, args) {
       };
     }
 
+    case 'world_import': {
+      const summary = await importWorld(parseWorldFile(args.content, args.format));
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Imported world: ${summary.name} (ID: ${summary.world_id}) with ${summary.areas} area(s), ${summary.characters} character(s), ${summary.items} item(s) and ${summary.species} species`,
+          },
+        ],
+      };
+    }
+
+    case 'world_export': {
+      const doc = await exportWorld(args.world_id);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: stringifyWorldFile(doc, args.format),
+          },
+        ],
+      };
+    }
+
+    case 'world_snapshot_create': {
+      const snapshot = await createSnapshot(args.world_id, args.label);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Saved snapshot: ${snapshot.label} (ID: ${snapshot.id}) of world ${snapshot.world_id} at cycle ${snapshot.cycle}`,
+          },
+        ],
+      };
+    }
+
+    case 'world_snapshot_list': {
+      const snapshots = await WorldSnapshot.findByWorldId(args.world_id);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(snapshots, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'world_snapshot_restore': {
+      const summary = await restoreSnapshot(args.snapshot_id);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Restored world ${summary.world_id} to snapshot "${summary.label}" (cycle ${summary.cycle}) with ${summary.areas} area(s), ${summary.characters} character(s), ${summary.items} item(s) and ${summary.events} event(s)`,
+          },
+        ],
+      };
+    }
+
+    case 'world_snapshot_fork': {
+      const summary = await forkSnapshot(args.snapshot_id, args.name);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Forked snapshot "${summary.label}" into world: ${summary.name} (ID: ${summary.world_id}) at cycle ${summary.cycle}`,
+          },
+        ],
+      };
+    }
+
+    case 'world_snapshot_delete': {
+      if (!(await WorldSnapshot.delete(args.snapshot_id))) {
+        throw new Error(`Snapshot not found: ${args.snapshot_id}`);
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Deleted snapshot ${args.snapshot_id}`,
+          },
+        ],
+      };
+    }
+
     case 'world_get_writing_style': {
       const style = await WritingStyle.findByWorldId(args.world_id);
       if (!style) {
@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+
+/**
+ * Book exporter
+ *
+ * Assembles a book's chapters, in chapter_number order, into:
+ * - a Markdown manuscript (always)
+ * - an EPUB 3 package and a print-ready HTML layout (once an ISBN is set)
+ *
+ * Everything is generated locally; no network access is needed.
+ *
+ * Usage:
+ *   node src/series/exporter.js <book_id>
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Series, Book, Chapter } from '../db/models/index.js';
+import { end } from '../db/index.js';
+import { createZip } from './zip.js';
+import { planBookAdvance } from './status.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.join(__dirname, '../..');
+
+const BOOK_OUTPUT_DIR = process.env.BOOK_OUTPUT_DIR || path.join(PROJECT_ROOT, 'output/books');
+const BOOK_AUTHOR = process.env.BOOK_AUTHOR || null;
+const BOOK_LANGUAGE = process.env.BOOK_LANGUAGE || 'en';
+
+/**
+ * Turn a name into a file-system friendly slug
+ * @param {string} text - Name
+ * @returns {string} Slug
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'untitled';
+}
+
+/**
+ * Escape text for HTML and XML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert chapter prose to (X)HTML paragraphs
+ *
+ * Blank lines separate paragraphs, a line of `***`, `* * *` or `---` is a
+ * scene break, and **bold** / *italic* are kept.
+ *
+ * @param {string} text - Chapter content
+ * @returns {string} HTML body fragment
+ */
+export function proseToHtml(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map(p => p.trim())
+    .filter(Boolean)
+    .map(paragraph => {
+      if (/^(\*\s*\*\s*\*|-{3,})$/.test(paragraph)) {
+        return '<hr class="scene-break" />';
+      }
+      const html = escapeXml(paragraph.replace(/\s*\n\s*/g, ' '))
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>');
+      return `<p>${html}</p>`;
+    })
+    .join('\n');
+}
+
+/**
+ * Heading for a chapter
+ * @param {Object} chapter - Chapter row
+ * @returns {string} e.g. "Chapter 3: The Ford"
+ */
+function chapterHeading(chapter) {
+  return `Chapter ${chapter.chapter_number}${chapter.title ? `: ${chapter.title}` : ''}`;
+}
+
+/**
+ * Lines of the copyright page
+ * @param {Object} publication - Publication details from loadPublication
+ * @returns {Array<string>} Lines
+ */
+function copyrightLines({ book, series, author, year }) {
+  return [
+    `${book.title}`,
+    `Book ${book.book_number} of ${series.name}`,
+    `Copyright © ${year}${author ? ` ${author}` : ''}. All rights reserved.`,
+    `ISBN: ${book.isbn}`,
+  ];
+}
+
+/**
+ * Build the Markdown manuscript
+ * @param {Object} publication - Publication details from loadPublication
+ * @returns {string} Markdown
+ */
+export function buildMarkdown({ book, chapters }) {
+  const parts = [`# ${book.title}`];
+  for (const chapter of chapters) {
+    parts.push(`## ${chapterHeading(chapter)}`);
+    parts.push(chapter.content.trim());
+  }
+  return parts.join('\n\n') + '\n';
+}
+
+/**
+ * Wrap a body fragment in an EPUB XHTML document
+ * @param {string} title - Document title
+ * @param {string} body - Body fragment
+ * @param {string} language - Language code
+ * @returns {string} XHTML document
+ */
+function xhtmlDocument(title, body, language) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+const EPUB_CSS = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1, h2 { text-align: center; font-weight: normal; }
+h2 { margin: 3em 0 2em; }
+p { margin: 0; text-indent: 1.5em; text-align: justify; }
+h2 + p, hr + p { text-indent: 0; }
+hr.scene-break { border: none; margin: 1.5em 0; text-align: center; }
+hr.scene-break::after { content: "* * *"; }
+.title-page, .copyright-page { text-align: center; }
+.title-page h1 { margin-top: 30%; }
+.copyright-page { margin-top: 50%; font-size: 0.85em; }
+.copyright-page p { text-indent: 0; text-align: center; }
+nav ol { list-style: none; padding: 0; }
+`;
+
+/**
+ * Build an EPUB 3 package
+ * @param {Object} publication - Publication details from loadPublication
+ * @returns {Buffer} EPUB file contents
+ */
+export function buildEpub(publication) {
+  const { book, series, chapters, author, language, now } = publication;
+  const modified = now.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const chapterFile = (chapter) => `chapter-${chapter.chapter_number}.xhtml`;
+
+  const titlePage = xhtmlDocument(book.title, `<section class="title-page" epub:type="titlepage">
+<h1>${escapeXml(book.title)}</h1>
+<p>${escapeXml(series.name)}, Book ${book.book_number}</p>
+${author ? `<p>${escapeXml(author)}</p>` : ''}
+</section>`, language);
+
+  const copyrightPage = xhtmlDocument('Copyright', `<section class="copyright-page" epub:type="copyright-page">
+${copyrightLines(publication).map(line => `<p>${escapeXml(line)}</p>`).join('\n')}
+</section>`, language);
+
+  const nav = xhtmlDocument('Contents', `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${chapters.map(c => `<li><a href="${chapterFile(c)}">${escapeXml(chapterHeading(c))}</a></li>`).join('\n')}
+</ol>
+</nav>`, language);
+
+  const chapterPages = chapters.map(chapter => ({
+    name: `OEBPS/${chapterFile(chapter)}`,
+    data: xhtmlDocument(chapterHeading(chapter), `<section epub:type="chapter">
+<h2>${escapeXml(chapterHeading(chapter))}</h2>
+${proseToHtml(chapter.content)}
+</section>`, language),
+  }));
+
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${language}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:isbn:${escapeXml(book.isbn.replace(/[^0-9Xx]/g, ''))}</dc:identifier>
+<dc:title>${escapeXml(book.title)}</dc:title>
+<dc:language>${language}</dc:language>
+${author ? `<dc:creator>${escapeXml(author)}</dc:creator>\n` : ''}<meta property="dcterms:modified">${modified}</meta>
+<meta property="belongs-to-collection" id="series">${escapeXml(series.name)}</meta>
+<meta refines="#series" property="collection-type">series</meta>
+<meta refines="#series" property="group-position">${book.book_number}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />
+<item id="css" href="style.css" media-type="text/css" />
+<item id="title" href="title.xhtml" media-type="application/xhtml+xml" />
+<item id="copyright" href="copyright.xhtml" media-type="application/xhtml+xml" />
+${chapters.map(c => `<item id="chapter-${c.chapter_number}" href="${chapterFile(c)}" media-type="application/xhtml+xml" />`).join('\n')}
+</manifest>
+<spine>
+<itemref idref="title" />
+<itemref idref="copyright" />
+<itemref idref="nav" />
+${chapters.map(c => `<itemref idref="chapter-${c.chapter_number}" />`).join('\n')}
+</spine>
+</package>
+`;
+
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+</rootfiles>
+</container>
+`;
+
+  // mimetype must be the first entry
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip' },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/style.css', data: EPUB_CSS },
+    { name: 'OEBPS/title.xhtml', data: titlePage },
+    { name: 'OEBPS/copyright.xhtml', data: copyrightPage },
+    ...chapterPages,
+  ], now);
+}
+
+/**
+ * Build a print-ready HTML layout (6x9in trim, one chapter per page break),
+ * suitable for printing to PDF from a browser
+ * @param {Object} publication - Publication details from loadPublication
+ * @returns {string} HTML document
+ */
+export function buildPrintHtml(publication) {
+  const { book, series, chapters, author, language } = publication;
+  const anchor = (chapter) => `chapter-${chapter.chapter_number}`;
+
+  return `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXml(book.title)}</title>
+<style>
+@page { size: 6in 9in; margin: 0.75in 0.6in 0.75in 0.75in; }
+@page :left { margin: 0.75in 0.75in 0.75in 0.6in; }
+body { font-family: Georgia, "Times New Roman", serif; font-size: 11pt; line-height: 1.45; }
+section { break-before: page; page-break-before: always; }
+section:first-of-type { break-before: auto; page-break-before: auto; }
+.title-page { text-align: center; padding-top: 2.5in; }
+.title-page h1 { font-size: 26pt; font-weight: normal; }
+.copyright-page { font-size: 9pt; padding-top: 5in; }
+.copyright-page p { text-indent: 0; }
+.toc ol { list-style: none; padding: 0; }
+.toc li { margin: 0.4em 0; }
+.toc a { color: inherit; text-decoration: none; }
+h2 { text-align: center; font-weight: normal; margin: 1.5in 0 0.5in; }
+p { margin: 0; text-indent: 1.5em; text-align: justify; hyphens: auto; }
+h2 + p, hr + p { text-indent: 0; }
+hr.scene-break { border: none; text-align: center; margin: 1em 0; }
+hr.scene-break::after { content: "* * *"; }
+</style>
+</head>
+<body>
+<section class="title-page">
+<h1>${escapeXml(book.title)}</h1>
+<p>${escapeXml(series.name)}, Book ${book.book_number}</p>
+${author ? `<p>${escapeXml(author)}</p>` : ''}
+</section>
+<section class="copyright-page">
+${copyrightLines(publication).map(line => `<p>${escapeXml(line)}</p>`).join('\n')}
+</section>
+<section class="toc">
+<h2>Contents</h2>
+<ol>
+${chapters.map(c => `<li><a href="#${anchor(c)}">${escapeXml(chapterHeading(c))}</a></li>`).join('\n')}
+</ol>
+</section>
+${chapters.map(c => `<section class="chapter" id="${anchor(c)}">
+<h2>${escapeXml(chapterHeading(c))}</h2>
+${proseToHtml(c.content)}
+</section>`).join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Load everything needed to publish a book
+ * @param {number} bookId - Book ID
+ * @param {Object} options - Export options
+ * @returns {Promise<Object>} {book, series, chapters, author, language, now, year}
+ */
+async function loadPublication(bookId, options) {
+  const book = await Book.findById(bookId);
+  if (!book) {
+    throw new Error(`Book not found: ${bookId}`);
+  }
+
+  const series = await Series.findById(book.series_id);
+  const chapters = await Chapter.findByBookId(bookId);
+
+  if (chapters.length === 0) {
+    throw new Error(`Book ${bookId} has no chapters`);
+  }
+
+  const unwritten = chapters.filter(c => !c.content || !c.content.trim());
+  if (unwritten.length > 0) {
+    throw new Error(`Book ${bookId} has chapters without content: ${unwritten.map(c => c.chapter_number).join(', ')}`);
+  }
+
+  const now = options.now || new Date();
+
+  return {
+    book,
+    series,
+    chapters,
+    author: options.author !== undefined ? options.author : BOOK_AUTHOR,
+    language: options.language || BOOK_LANGUAGE,
+    now,
+    year: now.getFullYear(),
+  };
+}
+
+/**
+ * Export a book
+ *
+ * Always writes the Markdown manuscript (status becomes completed). When the
+ * book has an ISBN, also writes the EPUB and print layout and marks the book
+ * published. The book steps through each status on the way, so it is refused
+ * (before anything is written) while any chapter is unfinished.
+ *
+ * @param {number} bookId - Book ID
+ * @param {Object} options - Export options
+ * @param {string} [options.outputDir] - Output directory (default: BOOK_OUTPUT_DIR)
+ * @param {string} [options.author] - Author name for title and copyright pages (default: BOOK_AUTHOR)
+ * @param {string} [options.language] - Language code (default: BOOK_LANGUAGE)
+ * @param {Date} [options.now] - Publication time
+ * @returns {Promise<Object>} {book, export_paths}
+ */
+export async function exportBook(bookId, options = {}) {
+  const publication = await loadPublication(bookId, options);
+  const { book, series } = publication;
+  const steps = await planBookAdvance(book, book.isbn ? 'published' : 'completed');
+
+  const dir = path.join(options.outputDir || BOOK_OUTPUT_DIR, slugify(series.name));
+  const base = path.join(dir, `book-${book.book_number}-${slugify(book.title)}`);
+  await fs.mkdir(dir, { recursive: true });
+
+  const exportPaths = { markdown: `${base}.md` };
+  await fs.writeFile(exportPaths.markdown, buildMarkdown(publication));
+
+  if (book.isbn) {
+    exportPaths.epub = `${base}.epub`;
+    exportPaths.print = `${base}.print.html`;
+    await fs.writeFile(exportPaths.epub, buildEpub(publication));
+    await fs.writeFile(exportPaths.print, buildPrintHtml(publication));
+  }
+
+  const updated = await Book.update(bookId, {
+    output_file_path: exportPaths.markdown,
+    export_paths: exportPaths,
+    status: steps.length > 0 ? steps[steps.length - 1] : undefined,
+    published_at: steps.includes('published') ? publication.now : undefined,
+  });
+
+  return { book: updated, export_paths: exportPaths };
+}
+
+// Main execution
+async function main() {
+  const bookId = parseInt(process.argv[2], 10);
+  if (!bookId) {
+    console.error('Usage: node src/series/exporter.js <book_id>');
+    process.exit(1);
+  }
+
+  try {
+    const { book, export_paths } = await exportBook(bookId);
+    console.log(`✓ Exported "${book.title}" (${book.status})`);
+    for (const [format, file] of Object.entries(export_paths)) {
+      console.log(`  ${format}: ${file}`);
+    }
+    if (!book.isbn) {
+      console.log('  Set an ISBN to also produce EPUB and print editions');
+    }
+  } finally {
+    await end();
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * Series design importer
+ *
+ * Reads series design files (see parser.js) and upserts their plot outlines
+ * into the series, books and chapters tables, in one transaction.
+ *
+ * Usage:
+ *   node src/series/importer.js validate <file>
+ *   node src/series/importer.js import <file> <world_id>
+ *
+ * Bare file names are looked up in ~/series-design (SERIES_DESIGN_DIR).
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Series, Book, Chapter } from '../db/models/index.js';
+import { end, transaction } from '../db/index.js';
+import { parseSeriesDesign, validateSeriesDesign, formatProblems } from './parser.js';
+
+/**
+ * Expand a leading ~ to the home directory
+ * @param {string} filePath - Path
+ * @returns {string} Expanded path
+ */
+function expandHome(filePath) {
+  return filePath === '~' || filePath.startsWith('~/')
+    ? path.join(os.homedir(), filePath.slice(1))
+    : filePath;
+}
+
+const SERIES_DESIGN_DIR = expandHome(process.env.SERIES_DESIGN_DIR || '~/series-design');
+
+/**
+ * Resolve a design file path (expands ~, bare names go to SERIES_DESIGN_DIR)
+ * @param {string} filePath - Path as given
+ * @returns {string} Absolute path
+ */
+export function resolveDesignPath(filePath) {
+  if (!filePath.includes('/')) {
+    return path.join(SERIES_DESIGN_DIR, filePath);
+  }
+  return path.resolve(expandHome(filePath));
+}
+
+/**
+ * Read and parse a design file
+ * @param {string} filePath - Path to the design file
+ * @returns {Promise<Object>} {file, design, report}
+ */
+async function readDesign(filePath) {
+  const file = resolveDesignPath(filePath);
+
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read series design file ${file}: ${error.message}`);
+  }
+
+  const design = parseSeriesDesign(text, file);
+  return { file, design, report: validateSeriesDesign(design, file) };
+}
+
+/**
+ * Validate a design file without touching the database
+ * @param {string} filePath - Path to the design file
+ * @returns {Promise<Object>} Validation report
+ */
+export async function validateSeriesFile(filePath) {
+  const { report } = await readDesign(filePath);
+  return report;
+}
+
+/**
+ * Import a design file, creating or updating its series, books and chapters
+ *
+ * Files with {working} markers are imported so progress can be tracked,
+ * but the narrator refuses to start them (see assertSeriesReady).
+ *
+ * @param {string} filePath - Path to the design file
+ * @param {number} worldId - World the series is set in
+ * @returns {Promise<Object>} Import summary including the validation report
+ */
+export async function importSeriesFile(filePath, worldId) {
+  const { file, design, report } = await readDesign(filePath);
+
+  if (!report.valid) {
+    throw new Error(`Series design has errors:\n${formatProblems({ ...report, working: [] }).join('\n')}`);
+  }
+
+  const seriesData = {
+    name: design.series.name,
+    plot_outline: design.series.plot_outline,
+    open_slots: design.series.open_slots,
+  };
+
+  // One transaction, so a failure part way leaves no half-imported series
+  return transaction(async () => {
+    let series = await Series.findByDesignFile(file);
+    if (series && series.world_id !== worldId) {
+      throw new Error(`${file} is already imported as series ${series.id} in world ${series.world_id}`);
+    }
+    series = series
+      ? await Series.update(series.id, seriesData)
+      : await Series.create({ ...seriesData, world_id: worldId, design_file_path: file });
+
+    const counts = { books_created: 0, books_updated: 0, chapters_created: 0, chapters_updated: 0 };
+    const existingBooks = await Book.findBySeriesId(series.id);
+    const books = [];
+
+    for (const bookDesign of design.books) {
+      const bookData = {
+        title: bookDesign.title,
+        plot_outline: bookDesign.plot_outline,
+        open_slots: bookDesign.open_slots,
+      };
+
+      let book = existingBooks.find(b => b.book_number === bookDesign.book_number);
+      if (book) {
+        book = await Book.update(book.id, bookData);
+        counts.books_updated++;
+      } else {
+        book = await Book.create({ ...bookData, series_id: series.id, book_number: bookDesign.book_number });
+        counts.books_created++;
+      }
+
+      const existingChapters = await Chapter.findByBookId(book.id);
+      for (const chapterDesign of bookDesign.chapters) {
+        const chapterData = {
+          title: chapterDesign.title,
+          plot_outline: chapterDesign.plot_outline,
+          open_slots: chapterDesign.open_slots,
+        };
+
+        const chapter = existingChapters.find(c => c.chapter_number === chapterDesign.chapter_number);
+        if (chapter) {
+          await Chapter.update(chapter.id, chapterData);
+          counts.chapters_updated++;
+        } else {
+          await Chapter.create({ ...chapterData, book_id: book.id, chapter_number: chapterDesign.chapter_number });
+          counts.chapters_created++;
+        }
+      }
+
+      books.push({ id: book.id, book_number: book.book_number, title: book.title, chapters: bookDesign.chapters.length });
+    }
+
+    return {
+      ...report,
+      series_id: series.id,
+      name: series.name,
+      books,
+      ...counts,
+    };
+  });
+}
+
+/**
+ * Throw unless a series is ready for the narrator to start
+ * @param {Object} series - Series row
+ */
+export async function assertSeriesReady(series) {
+  if (!series.design_file_path) {
+    return;
+  }
+
+  const report = await validateSeriesFile(series.design_file_path);
+  if (!report.ready) {
+    throw new Error(`Series "${series.name}" is not ready to start:\n${formatProblems(report).join('\n')}`);
+  }
+}
+
+// Main execution
+async function main() {
+  const [command, filePath, worldId] = process.argv.slice(2);
+
+  if (!filePath || !['validate', 'import'].includes(command) || (command === 'import' && !worldId)) {
+    console.error('Usage:');
+    console.error('  node src/series/importer.js validate <file>');
+    console.error('  node src/series/importer.js import <file> <world_id>');
+    process.exit(1);
+  }
+
+  if (command === 'validate') {
+    const report = await validateSeriesFile(filePath);
+    formatProblems(report).forEach(p => console.log(p));
+    console.log(`${report.books} book(s), ${report.chapters} chapter(s), ${report.open_slots} open slot(s)`);
+    console.log(report.ready ? '✓ Ready to start' : '✗ Not ready to start');
+    process.exit(report.ready ? 0 : 1);
+  }
+
+  try {
+    const summary = await importSeriesFile(filePath, parseInt(worldId, 10));
+    console.log(`✓ Imported "${summary.name}" (series ${summary.series_id})`);
+    console.log(`  Books: ${summary.books_created} created, ${summary.books_updated} updated`);
+    console.log(`  Chapters: ${summary.chapters_created} created, ${summary.chapters_updated} updated`);
+    console.log(`  Open slots: ${summary.open_slots}`);
+    if (!summary.ready) {
+      formatProblems(summary).forEach(p => console.log(p));
+      console.log('✗ Not ready to start until every {working} marker is resolved');
+    }
+  } finally {
+    await end();
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,173 @@
+/**
+ * Series design parser
+ *
+ * Parses a series design markdown file:
+ *
+ *   # Series Name
+ *   Series plot outline...
+ *
+ *   ## Book 1: Title
+ *   Book plot outline...
+ *
+ *   ### Chapter 1: Title
+ *   Chapter plot outline...
+ *
+ * `{narrator discretion}` marks a span the narrator fills in itself and is
+ * recorded as an open slot. `{working}` marks an unfinished part; a series
+ * containing any is not ready to start.
+ */
+
+const NARRATOR_DISCRETION = /\{\s*narrator discretion\s*\}/gi;
+const WORKING = /\{\s*working\s*\}/gi;
+
+const HEADING = /^(#{1,3})\s+(.*?)\s*#*\s*$/;
+const BOOK_HEADING = /^(?:book\s+(\d+)\b\s*[:.\-–—]?\s*)?(.*)$/i;
+const CHAPTER_HEADING = /^(?:chapter\s+(\d+)\b\s*[:.\-–—]?\s*)?(.*)$/i;
+
+/**
+ * Parse a series design
+ * @param {string} text - Markdown source
+ * @param {string} file - File path, used in reported locations
+ * @returns {Object} {series, books, working, errors}
+ */
+export function parseSeriesDesign(text, file = '') {
+  const series = { name: null, plot_outline: null, open_slots: [], line: null };
+  const books = [];
+  const working = [];
+  const errors = [];
+
+  let section = series;
+  let outline = [];
+  let inCodeBlock = false;
+
+  const closeSection = () => {
+    section.plot_outline = outline.join('\n').trim() || null;
+    outline = [];
+  };
+
+  const lines = text.split(/\r?\n/);
+  lines.forEach((raw, index) => {
+    const line = index + 1;
+
+    for (const match of raw.matchAll(WORKING)) {
+      working.push({ file, line, column: match.index + 1, text: raw.trim() });
+    }
+
+    if (raw.trim().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+    }
+
+    const heading = inCodeBlock ? null : raw.match(HEADING);
+    if (!heading) {
+      for (const match of raw.matchAll(NARRATOR_DISCRETION)) {
+        section.open_slots.push({ line, column: match.index + 1, text: raw.trim() });
+      }
+      outline.push(raw);
+      return;
+    }
+
+    const level = heading[1].length;
+    const title = heading[2];
+
+    if (level === 1) {
+      if (series.name !== null) {
+        errors.push({ file, line, message: 'Only one series title (# heading) is allowed' });
+        return;
+      }
+      closeSection();
+      series.name = title;
+      series.line = line;
+      section = series;
+      return;
+    }
+
+    closeSection();
+
+    if (level === 2) {
+      const [, number, bookTitle] = title.match(BOOK_HEADING);
+      const book_number = number ? parseInt(number, 10) : books.length + 1;
+
+      if (books.some(b => b.book_number === book_number)) {
+        errors.push({ file, line, message: `Duplicate book number ${book_number}` });
+      }
+
+      section = {
+        book_number,
+        title: bookTitle || `Book ${book_number}`,
+        plot_outline: null,
+        open_slots: [],
+        chapters: [],
+        line,
+      };
+      books.push(section);
+      return;
+    }
+
+    // Chapter
+    const book = books[books.length - 1];
+    const [, number, chapterTitle] = title.match(CHAPTER_HEADING);
+
+    section = {
+      chapter_number: null,
+      title: chapterTitle || null,
+      plot_outline: null,
+      open_slots: [],
+      line,
+    };
+
+    if (!book) {
+      errors.push({ file, line, message: 'Chapter appears before any book (## heading)' });
+      return;
+    }
+
+    section.chapter_number = number ? parseInt(number, 10) : book.chapters.length + 1;
+    if (book.chapters.some(c => c.chapter_number === section.chapter_number)) {
+      errors.push({ file, line, message: `Duplicate chapter number ${section.chapter_number} in book ${book.book_number}` });
+    }
+    book.chapters.push(section);
+  });
+
+  closeSection();
+
+  if (series.name === null) {
+    errors.push({ file, line: 1, message: 'Missing series title (# heading)' });
+  }
+  if (books.length === 0) {
+    errors.push({ file, line: lines.length, message: 'Series has no books (## headings)' });
+  }
+
+  return { series, books, working, errors };
+}
+
+/**
+ * Summarize a parsed design for validation
+ * @param {Object} design - Result of parseSeriesDesign
+ * @param {string} file - File path
+ * @returns {Object} Validation report
+ */
+export function validateSeriesDesign(design, file = '') {
+  const sections = [design.series, ...design.books, ...design.books.flatMap(b => b.chapters)];
+
+  return {
+    file,
+    valid: design.errors.length === 0,
+    ready: design.errors.length === 0 && design.working.length === 0,
+    errors: design.errors,
+    working: design.working,
+    open_slots: sections.reduce((count, s) => count + s.open_slots.length, 0),
+    books: design.books.length,
+    chapters: design.books.reduce((count, b) => count + b.chapters.length, 0),
+  };
+}
+
+/**
+ * Format a validation report's problems as "file:line: message" lines
+ * @param {Object} report - Result of validateSeriesDesign
+ * @returns {Array<string>} One line per problem
+ */
+export function formatProblems(report) {
+  return [
+    ...report.errors.map(e => `${e.file}:${e.line}: ${e.message}`),
+    ...report.working.map(w => `${w.file}:${w.line}: {working} marker: ${w.text}`),
+  ];
+}
@@ -0,0 +1,108 @@
+/**
+ * Publishing pipeline status transitions for books and chapters
+ */
+
+import { Chapter } from '../db/models/index.js';
+
+// Allowed next statuses for each book status
+export const BOOK_STATUS_TRANSITIONS = {
+  planning: ['writing'],
+  writing: ['planning', 'completed'],
+  completed: ['writing', 'published'],
+  published: ['completed'],
+};
+
+// Allowed next statuses for each chapter status
+export const CHAPTER_STATUS_TRANSITIONS = {
+  planning: ['in_progress'],
+  in_progress: ['planning', 'completed'],
+  completed: ['in_progress', 'revised'],
+  revised: ['completed'],
+};
+
+/**
+ * Check a status change against a transition table
+ * @param {Object} transitions - Transition table
+ * @param {string} kind - 'book' or 'chapter', for messages
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ */
+function checkTransition(transitions, kind, from, to) {
+  if (!transitions[to]) {
+    throw new Error(`Invalid ${kind} status: ${to} (expected one of ${Object.keys(transitions).join(', ')})`);
+  }
+  if (from !== to && !transitions[from].includes(to)) {
+    throw new Error(`Cannot move ${kind} from '${from}' to '${to}' (allowed: ${transitions[from].join(', ')})`);
+  }
+}
+
+/**
+ * Validate a book status change
+ *
+ * A book can only be completed once every chapter is completed or revised,
+ * and only published once it has an ISBN.
+ *
+ * @param {Object} book - Book row
+ * @param {string} status - Requested status
+ */
+export async function validateBookTransition(book, status) {
+  checkTransition(BOOK_STATUS_TRANSITIONS, 'book', book.status, status);
+
+  if (status === book.status) {
+    return;
+  }
+
+  if (status === 'completed' && book.status === 'writing') {
+    const chapters = await Chapter.findByBookId(book.id);
+    const unfinished = chapters.filter(c => !['completed', 'revised'].includes(c.status));
+    if (chapters.length === 0 || unfinished.length > 0) {
+      throw new Error(`Book ${book.id} has unfinished chapters: ${unfinished.map(c => c.chapter_number).join(', ') || 'none written'}`);
+    }
+  }
+
+  if (status === 'published' && !book.isbn) {
+    throw new Error(`Book ${book.id} needs an ISBN before it can be published`);
+  }
+}
+
+/**
+ * Plan a book's way forward through the publishing pipeline
+ *
+ * Steps through every status between the book's and the one requested
+ * (writing → completed → published), checking each like a manual change.
+ *
+ * @param {Object} book - Book row
+ * @param {string} status - Status to reach
+ * @returns {Promise<Array<string>>} Statuses to pass through, ending with status
+ *   (empty when the book is already there or further along)
+ */
+export async function planBookAdvance(book, status) {
+  const pipeline = Object.keys(BOOK_STATUS_TRANSITIONS);
+  const steps = pipeline.slice(pipeline.indexOf(book.status) + 1, pipeline.indexOf(status) + 1);
+
+  let current = book;
+  for (const step of steps) {
+    await validateBookTransition(current, step);
+    current = { ...current, status: step };
+  }
+  return steps;
+}
+
+/**
+ * Validate a chapter status change
+ *
+ * A chapter can only be marked revised once it has content; completed
+ * chapters without content are drafted by the revision pass.
+ *
+ * @param {Object} chapter - Chapter row
+ * @param {string} status - Requested status
+ * @param {string} [content] - Content being set in the same update
+ */
+export function validateChapterTransition(chapter, status, content = undefined) {
+  checkTransition(CHAPTER_STATUS_TRANSITIONS, 'chapter', chapter.status, status);
+
+  const finalContent = content !== undefined ? content : chapter.content;
+  if (status === 'revised' && chapter.status !== 'revised' && !(finalContent && finalContent.trim())) {
+    throw new Error(`Chapter ${chapter.id} needs content before it can be revised`);
+  }
+}
@@ -7,7 +7,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
 import { testConnection, query, end } from '../db/index.js';
-import { World, Area, Character, Item, WritingStyle } from '../db/models/index.js';
+import { World, Area, Character, Item, WritingStyle, Event, Series, Book, Chapter, Species, DEFAULT_SPECIES, TradeOffer } from '../db/models/index.js';
 
 // Test database connection
 test('Database connection', async () => {
@@ -36,6 +36,14 @@ test('World CRUD operations', async () => {
   });
   assert.strictEqual(updatedWorld.description, 'Updated description');
 
+  // Clock: starts at 08:00 on day 1 and moves on minutes_per_cycle each cycle
+  assert.strictEqual(world.cycle, 0);
+  assert.strictEqual(world.clock_minutes, 480);
+  await World.update(world.id, { minutes_per_cycle: 30 });
+  const ticked = await World.advanceClock(world.id);
+  assert.strictEqual(ticked.cycle, 1);
+  assert.strictEqual(ticked.clock_minutes, 510);
+
   // Delete
   const deleted = await World.delete(world.id);
   assert.strictEqual(deleted, true);
@@ -161,8 +169,22 @@ test('Item CRUD operations', async () => {
   assert.strictEqual(itemsInArea.length, 1);
   assert.strictEqual(itemsInArea[0].id, item.id);
 
+  // Containers hold items; their contents go with them
+  const chest = await Item.create({
+    world_id: world.id,
+    name: 'Test Chest',
+    properties: { capacity: 100 },
+    current_area_id: area.id
+  });
+  const stored = await Item.putInContainer(item.id, chest.id);
+  assert.strictEqual(stored.contained_in_item_id, chest.id);
+  assert.strictEqual(stored.current_area_id, null);
+  assert.deepStrictEqual((await Item.findByContainerId(chest.id)).map(i => i.id), [item.id]);
+
+  await Item.delete(chest.id);
+  assert.strictEqual(await Item.findById(item.id), null);
+
   // Cleanup
-  await Item.delete(item.id);
   await Area.delete(area.id);
   await World.delete(world.id);
 });
@@ -202,6 +224,210 @@ test('WritingStyle CRUD operations', async () => {
   await World.delete(world.id);
 });
 
+// Event model tests
+test('Event log operations', async () => {
+  const world = await World.create({
+    name: 'Event Test World',
+    description: 'World for testing the event log'
+  });
+
+  const area = await Area.create({
+    world_id: world.id,
+    name: 'Logged Area',
+    description: 'Where things happen'
+  });
+
+  const character = await Character.create({
+    world_id: world.id,
+    name: 'Logger',
+    species: 'human',
+    current_area_id: area.id
+  });
+
+  // Create
+  const event = await Event.create({
+    world_id: world.id,
+    cycle: 3,
+    area_id: area.id,
+    actor_id: character.id,
+    event_type: 'speak',
+    payload: { text: 'Hello' },
+    result: { success: true }
+  });
+  assert.ok(event.id);
+  assert.strictEqual(event.cycle, 3);
+  assert.deepStrictEqual(event.payload, { text: 'Hello' });
+
+  await Event.create({
+    world_id: world.id,
+    cycle: 4,
+    area_id: area.id,
+    actor_id: character.id,
+    event_type: 'wait'
+  });
+
+  // Query by type and cycle
+  const speech = await Event.query({ world_id: world.id, types: ['speak'] });
+  assert.strictEqual(speech.length, 1);
+  assert.strictEqual(speech[0].id, event.id);
+
+  const later = await Event.query({ world_id: world.id, from_cycle: 4 });
+  assert.strictEqual(later.length, 1);
+  assert.strictEqual(later[0].event_type, 'wait');
+
+  const byCharacter = await Event.query({ world_id: world.id, character_id: character.id });
+  assert.strictEqual(byCharacter.length, 2);
+
+  // Cleanup (cascades to events)
+  await World.delete(world.id);
+});
+
+// Test Series, Book and Chapter operations
+test('Series, Book and Chapter CRUD operations', async () => {
+  const world = await World.create({
+    name: 'Series Test World',
+    description: 'World for testing series'
+  });
+
+  // Create
+  const series = await Series.create({
+    world_id: world.id,
+    name: 'Test Series',
+    plot_outline: 'Things happen'
+  });
+  assert.ok(series.id);
+  assert.deepStrictEqual(series.open_slots, []);
+
+  const book = await Book.create({
+    series_id: series.id,
+    book_number: 1,
+    title: 'First Book'
+  });
+  assert.strictEqual(book.status, 'planning');
+
+  const second = await Chapter.create({ book_id: book.id, chapter_number: 2 });
+  const first = await Chapter.create({
+    book_id: book.id,
+    chapter_number: 1,
+    title: 'Opening',
+    goals: [{ description: 'Begin' }]
+  });
+  assert.deepStrictEqual(first.goals, [{ description: 'Begin' }]);
+
+  // Listing
+  assert.strictEqual((await Series.findByWorldId(world.id)).length, 1);
+  assert.strictEqual((await Book.findBySeriesId(series.id))[0].id, book.id);
+  const chapters = await Chapter.findByBookId(book.id);
+  assert.deepStrictEqual(chapters.map(c => c.id), [first.id, second.id]);
+
+  // Update
+  const renamed = await Series.update(series.id, { name: 'Renamed Series' });
+  assert.strictEqual(renamed.name, 'Renamed Series');
+  const titled = await Book.update(book.id, { isbn: '978-0-00-000000-2' });
+  assert.strictEqual(titled.isbn, '978-0-00-000000-2');
+  const written = await Chapter.update(first.id, { content: 'Once upon a time.', status: 'completed' });
+  assert.strictEqual(written.status, 'completed');
+
+  // Delete (book cascades to chapters)
+  assert.strictEqual(await Chapter.delete(second.id), true);
+  assert.strictEqual(await Book.delete(book.id), true);
+  assert.strictEqual(await Chapter.findById(first.id), null);
+  assert.strictEqual(await Series.delete(series.id), true);
+  assert.strictEqual(await Series.findById(series.id), null);
+
+  await World.delete(world.id);
+});
+
+// Species model tests
+test('Species CRUD operations', async () => {
+  const world = await World.create({
+    name: 'Species Test World',
+    description: 'World for testing species'
+  });
+
+  // Characters created before their species are linked when it is created
+  const early = await Character.create({ world_id: world.id, name: 'Early Elf', species: 'Elf' });
+  assert.strictEqual(early.species_id, null);
+  assert.strictEqual(await Species.forCharacter(early), DEFAULT_SPECIES);
+
+  const elf = await Species.create({
+    world_id: world.id,
+    name: 'elf',
+    healing_per_hour: 2,
+    comfort_min_temperature: 5,
+  });
+  assert.ok(elf.id);
+  assert.strictEqual(elf.healing_per_hour, 2);
+  assert.strictEqual(elf.nutrition_loss_per_hour, DEFAULT_SPECIES.nutrition_loss_per_hour);
+  assert.deepStrictEqual(elf.body_parts, DEFAULT_SPECIES.body_parts);
+  assert.strictEqual((await Character.findById(early.id)).species_id, elf.id);
+
+  // Characters created afterwards are linked by name
+  const late = await Character.create({ world_id: world.id, name: 'Late Elf', species: 'ELF' });
+  assert.strictEqual(late.species_id, elf.id);
+  assert.strictEqual((await Species.forCharacter(late)).id, elf.id);
+
+  // Renaming carries over to the characters
+  const renamed = await Species.update(elf.id, { name: 'high elf', carrying_slots: ['quiver'] });
+  assert.deepStrictEqual(renamed.carrying_slots, ['quiver']);
+  assert.strictEqual((await Character.findById(late.id)).species, 'high elf');
+  assert.strictEqual((await Species.findByWorldId(world.id)).length, 1);
+
+  // Deleting unlinks the characters
+  assert.strictEqual(await Species.delete(elf.id), true);
+  const orphan = await Character.findById(late.id);
+  assert.strictEqual(orphan.species_id, null);
+  assert.strictEqual(await Species.forCharacter(orphan), DEFAULT_SPECIES);
+
+  await World.delete(world.id);
+});
+
+test('Trade offer operations', async () => {
+  const world = await World.create({
+    name: 'Trade Test World',
+    description: 'World for testing trade offers'
+  });
+  const ada = await Character.create({ world_id: world.id, name: 'Ada', species: 'human' });
+  const ben = await Character.create({ world_id: world.id, name: 'Ben', species: 'human' });
+  const apple = await Item.create({ world_id: world.id, name: 'Apple', held_by_character_id: ada.id, held_location: 'right hand' });
+  const knife = await Item.create({ world_id: world.id, name: 'Knife', held_by_character_id: ben.id, held_location: 'right hand' });
+
+  const first = await TradeOffer.create({
+    world_id: world.id,
+    from_character_id: ada.id,
+    to_character_id: ben.id,
+    item_id: apple.id,
+    requested_item_id: knife.id
+  });
+  assert.strictEqual(first.status, 'open');
+  assert.strictEqual(first.resolved_at, null);
+
+  const second = await TradeOffer.create({
+    world_id: world.id,
+    from_character_id: ada.id,
+    to_character_id: ben.id,
+    item_id: apple.id,
+    requested_item_id: knife.id
+  });
+
+  // Open offers come newest first; resolved ones drop out
+  let open = await TradeOffer.findOpenForCharacter(ben.id);
+  assert.deepStrictEqual(open.map(o => o.id), [second.id, first.id]);
+  assert.deepStrictEqual(await TradeOffer.findOpenForCharacter(ada.id), []);
+
+  const cancelled = await TradeOffer.resolve(first.id, 'cancelled');
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.ok(cancelled.resolved_at);
+  open = await TradeOffer.findOpenForCharacter(ben.id);
+  assert.deepStrictEqual(open.map(o => o.id), [second.id]);
+
+  // Offers go with the items they are about
+  await Item.delete(knife.id);
+  assert.strictEqual(await TradeOffer.findById(second.id), null);
+
+  await World.delete(world.id);
+});
+
 // Close database connection after all tests
 test.after(async () => {
   await end();
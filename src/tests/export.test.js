@@ -0,0 +1,126 @@
+/**
+ * Book export tests
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { end } from '../db/index.js';
+import { World, Series, Book, Chapter } from '../db/models/index.js';
+import { exportBook, proseToHtml } from '../series/exporter.js';
+import { crc32 } from '../series/zip.js';
+
+test('Book export', async (t) => {
+  let worldId, bookId, dir;
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Export Test World',
+      description: 'Testing book export',
+    });
+    worldId = world.id;
+
+    const series = await Series.create({ world_id: worldId, name: 'The Ember Saga' });
+    const book = await Book.create({ series_id: series.id, book_number: 1, title: 'Ashes' });
+    bookId = book.id;
+    await Book.update(bookId, { status: 'writing' });
+
+    // Created out of order to check chapter_number ordering
+    const second = await Chapter.create({ book_id: bookId, chapter_number: 2, title: 'Flight' });
+    await Chapter.update(second.id, { content: 'She ran.', status: 'revised' });
+    const first = await Chapter.create({ book_id: bookId, chapter_number: 1, title: 'The Cold Hearth' });
+    await Chapter.update(first.id, { content: 'The fire died.\n\n***\n\nNobody spoke.', status: 'revised' });
+
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storysplicer-export-'));
+  });
+
+  await t.test('without an ISBN only the manuscript is written', async () => {
+    const { book, export_paths } = await exportBook(bookId, { outputDir: dir });
+
+    assert.strictEqual(book.status, 'completed');
+    assert.deepStrictEqual(Object.keys(export_paths), ['markdown']);
+    assert.strictEqual(book.output_file_path, export_paths.markdown);
+
+    const markdown = await fs.readFile(export_paths.markdown, 'utf8');
+    assert.ok(markdown.startsWith('# Ashes\n'));
+    assert.ok(markdown.indexOf('## Chapter 1: The Cold Hearth') < markdown.indexOf('## Chapter 2: Flight'));
+  });
+
+  await t.test('with an ISBN, EPUB and print editions are published', async () => {
+    await Book.update(bookId, { isbn: '978-0-00-000000-2' });
+    const { book, export_paths } = await exportBook(bookId, { outputDir: dir, author: 'A. Writer' });
+
+    assert.strictEqual(book.status, 'published');
+    assert.ok(book.published_at);
+    assert.deepStrictEqual(book.export_paths, export_paths);
+
+    // EPUB: stored zip whose first entry is the uncompressed mimetype
+    const epub = await fs.readFile(export_paths.epub);
+    assert.strictEqual(epub.readUInt32LE(0), 0x04034b50);
+    assert.strictEqual(epub.toString('utf8', 30, 38), 'mimetype');
+    assert.strictEqual(epub.toString('utf8', 38, 58), 'application/epub+zip');
+    assert.strictEqual(epub.readUInt32LE(14), crc32(Buffer.from('application/epub+zip')));
+
+    const contents = epub.toString('utf8');
+    assert.ok(contents.includes('urn:isbn:9780000000002'));
+    assert.ok(contents.includes('ISBN: 978-0-00-000000-2'));
+    assert.ok(contents.includes('epub:type="toc"'));
+
+    const print = await fs.readFile(export_paths.print, 'utf8');
+    assert.ok(print.includes('@page'));
+    assert.ok(print.includes('ISBN: 978-0-00-000000-2'));
+    assert.ok(print.includes('Copyright © '));
+    assert.ok(print.includes('<a href="#chapter-2">Chapter 2: Flight</a>'));
+    assert.ok(print.includes('<hr class="scene-break" />'));
+  });
+
+  await t.test('a finished book steps through the pipeline to published', async () => {
+    const series = await Series.create({ world_id: worldId, name: 'Side Stories' });
+    const draft = await Book.create({ series_id: series.id, book_number: 1, title: 'Embers', isbn: '978-0-00-000000-3' });
+    const chapter = await Chapter.create({ book_id: draft.id, chapter_number: 1, title: 'Spark' });
+    await Chapter.update(chapter.id, { content: 'It caught.', status: 'completed' });
+
+    // Still in planning: writing → completed → published
+    const { book } = await exportBook(draft.id, { outputDir: dir });
+    assert.strictEqual(book.status, 'published');
+    assert.ok(book.published_at);
+  });
+
+  await t.test('refuses books with unfinished chapters, before writing anything', async () => {
+    const series = await Series.create({ world_id: worldId, name: 'Loose Ends' });
+    const draft = await Book.create({ series_id: series.id, book_number: 1, title: 'Smoke' });
+    const chapter = await Chapter.create({ book_id: draft.id, chapter_number: 1, title: 'Haze' });
+    await Chapter.update(chapter.id, { content: 'Half written.', status: 'in_progress' });
+
+    await assert.rejects(() => exportBook(draft.id, { outputDir: dir }), /unfinished chapters: 1/);
+    assert.strictEqual((await Book.findById(draft.id)).status, 'planning');
+    await assert.rejects(() => fs.access(path.join(dir, 'loose-ends')));
+  });
+
+  await t.test('refuses books with unwritten chapters', async () => {
+    await Chapter.create({ book_id: bookId, chapter_number: 3, title: 'Unwritten' });
+    await assert.rejects(() => exportBook(bookId, { outputDir: dir }), /chapters without content: 3/);
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+});
+
+test('Prose conversion', () => {
+  assert.strictEqual(
+    proseToHtml('A *quiet* <night>.\nStill.\n\n* * *\n\n**End**'),
+    '<p>A <em>quiet</em> &lt;night&gt;. Still.</p>\n<hr class="scene-break" />\n<p><strong>End</strong></p>'
+  );
+  assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+});
+
+// Close database connection after all tests
+test.after(async () => {
+  await end();
+});
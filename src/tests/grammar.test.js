@@ -0,0 +1,118 @@
+/**
+ * Action grammar tests
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ACTIONS } from '../agent/actions.js';
+import {
+  actionVocabulary,
+  buildActionSchema,
+  formatRepairPrompt,
+  validateAction,
+} from '../agent/grammar.js';
+
+const CONTEXT = {
+  location: {
+    exits: { north: 2, down: 3 },
+    items: [{ name: 'Crate', description: 'Salt-stained', contents: [] }],
+    characters: [{ name: 'Tom', carrying: ['Gaff'] }],
+  },
+  inventory: {
+    slots: [
+      { slot: 'back', item: { name: 'Satchel', contents: [{ name: 'Bread', contents: [] }] } },
+      { slot: 'right hand', item: null },
+    ],
+  },
+  offers: [{ from: 'Tom', item: 'Gaff', wanted: 'Bread' }],
+};
+
+const variantsOf = (schema, action) => schema.oneOf.filter(v => v.properties.action.const === action);
+
+test('Action schema', async (t) => {
+  await t.test('names what the character can see', () => {
+    assert.deepStrictEqual(actionVocabulary(CONTEXT), {
+      directions: ['north', 'down'],
+      items: ['Crate', 'Satchel', 'Bread', 'Gaff'],
+      characters: ['Tom'],
+    });
+  });
+
+  await t.test('enumerates exits and items, one variant per set of optional fields', () => {
+    const schema = buildActionSchema(actionVocabulary(CONTEXT));
+
+    const [move] = variantsOf(schema, 'move');
+    assert.deepStrictEqual(move, {
+      type: 'object',
+      properties: { action: { const: 'move' }, direction: { enum: ['north', 'down'] } },
+      required: ['action', 'direction'],
+      additionalProperties: false,
+    });
+    assert.deepStrictEqual(variantsOf(schema, 'eat')[0].properties.item, { enum: ['Crate', 'Satchel', 'Bread', 'Gaff'] });
+    assert.deepStrictEqual(
+      variantsOf(schema, 'attack').map(v => Object.keys(v.properties)),
+      [['action', 'target'], ['action', 'target', 'with'], ['action', 'target', 'part'], ['action', 'target', 'with', 'part']]
+    );
+    assert.deepStrictEqual(
+      [...new Set(schema.oneOf.map(v => v.properties.action.const))],
+      Object.keys(ACTIONS)
+    );
+  });
+
+  await t.test('leaves out actions with nothing to name', () => {
+    const schema = buildActionSchema({ directions: [], items: [], characters: [] });
+
+    assert.deepStrictEqual(
+      [...new Set(schema.oneOf.map(v => v.properties.action.const))],
+      ['speak', 'wait', 'sleep']
+    );
+    assert.deepStrictEqual(variantsOf(schema, 'speak').map(v => Object.keys(v.properties)), [
+      ['action', 'text'],
+      ['action', 'text', 'volume'],
+    ]);
+  });
+});
+
+test('Action validation', async (t) => {
+  const schema = buildActionSchema(actionVocabulary(CONTEXT));
+
+  await t.test('accepts actions the schema allows, ignoring unknown fields', () => {
+    assert.deepStrictEqual(validateAction({ action: 'move', direction: 'down' }, schema), []);
+    assert.deepStrictEqual(validateAction({ action: 'attack', target: 'Tom', with: 'Gaff' }, schema), []);
+    assert.deepStrictEqual(validateAction({ action: 'wait', reason: 'tired' }, schema), []);
+  });
+
+  await t.test('says what is wrong', () => {
+    assert.deepStrictEqual(validateAction({ action: 'move', direction: 'south' }, schema), [
+      '"direction" must be one of: north, down',
+    ]);
+    assert.deepStrictEqual(validateAction({ action: 'give', item: 'Bread' }, schema), ['"to" is missing']);
+    assert.deepStrictEqual(validateAction({ action: 'speak', text: 'Ahoy', volume: 'loud' }, schema), [
+      '"volume" must be one of: normal, whisper, shout',
+    ]);
+    assert.match(validateAction({ action: 'fly' }, schema)[0], /"fly" is not an action you can take now; choose one of: move, speak/);
+  });
+
+  await t.test('rejects fields with nothing to name here', () => {
+    const alone = buildActionSchema({ directions: [], items: [], characters: [] });
+    assert.deepStrictEqual(validateAction({ action: 'speak', text: 'Hello?', to: 'Tom' }, alone), ['"to" can\'t be used here']);
+    assert.match(validateAction({ action: 'move', direction: 'north' }, alone)[0], /"move" is not an action you can take now/);
+  });
+
+  await t.test('the repair prompt repeats the answer and its problems', () => {
+    const prompt = formatRepairPrompt('Act.', ' {"action": "fly"}\n', ['"fly" is not an action']);
+    assert.strictEqual(prompt, [
+      'Act.',
+      '',
+      '## Your Last Answer',
+      '{"action": "fly"}',
+      '',
+      'That answer could not be carried out:',
+      '- "fly" is not an action',
+      '',
+      'Respond again with ONE valid JSON action.',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * LLM provider tests
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { LLMManager, StubLLMManager } from '../agent/llm.js';
+import {
+  createProvider,
+  providerConfig,
+  OpenAICompatibleProvider,
+  ScriptedProvider,
+} from '../agent/providers/index.js';
+
+test('Provider configuration', async (t) => {
+  await t.test('class settings beat shared ones', () => {
+    const env = {
+      LLM_PROVIDER: 'openai',
+      LLM_PROVIDER_MINOR: 'scripted',
+      LLM_MODEL: 'qwen2',
+      LLM_MODEL_STORY: 'qwen2:7b',
+      LLM_TIMEOUT: '5000',
+    };
+
+    const minor = providerConfig('minor', env);
+    const story = providerConfig('story', env);
+    assert.deepStrictEqual([minor.provider, minor.model, minor.timeout], ['scripted', 'qwen2', 5000]);
+    assert.deepStrictEqual([story.provider, story.model, story.baseUrl], ['openai', 'qwen2:7b', null]);
+  });
+
+  await t.test('defaults to llama.cpp, and stub mode scripts every class', () => {
+    assert.strictEqual(providerConfig('story', {}).provider, 'llamacpp');
+    assert.strictEqual(providerConfig('story', { LLM_MODE: 'stub', LLM_PROVIDER: 'openai' }).provider, 'scripted');
+  });
+
+  await t.test('rejects bad settings', async () => {
+    assert.throws(() => providerConfig('minor', { LLM_GPU_LAYERS: 'all' }), /LLM_GPU_LAYERS must be a whole number/);
+    await assert.rejects(
+      () => createProvider(providerConfig('story', { LLM_PROVIDER: 'gpt' })),
+      /Unknown LLM provider "gpt" for story characters/
+    );
+  });
+});
+
+test('Scripted provider', async (t) => {
+  await t.test('rules, then responses in order, then the echo', async () => {
+    const provider = new ScriptedProvider({
+      script: [
+        { match: 'Mara', response: '{"action": "wait"}' },
+        'first',
+        'second',
+      ],
+    });
+
+    assert.strictEqual(await provider.generate('You are Mara.', 'Act.'), '{"action": "wait"}');
+    assert.strictEqual(await provider.generate('You are Tom.', 'Act.'), 'first');
+    assert.strictEqual(await provider.generate('You are Tom.', 'Act.'), 'second');
+    assert.strictEqual(await provider.generate('You are Tom.', 'Rewrite:\n---\nThe tide turned.'), 'The tide turned.');
+  });
+
+  await t.test('streams word by word', async () => {
+    const tokens = [];
+    const provider = new ScriptedProvider({ script: ['The tide turned.'] });
+
+    assert.strictEqual(await provider.generateStream('', '', token => tokens.push(token)), 'The tide turned.');
+    assert.deepStrictEqual(tokens, ['The ', 'tide ', 'turned.']);
+  });
+
+  await t.test('rejects malformed scripts', () => {
+    assert.throws(() => new ScriptedProvider({ script: { responses: [] } }), /must be an array/);
+    assert.throws(() => new ScriptedProvider({ script: ['ok', { match: 'x' }] }), /entry 2 must be a string/);
+  });
+});
+
+test('LLM manager', async (t) => {
+  await t.test('routes each class to its provider', async () => {
+    const manager = new LLMManager({
+      minor: new ScriptedProvider({ script: ['minor answer'] }),
+      story: new ScriptedProvider({ script: ['story answer'] }),
+    });
+
+    await assert.rejects(() => manager.generate('story', '', ''), /not initialized/);
+    await manager.initialize();
+    assert.strictEqual(await manager.generate('story', '', ''), 'story answer');
+    assert.strictEqual(await manager.generate('minor', '', ''), 'minor answer');
+    await assert.rejects(() => manager.generate('extra', '', ''), /Invalid character class: extra/);
+    await manager.dispose();
+  });
+
+  await t.test('the stub passes the class to its responder', async () => {
+    const manager = new StubLLMManager(characterClass => `${characterClass} says hi`);
+    await manager.initialize();
+    assert.strictEqual(await manager.generate('minor', '', ''), 'minor says hi');
+  });
+});
+
+test('OpenAI-compatible provider', async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      requests.push({ url: req.url, authorization: req.headers.authorization, body: request });
+
+      if (request.model === 'missing') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end('{"error": "model not found"}');
+      } else if (request.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const content of ['{"action"', ': "wait"', '}']) {
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+        }
+        res.end('data: [DONE]\n\n');
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: '{"action": "wait"}' } }] }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+
+  await t.test('sends a chat completion request', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl, model: 'qwen2', apiKey: 'secret' });
+    const response = await provider.generate('You are Mara.', 'Act.', {
+      temperature: 0.3,
+      maxTokens: 64,
+      stopStrings: ['}', '\n\n', 'a', 'b', 'c'],
+    });
+
+    assert.strictEqual(response, '{"action": "wait"}');
+    const [{ url, authorization, body }] = requests;
+    assert.strictEqual(url, '/v1/chat/completions');
+    assert.strictEqual(authorization, 'Bearer secret');
+    assert.deepStrictEqual(body, {
+      model: 'qwen2',
+      messages: [
+        { role: 'system', content: 'You are Mara.' },
+        { role: 'user', content: 'Act.' },
+      ],
+      temperature: 0.3,
+      top_p: 0.95,
+      max_tokens: 64,
+      stop: ['}', '\n\n', 'a', 'b'],
+      stream: false,
+    });
+  });
+
+  await t.test('a schema becomes the response format, in place of stop strings', async () => {
+    const schema = { oneOf: [{ type: 'object', properties: { action: { const: 'wait' } } }] };
+    const provider = new OpenAICompatibleProvider({ baseUrl });
+    await provider.generate('', 'Act.', { stopStrings: ['}'], schema });
+
+    const { body } = requests[requests.length - 1];
+    assert.strictEqual('stop' in body, false);
+    assert.deepStrictEqual(body.response_format, { type: 'json_schema', json_schema: { name: 'response', schema } });
+  });
+
+  await t.test('streams server-sent events', async () => {
+    const tokens = [];
+    const provider = new OpenAICompatibleProvider({ baseUrl });
+    const response = await provider.generateStream('', 'Act.', token => tokens.push(token));
+
+    assert.strictEqual(response, '{"action": "wait"}');
+    assert.deepStrictEqual(tokens, ['{"action"', ': "wait"', '}']);
+    assert.strictEqual('model' in requests[requests.length - 1].body, false);
+  });
+
+  await t.test('reports server errors', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl, model: 'missing' });
+    await assert.rejects(() => provider.generate('', ''), /answered 404: \{"error": "model not found"\}/);
+  });
+
+  await t.test('cleanup', async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+});
@@ -12,8 +12,20 @@ import { handleWorldTool } from '../mcp/tools/world.js';
 import { handleAreaTool } from '../mcp/tools/area.js';
 import { handleCharacterTool } from '../mcp/tools/character.js';
 import { handleItemTool } from '../mcp/tools/item.js';
-import { executeTriggers, createTrigger } from '../mcp/handlers/triggers.js';
-import { claimCharacter, canControlCharacter, releaseCharacter } from '../mcp/handlers/auth.js';
+import { handleSpeciesTool } from '../mcp/tools/species.js';
+import { handlePlayerTool } from '../mcp/tools/player.js';
+import { handleEventTool } from '../mcp/tools/event.js';
+import { handleSeriesTool } from '../mcp/tools/series.js';
+import { handleBookTool } from '../mcp/tools/book.js';
+import { handleChapterTool } from '../mcp/tools/chapter.js';
+import { executeTriggers, executeClockTriggers, createTrigger, TRIGGER_EXAMPLES } from '../mcp/handlers/triggers.js';
+import { subscribeWorldEvents } from '../mcp/handlers/events.js';
+import { executeAction, updatePhysicalState } from '../agent/actions.js';
+import { assessVitalStatus } from '../mcp/handlers/vitals.js';
+import { resolveAttack } from '../mcp/handlers/combat.js';
+import { describeClock } from '../mcp/handlers/clock.js';
+import { buildContextWindow, formatContextAsPrompt } from '../agent/context.js';
+import { claimCharacter, canControlCharacter, releaseCharacter, authorizeToolCall } from '../mcp/handlers/auth.js';
 
 // Test world tool handlers
 test('World tools', async (t) => {
@@ -152,6 +164,47 @@ test('Character tools', async (t) => {
     assert.ok(character.memory.length > 0);
   });
 
+  await t.test('character_consume', async () => {
+    const bread = await Item.create({
+      world_id: worldId,
+      name: 'Loaf of Bread',
+      properties: { consumable: true, nutrition_value: 15, portions: 2 },
+      current_area_id: areaId,
+    });
+    const rock = await Item.create({
+      world_id: worldId,
+      name: 'Rock',
+      current_area_id: areaId,
+    });
+
+    await assert.rejects(
+      () => handleCharacterTool('character_consume', { character_id: characterId, item_id: bread.id, method: 'drink' }),
+      /not something you can drink/
+    );
+    await assert.rejects(
+      () => handleCharacterTool('character_consume', { character_id: characterId, item_id: rock.id, method: 'eat' }),
+      /not something you can eat/
+    );
+
+    // Nutrition is 80 after character_update_state
+    const result = await handleCharacterTool('character_consume', {
+      character_id: characterId,
+      item_id: bread.id,
+      method: 'eat',
+    });
+    assert.ok(result.content[0].text.includes('1 portion left'));
+    assert.strictEqual(parseFloat((await Character.findById(characterId)).nutrition), 95);
+    assert.strictEqual((await Item.findById(bread.id)).properties.portions, 1);
+
+    await handleCharacterTool('character_consume', {
+      character_id: characterId,
+      item_id: bread.id,
+      method: 'eat',
+    });
+    assert.strictEqual(parseFloat((await Character.findById(characterId)).nutrition), 100);
+    assert.strictEqual(await Item.findById(bread.id), null);
+  });
+
   await t.test('cleanup', async () => {
     await World.delete(worldId);
   });
@@ -285,6 +338,999 @@ test('Area triggers', async (t) => {
     assert.strictEqual(area.triggers.length, 0);
   });
 
+  await t.test('item appearance, pickup and drop triggers fire', async () => {
+    await Area.update(areaId, {
+      temperature: 20,
+      triggers: [
+        TRIGGER_EXAMPLES.temperatureDropOnPickup,
+        createTrigger('item_dropped', [{ type: 'modify_temperature', temperature_delta: 2 }]),
+        createTrigger({ type: 'item_appeared' }, [{ type: 'modify_description', append_description: 'Something glints.' }], true),
+      ],
+    });
+
+    await handleItemTool('item_create', { world_id: worldId, name: 'Lantern', area_id: areaId });
+    assert.ok((await Area.findById(areaId)).description.endsWith('Something glints.'));
+
+    const [lantern] = await Area.getItems(areaId);
+    await handleItemTool('item_pickup', { character_id: characterId, item_id: lantern.id, location: 'right hand' });
+    assert.strictEqual(parseFloat((await Area.findById(areaId)).temperature), 15);
+
+    await handleItemTool('item_drop', { character_id: characterId, item_id: lantern.id });
+    assert.strictEqual(parseFloat((await Area.findById(areaId)).temperature), 17);
+  });
+
+  await t.test('character state triggers fire once when a threshold is crossed', async () => {
+    await Area.update(areaId, {
+      triggers: [
+        createTrigger(
+          { type: 'character_state', stat: 'hydration', below: 20, character_id: characterId },
+          [{ type: 'add_item', item: { name: 'Water Skin' } }]
+        ),
+      ],
+    });
+    await Character.update(characterId, { hydration: 20.5 });
+
+    // Ten minutes cost a human one point of hydration
+    await updatePhysicalState(characterId, 600);
+    await updatePhysicalState(characterId, 600);
+
+    const waterSkins = (await Area.getItems(areaId)).filter(i => i.name === 'Water Skin');
+    assert.strictEqual(waterSkins.length, 1);
+  });
+
+  await t.test('character reactions', async () => {
+    const cellar = await Area.create({ world_id: worldId, name: 'Cellar', description: 'A damp cellar' });
+    await Character.update(characterId, { current_area_id: areaId, damage: [], hydration: 50 });
+    await Area.update(areaId, {
+      triggers: [
+        createTrigger({ type: 'character_speech', keywords: ['ouch'] }, [
+          { type: 'apply_damage', damage_type: 'burn', severity: 10, part: 'wing' },
+          { type: 'modify_state', hydration: 100, tiredness_delta: 150 },
+          { type: 'add_memory', action: 'felt the floor tremble', result: 'something moved below' },
+          { type: 'spawn_character', character: { name: 'Cave Bat', species: 'bat' }, unless_present: true },
+          { type: 'move_character', area_id: cellar.id },
+        ]),
+      ],
+    });
+
+    await executeTriggers(areaId, 'character_speech', { character_id: characterId, text: 'Ouch!' });
+
+    const character = await Character.findById(characterId);
+    // Humans have no wings, so the burn lands on the whole body
+    assert.deepStrictEqual(character.damage, [{ part: 'body', type: 'burn', severity: 10 }]);
+    assert.strictEqual(parseFloat(character.hydration), 100);
+    assert.strictEqual(parseFloat(character.tiredness), 100);
+    assert.ok(character.memory.some(m => m.action === 'felt the floor tremble'));
+    assert.strictEqual(character.current_area_id, cellar.id);
+
+    const bats = (await Character.findByAreaId(areaId)).filter(c => c.name === 'Cave Bat');
+    assert.strictEqual(bats.length, 1);
+  });
+
+  await t.test('fire_trigger chains into named triggers and stops loops', async () => {
+    const tower = await Area.create({ world_id: worldId, name: 'Tower', description: 'A bell tower', temperature: 0 });
+    await Area.update(areaId, {
+      temperature: 0,
+      triggers: [
+        createTrigger(undefined, [
+          { type: 'modify_temperature', temperature_delta: 1 },
+          { type: 'fire_trigger', area_id: tower.id, trigger: 'ping' },
+        ], false, 'pong'),
+      ],
+    });
+    await Area.update(tower.id, {
+      triggers: [
+        createTrigger({ type: 'character_speech', keywords: ['ring'] }, [
+          { type: 'broadcast_message', text: 'The bell rings.' },
+          { type: 'fire_trigger', trigger: 'ping' },
+        ]),
+        createTrigger(undefined, [
+          { type: 'modify_temperature', temperature_delta: 1 },
+          { type: 'fire_trigger', area_id: areaId, trigger: 'pong' },
+        ], false, 'ping'),
+      ],
+    });
+
+    await executeTriggers(tower.id, 'character_speech', { text: 'Ring the bell' });
+
+    // ping runs at depths 1, 3 and 5, pong at 2 and 4; the next pong would be too deep
+    assert.strictEqual(parseFloat((await Area.findById(tower.id)).temperature), 3);
+    assert.strictEqual(parseFloat((await Area.findById(areaId)).temperature), 2);
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+  });
+});
+
+// Test world event publishing
+test('World events', async (t) => {
+  let worldId, startAreaId, areaId, characterId, unsubscribe;
+  const events = [];
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Event Test World',
+      description: 'Testing world events',
+    });
+    worldId = world.id;
+
+    const start = await Area.create({
+      world_id: worldId,
+      name: 'Hall',
+      description: 'A long hall',
+    });
+    startAreaId = start.id;
+
+    const area = await Area.create({
+      world_id: worldId,
+      name: 'Study',
+      description: 'A quiet study',
+    });
+    areaId = area.id;
+
+    const character = await Character.create({
+      world_id: worldId,
+      name: 'Event Tester',
+      species: 'human',
+      current_area_id: startAreaId,
+    });
+    characterId = character.id;
+
+    unsubscribe = await subscribeWorldEvents(event => events.push(event));
+  });
+
+  await t.test('move publishes departure and arrival', async () => {
+    await handleCharacterTool('character_move', {
+      character_id: characterId,
+      area_id: areaId,
+    });
+
+    const departed = events.find(e => e.type === 'character_departed');
+    const arrived = events.find(e => e.type === 'character_arrived');
+
+    assert.strictEqual(departed.area_id, startAreaId);
+    assert.strictEqual(arrived.area_id, areaId);
+    assert.strictEqual(arrived.character.name, 'Event Tester');
+  });
+
+  await t.test('thoughts are not published', async () => {
+    await handleCharacterTool('character_speak', {
+      character_id: characterId,
+      text: 'I wonder...',
+      action_type: 'thought',
+    });
+    await handleCharacterTool('character_speak', {
+      character_id: characterId,
+      text: 'Hello?',
+      action_type: 'speech',
+    });
+
+    const spoken = events.filter(e => e.type === 'character_spoke');
+    assert.strictEqual(spoken.length, 1);
+    assert.strictEqual(spoken[0].text, 'Hello?');
+  });
+
+  await t.test('actions are recorded in the event log', async () => {
+    const result = await handleEventTool('event_query', {
+      world_id: worldId,
+      character_id: characterId,
+    });
+    const logged = JSON.parse(result.content[0].text);
+
+    assert.deepStrictEqual(logged.map(e => e.event_type), ['move', 'speak', 'speak']);
+    assert.strictEqual(logged[0].area_id, areaId);
+    assert.strictEqual(logged[0].payload.from_area_id, startAreaId);
+  });
+
+  await t.test('cleanup', async () => {
+    await unsubscribe();
+    await World.delete(worldId);
+  });
+});
+
+// Test speech reaching other characters
+test('Speech propagation', async (t) => {
+  let worldId;
+  const ids = {};
+
+  const lastMemory = async (name) => {
+    const character = await Character.findById(ids[name]);
+    const memory = character.memory || [];
+    return memory.length > 0 ? memory[memory.length - 1].action : null;
+  };
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Speech Test World',
+      description: 'Testing speech propagation',
+    });
+    worldId = world.id;
+
+    const square = await Area.create({ world_id: worldId, name: 'Square', description: 'A market square' });
+    const alley = await Area.create({ world_id: worldId, name: 'Alley', description: 'A narrow alley' });
+    const cellar = await Area.create({ world_id: worldId, name: 'Cellar', description: 'A sealed cellar' });
+    await Area.update(square.id, { exits: { north: alley.id } });
+    await Area.update(alley.id, { exits: { south: square.id } });
+
+    const people = [
+      ['Crier', square.id, 100],
+      ['Baker', square.id, 100],
+      ['Guard', square.id, 100],
+      ['Drunk', square.id, 5],
+      ['Thief', alley.id, 100],
+      ['Prisoner', cellar.id, 100],
+    ];
+    for (const [name, areaId, alertness] of people) {
+      const character = await Character.create({
+        world_id: worldId,
+        name,
+        species: 'human',
+        current_area_id: areaId,
+        alertness,
+      });
+      ids[name] = character.id;
+    }
+  });
+
+  await t.test('speech is heard by everyone in the area', async () => {
+    await handleCharacterTool('character_speak', {
+      character_id: ids.Crier,
+      text: 'Fresh bread!',
+      action_type: 'speech',
+    });
+
+    assert.strictEqual(await lastMemory('Baker'), 'heard Crier say: "Fresh bread!"');
+    assert.strictEqual(await lastMemory('Drunk'), 'heard Crier say: "Fresh bread!"');
+    assert.strictEqual(await lastMemory('Thief'), null);
+
+    const logged = JSON.parse((await handleEventTool('event_query', {
+      world_id: worldId,
+      character_id: ids.Crier,
+    })).content[0].text);
+    assert.deepStrictEqual(logged[0].result.heard_by.sort(), [ids.Baker, ids.Guard, ids.Drunk].sort());
+  });
+
+  await t.test('awake listeners act first, until they act', async () => {
+    const drunk = await Character.findById(ids.Drunk);
+    assert.strictEqual(drunk.heard_at, null);
+
+    const order = (await Character.findAIControllable(worldId)).map(c => c.name);
+    assert.deepStrictEqual(order.slice(0, 2).sort(), ['Baker', 'Guard']);
+
+    await executeAction(ids.Baker, { action: 'wait' });
+    const baker = await Character.findById(ids.Baker);
+    assert.strictEqual(baker.heard_at, null);
+  });
+
+  await t.test('whispers are heard only by the target', async () => {
+    await handleCharacterTool('character_speak', {
+      character_id: ids.Crier,
+      text: 'The gate is open',
+      action_type: 'speech',
+      volume: 'whisper',
+      target_character_id: ids.Guard,
+    });
+
+    assert.strictEqual(await lastMemory('Guard'), 'Crier whispered to you: "The gate is open"');
+    assert.strictEqual(await lastMemory('Baker'), 'waited');
+
+    await assert.rejects(
+      () => handleCharacterTool('character_speak', {
+        character_id: ids.Crier,
+        text: 'Psst',
+        action_type: 'speech',
+        volume: 'whisper',
+        target_character_id: ids.Thief,
+      }),
+      /not in the same area/
+    );
+  });
+
+  await t.test('shouts carry to adjacent areas', async () => {
+    await handleCharacterTool('character_speak', {
+      character_id: ids.Crier,
+      text: 'Stop, thief!',
+      action_type: 'speech',
+      volume: 'shout',
+    });
+
+    assert.strictEqual(await lastMemory('Baker'), 'heard Crier shout: "Stop, thief!"');
+    assert.strictEqual(await lastMemory('Thief'), 'heard someone shout from Square: "Stop, thief!"');
+    assert.strictEqual(await lastMemory('Prisoner'), null);
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+  });
+});
+
+// Test vital status transitions
+test('Vital status', async (t) => {
+  let worldId, characterId;
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Vital Test World',
+      description: 'Testing vital status',
+    });
+    worldId = world.id;
+
+    const area = await Area.create({ world_id: worldId, name: 'Desert', description: 'Sand everywhere' });
+    const character = await Character.create({
+      world_id: worldId,
+      name: 'Wanderer',
+      species: 'human',
+      current_area_id: area.id,
+      hydration: 0,
+    });
+    characterId = character.id;
+  });
+
+  await t.test('status follows damage and deprivation', () => {
+    const healthy = { nutrition: 50, hydration: 50 };
+    assert.strictEqual(assessVitalStatus({ ...healthy, damage: [] }).status, 'alive');
+    assert.strictEqual(assessVitalStatus({ ...healthy, hydration: 0, damage: [] }).cause, 'dehydration');
+    assert.strictEqual(assessVitalStatus({ ...healthy, damage: [{ part: 'leg', type: 'cut', severity: 85 }] }).status, 'unconscious');
+    assert.deepStrictEqual(
+      assessVitalStatus({ ...healthy, damage: [{ part: 'chest', type: 'stab', severity: 70 }, { part: 'arm', type: 'cut', severity: 30 }] }),
+      { status: 'dead', cause: 'stab' }
+    );
+  });
+
+  await t.test('dehydration makes a character critical, then kills them', async () => {
+    await updatePhysicalState(characterId, 60);
+    let character = await Character.findById(characterId);
+    assert.strictEqual(character.vital_status, 'critical');
+    assert.strictEqual(character.damage[0].type, 'dehydration');
+
+    // Ten hours without water
+    await updatePhysicalState(characterId, 36000);
+    character = await Character.findById(characterId);
+    assert.strictEqual(character.vital_status, 'dead');
+
+    const controllable = await Character.findAIControllable(worldId);
+    assert.ok(!controllable.some(c => c.id === characterId));
+
+    await assert.rejects(
+      () => handleCharacterTool('character_speak', { character_id: characterId, text: 'Water...', action_type: 'speech' }),
+      /is dead and cannot act/
+    );
+
+    const logged = JSON.parse((await handleEventTool('event_query', {
+      world_id: worldId,
+      character_id: characterId,
+    })).content[0].text);
+    assert.deepStrictEqual(logged.map(e => e.payload.to), ['critical', 'dead']);
+  });
+
+  await t.test('designers can revive characters', async () => {
+    assert.throws(
+      () => authorizeToolCall('character_set_vital_status', { character_id: characterId, vital_status: 'alive' }, null),
+      /not available to player connections/
+    );
+
+    await handleCharacterTool('character_set_vital_status', {
+      character_id: characterId,
+      vital_status: 'alive',
+    });
+
+    const character = await Character.findById(characterId);
+    assert.strictEqual(character.vital_status, 'alive');
+    assert.deepStrictEqual(character.damage, []);
+    assert.strictEqual(parseFloat(character.hydration), 50);
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+  });
+});
+
+// Test area temperature effects on characters
+test('Temperature effects', async (t) => {
+  let worldId, areaId, bareId, wrappedId;
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Temperature Test World',
+      description: 'Testing thermal stress',
+    });
+    worldId = world.id;
+
+    const area = await Area.create({ world_id: worldId, name: 'Glacier', description: 'Ice', temperature: -20 });
+    areaId = area.id;
+
+    const bare = await Character.create({ world_id: worldId, name: 'Bare', species: 'human', current_area_id: areaId });
+    bareId = bare.id;
+    const wrapped = await Character.create({ world_id: worldId, name: 'Wrapped', species: 'human', current_area_id: areaId });
+    wrappedId = wrapped.id;
+
+    const coat = await Item.create({ world_id: worldId, name: 'Fur Coat', properties: { insulation: 40 } });
+    await Item.giveToCharacter(coat.id, wrappedId, 'left hand');
+  });
+
+  await t.test('extreme cold causes hypothermia and faster dehydration', async () => {
+    await updatePhysicalState(bareId, 3600);
+    await updatePhysicalState(wrappedId, 3600);
+
+    const bare = await Character.findById(bareId);
+    const wrapped = await Character.findById(wrappedId);
+
+    assert.strictEqual(bare.damage[0].type, 'hypothermia');
+    assert.deepStrictEqual(wrapped.damage, []);
+    assert.ok(parseFloat(bare.hydration) < parseFloat(wrapped.hydration));
+    assert.ok(parseFloat(bare.tiredness) > parseFloat(wrapped.tiredness));
+  });
+
+  await t.test('context describes how the temperature feels', async () => {
+    const prompt = formatContextAsPrompt(await buildContextWindow(bareId));
+    assert.ok(prompt.includes('You are freezing'));
+    assert.ok(prompt.includes('-20.0°C (feels freezing to you)'));
+  });
+
+  await t.test('comfort comes from the character\'s species', async () => {
+    await handleSpeciesTool('species_create', {
+      world_id: worldId,
+      name: 'ice troll',
+      comfort_min_temperature: -30,
+      comfort_max_temperature: 0,
+    });
+    const troll = await Character.create({ world_id: worldId, name: 'Troll', species: 'ice troll', current_area_id: areaId });
+
+    await updatePhysicalState(troll.id, 3600);
+    assert.deepStrictEqual((await Character.findById(troll.id)).damage, []);
+
+    const prompt = formatContextAsPrompt(await buildContextWindow(troll.id));
+    assert.ok(prompt.includes('-20.0°C (feels comfortable to you)'));
+
+    // The glacier's cold is the troll's comfort; a warm hall is not
+    const hall = await Area.create({ world_id: worldId, name: 'Hall', description: 'A fire roars', temperature: 22 });
+    await Character.update(troll.id, { current_area_id: hall.id });
+    const context = await buildContextWindow(troll.id);
+    assert.strictEqual(context.physicalState.thermal.feeling, 'sweltering');
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+  });
+});
+
+// Test species tools and the traits they define
+test('Species tools', async (t) => {
+  let worldId, areaId, speciesId, characterId;
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Species Test World',
+      description: 'Testing species',
+    });
+    worldId = world.id;
+
+    const area = await Area.create({ world_id: worldId, name: 'Burrow', description: 'Dark and warm' });
+    areaId = area.id;
+  });
+
+  await t.test('species_create links characters of that species', async () => {
+    const character = await Character.create({ world_id: worldId, name: 'Nibbles', species: 'rabbitfolk', current_area_id: areaId });
+    characterId = character.id;
+
+    const result = await handleSpeciesTool('species_create', {
+      world_id: worldId,
+      name: 'rabbitfolk',
+      nutrition_loss_per_hour: 8,
+      body_parts: ['head', 'ears', 'torso', 'paws', 'tail'],
+      carrying_slots: ['mouth', 'pouch'],
+    });
+    const species = JSON.parse(result.content[0].text);
+    speciesId = species.id;
+    assert.strictEqual(species.nutrition_loss_per_hour, 8);
+    assert.strictEqual(species.hydration_loss_per_hour, 6);
+
+    const details = JSON.parse((await handleSpeciesTool('species_get', { species_id: speciesId })).content[0].text);
+    assert.deepStrictEqual(details.characters.map(c => c.id), [characterId]);
+
+    await assert.rejects(
+      handleSpeciesTool('species_create', { world_id: worldId, name: 'Rabbitfolk' }),
+      /already exists/
+    );
+  });
+
+  await t.test('metabolism follows the species', async () => {
+    await updatePhysicalState(characterId, 3600);
+    const character = await Character.findById(characterId);
+    assert.strictEqual(parseFloat(character.nutrition), 92);
+  });
+
+  await t.test('damage must be to one of the species body parts', async () => {
+    await assert.rejects(
+      handleCharacterTool('character_update_state', {
+        character_id: characterId,
+        damage: [{ part: 'left arm', type: 'cut', severity: 10 }],
+      }),
+      /has no "left arm"/
+    );
+
+    await handleCharacterTool('character_update_state', {
+      character_id: characterId,
+      damage: [{ part: 'tail', type: 'bite', severity: 10 }, { part: 'body', type: 'bruise', severity: 5 }],
+    });
+    const character = await Character.findById(characterId);
+    assert.strictEqual(character.damage.length, 2);
+  });
+
+  await t.test('items are carried in the species slots', async () => {
+    const carrot = await Item.create({ world_id: worldId, name: 'Carrot', current_area_id: areaId });
+    await assert.rejects(
+      handleItemTool('item_pickup', { character_id: characterId, item_id: carrot.id, location: 'right hand' }),
+      /cannot carry things in "right hand"/
+    );
+
+    const result = await executeAction(characterId, { action: 'pickup', item: 'Carrot' });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual((await Item.findById(carrot.id)).held_location, 'mouth');
+  });
+
+  await t.test('species_update and species_delete', async () => {
+    const result = await handleSpeciesTool('species_update', { species_id: speciesId, name: 'hare' });
+    assert.strictEqual(JSON.parse(result.content[0].text).name, 'hare');
+    assert.strictEqual((await Character.findById(characterId)).species, 'hare');
+
+    await handleSpeciesTool('species_delete', { species_id: speciesId });
+    const list = JSON.parse((await handleSpeciesTool('species_list', { world_id: worldId })).content[0].text);
+    assert.deepStrictEqual(list, []);
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+  });
+});
+
+// Test attacks between characters
+test('Combat', async (t) => {
+  let worldId, areaId, attackerId, targetId;
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Combat Test World',
+      description: 'Testing combat',
+    });
+    worldId = world.id;
+
+    const area = await Area.create({ world_id: worldId, name: 'Arena', description: 'Sand and blood' });
+    areaId = area.id;
+
+    const attacker = await Character.create({ world_id: worldId, name: 'Rook', species: 'human', current_area_id: areaId });
+    attackerId = attacker.id;
+    const target = await Character.create({ world_id: worldId, name: 'Pawn', species: 'human', current_area_id: areaId });
+    targetId = target.id;
+
+    const sword = await Item.create({ world_id: worldId, name: 'Sword', properties: { damage: 20 } });
+    await Item.giveToCharacter(sword.id, attackerId, 'right hand');
+  });
+
+  await t.test('the same seed gives the same outcome', () => {
+    const attack = {
+      attacker: { alertness: 100 },
+      target: { alertness: 100 },
+      weapon: { name: 'Sword', damage: 20, damage_type: 'cut', accuracy: 0 },
+      bodyParts: ['head', 'torso', 'left arm'],
+      seed: 42,
+    };
+    assert.deepStrictEqual(resolveAttack(attack), resolveAttack(attack));
+    assert.strictEqual(resolveAttack(attack).hit, true);
+    assert.strictEqual(resolveAttack({ ...attack, seed: 2 }).hit, false);
+  });
+
+  await t.test('character_attack injures the target with the held weapon', async () => {
+    const result = await handleCharacterTool('character_attack', {
+      character_id: attackerId,
+      target_character_id: targetId,
+      seed: 42,
+    });
+    const outcome = JSON.parse(result.content[0].text);
+    assert.strictEqual(outcome.hit, true);
+    assert.strictEqual(outcome.weapon, 'Sword');
+    assert.strictEqual(outcome.seed, 42);
+
+    const target = await Character.findById(targetId);
+    assert.deepStrictEqual(target.damage, [{ part: outcome.part, type: 'cut', severity: outcome.severity }]);
+    assert.ok(target.memory.some(m => m.action === 'was attacked by Rook with Sword'));
+    assert.ok((await Character.findById(attackerId)).memory.some(m => m.action === 'attacked Pawn with Sword'));
+
+    const logged = JSON.parse((await handleEventTool('event_query', {
+      world_id: worldId,
+      types: ['attack'],
+    })).content[0].text);
+    assert.strictEqual(logged.length, 1);
+    assert.strictEqual(logged[0].payload.seed, 42);
+  });
+
+  await t.test('players cannot choose the attack seed', () => {
+    assert.throws(
+      () => authorizeToolCall('character_attack', { character_id: attackerId, target_character_id: targetId, seed: 42 }, null),
+      /does not take a seed from player connections/
+    );
+  });
+
+  await t.test('aimed parts must belong to the target species', async () => {
+    await assert.rejects(
+      handleCharacterTool('character_attack', { character_id: attackerId, target_character_id: targetId, part: 'tail' }),
+      /has no "tail"/
+    );
+  });
+
+  await t.test('the attack action finds the target by name', async () => {
+    const result = await executeAction(attackerId, { action: 'attack', target: 'pawn', with: 'sword' });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.target, 'Pawn');
+    assert.strictEqual(result.weapon, 'Sword');
+  });
+
+  await t.test('a heavy enough hit kills at once', async () => {
+    // A sleeping target is easy to hit
+    await Character.update(targetId, { alertness: 0, damage: [{ part: 'torso', type: 'cut', severity: 95 }] });
+
+    const result = await handleCharacterTool('character_attack', {
+      character_id: attackerId,
+      target_character_id: targetId,
+      part: 'torso',
+      seed: 7,
+    });
+    assert.strictEqual(JSON.parse(result.content[0].text).target_vital_status, 'dead');
+    assert.strictEqual((await Character.findById(targetId)).vital_status, 'dead');
+
+    await assert.rejects(
+      handleCharacterTool('character_attack', { character_id: attackerId, target_character_id: targetId }),
+      /already dead/
+    );
+  });
+
+  await t.test('bruises heal faster than fractures', async () => {
+    await Character.update(attackerId, {
+      damage: [
+        { part: 'left arm', type: 'bruise', severity: 10 },
+        { part: 'right arm', type: 'fracture', severity: 10 },
+      ],
+    });
+    await updatePhysicalState(attackerId, 3600);
+
+    const [bruise, fracture] = (await Character.findById(attackerId)).damage;
+    assert.strictEqual(bruise.severity, 9);
+    assert.strictEqual(fracture.severity, 9.875);
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+  });
+});
+
+// Test carrying limits and containers
+test('Containers and carrying', async (t) => {
+  let worldId, areaId, characterId, ids;
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Container Test World',
+      description: 'Testing containers',
+    });
+    worldId = world.id;
+
+    const area = await Area.create({ world_id: worldId, name: 'Storeroom', description: 'Shelves and crates' });
+    areaId = area.id;
+
+    const character = await Character.create({ world_id: worldId, name: 'Porter', species: 'human', current_area_id: areaId });
+    characterId = character.id;
+
+    ids = {};
+    const items = [
+      { name: 'Backpack', properties: { weight: 1, volume: 30, capacity: 25 } },
+      { name: 'Pouch', properties: { weight: 0.1, volume: 0.5, capacity: 0.5 } },
+      { name: 'Coin', properties: { weight: 0.01, volume: 0.01 } },
+      { name: 'Rope', properties: { weight: 2, volume: 5 } },
+      { name: 'Anvil', properties: { weight: 40, volume: 10 } },
+    ];
+    for (const item of items) {
+      ids[item.name] = (await Item.create({ world_id: worldId, current_area_id: areaId, ...item })).id;
+    }
+  });
+
+  await t.test('slots limit volume and the species limits weight', async () => {
+    await assert.rejects(
+      handleItemTool('item_pickup', { character_id: characterId, item_id: ids.Backpack, location: 'left pocket' }),
+      /too big to carry in left pocket/
+    );
+    await assert.rejects(
+      handleItemTool('item_pickup', { character_id: characterId, item_id: ids.Anvil, location: 'right hand' }),
+      /too heavy/
+    );
+
+    // Hands are busy, so the backpack goes on the back
+    await handleItemTool('item_pickup', { character_id: characterId, item_id: ids.Rope, location: 'right hand' });
+    await handleItemTool('item_pickup', { character_id: characterId, item_id: ids.Pouch, location: 'left hand' });
+    const result = await executeAction(characterId, { action: 'pickup', item: 'Backpack' });
+    assert.strictEqual(result.location, 'back');
+  });
+
+  await t.test('put and take move items in and out of containers', async () => {
+    await executeAction(characterId, { action: 'put', item: 'Coin', container: 'Pouch' });
+    await executeAction(characterId, { action: 'put', item: 'Pouch', container: 'Backpack' });
+    await executeAction(characterId, { action: 'put', item: 'Rope', container: 'Backpack' });
+
+    assert.strictEqual((await Item.findById(ids.Coin)).contained_in_item_id, ids.Pouch);
+    assert.strictEqual((await Item.findById(ids.Pouch)).contained_in_item_id, ids.Backpack);
+
+    await assert.rejects(
+      handleItemTool('item_put_in', { character_id: characterId, item_id: ids.Backpack, container_id: ids.Pouch }),
+      /cannot go inside itself/
+    );
+    await assert.rejects(
+      handleItemTool('item_put_in', { character_id: characterId, item_id: ids.Anvil, container_id: ids.Coin }),
+      /cannot hold anything/
+    );
+
+    const result = await executeAction(characterId, { action: 'take', item: 'Rope', from: 'Backpack' });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual((await Item.findById(ids.Rope)).held_location, 'right hand');
+  });
+
+  await t.test('context shows nested contents and encumbrance', async () => {
+    const context = await buildContextWindow(characterId);
+    assert.strictEqual(context.inventory.encumbrance.weight, 3.1);
+    assert.strictEqual(context.inventory.encumbrance.level, 'unburdened');
+
+    const prompt = formatContextAsPrompt(context);
+    assert.ok(prompt.includes('Back: Backpack (containing Pouch (containing Coin))'));
+    assert.ok(prompt.includes('Carrying: 3.1 of 25 kg (unburdened)'));
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+  });
+});
+
+// Test giving, trading and stealing between characters
+test('Give, trade and steal', async (t) => {
+  let worldId, areaId, adaId, benId, ids;
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Market Test World',
+      description: 'Testing transfers',
+    });
+    worldId = world.id;
+
+    const area = await Area.create({ world_id: worldId, name: 'Market', description: 'Stalls and shouting' });
+    areaId = area.id;
+
+    adaId = (await Character.create({ world_id: worldId, name: 'Ada', species: 'human', current_area_id: areaId })).id;
+    benId = (await Character.create({ world_id: worldId, name: 'Ben', species: 'human', current_area_id: areaId })).id;
+
+    ids = {};
+    const items = [
+      { name: 'Apple', held_by_character_id: adaId, held_location: 'right hand', properties: { weight: 0.2, volume: 0.3 } },
+      { name: 'Knife', held_by_character_id: benId, held_location: 'right hand', properties: { weight: 0.3, volume: 0.5 } },
+      { name: 'Purse', held_by_character_id: benId, held_location: 'left pocket', properties: { weight: 0.2, volume: 0.5 } },
+      { name: 'Anvil', held_by_character_id: benId, held_location: 'back', properties: { weight: 20, volume: 10 } },
+    ];
+    for (const item of items) {
+      ids[item.name] = (await Item.create({ world_id: worldId, ...item })).id;
+    }
+  });
+
+  await t.test('give needs a free slot the item fits', async () => {
+    await assert.rejects(
+      handleItemTool('item_give', { character_id: benId, target_character_id: adaId, item_id: ids.Anvil, location: 'right hand' }),
+      /already has Apple in right hand/
+    );
+    await assert.rejects(
+      handleItemTool('item_give', { character_id: benId, target_character_id: adaId, item_id: ids.Anvil, location: 'left pocket' }),
+      /too big to carry in left pocket/
+    );
+
+    const result = await executeAction(benId, { action: 'give', item: 'Knife', to: 'Ada' });
+    assert.strictEqual(result.success, true);
+
+    const knife = await Item.findById(ids.Knife);
+    assert.strictEqual(knife.held_by_character_id, adaId);
+    assert.strictEqual(knife.held_location, 'left hand');
+
+    const ada = await Character.findById(adaId);
+    assert.strictEqual(ada.memory[ada.memory.length - 1].action, 'was given Knife by Ben');
+  });
+
+  await t.test('trades swap items once accepted', async () => {
+    const offered = await executeAction(adaId, { action: 'offer_trade', item: 'Apple', to: 'Ben', for: 'Purse' });
+    assert.strictEqual(offered.success, true);
+
+    const context = await buildContextWindow(benId);
+    assert.ok(formatContextAsPrompt(context).includes('Ada offers you Apple for your Purse'));
+
+    const accepted = await executeAction(benId, { action: 'accept_trade', from: 'Ada' });
+    assert.strictEqual(accepted.success, true);
+
+    assert.strictEqual((await Item.findById(ids.Apple)).held_by_character_id, benId);
+    assert.strictEqual((await Item.findById(ids.Purse)).held_by_character_id, adaId);
+
+    const again = await executeAction(benId, { action: 'accept_trade' });
+    assert.strictEqual(again.success, false);
+  });
+
+  await t.test('offers lapse when an item changes hands', async () => {
+    const response = await handleItemTool('item_offer_trade', {
+      character_id: adaId,
+      target_character_id: benId,
+      item_id: ids.Purse,
+      requested_item_id: ids.Apple,
+    });
+    const offerId = Number(response.content[0].text.match(/offer ID: (\d+)/)[1]);
+
+    await handleItemTool('item_drop', { character_id: adaId, item_id: ids.Purse });
+    await assert.rejects(
+      handleItemTool('item_accept_trade', { character_id: benId, offer_id: offerId }),
+      /no longer stands/
+    );
+    await assert.rejects(
+      handleItemTool('item_accept_trade', { character_id: benId, offer_id: offerId }),
+      /already cancelled/
+    );
+  });
+
+  await t.test('steal depends on the seed and the target\'s alertness', async () => {
+    await Area.update(areaId, {
+      triggers: [
+        createTrigger(
+          { type: 'item_stolen', target_character_id: benId },
+          [{ type: 'modify_description', append_description: ' Someone cries thief!' }],
+          true
+        ),
+      ],
+    });
+
+    // Fully alert, Ben is hard to rob: this roll fails
+    const caught = JSON.parse((await handleItemTool('item_steal', {
+      character_id: adaId,
+      target_character_id: benId,
+      item_id: ids.Apple,
+      seed: 2,
+    })).content[0].text);
+    assert.strictEqual(caught.stolen, false);
+    assert.strictEqual((await Item.findById(ids.Apple)).held_by_character_id, benId);
+
+    const ben = await Character.findById(benId);
+    assert.strictEqual(ben.memory[ben.memory.length - 1].action, 'caught Ada trying to steal Apple');
+    assert.ok((await Area.findById(areaId)).description.endsWith('Someone cries thief!'));
+
+    const stolen = JSON.parse((await handleItemTool('item_steal', {
+      character_id: adaId,
+      target_character_id: benId,
+      item_id: ids.Apple,
+      seed: 7,
+    })).content[0].text);
+    assert.strictEqual(stolen.stolen, true);
+    assert.strictEqual((await Item.findById(ids.Apple)).held_by_character_id, adaId);
+
+    const events = JSON.parse((await handleEventTool('event_query', {
+      world_id: worldId,
+      types: ['steal'],
+    })).content[0].text);
+    assert.deepStrictEqual(events.map(e => e.result.stolen), [false, true]);
+    assert.deepStrictEqual(events.map(e => e.payload.seed), [2, 7]);
+  });
+
+  await t.test('players cannot choose the steal seed', () => {
+    assert.throws(
+      () => authorizeToolCall('item_steal', { character_id: adaId, target_character_id: benId, seed: 7 }, null),
+      /does not take a seed from player connections/
+    );
+  });
+
+  await t.test('transfers need both characters in the same area', async () => {
+    const elsewhere = await Area.create({ world_id: worldId, name: 'Alley', description: 'Quiet' });
+    await Character.update(benId, { current_area_id: elsewhere.id });
+
+    await assert.rejects(
+      handleItemTool('item_give', { character_id: adaId, target_character_id: benId, item_id: ids.Apple }),
+      /not in the same area/
+    );
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+  });
+});
+
+// Test the world clock and time-based triggers
+test('World clock and time triggers', async (t) => {
+  let worldId, areaId;
+
+  // Move the clock on one cycle and fire time-based triggers, as the controller does
+  const tick = async () => {
+    const world = await World.advanceClock(worldId);
+    await executeClockTriggers(world);
+    return world;
+  };
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Clock Test World',
+      description: 'Testing the clock',
+    });
+    worldId = world.id;
+
+    const area = await Area.create({
+      world_id: worldId,
+      name: 'Gatehouse',
+      description: 'Sunlight on the cobbles.',
+      exits: { north: 1 },
+      triggers: [
+        createTrigger({ type: 'time_of_day', period: 'night' }, [
+          { type: 'modify_description', new_description: 'Torches gutter in the dark.' },
+          { type: 'remove_exit', direction: 'north' },
+        ]),
+        createTrigger({ type: 'time_of_day', at: '06:00' }, [
+          { type: 'add_exit', direction: 'north', target_area_id: 1 },
+        ]),
+        createTrigger({ type: 'schedule', cron: '0 */6' }, [
+          { type: 'modify_temperature', temperature_delta: -1 },
+        ]),
+        createTrigger({ type: 'elapsed_cycles', every: 3 }, [
+          { type: 'add_item', item: { name: 'Mushroom' }, unless_present: true },
+        ]),
+      ],
+    });
+    areaId = area.id;
+  });
+
+  await t.test('world_set_clock and world_get', async () => {
+    await assert.rejects(
+      handleWorldTool('world_set_clock', { world_id: worldId, time: '25:00' }),
+      /Invalid time of day/
+    );
+
+    const clock = JSON.parse((await handleWorldTool('world_set_clock', {
+      world_id: worldId,
+      time: '21:50',
+    })).content[0].text);
+    assert.deepStrictEqual(clock, { cycle: 0, day: 1, time: '21:50', period: 'evening', minutes_per_cycle: 10 });
+
+    const world = JSON.parse((await handleWorldTool('world_get', { world_id: worldId })).content[0].text);
+    assert.strictEqual(world.clock.time, '21:50');
+  });
+
+  await t.test('time of day triggers fire when the clock reaches them', async () => {
+    const world = await tick();
+    assert.strictEqual(world.cycle, 1);
+
+    let area = await Area.findById(areaId);
+    assert.strictEqual(area.description, 'Torches gutter in the dark.');
+    assert.deepStrictEqual(area.exits, {});
+
+    // A long cycle passes midnight and 06:00; the schedule fires once
+    await handleWorldTool('world_set_clock', { world_id: worldId, minutes_per_cycle: 480 });
+    const morning = describeClock(await tick());
+    assert.deepStrictEqual([morning.day, morning.time, morning.period], [2, '06:00', 'morning']);
+
+    area = await Area.findById(areaId);
+    assert.deepStrictEqual(area.exits, { north: 1 });
+    assert.strictEqual(parseFloat(area.temperature), 19);
+  });
+
+  await t.test('elapsed cycle triggers respawn items without piling them up', async () => {
+    await tick();
+    assert.strictEqual((await Area.getItems(areaId)).length, 1);
+
+    await tick();
+    await tick();
+    await tick();
+    assert.deepStrictEqual((await Area.getItems(areaId)).map(i => i.name), ['Mushroom']);
+  });
+
+  await t.test('context tells characters the time', async () => {
+    const character = await Character.create({ world_id: worldId, name: 'Watchman', species: 'human', current_area_id: areaId });
+    const prompt = formatContextAsPrompt(await buildContextWindow(character.id));
+    assert.ok(prompt.includes('on day 3.'));
+  });
+
   await t.test('cleanup', async () => {
     await World.delete(worldId);
   });
@@ -332,6 +1378,225 @@ test('Authentication', async (t) => {
   });
 });
 
+// Test player session tools
+test('Player tools', async (t) => {
+  let worldId, characterId, otherCharacterId;
+  const connection = { sessionToken: null, characterId: null };
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Player Test World',
+      description: 'Testing player sessions',
+    });
+    worldId = world.id;
+
+    const character = await Character.create({
+      world_id: worldId,
+      name: 'Claimable Hero',
+      species: 'human',
+    });
+    characterId = character.id;
+
+    const other = await Character.create({
+      world_id: worldId,
+      name: 'Someone Else',
+      species: 'human',
+    });
+    otherCharacterId = other.id;
+  });
+
+  await t.test('mutating tools refused without a session', async () => {
+    assert.throws(
+      () => authorizeToolCall('character_move', { character_id: characterId, area_id: 1 }, connection.sessionToken),
+      /No valid session/
+    );
+
+    // Read-only tools need no session
+    authorizeToolCall('character_get', { character_id: characterId }, connection.sessionToken);
+  });
+
+  await t.test('players cannot rewrite state or memories, or create world objects', () => {
+    for (const name of ['character_update_state', 'character_add_memory']) {
+      assert.throws(
+        () => authorizeToolCall(name, { character_id: characterId }, connection.sessionToken),
+        /No valid session/
+      );
+    }
+
+    for (const name of ['world_create', 'area_create', 'item_create']) {
+      assert.throws(
+        () => authorizeToolCall(name, { world_id: worldId, name: 'Anything' }, connection.sessionToken),
+        /not available to player connections/
+      );
+    }
+  });
+
+  await t.test('players cannot read the event log, whispers included', () => {
+    assert.throws(
+      () => authorizeToolCall('event_query', { world_id: worldId, types: ['speak'] }, connection.sessionToken),
+      /not available to player connections/
+    );
+    assert.throws(
+      () => authorizeToolCall('event_get', { event_id: 1 }, connection.sessionToken),
+      /not available to player connections/
+    );
+  });
+
+  await t.test('player_claim_character', async () => {
+    const result = await handlePlayerTool('player_claim_character', {
+      character_id: characterId,
+      player_id: 'player1',
+    }, connection);
+    const session = JSON.parse(result.content[0].text);
+
+    assert.ok(session.session_token);
+    assert.strictEqual(connection.sessionToken, session.session_token);
+
+    const character = await Character.findById(characterId);
+    assert.strictEqual(character.owner_id, 'player1');
+  });
+
+  await t.test('session only authorizes the claimed character', async () => {
+    authorizeToolCall('item_drop', { character_id: characterId, item_id: 1 }, connection.sessionToken);
+    authorizeToolCall('character_add_memory', { character_id: characterId, action: 'looked', result: 'saw' }, connection.sessionToken);
+
+    assert.throws(
+      () => authorizeToolCall('character_speak', { character_id: otherCharacterId, text: 'hi' }, connection.sessionToken),
+      /does not control/
+    );
+    assert.throws(
+      () => authorizeToolCall('character_update_state', { character_id: otherCharacterId, nutrition: 0 }, connection.sessionToken),
+      /does not control/
+    );
+  });
+
+  await t.test('player_release_character', async () => {
+    const token = connection.sessionToken;
+    await handlePlayerTool('player_release_character', { session_token: token }, connection);
+
+    assert.strictEqual(connection.sessionToken, null);
+
+    const character = await Character.findById(characterId);
+    assert.strictEqual(character.owner_id, null);
+
+    assert.throws(
+      () => authorizeToolCall('character_move', { character_id: characterId, area_id: 1 }, token),
+      /No valid session/
+    );
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+  });
+});
+
+test('Series, book and chapter tools', async (t) => {
+  let worldId, seriesId, bookId, chapterId;
+  const parse = (result) => JSON.parse(result.content[0].text);
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Publishing Test World',
+      description: 'Testing the publishing pipeline',
+    });
+    worldId = world.id;
+  });
+
+  await t.test('create series, book and chapter', async () => {
+    seriesId = parse(await handleSeriesTool('series_create', { world_id: worldId, name: 'Saga' })).id;
+    bookId = parse(await handleBookTool('book_create', { series_id: seriesId, book_number: 1, title: 'One' })).id;
+    chapterId = parse(await handleChapterTool('chapter_create', { book_id: bookId, chapter_number: 1, title: 'Start' })).id;
+
+    await assert.rejects(
+      () => handleBookTool('book_create', { series_id: seriesId, book_number: 1, title: 'Again' }),
+      /already exists/
+    );
+
+    const series = parse(await handleSeriesTool('series_get', { series_id: seriesId }));
+    assert.strictEqual(series.books.length, 1);
+
+    const book = parse(await handleBookTool('book_get', { book_id: bookId }));
+    assert.strictEqual(book.chapters[0].status, 'planning');
+  });
+
+  await t.test('chapter status transitions are validated', async () => {
+    await assert.rejects(
+      () => handleChapterTool('chapter_update', { chapter_id: chapterId, status: 'revised' }),
+      /Cannot move chapter from 'planning' to 'revised'/
+    );
+
+    await handleChapterTool('chapter_update', { chapter_id: chapterId, status: 'in_progress' });
+    await handleChapterTool('chapter_update', { chapter_id: chapterId, status: 'completed' });
+    await assert.rejects(
+      () => handleChapterTool('chapter_update', { chapter_id: chapterId, status: 'revised' }),
+      /needs content/
+    );
+
+    const chapter = parse(await handleChapterTool('chapter_update', {
+      chapter_id: chapterId,
+      content: 'It began.',
+      status: 'revised',
+    }));
+    assert.strictEqual(chapter.status, 'revised');
+  });
+
+  await t.test('book status transitions are validated', async () => {
+    await assert.rejects(
+      () => handleBookTool('book_update', { book_id: bookId, status: 'published' }),
+      /Cannot move book/
+    );
+
+    await handleBookTool('book_update', { book_id: bookId, status: 'writing' });
+    await handleBookTool('book_update', { book_id: bookId, status: 'completed' });
+    await assert.rejects(
+      () => handleBookTool('book_update', { book_id: bookId, status: 'published' }),
+      /needs an ISBN/
+    );
+
+    const book = parse(await handleBookTool('book_update', {
+      book_id: bookId,
+      isbn: '978-0-00-000000-2',
+      status: 'published',
+    }));
+    assert.strictEqual(book.status, 'published');
+  });
+
+  await t.test('books cannot be completed with unfinished chapters', async () => {
+    await handleBookTool('book_update', { book_id: bookId, status: 'completed' });
+    await handleBookTool('book_update', { book_id: bookId, status: 'writing' });
+    await handleChapterTool('chapter_create', { book_id: bookId, chapter_number: 2 });
+
+    await assert.rejects(
+      () => handleBookTool('book_update', { book_id: bookId, status: 'completed' }),
+      /unfinished chapters: 2/
+    );
+  });
+
+  await t.test('only the server edits series, books and chapters', () => {
+    for (const kind of ['series', 'book', 'chapter']) {
+      for (const verb of ['create', 'update', 'delete']) {
+        assert.throws(
+          () => authorizeToolCall(`${kind}_${verb}`, {}, null),
+          /not available to player connections/
+        );
+      }
+      authorizeToolCall(`${kind}_list`, {}, null);
+    }
+  });
+
+  await t.test('delete', async () => {
+    await handleSeriesTool('series_delete', { series_id: seriesId });
+
+    const series = parse(await handleSeriesTool('series_list', { world_id: worldId }));
+    assert.strictEqual(series.length, 0);
+    await assert.rejects(() => handleBookTool('book_get', { book_id: bookId }), /Book not found/);
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+  });
+});
+
 // Close database connection after all tests
 test.after(async () => {
   await end();
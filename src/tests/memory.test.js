@@ -0,0 +1,145 @@
+/**
+ * Character memory tier tests
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { end } from '../db/index.js';
+import { World, Area, Character, MemorySummary } from '../db/models/index.js';
+import { StubLLMManager } from '../agent/llm.js';
+import { condenseCharacterMemory, ENTRIES_PER_SUMMARY, SUMMARIES_PER_LEVEL } from '../agent/memory.js';
+import { buildContextWindow, formatContextAsPrompt } from '../agent/context.js';
+
+test('Character memory tiers', async (t) => {
+  let worldId, characterId;
+  let summaryCount = 0;
+
+  // Each summary is numbered and records how many lines it condensed
+  const llmManager = new StubLLMManager((characterClass, systemPrompt, userPrompt) => {
+    summaryCount++;
+    return `Summary ${summaryCount} of ${userPrompt.split('\n- ').length - 1}`;
+  });
+  await llmManager.initialize();
+
+  const addMemories = async (count) => {
+    for (let i = 0; i < count; i++) {
+      await Character.addMemory(characterId, { action: `step ${i}`, result: 'walked' }, 3);
+    }
+  };
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Memory Test World',
+      description: 'Testing memory summarization',
+    });
+    worldId = world.id;
+
+    const area = await Area.create({
+      world_id: worldId,
+      name: 'Road',
+      description: 'A long road',
+    });
+
+    const character = await Character.create({
+      world_id: worldId,
+      name: 'Walker',
+      species: 'human',
+      current_area_id: area.id,
+    });
+    characterId = character.id;
+  });
+
+  await t.test('older memories move to pending instead of being dropped', async () => {
+    await addMemories(3 + ENTRIES_PER_SUMMARY);
+
+    const character = await Character.findById(characterId);
+    assert.strictEqual(character.memory.length, 3);
+    assert.strictEqual(character.memory_pending.length, ENTRIES_PER_SUMMARY);
+    assert.strictEqual(character.memory_pending[0].action, 'step 0');
+  });
+
+  await t.test('pending memories are condensed into a level 1 summary', async () => {
+    const created = await condenseCharacterMemory(await Character.findById(characterId), llmManager);
+    assert.strictEqual(created, 1);
+
+    const character = await Character.findById(characterId);
+    assert.deepStrictEqual(character.memory_pending, []);
+
+    const summaries = await MemorySummary.findByCharacterId(characterId);
+    assert.strictEqual(summaries.length, 1);
+    assert.strictEqual(summaries[0].level, 1);
+    assert.strictEqual(summaries[0].entry_count, ENTRIES_PER_SUMMARY);
+    assert.strictEqual(summaries[0].summary, `Summary 1 of ${ENTRIES_PER_SUMMARY}`);
+  });
+
+  await t.test('an over-full level is condensed one level up', async () => {
+    await addMemories(ENTRIES_PER_SUMMARY * SUMMARIES_PER_LEVEL);
+    await condenseCharacterMemory(await Character.findById(characterId), llmManager);
+
+    const level1 = await MemorySummary.findByCharacterId(characterId, 1);
+    const level2 = await MemorySummary.findByCharacterId(characterId, 2);
+    assert.strictEqual(level1.length, 1);
+    assert.strictEqual(level2.length, 1);
+    assert.strictEqual(level2[0].entry_count, ENTRIES_PER_SUMMARY * SUMMARIES_PER_LEVEL);
+    assert.ok(level2[0].summary.endsWith(`of ${SUMMARIES_PER_LEVEL}`));
+  });
+
+  await t.test('major memories are appended to the backstory', async () => {
+    await Character.addMemory(characterId, { action: 'found the lost crown', result: 'kept it', major: true }, 3);
+
+    const character = await Character.findById(characterId);
+    assert.ok(character.backstory.endsWith('found the lost crown (kept it).'));
+  });
+
+  await t.test('context includes summaries alongside recent memories', async () => {
+    const context = await buildContextWindow(characterId);
+    assert.strictEqual(context.memory.summaries.length, 2);
+    assert.strictEqual(context.memory.recent.length, 3);
+
+    const prompt = formatContextAsPrompt(context);
+    assert.ok(prompt.indexOf('## What You Remember') < prompt.indexOf('## Recent Events'));
+    assert.ok(prompt.includes('found the lost crown'));
+  });
+
+  await t.test('context keeps every uncondensed summary of every level, highest first', async () => {
+    const elder = await Character.create({
+      world_id: worldId,
+      name: 'Elder',
+      species: 'human',
+      character_class: 'story',
+    });
+
+    // Higher levels cover earlier stretches of time
+    let day = 0;
+    for (const [level, count] of [[3, 3], [2, 3], [1, 3]]) {
+      for (let i = 1; i <= count; i++) {
+        day++;
+        await MemorySummary.create({
+          character_id: elder.id,
+          level,
+          summary: `Level ${level} #${i}`,
+          entry_count: 1,
+          started_at: new Date(Date.UTC(2020, 0, day)),
+        });
+      }
+    }
+
+    const context = await buildContextWindow(elder.id);
+    assert.deepStrictEqual(context.memory.summaries, [
+      'Level 3 #1', 'Level 3 #2', 'Level 3 #3',
+      'Level 2 #1', 'Level 2 #2', 'Level 2 #3',
+      'Level 1 #1', 'Level 1 #2', 'Level 1 #3',
+    ]);
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+  });
+});
+
+// Close database connection after all tests
+test.after(async () => {
+  await end();
+});
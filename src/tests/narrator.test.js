@@ -0,0 +1,218 @@
+/**
+ * Narrator agent tests
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { query, end } from '../db/index.js';
+import { World, Area, Character } from '../db/models/index.js';
+import { NarratorAgent, evaluateGoalCondition } from '../agent/narrator.js';
+import { AgentController } from '../agent/controller.js';
+
+// Answers every prompt with the same action
+function fixedActionLLM(action) {
+  return {
+    async initialize() {},
+    async dispose() {},
+    async generate() {
+      return action;
+    },
+  };
+}
+
+test('Narrator drives story characters through a chapter', async (t) => {
+  let worldId, hallId, towerId, heroId, playerId, bookId, chapterId, narrator;
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Narrator Test World',
+      description: 'Testing the narrator',
+    });
+    worldId = world.id;
+
+    const tower = await Area.create({
+      world_id: worldId,
+      name: 'Tower',
+      description: 'A tall tower',
+    });
+    towerId = tower.id;
+
+    const hall = await Area.create({
+      world_id: worldId,
+      name: 'Hall',
+      description: 'A great hall',
+      exits: { north: towerId },
+    });
+    hallId = hall.id;
+
+    const hero = await Character.create({
+      world_id: worldId,
+      name: 'Hero',
+      species: 'human',
+      current_area_id: hallId,
+      character_class: 'story',
+    });
+    heroId = hero.id;
+
+    const player = await Character.create({
+      world_id: worldId,
+      name: 'Player Hero',
+      species: 'human',
+      current_area_id: hallId,
+      character_class: 'story',
+      owner_id: 'player1',
+    });
+    playerId = player.id;
+
+    const series = await query(
+      'INSERT INTO series (world_id, name) VALUES ($1, $2) RETURNING id',
+      [worldId, 'Test Series']
+    );
+    const book = await query(
+      'INSERT INTO books (series_id, book_number, title) VALUES ($1, 1, $2) RETURNING id',
+      [series.rows[0].id, 'Test Book']
+    );
+    bookId = book.rows[0].id;
+
+    const chapter = await query(
+      `INSERT INTO chapters (book_id, chapter_number, title, goals)
+       VALUES ($1, 1, $2, $3) RETURNING id`,
+      [bookId, 'The Climb', JSON.stringify([
+        {
+          description: 'Hero reaches the tower',
+          condition: { type: 'character_in_area', character_id: heroId, area_id: towerId },
+        },
+      ])]
+    );
+    chapterId = chapter.rows[0].id;
+
+    narrator = new NarratorAgent(bookId, fixedActionLLM('{"action": "move", "direction": "north"'));
+    await narrator.initialize();
+  });
+
+  await t.test('cycle moves story character and completes chapter', async () => {
+    const chapter = await narrator.runCycle();
+
+    assert.strictEqual(chapter.id, chapterId);
+    assert.strictEqual(chapter.status, 'completed');
+    assert.strictEqual(chapter.goals[0].met, true);
+
+    const moves = chapter.raw_events.filter(e => e.event_type === 'move');
+    assert.strictEqual(moves.length, 1);
+    assert.strictEqual(moves[0].actor_id, heroId);
+    assert.ok(moves[0].description.includes('Tower'));
+  });
+
+  await t.test('player-owned characters are never taken over', async () => {
+    const player = await Character.findById(playerId);
+    assert.strictEqual(player.current_area_id, hallId);
+  });
+
+  await t.test('a minor-only controller still moves story characters\' needs on', async () => {
+    const before = await Character.findById(heroId);
+    const controller = new AgentController({ worldId, llmManager: fixedActionLLM('{"action": "wait"}'), characterClasses: ['minor'] });
+    await controller.initialize();
+
+    // An hour has passed since the last cycle
+    controller.lastCycleTime = Date.now() - 3600 * 1000;
+    await controller.runCycle();
+
+    const after = await Character.findById(heroId);
+    assert.ok(parseFloat(after.nutrition) < parseFloat(before.nutrition));
+    assert.strictEqual(after.current_area_id, before.current_area_id);
+  });
+
+  await t.test('actions are constrained to the schema and repaired', async () => {
+    // The hero is in the tower now, which has no exits
+    const requests = [];
+    const llm = {
+      async generate(characterClass, systemPrompt, prompt, options) {
+        requests.push({ prompt, options });
+        return requests.length === 1
+          ? '{"action": "move", "direction": "north"}'
+          : '{"action": "wait", "reason": "nowhere to go"}';
+      },
+    };
+    const director = new NarratorAgent(bookId, llm);
+    const hero = await Character.findById(heroId);
+    await director.directCharacter(hero, { chapter_number: 2, title: 'Waiting', goals: [] });
+
+    assert.strictEqual(requests.length, 2);
+    assert.ok(requests[0].options.schema);
+    assert.ok(!JSON.stringify(requests[0].options.schema).includes('"move"'));
+    assert.ok(requests[1].prompt.includes('## Your Last Answer'));
+    assert.strictEqual((await Character.findById(heroId)).current_area_id, towerId);
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+  });
+});
+
+test('Goal conditions', async (t) => {
+  let worldId, areaId, aliceId, bobId;
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Goal Test World',
+      description: 'Testing goal conditions',
+    });
+    worldId = world.id;
+
+    const area = await Area.create({
+      world_id: worldId,
+      name: 'Garden',
+      description: 'A quiet garden',
+    });
+    areaId = area.id;
+
+    const alice = await Character.create({
+      world_id: worldId,
+      name: 'Alice',
+      species: 'human',
+      current_area_id: areaId,
+    });
+    aliceId = alice.id;
+
+    const bob = await Character.create({
+      world_id: worldId,
+      name: 'Bob',
+      species: 'human',
+    });
+    bobId = bob.id;
+  });
+
+  await t.test('characters_together', async () => {
+    const condition = { type: 'characters_together', character_ids: [aliceId, bobId] };
+    assert.strictEqual(await evaluateGoalCondition(condition), false);
+
+    await Character.update(bobId, { current_area_id: areaId });
+    assert.strictEqual(await evaluateGoalCondition(condition), true);
+  });
+
+  await t.test('event_occurred', async () => {
+    const events = [
+      { event_type: 'speak', actor_id: aliceId, payload: { text: 'A storm is coming' } },
+    ];
+
+    assert.strictEqual(
+      await evaluateGoalCondition({ type: 'event_occurred', event_type: 'speak', text_includes: 'storm' }, events),
+      true
+    );
+    assert.strictEqual(
+      await evaluateGoalCondition({ type: 'event_occurred', event_type: 'speak', actor_id: bobId }, events),
+      false
+    );
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+  });
+});
+
+// Close database connection after all tests
+test.after(async () => {
+  await end();
+});
@@ -0,0 +1,150 @@
+/**
+ * Simulation recording and replay tests
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { end } from '../db/index.js';
+import { World, Area, Character } from '../db/models/index.js';
+import { StubLLMManager } from '../agent/llm.js';
+import { AgentController } from '../agent/controller.js';
+import {
+  CycleRecorder,
+  describeWorldState,
+  diffRecordings,
+  formatDiff,
+  parseRecording,
+  replayRecording,
+} from '../agent/replay.js';
+
+const header = { type: 'header', version: 1, world_id: 1, snapshot_id: 1, cycle: 0 };
+const prompt = 'You are Mara.\nYou are on the quay.\nWhat do you do?';
+
+const RECORDING = [
+  header,
+  { type: 'cycle', cycle: 1, seconds_passed: 5 },
+  { type: 'llm', cycle: 1, character_class: 'minor', system_prompt: 'Act.', prompt, response: '{"action": "wait"}' },
+  { type: 'seed', cycle: 1, seed: 42 },
+  { type: 'state', cycle: 1, state: { characters: { Mara: { area: 'Quay', nutrition: 99 } } } },
+];
+
+test('Recording diffs', async (t) => {
+  await t.test('identical runs match', () => {
+    const diff = diffRecordings(RECORDING, RECORDING.map(entry => ({ ...entry })));
+
+    assert.strictEqual(diff.divergence, null);
+    assert.deepStrictEqual(formatDiff(diff), ['✓ Runs match (4 entries, 1 cycle(s))']);
+  });
+
+  await t.test('points at the first differing prompt line and state', () => {
+    const other = structuredClone(RECORDING);
+    other[2].prompt = prompt.replace('quay', 'chandlery');
+    other[4].state.characters.Mara.area = 'Chandlery';
+
+    const diff = diffRecordings(RECORDING, other);
+    assert.deepStrictEqual(
+      [diff.matched, diff.divergence.cycle, diff.divergence.type, diff.divergence.changes[0].path],
+      [1, 1, 'llm', 'prompt']
+    );
+    assert.deepStrictEqual(diff.states[0].changes, [{ path: 'characters.Mara.area', expected: 'Quay', actual: 'Chandlery' }]);
+
+    const lines = formatDiff(diff);
+    assert.strictEqual(lines[0], '✗ Runs part at entry 2 (cycle 1, llm) after 1 matching entries');
+    assert.ok(lines.includes('    recorded: line 2: "You are on the quay."'));
+    assert.ok(lines.includes('    this run: line 2: "You are on the chandlery."'));
+  });
+
+  await t.test('a shorter run parts where it ends', () => {
+    const diff = diffRecordings(RECORDING, RECORDING.slice(0, 3));
+    assert.deepStrictEqual(diff.divergence.changes, [{ path: 'entry', expected: 'seed', actual: undefined }]);
+  });
+
+  await t.test('recordings need a header', () => {
+    const text = RECORDING.map(entry => JSON.stringify(entry)).join('\n');
+    assert.deepStrictEqual(parseRecording(`${text}\n`), RECORDING);
+    assert.throws(() => parseRecording(text.split('\n').slice(1).join('\n')), /must start with a header/);
+    assert.throws(() => parseRecording(JSON.stringify({ ...header, version: 9 })), /Unsupported recording version 9/);
+  });
+});
+
+test('Controller record and replay', async (t) => {
+  let worldId, recording;
+  const replayWorlds = [];
+
+  // Moves and fights at random, so only a replay can repeat the run
+  const randomModel = new StubLLMManager(() => {
+    const actions = [
+      '{"action": "move", "direction": "north"}',
+      '{"action": "move", "direction": "south"}',
+      '{"action": "attack", "target": "Tom"}',
+      '{"action": "attack", "target": "Mara"}',
+      '{"action": "wait"}',
+    ];
+    return actions[Math.floor(Math.random() * actions.length)];
+  });
+
+  await t.test('setup', async () => {
+    const world = await World.create({ name: 'Replay Test World', description: 'Testing replays' });
+    worldId = world.id;
+
+    const quay = await Area.create({ world_id: worldId, name: 'Quay', description: 'Wet stones' });
+    const shed = await Area.create({ world_id: worldId, name: 'Net Shed', description: 'Dry nets' });
+    await Area.update(quay.id, { exits: { north: shed.id } });
+    await Area.update(shed.id, { exits: { south: quay.id } });
+
+    for (const name of ['Mara', 'Tom']) {
+      await Character.create({ world_id: worldId, name, species: 'human', current_area_id: quay.id });
+    }
+  });
+
+  await t.test('records every cycle of a run', async () => {
+    const recorder = new CycleRecorder();
+    const controller = new AgentController({ worldId, recorder, llmManager: randomModel });
+    await controller.initialize();
+    await controller.runUntil((await World.findById(worldId)).cycle + 4);
+    await controller.stop();
+    recording = recorder.entries;
+
+    const count = type => recording.filter(entry => entry.type === type).length;
+    assert.strictEqual(recording[0].type, 'header');
+    assert.ok(recording[0].snapshot_id);
+    assert.deepStrictEqual([count('cycle'), count('state')], [4, 4]);
+    assert.ok(count('llm') > 0);
+    assert.deepStrictEqual(recording[recording.length - 1].state, await describeWorldState(worldId));
+  });
+
+  await t.test('a replay reaches the recorded state at every cycle', async () => {
+    const { world_id, replayer, diff } = await replayRecording(recording);
+    replayWorlds.push(world_id);
+
+    assert.deepStrictEqual(replayer.mismatches, []);
+    assert.strictEqual(diff.divergence, null);
+    assert.deepStrictEqual(
+      await describeWorldState(world_id),
+      recording[recording.length - 1].state
+    );
+  });
+
+  await t.test('a live run that decides differently shows where it parts', async () => {
+    const idleModel = new StubLLMManager(() => '{"action": "wait", "reason": "tired"}');
+    const { world_id, diff } = await replayRecording(recording, { live: true, llmManager: idleModel });
+    replayWorlds.push(world_id);
+
+    // The cycle entry matches; the first response does not
+    assert.deepStrictEqual([diff.matched, diff.divergence.type, diff.divergence.changes[0].path], [1, 'llm', 'response']);
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+    for (const id of replayWorlds) {
+      await World.delete(id);
+    }
+  });
+});
+
+// Close database connection after all tests
+test.after(async () => {
+  await end();
+});
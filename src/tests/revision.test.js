@@ -0,0 +1,159 @@
+/**
+ * Chapter revision tests
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { query, end } from '../db/index.js';
+import { World, Character, WritingStyle, Chapter } from '../db/models/index.js';
+import { StubLLMManager } from '../agent/llm.js';
+import { ScriptedProvider } from '../agent/providers/scripted.js';
+import { ChapterReviser, filterRelevantEvents, buildStyleGuide, extractPlotKeywords } from '../agent/revision.js';
+
+test('Chapter revision pipeline', async (t) => {
+  let worldId, heroId, extraId, chapterId, quietChapterId;
+  const prompts = [];
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Revision Test World',
+      description: 'Testing chapter revision',
+    });
+    worldId = world.id;
+
+    const hero = await Character.create({
+      world_id: worldId,
+      name: 'Hero',
+      species: 'human',
+      character_class: 'story',
+    });
+    heroId = hero.id;
+
+    const extra = await Character.create({
+      world_id: worldId,
+      name: 'Villager',
+      species: 'human',
+    });
+    extraId = extra.id;
+
+    await WritingStyle.create({
+      world_id: worldId,
+      tone: 'grim',
+      tense: 'present',
+      prose_format_rules: ['No adverbs'],
+    });
+
+    const series = await query(
+      'INSERT INTO series (world_id, name, plot_outline) VALUES ($1, $2, $3) RETURNING id',
+      [worldId, 'Test Series', 'A hunt for the lost lantern']
+    );
+    const book = await query(
+      'INSERT INTO books (series_id, book_number, title) VALUES ($1, 1, $2) RETURNING id',
+      [series.rows[0].id, 'Test Book']
+    );
+
+    const chapter = await query(
+      `INSERT INTO chapters (book_id, chapter_number, title, status, raw_events)
+       VALUES ($1, 1, $2, 'in_progress', $3) RETURNING id`,
+      [book.rows[0].id, 'The Lantern', JSON.stringify([
+        { id: 1, event_type: 'move', actor_id: heroId, description: 'Hero went to Cellar', result: { success: true } },
+        { id: 2, event_type: 'wait', actor_id: heroId, description: 'Hero waited', result: { success: true } },
+        { id: 3, event_type: 'speak', actor_id: extraId, description: 'Villager said: "Nice weather"', result: { success: true } },
+        { id: 4, event_type: 'speak', actor_id: extraId, description: 'Villager said: "The lantern is below"', result: { success: true } },
+        { id: 5, event_type: 'pickup', actor_id: heroId, description: 'Hero picked up lantern', result: { success: true } },
+      ])]
+    );
+    chapterId = chapter.rows[0].id;
+
+    const quiet = await query(
+      `INSERT INTO chapters (book_id, chapter_number, title, status, raw_events)
+       VALUES ($1, 2, $2, 'in_progress', $3) RETURNING id`,
+      [book.rows[0].id, 'Idle Hours', JSON.stringify([
+        { id: 6, event_type: 'wait', actor_id: heroId, description: 'Hero waited', result: { success: true } },
+        { id: 7, event_type: 'speak', actor_id: extraId, description: 'Villager said: "Nice weather"', result: { success: true } },
+      ])]
+    );
+    quietChapterId = quiet.rows[0].id;
+  });
+
+  await t.test('drafts and polishes into revised prose', async () => {
+    // Record each prompt, and answer it the way the default stub does
+    const scripted = new ScriptedProvider();
+    const llm = new StubLLMManager((characterClass, systemPrompt, userPrompt, options) => {
+      prompts.push({ characterClass, systemPrompt });
+      return scripted.generate(systemPrompt, userPrompt, options);
+    });
+
+    const streamed = [];
+    const reviser = new ChapterReviser(llm, { onToken: (chunk) => streamed.push(chunk) });
+    await reviser.initialize();
+
+    const chapter = await reviser.revise(chapterId);
+
+    assert.strictEqual(chapter.status, 'revised');
+    assert.ok(chapter.content.includes('Hero went to Cellar'));
+    assert.ok(chapter.content.includes('The lantern is below'));
+    assert.ok(chapter.content.includes('Hero picked up lantern'));
+    assert.ok(!chapter.content.includes('Hero waited'));
+    assert.ok(!chapter.content.includes('Nice weather'));
+    assert.ok(streamed.join('').endsWith(chapter.content));
+  });
+
+  await t.test('uses the story model and the world writing style', async () => {
+    assert.strictEqual(prompts.length, 2);
+    for (const prompt of prompts) {
+      assert.strictEqual(prompt.characterClass, 'story');
+      assert.ok(prompt.systemPrompt.includes('Tone: grim'));
+      assert.ok(prompt.systemPrompt.includes('Tense: present'));
+      assert.ok(prompt.systemPrompt.includes('- No adverbs'));
+    }
+  });
+
+  await t.test('revised chapters cannot be revised again', async () => {
+    const reviser = new ChapterReviser(new StubLLMManager());
+    await reviser.initialize();
+    await assert.rejects(() => reviser.revise(chapterId), /cannot be revised/);
+
+    const chapter = await Chapter.findById(chapterId);
+    assert.strictEqual(chapter.status, 'revised');
+  });
+
+  await t.test('chapters with no relevant events are not drafted', async () => {
+    const reviser = new ChapterReviser(new StubLLMManager());
+    await reviser.initialize();
+    await assert.rejects(() => reviser.revise(quietChapterId), /No relevant events for chapter 2/);
+
+    const chapter = await Chapter.findById(quietChapterId);
+    assert.strictEqual(chapter.status, 'in_progress');
+    assert.strictEqual(chapter.content, null);
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+  });
+});
+
+test('Relevance filtering and style guide', () => {
+  const keywords = extractPlotKeywords(['The hunt for the lost lantern']);
+  assert.ok(keywords.includes('lantern'));
+  assert.ok(!keywords.includes('the'));
+
+  const events = [
+    { event_type: 'speak', actor_id: 1, payload: { action_type: 'thought' }, description: 'Hero thought: "hungry"' },
+    { event_type: 'move', actor_id: 1, description: 'Hero went to Hall', result: { success: false } },
+    { event_type: 'move', actor_id: 1, description: 'Hero went to Tower' },
+  ];
+  const relevant = filterRelevantEvents(events, { storyCharacterIds: [1], keywords });
+  assert.deepStrictEqual(relevant.map(e => e.description), ['Hero went to Tower']);
+
+  const guide = buildStyleGuide(null);
+  assert.ok(guide.includes('Narrative voice: third-person limited'));
+  assert.ok(guide.includes('Dialogue style: naturalistic'));
+});
+
+// Close database connection after all tests
+test.after(async () => {
+  await end();
+});
@@ -0,0 +1,150 @@
+/**
+ * Series design parser and importer tests
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { end } from '../db/index.js';
+import { World, Series, Book, Chapter } from '../db/models/index.js';
+import { parseSeriesDesign, validateSeriesDesign, formatProblems } from '../series/parser.js';
+import { importSeriesFile, assertSeriesReady } from '../series/importer.js';
+
+const DESIGN = `# The Ember Saga
+
+A kingdom loses its last fire. {narrator discretion}
+
+## Book 1: Ashes
+
+The heir flees the capital.
+
+### Chapter 1: The Cold Hearth
+The hearth goes out. {working} decide who is blamed
+
+### Chapter 2
+{narrator discretion} Someone helps her escape.
+
+## Book 2: Embers
+### Chapter 1: Return
+She returns.
+`;
+
+test('Series design parser', async (t) => {
+  await t.test('parses books, chapters and plot outlines', () => {
+    const design = parseSeriesDesign(DESIGN, 'ember.md');
+
+    assert.strictEqual(design.series.name, 'The Ember Saga');
+    assert.strictEqual(design.books.length, 2);
+    assert.strictEqual(design.books[0].title, 'Ashes');
+    assert.strictEqual(design.books[0].plot_outline, 'The heir flees the capital.');
+    assert.strictEqual(design.books[0].chapters[1].chapter_number, 2);
+    assert.strictEqual(design.books[0].chapters[1].title, null);
+    assert.strictEqual(design.books[1].chapters[0].plot_outline, 'She returns.');
+  });
+
+  await t.test('records open slots and working markers with lines', () => {
+    const design = parseSeriesDesign(DESIGN, 'ember.md');
+
+    assert.deepStrictEqual(design.series.open_slots.map(s => s.line), [3]);
+    assert.deepStrictEqual(design.books[0].chapters[1].open_slots.map(s => s.line), [13]);
+    assert.strictEqual(design.working.length, 1);
+    assert.strictEqual(design.working[0].line, 10);
+
+    const report = validateSeriesDesign(design, 'ember.md');
+    assert.strictEqual(report.valid, true);
+    assert.strictEqual(report.ready, false);
+    assert.strictEqual(report.open_slots, 2);
+    assert.ok(formatProblems(report)[0].startsWith('ember.md:10:'));
+  });
+
+  await t.test('reports structural errors', () => {
+    const design = parseSeriesDesign('### Chapter 1\nText\n## Book 1\n## Book 1\n', 'bad.md');
+    const messages = design.errors.map(e => `${e.line}: ${e.message}`);
+
+    assert.ok(messages.includes('1: Chapter appears before any book (## heading)'));
+    assert.ok(messages.includes('4: Duplicate book number 1'));
+    assert.ok(messages.some(m => m.includes('Missing series title')));
+    assert.strictEqual(validateSeriesDesign(design).valid, false);
+  });
+});
+
+test('Series design import', async (t) => {
+  let worldId, dir, file, seriesId;
+
+  await t.test('setup', async () => {
+    const world = await World.create({
+      name: 'Series Test World',
+      description: 'Testing series import',
+    });
+    worldId = world.id;
+
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storysplicer-series-'));
+    file = path.join(dir, 'ember.md');
+    await fs.writeFile(file, DESIGN);
+  });
+
+  await t.test('creates series, books and chapters', async () => {
+    const summary = await importSeriesFile(file, worldId);
+    seriesId = summary.series_id;
+
+    assert.strictEqual(summary.books_created, 2);
+    assert.strictEqual(summary.chapters_created, 3);
+    assert.strictEqual(summary.ready, false);
+
+    const series = await Series.findById(seriesId);
+    assert.strictEqual(series.design_file_path, file);
+    assert.strictEqual(series.open_slots.length, 1);
+
+    const books = await Book.findBySeriesId(seriesId);
+    const chapters = await Chapter.findByBookId(books[0].id);
+    assert.strictEqual(chapters[0].plot_outline, 'The hearth goes out. {working} decide who is blamed');
+    assert.strictEqual(chapters[1].open_slots[0].line, 13);
+  });
+
+  await t.test('refuses to start while {working} markers remain', async () => {
+    const series = await Series.findById(seriesId);
+    await assert.rejects(() => assertSeriesReady(series), /ember\.md:10:/);
+  });
+
+  await t.test('re-import updates outlines without resetting progress', async () => {
+    const books = await Book.findBySeriesId(seriesId);
+    const [first] = await Chapter.findByBookId(books[0].id);
+    await Chapter.update(first.id, { status: 'in_progress' });
+
+    await fs.writeFile(file, DESIGN.replace(' {working} decide who is blamed', ' The steward is blamed.'));
+    const summary = await importSeriesFile(file, worldId);
+
+    assert.strictEqual(summary.series_id, seriesId);
+    assert.strictEqual(summary.books_updated, 2);
+    assert.strictEqual(summary.chapters_updated, 3);
+    assert.strictEqual(summary.ready, true);
+
+    const chapter = await Chapter.findById(first.id);
+    assert.strictEqual(chapter.plot_outline, 'The hearth goes out. The steward is blamed.');
+    assert.strictEqual(chapter.status, 'in_progress');
+
+    await assertSeriesReady(await Series.findById(seriesId));
+  });
+
+  await t.test('a failed import leaves nothing behind', async () => {
+    const broken = path.join(dir, 'broken.md');
+    await fs.writeFile(broken, DESIGN.replace('### Chapter 1: Return', `### Chapter 1: ${'Long '.repeat(60)}`));
+
+    await assert.rejects(() => importSeriesFile(broken, worldId));
+    assert.strictEqual(await Series.findByDesignFile(broken), null);
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+});
+
+// Close database connection after all tests
+test.after(async () => {
+  await end();
+});
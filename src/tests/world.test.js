@@ -0,0 +1,289 @@
+/**
+ * World file format, import and export tests
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { end } from '../db/index.js';
+import { World, Area, Character, Item, WritingStyle, Event, Series, Book, Chapter, WorldSnapshot } from '../db/models/index.js';
+import { parseYaml, stringifyYaml } from '../world/yaml.js';
+import { parseWorldFile, validateWorldFile, formatWorldErrors, stringifyWorldFile } from '../world/format.js';
+import { importWorld, exportWorld } from '../world/transfer.js';
+import { createSnapshot, restoreSnapshot, forkSnapshot } from '../world/snapshots.js';
+import { handleWorldTool } from '../mcp/tools/world.js';
+
+const WORLD_FILE = `version: 1
+world:
+  name: Harbour Town
+  description: A fishing town on a grey coast.
+  clock: {day: 2, time: "06:30"}
+writing_style:
+  tone: wistful
+  theme_keywords: [tides, leaving]
+species:
+  - name: gull
+    body_parts: [head, wings, body]
+    carrying_slots: [beak]
+areas:
+  - slug: quay
+    name: The Quay
+    description: |
+      Nets dry on the harbour wall.
+      The tide is out.
+    exits: {north: chandlery}
+    triggers:
+      - condition: {type: item_picked_up, item_id: net}
+        reactions:
+          - {type: move_character, area_id: chandlery}
+  - slug: chandlery
+    name: The Chandlery
+    exits: {south: quay}
+characters:
+  - slug: old_mara
+    name: Old Mara
+    species: human
+    area: quay
+    likes: [rain]
+  - slug: gull
+    name: Gull
+    species: gull
+    area: quay
+items:
+  - {slug: net, name: fishing net, area: quay, properties: {weight: 3}}
+  - {slug: knife, name: gutting knife, held_by: old_mara, location: belt}
+  - {slug: coin, name: silver coin, in: tin}
+  - {slug: tin, name: tobacco tin, area: chandlery, properties: {capacity: 0.2}}
+`;
+
+test('World file format', async (t) => {
+  await t.test('YAML reads back what it writes', () => {
+    const value = {
+      name: 'Colon: in a name',
+      text: 'Two lines\nof text\n',
+      numberish: '007',
+      time: '08:00',
+      empty: [],
+      nothing: null,
+      nested: [{ a: 1, b: [true, false] }, [1, 2]],
+    };
+
+    assert.deepStrictEqual(parseYaml(stringifyYaml(value)), value);
+  });
+
+  await t.test('YAML errors carry line numbers', () => {
+    assert.throws(() => parseYaml('a: 1\na: 2\n'), /line 2: Duplicate key: a/);
+    assert.throws(() => parseYaml('a: &anchor 1\n'), /line 1: Anchors, aliases and tags/);
+  });
+
+  await t.test('parses and validates a world file', () => {
+    const doc = parseWorldFile(WORLD_FILE);
+
+    assert.strictEqual(doc.areas[0].description, 'Nets dry on the harbour wall.\nThe tide is out.\n');
+    assert.deepStrictEqual(doc.items[2], { slug: 'coin', name: 'silver coin', in: 'tin' });
+    assert.deepStrictEqual(validateWorldFile(doc), { valid: true, errors: [] });
+    assert.deepStrictEqual(parseWorldFile(stringifyWorldFile(doc, 'json')), doc);
+  });
+
+  await t.test('reports schema errors with paths', () => {
+    const doc = parseWorldFile(WORLD_FILE);
+    doc.version = 2;
+    doc.writing_style.pov = 'omniscient';
+    doc.areas[0].exits.north = 'chandlry';
+    doc.areas[0].triggers[0].reactions[0].area_id = 7;
+    doc.characters[0].age = 'old';
+    delete doc.items[1].held_by;
+    doc.items[3].in = 'coin';
+
+    const { valid, errors } = validateWorldFile(doc);
+    const lines = formatWorldErrors(errors);
+
+    assert.strictEqual(valid, false);
+    assert.ok(lines.includes('  version: Unsupported version 2 (expected 1)'));
+    assert.ok(lines.some(l => l.startsWith('  writing_style.pov: Unknown field')));
+    assert.ok(lines.includes('  areas[0].exits.north: No area with slug "chandlry"'));
+    assert.ok(lines.includes('  areas[0].triggers[0].reactions[0].area_id: Must be a slug from areas, not a number'));
+    assert.ok(lines.includes('  characters[0].age: Must be a whole number, not "old"'));
+    assert.ok(lines.includes('  items[1].location: Only held items have a location'));
+    assert.ok(lines.includes('  items[3].in: "tin" would end up inside itself'));
+  });
+});
+
+test('World file import and export', async (t) => {
+  let worldId, copyId;
+
+  await t.test('import resolves slugs to IDs', async () => {
+    const summary = await importWorld(parseWorldFile(WORLD_FILE));
+    worldId = summary.world_id;
+
+    assert.deepStrictEqual(
+      [summary.areas, summary.characters, summary.items, summary.species],
+      [2, 2, 4, 1]
+    );
+
+    const world = await World.findById(worldId);
+    assert.strictEqual(world.clock_minutes, 24 * 60 + 6 * 60 + 30);
+    assert.strictEqual((await WritingStyle.findByWorldId(worldId)).tone, 'wistful');
+
+    const [quay, chandlery] = await Area.findByWorldId(worldId);
+    assert.deepStrictEqual(quay.exits, { north: chandlery.id });
+
+    const items = await Item.findByWorldId(worldId);
+    const net = items.find(i => i.name === 'fishing net');
+    const tin = items.find(i => i.name === 'tobacco tin');
+    assert.strictEqual(quay.triggers[0].condition.item_id, net.id);
+    assert.strictEqual(quay.triggers[0].reactions[0].area_id, chandlery.id);
+    assert.strictEqual(items.find(i => i.name === 'silver coin').contained_in_item_id, tin.id);
+
+    const [mara, gull] = await Character.findByWorldId(worldId);
+    assert.strictEqual(mara.current_area_id, quay.id);
+    assert.strictEqual(items.find(i => i.name === 'gutting knife').held_by_character_id, mara.id);
+    assert.ok(gull.species_id);
+  });
+
+  await t.test('export writes slugs and reimports to the same world', async () => {
+    const doc = await exportWorld(worldId);
+
+    assert.deepStrictEqual(doc.world.clock, { day: 2, time: '06:30', minutes_per_cycle: 10 });
+    assert.deepStrictEqual(doc.areas[0].exits, { north: 'the_chandlery' });
+    assert.strictEqual(doc.areas[0].triggers[0].condition.item_id, 'fishing_net');
+    assert.deepStrictEqual(doc.items.find(i => i.slug === 'silver_coin').in, 'tobacco_tin');
+
+    const result = await handleWorldTool('world_import', { content: stringifyWorldFile(doc) });
+    copyId = parseInt(/ID: (\d+)/.exec(result.content[0].text)[1], 10);
+
+    const copy = await exportWorld(copyId);
+    assert.deepStrictEqual(copy, doc);
+  });
+
+  await t.test('a failing import leaves nothing behind', async () => {
+    const before = (await World.findAll()).length;
+    const doc = parseWorldFile(WORLD_FILE);
+    // Valid by the schema, but the database refuses it
+    doc.characters[0].name = 'x'.repeat(300);
+
+    await assert.rejects(() => importWorld(doc));
+    assert.strictEqual((await World.findAll()).length, before);
+
+    doc.areas[1].exits = { south: 'nowhere' };
+    await assert.rejects(
+      () => handleWorldTool('world_import', { content: JSON.stringify(doc), format: 'json' }),
+      /areas\[1\]\.exits\.south: No area with slug "nowhere"/
+    );
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+    await World.delete(copyId);
+  });
+});
+
+test('World snapshots', async (t) => {
+  let worldId, forkId, snapshotId, mara, net, coin, tin, chapter;
+
+  await t.test('setup', async () => {
+    worldId = (await importWorld(parseWorldFile(WORLD_FILE))).world_id;
+    [mara] = await Character.findByWorldId(worldId);
+    const items = await Item.findByWorldId(worldId);
+    net = items.find(i => i.name === 'fishing net');
+    coin = items.find(i => i.name === 'silver coin');
+    tin = items.find(i => i.name === 'tobacco tin');
+
+    await Character.addMemory(mara.id, { action: 'mend the net', result: 'It holds.' });
+    await Event.create({ world_id: worldId, cycle: 0, actor_id: mara.id, event_type: 'wait' });
+
+    const series = await Series.create({ world_id: worldId, name: 'Tides' });
+    const book = await Book.create({ series_id: series.id, book_number: 1, title: 'Low Water' });
+    chapter = await Chapter.create({
+      book_id: book.id,
+      chapter_number: 1,
+      goals: [{ description: 'Mara stays', condition: { type: 'character_in_area', character_id: mara.id } }],
+    });
+  });
+
+  await t.test('saves the world at its cycle', async () => {
+    await World.advanceClock(worldId);
+    const snapshot = await createSnapshot(worldId, 'before the storm');
+    snapshotId = snapshot.id;
+
+    assert.strictEqual(snapshot.cycle, 1);
+    assert.deepStrictEqual(
+      [snapshot.areas, snapshot.characters, snapshot.items, snapshot.events],
+      [2, 2, 4, 1]
+    );
+    await assert.rejects(() => createSnapshot(worldId, ' '), /needs a label/);
+  });
+
+  await t.test('restores in place', async () => {
+    const [quay, chandlery] = await Area.findByWorldId(worldId);
+    await World.advanceClock(worldId);
+    await Character.update(mara.id, { current_area_id: chandlery.id, nutrition: 10 });
+    await Character.addMemory(mara.id, { action: 'leave', result: 'The quay is empty.' });
+    await Item.delete(net.id);
+    await Item.create({ world_id: worldId, name: 'storm lantern', current_area_id: quay.id });
+    await Event.create({ world_id: worldId, cycle: 1, actor_id: mara.id, event_type: 'move' });
+    await Area.update(quay.id, { triggers: [] });
+
+    const summary = await restoreSnapshot(snapshotId);
+    assert.strictEqual(summary.cycle, 1);
+
+    assert.strictEqual((await World.findById(worldId)).cycle, 1);
+    const restored = await Character.findById(mara.id);
+    assert.strictEqual(restored.current_area_id, quay.id);
+    assert.strictEqual(restored.nutrition, mara.nutrition);
+    assert.deepStrictEqual(restored.memory.map(m => m.action), ['mend the net']);
+
+    const items = await Item.findByWorldId(worldId);
+    assert.ok(items.some(i => i.id === net.id));
+    assert.ok(!items.some(i => i.name === 'storm lantern'));
+    assert.strictEqual((await Item.findById(coin.id)).contained_in_item_id, tin.id);
+    assert.strictEqual((await Area.findById(quay.id)).triggers[0].condition.item_id, net.id);
+    assert.strictEqual((await Event.query({ world_id: worldId })).length, 1);
+    assert.strictEqual((await WorldSnapshot.findByWorldId(worldId)).length, 1);
+  });
+
+  await t.test('forks into a new world with remapped references', async () => {
+    const result = await handleWorldTool('world_snapshot_fork', { snapshot_id: snapshotId, name: 'Harbour Town: Mara stays' });
+    forkId = parseInt(/ID: (\d+)/.exec(result.content[0].text)[1], 10);
+
+    const fork = await World.findById(forkId);
+    assert.strictEqual(fork.name, 'Harbour Town: Mara stays');
+    assert.strictEqual(fork.cycle, 1);
+
+    const [quay, chandlery] = await Area.findByWorldId(forkId);
+    assert.deepStrictEqual(quay.exits, { north: chandlery.id });
+
+    const items = await Item.findByWorldId(forkId);
+    const forkNet = items.find(i => i.name === 'fishing net');
+    const forkTin = items.find(i => i.name === 'tobacco tin');
+    assert.notStrictEqual(forkNet.id, net.id);
+    assert.strictEqual(quay.triggers[0].condition.item_id, forkNet.id);
+    assert.strictEqual(quay.triggers[0].reactions[0].area_id, chandlery.id);
+    assert.strictEqual(items.find(i => i.name === 'silver coin').contained_in_item_id, forkTin.id);
+
+    const [forkMara] = await Character.findByWorldId(forkId);
+    assert.strictEqual(forkMara.current_area_id, quay.id);
+    assert.deepStrictEqual(forkMara.memory.map(m => m.action), ['mend the net']);
+    assert.strictEqual(items.find(i => i.name === 'gutting knife').held_by_character_id, forkMara.id);
+
+    const [event] = await Event.query({ world_id: forkId });
+    assert.strictEqual(event.actor_id, forkMara.id);
+
+    const [series] = await Series.findByWorldId(forkId);
+    const [book] = await Book.findBySeriesId(series.id);
+    const [forkChapter] = await Chapter.findByBookId(book.id);
+    assert.notStrictEqual(forkChapter.id, chapter.id);
+    assert.strictEqual(forkChapter.goals[0].condition.character_id, forkMara.id);
+  });
+
+  await t.test('cleanup', async () => {
+    await World.delete(worldId);
+    await World.delete(forkId);
+  });
+});
+
+// Close database connection after all tests
+test.after(async () => {
+  await end();
+});
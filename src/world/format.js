@@ -0,0 +1,507 @@
+/**
+ * World file format
+ *
+ * A world file describes a whole world in YAML or JSON, version 1:
+ *
+ *   version: 1
+ *   world: {name, description, clock: {day, time, minutes_per_cycle}}
+ *   writing_style: {tone, tense, theme_keywords, ...}
+ *   species: [{name, body_parts, carrying_slots, ...}]
+ *   areas: [{slug, name, description, temperature, exits: {north: <area slug>}, triggers}]
+ *   characters: [{slug, name, species, area: <area slug>, ...}]
+ *   items: [{slug, name, properties, area | held_by + location | in: <item slug>}]
+ *
+ * Areas, characters and items are referred to by slug rather than ID. Inside
+ * triggers, the ID fields listed in TRIGGER_REFERENCES hold slugs too.
+ * Characters name their species as usual.
+ */
+
+import { parseYaml, stringifyYaml } from './yaml.js';
+import { parseTime } from '../mcp/handlers/clock.js';
+import { VITAL_STATUSES } from '../mcp/handlers/vitals.js';
+
+export const WORLD_FILE_VERSION = 1;
+
+export const WORLD_FILE_FORMATS = ['yaml', 'json'];
+
+// Trigger condition and reaction fields that refer to other things
+export const TRIGGER_REFERENCES = {
+  character_id: 'characters',
+  target_character_id: 'characters',
+  item_id: 'items',
+  area_id: 'areas',
+  target_area_id: 'areas',
+};
+
+const SLUG = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Field types by section; "ref:<section>" fields hold a slug from that section
+export const SECTION_FIELDS = {
+  world: {
+    name: 'string',
+    description: 'string',
+    clock: 'clock',
+  },
+  writing_style: {
+    tone: 'string',
+    narrative_voice: 'string',
+    tense: 'string',
+    sentence_complexity: 'string',
+    dialogue_style: 'string',
+    theme_keywords: 'strings',
+    conflict_density: 'string',
+    pacing_model: 'string',
+    moral_ambiguity: 'string',
+    descriptive_depth: 'string',
+    emotional_realism: 'string',
+    language_register: 'string',
+    prose_format_rules: 'strings',
+  },
+  species: {
+    name: 'string',
+    description: 'string',
+    nutrition_loss_per_hour: 'number',
+    hydration_loss_per_hour: 'number',
+    tiredness_gain_per_hour: 'number',
+    sleep_recovery_per_hour: 'number',
+    healing_per_hour: 'number',
+    comfort_min_temperature: 'number',
+    comfort_max_temperature: 'number',
+    body_parts: 'strings',
+    carrying_slots: 'strings',
+    carry_capacity: 'number',
+  },
+  areas: {
+    slug: 'slug',
+    name: 'string',
+    description: 'string',
+    temperature: 'number',
+    exits: 'exits',
+    triggers: 'triggers',
+  },
+  characters: {
+    slug: 'slug',
+    name: 'string',
+    description: 'string',
+    species: 'string',
+    gender: 'string',
+    age: 'integer',
+    backstory: 'string',
+    character_class: 'character_class',
+    area: 'ref:areas',
+    likes: 'strings',
+    dislikes: 'strings',
+    interests: 'strings',
+    internal_conflict: 'string',
+    beliefs: 'strings',
+    nutrition: 'percentage',
+    hydration: 'percentage',
+    tiredness: 'percentage',
+    alertness: 'percentage',
+    damage: 'damage',
+    memory: 'memory',
+    vital_status: 'vital_status',
+  },
+  items: {
+    slug: 'slug',
+    name: 'string',
+    description: 'string',
+    properties: 'object',
+    area: 'ref:areas',
+    held_by: 'ref:characters',
+    location: 'string',
+    in: 'ref:items',
+  },
+};
+
+const REQUIRED_FIELDS = {
+  world: ['name'],
+  writing_style: [],
+  species: ['name'],
+  areas: ['slug', 'name'],
+  characters: ['slug', 'name'],
+  items: ['slug', 'name'],
+};
+
+// Top-level keys, in the order files are written
+const SECTIONS = ['world', 'writing_style', 'species', 'areas', 'characters', 'items'];
+const LIST_SECTIONS = ['species', 'areas', 'characters', 'items'];
+
+/**
+ * Describe a value's type for error messages
+ * @param {*} value - Value
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  return typeof value === 'object' ? 'a mapping' : `a ${typeof value}`;
+}
+
+/**
+ * Check whether a value is a plain mapping
+ * @param {*} value - Value
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isMapping(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parse world file text
+ * @param {string} text - File contents
+ * @param {string} [format] - "yaml" or "json"; guessed from the text when missing
+ * @returns {Object} Parsed document (not yet validated)
+ */
+export function parseWorldFile(text, format) {
+  const json = format ? format === 'json' : text.trimStart().startsWith('{');
+  if (format && !WORLD_FILE_FORMATS.includes(format)) {
+    throw new Error(`Unknown world file format: ${format} (${WORLD_FILE_FORMATS.join(', ')})`);
+  }
+
+  if (json) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  }
+  return parseYaml(text);
+}
+
+/**
+ * Write a world document as text
+ * @param {Object} doc - World document (see exportWorld)
+ * @param {string} [format] - "yaml" (default) or "json"
+ * @returns {string} File contents
+ */
+export function stringifyWorldFile(doc, format = 'yaml') {
+  if (!WORLD_FILE_FORMATS.includes(format)) {
+    throw new Error(`Unknown world file format: ${format} (${WORLD_FILE_FORMATS.join(', ')})`);
+  }
+  return format === 'json' ? JSON.stringify(doc, null, 2) + '\n' : stringifyYaml(doc);
+}
+
+/**
+ * Work out a format from a file name
+ * @param {string} file - File path
+ * @returns {string} "json" for .json files, otherwise "yaml"
+ */
+export function formatForFile(file) {
+  return /\.json$/i.test(file) ? 'json' : 'yaml';
+}
+
+/**
+ * Turn a name into a slug
+ * @param {string} name - Name
+ * @returns {string} Lower-case slug with underscores
+ */
+export function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'unnamed';
+}
+
+/**
+ * Copy a trigger list, passing each reference field through a function
+ * @param {Array} triggers - Trigger configurations
+ * @param {Function} map - (section, value) => replacement
+ * @returns {Array} Triggers with references replaced
+ */
+export function mapTriggerReferences(triggers, map) {
+  const mapFields = (object) => {
+    const copy = { ...object };
+    for (const [field, section] of Object.entries(TRIGGER_REFERENCES)) {
+      if (copy[field] !== undefined && copy[field] !== null) {
+        copy[field] = map(section, copy[field]);
+      }
+    }
+    return copy;
+  };
+
+  return (triggers || []).map(trigger => ({
+    ...trigger,
+    ...(isMapping(trigger.condition) ? { condition: mapFields(trigger.condition) } : {}),
+    ...(Array.isArray(trigger.reactions) ? { reactions: trigger.reactions.map(r => (isMapping(r) ? mapFields(r) : r)) } : {}),
+  }));
+}
+
+/**
+ * Validate a parsed world document
+ * @param {Object} doc - Parsed world file
+ * @returns {Object} {valid, errors} where each error is {path, message}
+ */
+export function validateWorldFile(doc) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+
+  if (!isMapping(doc)) {
+    fail('', `A world file must be a mapping, not ${typeOf(doc)}`);
+    return { valid: false, errors };
+  }
+
+  if (doc.version === undefined) {
+    fail('version', `Missing; this is version ${WORLD_FILE_VERSION} of the format`);
+  } else if (doc.version !== WORLD_FILE_VERSION) {
+    fail('version', `Unsupported version ${JSON.stringify(doc.version)} (expected ${WORLD_FILE_VERSION})`);
+  }
+
+  for (const key of Object.keys(doc)) {
+    if (key !== 'version' && !SECTIONS.includes(key)) {
+      fail(key, `Unknown section (expected ${SECTIONS.join(', ')})`);
+    }
+  }
+
+  if (doc.world === undefined) {
+    fail('world', 'Missing');
+  }
+
+  // Slugs first, so that references can be checked in any order
+  const slugs = { areas: new Set(), characters: new Set(), items: new Set() };
+  for (const section of LIST_SECTIONS) {
+    if (doc[section] === undefined) continue;
+    if (!Array.isArray(doc[section])) {
+      fail(section, `Must be a list, not ${typeOf(doc[section])}`);
+      continue;
+    }
+    if (!slugs[section]) continue;
+    doc[section].forEach((entry, i) => {
+      if (!isMapping(entry) || typeof entry.slug !== 'string') return;
+      if (slugs[section].has(entry.slug)) {
+        fail(`${section}[${i}].slug`, `Duplicate slug "${entry.slug}"`);
+      }
+      slugs[section].add(entry.slug);
+    });
+  }
+
+  const checkRef = (path, section, value) => {
+    if (typeof value !== 'string') {
+      fail(path, `Must be a slug from ${section}, not ${typeOf(value)}`);
+    } else if (!slugs[section].has(value)) {
+      fail(path, `No ${section.replace(/s$/, '')} with slug "${value}"`);
+    }
+  };
+
+  const checkStrings = (path, value) => {
+    if (!Array.isArray(value)) {
+      fail(path, `Must be a list of strings, not ${typeOf(value)}`);
+      return;
+    }
+    value.forEach((item, i) => {
+      if (typeof item !== 'string') fail(`${path}[${i}]`, `Must be a string, not ${typeOf(item)}`);
+    });
+  };
+
+  const checkTriggerRefs = (path, object) => {
+    for (const [field, section] of Object.entries(TRIGGER_REFERENCES)) {
+      if (object[field] !== undefined && object[field] !== null) {
+        checkRef(`${path}.${field}`, section, object[field]);
+      }
+    }
+  };
+
+  const checkTriggers = (path, triggers) => {
+    if (!Array.isArray(triggers)) {
+      fail(path, `Must be a list, not ${typeOf(triggers)}`);
+      return;
+    }
+    triggers.forEach((trigger, i) => {
+      const at = `${path}[${i}]`;
+      if (!isMapping(trigger)) {
+        fail(at, `Must be a mapping, not ${typeOf(trigger)}`);
+        return;
+      }
+      if (trigger.condition === undefined && trigger.name === undefined) {
+        fail(at, 'Needs a condition (or a name, to be fired by other triggers)');
+      }
+      if (trigger.condition !== undefined && typeof trigger.condition !== 'string' && !isMapping(trigger.condition)) {
+        fail(`${at}.condition`, `Must be an event name or a mapping, not ${typeOf(trigger.condition)}`);
+      }
+      if (trigger.name !== undefined && typeof trigger.name !== 'string') {
+        fail(`${at}.name`, `Must be a string, not ${typeOf(trigger.name)}`);
+      }
+      if (!Array.isArray(trigger.reactions)) {
+        fail(`${at}.reactions`, trigger.reactions === undefined ? 'Missing' : `Must be a list, not ${typeOf(trigger.reactions)}`);
+      } else {
+        trigger.reactions.forEach((reaction, j) => {
+          if (!isMapping(reaction) || typeof reaction.type !== 'string') {
+            fail(`${at}.reactions[${j}]`, 'Must be a mapping with a type');
+          }
+        });
+      }
+
+      if (isMapping(trigger.condition)) {
+        checkTriggerRefs(`${at}.condition`, trigger.condition);
+      }
+      (Array.isArray(trigger.reactions) ? trigger.reactions : []).forEach((reaction, j) => {
+        if (isMapping(reaction)) checkTriggerRefs(`${at}.reactions[${j}]`, reaction);
+      });
+    });
+  };
+
+  const checkField = (path, type, value) => {
+    if (type.startsWith('ref:')) {
+      checkRef(path, type.slice(4), value);
+      return;
+    }
+
+    switch (type) {
+      case 'string':
+        if (typeof value !== 'string') fail(path, `Must be a string, not ${typeOf(value)}`);
+        break;
+      case 'number':
+        if (typeof value !== 'number') fail(path, `Must be a number, not ${typeOf(value)}`);
+        break;
+      case 'integer':
+        if (!Number.isInteger(value)) fail(path, `Must be a whole number, not ${JSON.stringify(value)}`);
+        break;
+      case 'percentage':
+        if (typeof value !== 'number' || value < 0 || value > 100) fail(path, `Must be a number from 0 to 100, not ${JSON.stringify(value)}`);
+        break;
+      case 'object':
+        if (!isMapping(value)) fail(path, `Must be a mapping, not ${typeOf(value)}`);
+        break;
+      case 'strings':
+        checkStrings(path, value);
+        break;
+      case 'slug':
+        if (typeof value !== 'string' || !SLUG.test(value)) {
+          fail(path, `Must be a slug (lower-case letters, digits, _ and -), not ${JSON.stringify(value)}`);
+        }
+        break;
+      case 'character_class':
+        if (!['story', 'minor'].includes(value)) fail(path, `Must be "story" or "minor", not ${JSON.stringify(value)}`);
+        break;
+      case 'vital_status':
+        if (!VITAL_STATUSES.includes(value)) fail(path, `Must be one of ${VITAL_STATUSES.join(', ')}, not ${JSON.stringify(value)}`);
+        break;
+      case 'exits':
+        if (!isMapping(value)) {
+          fail(path, `Must be a mapping of direction to area slug, not ${typeOf(value)}`);
+        } else {
+          for (const [direction, target] of Object.entries(value)) {
+            checkRef(`${path}.${direction}`, 'areas', target);
+          }
+        }
+        break;
+      case 'triggers':
+        checkTriggers(path, value);
+        break;
+      case 'damage':
+        if (!Array.isArray(value)) {
+          fail(path, `Must be a list, not ${typeOf(value)}`);
+        } else {
+          value.forEach((injury, i) => {
+            if (!isMapping(injury) || typeof injury.part !== 'string' || typeof injury.type !== 'string' ||
+              typeof injury.severity !== 'number') {
+              fail(`${path}[${i}]`, 'Must be a mapping with part, type and severity');
+            }
+          });
+        }
+        break;
+      case 'memory':
+        if (!Array.isArray(value)) {
+          fail(path, `Must be a list, not ${typeOf(value)}`);
+        } else {
+          value.forEach((entry, i) => {
+            if (!isMapping(entry) || typeof entry.action !== 'string') {
+              fail(`${path}[${i}]`, 'Must be a mapping with an action (and result)');
+            }
+          });
+        }
+        break;
+      case 'clock':
+        if (!isMapping(value)) {
+          fail(path, `Must be a mapping, not ${typeOf(value)}`);
+          break;
+        }
+        for (const key of Object.keys(value)) {
+          if (!['day', 'time', 'minutes_per_cycle'].includes(key)) fail(`${path}.${key}`, 'Unknown field (expected day, time, minutes_per_cycle)');
+        }
+        if (value.day !== undefined && !(Number.isInteger(value.day) && value.day >= 1)) {
+          fail(`${path}.day`, `Must be a whole number from 1, not ${JSON.stringify(value.day)}`);
+        }
+        if (value.time !== undefined) {
+          try {
+            parseTime(value.time);
+          } catch (error) {
+            fail(`${path}.time`, error.message);
+          }
+        }
+        if (value.minutes_per_cycle !== undefined && !(Number.isInteger(value.minutes_per_cycle) && value.minutes_per_cycle > 0)) {
+          fail(`${path}.minutes_per_cycle`, `Must be a positive whole number, not ${JSON.stringify(value.minutes_per_cycle)}`);
+        }
+        break;
+    }
+  };
+
+  const checkEntry = (path, section, entry) => {
+    if (!isMapping(entry)) {
+      fail(path, `Must be a mapping, not ${typeOf(entry)}`);
+      return;
+    }
+    const fields = SECTION_FIELDS[section];
+    for (const [key, value] of Object.entries(entry)) {
+      const at = path ? `${path}.${key}` : key;
+      if (!fields[key]) {
+        fail(at, `Unknown field (expected ${Object.keys(fields).join(', ')})`);
+      } else if (value !== null && value !== undefined) {
+        checkField(at, fields[key], value);
+      }
+    }
+    for (const key of REQUIRED_FIELDS[section]) {
+      if (entry[key] === undefined || entry[key] === null) {
+        fail(`${path}.${key}`, 'Missing');
+      }
+    }
+  };
+
+  for (const section of ['world', 'writing_style']) {
+    if (doc[section] !== undefined) checkEntry(section, section, doc[section]);
+  }
+  for (const section of LIST_SECTIONS) {
+    if (Array.isArray(doc[section])) {
+      doc[section].forEach((entry, i) => checkEntry(`${section}[${i}]`, section, entry));
+    }
+  }
+
+  // An item is in one place at most, and never inside itself
+  const items = Array.isArray(doc.items) ? doc.items.filter(isMapping) : [];
+  const containers = new Map(items.map(item => [item.slug, item.in]));
+  (doc.items || []).forEach((item, i) => {
+    if (!isMapping(item)) return;
+    const places = ['area', 'held_by', 'in'].filter(key => item[key] !== undefined && item[key] !== null);
+    if (places.length > 1) {
+      fail(`items[${i}]`, `Can only be in one place, but has ${places.join(' and ')}`);
+    }
+    if (item.held_by !== undefined && item.held_by !== null && !item.location) {
+      fail(`items[${i}].location`, 'Missing; held items need a carrying slot (e.g. "right hand")');
+    }
+    if (item.location !== undefined && item.location !== null && (item.held_by === undefined || item.held_by === null)) {
+      fail(`items[${i}].location`, 'Only held items have a location');
+    }
+
+    const seen = new Set([item.slug]);
+    for (let outer = item.in; outer !== undefined && outer !== null; outer = containers.get(outer)) {
+      if (seen.has(outer)) {
+        fail(`items[${i}].in`, `"${item.slug}" would end up inside itself`);
+        break;
+      }
+      seen.add(outer);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors, one per line
+ * @param {Array} errors - {path, message} errors
+ * @returns {Array<string>} Lines
+ */
+export function formatWorldErrors(errors) {
+  return errors.map(({ path, message }) => `  ${path || '(file)'}: ${message}`);
+}
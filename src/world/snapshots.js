@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+
+/**
+ * World snapshots
+ *
+ * A snapshot copies every row that belongs to a world: the world itself (with
+ * its clock), writing style, species, areas with their triggers, characters
+ * with their memories and state, memory summaries, items, trade offers, the
+ * series with its books and chapters, and the event log. A snapshot can be
+ * restored in place, rewinding the world to that cycle, or forked into a new
+ * world with every reference remapped, to try another plot branch from the
+ * same checkpoint. Stop the agent controller before restoring a world it runs.
+ *
+ * Usage:
+ *   node src/world/snapshots.js save <world_id> <label>
+ *   node src/world/snapshots.js list <world_id>
+ *   node src/world/snapshots.js restore <snapshot_id>
+ *   node src/world/snapshots.js fork <snapshot_id> [name]
+ */
+
+import { World, WorldSnapshot } from '../db/models/index.js';
+import { end, query, transaction } from '../db/index.js';
+import { mapTriggerReferences } from './format.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+// Tables copied into a snapshot, parents before children. refs maps each
+// foreign key column to the table it points at; where selects a world's rows
+// for tables without a world_id.
+const SNAPSHOT_TABLES = [
+  { table: 'writing_styles', refs: { world_id: 'worlds' } },
+  { table: 'species', refs: { world_id: 'worlds' } },
+  { table: 'areas', refs: { world_id: 'worlds' } },
+  {
+    table: 'characters',
+    refs: { world_id: 'worlds', current_area_id: 'areas', species_id: 'species' },
+  },
+  {
+    table: 'items',
+    refs: {
+      world_id: 'worlds',
+      current_area_id: 'areas',
+      held_by_character_id: 'characters',
+      contained_in_item_id: 'items',
+    },
+  },
+  {
+    table: 'memory_summaries',
+    refs: { character_id: 'characters' },
+    where: 'character_id IN (SELECT id FROM characters WHERE world_id = $1)',
+  },
+  {
+    table: 'trade_offers',
+    refs: {
+      world_id: 'worlds',
+      from_character_id: 'characters',
+      to_character_id: 'characters',
+      item_id: 'items',
+      requested_item_id: 'items',
+    },
+  },
+  { table: 'series', refs: { world_id: 'worlds' } },
+  {
+    table: 'books',
+    refs: { series_id: 'series' },
+    where: 'series_id IN (SELECT id FROM series WHERE world_id = $1)',
+  },
+  {
+    table: 'chapters',
+    refs: { book_id: 'books' },
+    where: 'book_id IN (SELECT b.id FROM books b JOIN series s ON s.id = b.series_id WHERE s.world_id = $1)',
+  },
+  { table: 'events', refs: { world_id: 'worlds', area_id: 'areas', actor_id: 'characters' } },
+];
+
+/**
+ * Look up the columns a table has now
+ *
+ * Snapshots taken before a migration may lack newer columns (which then get
+ * their defaults) or carry dropped ones (which are left out).
+ *
+ * @param {string} table - Table name
+ * @returns {Promise<Map<string, string>>} Data type by column name
+ */
+async function columnTypes(table) {
+  const result = await query(
+    `SELECT column_name, data_type FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1`,
+    [table]
+  );
+  return new Map(result.rows.map(row => [row.column_name, row.data_type]));
+}
+
+/**
+ * Turn a snapshot value into a query parameter for its column
+ * @param {*} value - Value from the snapshot
+ * @param {string} type - Column data type
+ * @returns {*} Parameter
+ */
+function toParam(value, type) {
+  if (value === null || value === undefined) return null;
+  // node-postgres would send a JavaScript array as a PostgreSQL array
+  if (type === 'jsonb' || type === 'json') return JSON.stringify(value);
+  // Timestamps were stored as UTC strings; as Dates they go back in the way they were read
+  if (type.startsWith('timestamp')) return new Date(value);
+  return value;
+}
+
+/**
+ * Insert a row from a snapshot
+ * @param {string} table - Table name
+ * @param {Object} row - Column values (with id to keep the row's ID)
+ * @param {Map<string, string>} types - Columns of the table (see columnTypes)
+ * @returns {Promise<number>} ID of the inserted row
+ */
+async function insertRow(table, row, types) {
+  const columns = Object.keys(row).filter(column => types.has(column));
+  const result = await query(
+    `INSERT INTO ${table} (${columns.map(column => `"${column}"`).join(', ')})
+     VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+     RETURNING id`,
+    columns.map(column => toParam(row[column], types.get(column)))
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Copy every row belonging to a world
+ * @param {number} worldId - World ID
+ * @returns {Promise<Object>} Snapshot data: {version, world, tables}
+ */
+export async function captureWorld(worldId) {
+  const world = await World.findById(worldId);
+  if (!world) {
+    throw new Error(`World not found: ${worldId}`);
+  }
+
+  const tables = {};
+  for (const { table, where = 'world_id = $1' } of SNAPSHOT_TABLES) {
+    const result = await query(`SELECT * FROM ${table} WHERE ${where} ORDER BY id`, [worldId]);
+    tables[table] = result.rows;
+  }
+
+  return { version: SNAPSHOT_VERSION, world, tables };
+}
+
+/**
+ * Insert a snapshot's rows into a world
+ *
+ * Rows keep their IDs when keepIds is set (restoring in place) and get new
+ * ones otherwise (forking). Either way every foreign key, area exit, trigger
+ * reference and chapter goal is pointed at the inserted rows.
+ *
+ * @param {Object} data - Snapshot data
+ * @param {number} worldId - World to insert into
+ * @param {boolean} keepIds - Whether rows keep their IDs
+ * @returns {Promise<Object>} Old to new IDs, a Map per table
+ */
+async function insertTables(data, worldId, keepIds) {
+  const ids = { worlds: new Map([[data.world.id, worldId]]) };
+  const mapId = (table, id) => ids[table].get(id) ?? null;
+  // Self references (items in items) are set once the whole table exists
+  const deferred = [];
+
+  for (const { table, refs } of SNAPSHOT_TABLES) {
+    const types = await columnTypes(table);
+    ids[table] = new Map();
+
+    for (const row of data.tables[table] || []) {
+      const copy = { ...row };
+      if (!keepIds) delete copy.id;
+
+      for (const [column, target] of Object.entries(refs)) {
+        if (copy[column] === null || copy[column] === undefined) continue;
+        if (target === table) {
+          deferred.push({ table, column, id: row.id, ref: copy[column] });
+          copy[column] = null;
+        } else {
+          copy[column] = mapId(target, copy[column]);
+        }
+      }
+
+      ids[table].set(row.id, await insertRow(table, copy, types));
+    }
+  }
+
+  for (const { table, column, id, ref } of deferred) {
+    await query(`UPDATE ${table} SET ${column} = $1 WHERE id = $2`, [mapId(table, ref), mapId(table, id)]);
+  }
+
+  if (!keepIds) {
+    // References into other worlds stay as they are, like in world files
+    const remap = (section, id) => ids[section].get(id) ?? id;
+
+    for (const area of data.tables.areas || []) {
+      const exits = Object.fromEntries(
+        Object.entries(area.exits || {}).map(([direction, id]) => [direction, remap('areas', id)])
+      );
+      const triggers = mapTriggerReferences(area.triggers || [], remap);
+      await query(
+        'UPDATE areas SET exits = $1, triggers = $2 WHERE id = $3',
+        [JSON.stringify(exits), JSON.stringify(triggers), mapId('areas', area.id)]
+      );
+    }
+
+    for (const chapter of data.tables.chapters || []) {
+      if (!Array.isArray(chapter.goals) || chapter.goals.length === 0) continue;
+      const goals = mapTriggerReferences(chapter.goals, remap).map(goal => (
+        Array.isArray(goal.condition?.character_ids)
+          ? { ...goal, condition: { ...goal.condition, character_ids: goal.condition.character_ids.map(id => remap('characters', id)) } }
+          : goal
+      ));
+      await query(
+        'UPDATE chapters SET goals = $1 WHERE id = $2',
+        [JSON.stringify(goals), mapId('chapters', chapter.id)]
+      );
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Count the rows of the main tables in snapshot data
+ * @param {Object} data - Snapshot data
+ * @returns {Object} {areas, characters, items, events}
+ */
+function countRows(data) {
+  const count = table => (data.tables[table] || []).length;
+  return {
+    areas: count('areas'),
+    characters: count('characters'),
+    items: count('items'),
+    events: count('events'),
+  };
+}
+
+/**
+ * Load a snapshot, checking it can be used
+ * @param {number} snapshotId - Snapshot ID
+ * @returns {Promise<Object>} Snapshot with its data
+ */
+async function loadSnapshot(snapshotId) {
+  const snapshot = await WorldSnapshot.findById(snapshotId);
+  if (!snapshot) {
+    throw new Error(`Snapshot not found: ${snapshotId}`);
+  }
+  if (snapshot.data.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot ${snapshotId} has unsupported version ${snapshot.data.version} (expected ${SNAPSHOT_VERSION})`);
+  }
+  return snapshot;
+}
+
+/**
+ * Take a snapshot of a world
+ * @param {number} worldId - World ID
+ * @param {string} label - What the snapshot is, e.g. "before the storm"
+ * @returns {Promise<Object>} {id, world_id, label, cycle, created_at, areas, characters, items, events}
+ */
+export async function createSnapshot(worldId, label) {
+  if (typeof label !== 'string' || !label.trim()) {
+    throw new Error('A snapshot needs a label');
+  }
+
+  // Every table is read as of the same moment, even while the world runs
+  return transaction(async () => {
+    const data = await captureWorld(worldId);
+    const snapshot = await WorldSnapshot.create({
+      world_id: worldId,
+      label: label.trim(),
+      cycle: data.world.cycle,
+      data,
+    });
+    return { ...snapshot, ...countRows(data) };
+  }, { isolation: 'REPEATABLE READ' });
+}
+
+/**
+ * Rewind a world to a snapshot
+ *
+ * Everything the world gained since is deleted; rows from the snapshot come
+ * back with their IDs, so player sessions on characters that existed then
+ * carry on. The world's own snapshots are kept.
+ *
+ * @param {number} snapshotId - Snapshot ID
+ * @returns {Promise<Object>} {world_id, label, cycle, areas, characters, items, events}
+ */
+export async function restoreSnapshot(snapshotId) {
+  const { world_id, label, cycle, data } = await loadSnapshot(snapshotId);
+
+  return transaction(async () => {
+    for (const { table, where = 'world_id = $1' } of [...SNAPSHOT_TABLES].reverse()) {
+      await query(`DELETE FROM ${table} WHERE ${where}`, [world_id]);
+    }
+
+    const types = await columnTypes('worlds');
+    const columns = Object.keys(data.world).filter(column => types.has(column) && !['id', 'created_at'].includes(column));
+    await query(
+      `UPDATE worlds SET ${columns.map((column, i) => `"${column}" = $${i + 1}`).join(', ')}
+       WHERE id = $${columns.length + 1}`,
+      [...columns.map(column => toParam(data.world[column], types.get(column))), world_id]
+    );
+
+    await insertTables(data, world_id, true);
+    return { world_id, label, cycle, ...countRows(data) };
+  });
+}
+
+/**
+ * Copy a snapshot into a new world
+ * @param {number} snapshotId - Snapshot ID
+ * @param {string} [name] - Name of the new world (default: "<world> (<label>)")
+ * @returns {Promise<Object>} {world_id, name, label, cycle, areas, characters, items, events}
+ */
+export async function forkSnapshot(snapshotId, name) {
+  const { label, cycle, data } = await loadSnapshot(snapshotId);
+
+  return transaction(async () => {
+    const { id, created_at, updated_at, ...world } = data.world;
+    world.name = name || `${world.name} (${label})`;
+    const worldId = await insertRow('worlds', world, await columnTypes('worlds'));
+
+    await insertTables(data, worldId, false);
+    return { world_id: worldId, name: world.name, label, cycle, ...countRows(data) };
+  });
+}
+
+// Main execution
+async function main() {
+  const [command, target, ...rest] = process.argv.slice(2);
+  const id = parseInt(target, 10);
+
+  if (Number.isNaN(id) || !['save', 'list', 'restore', 'fork'].includes(command) || (command === 'save' && !rest.length)) {
+    console.error('Usage:');
+    console.error('  node src/world/snapshots.js save <world_id> <label>');
+    console.error('  node src/world/snapshots.js list <world_id>');
+    console.error('  node src/world/snapshots.js restore <snapshot_id>');
+    console.error('  node src/world/snapshots.js fork <snapshot_id> [name]');
+    process.exit(1);
+  }
+
+  try {
+    if (command === 'save') {
+      const snapshot = await createSnapshot(id, rest.join(' '));
+      console.log(`✓ Saved snapshot ${snapshot.id} "${snapshot.label}" of world ${id} at cycle ${snapshot.cycle}`);
+    } else if (command === 'list') {
+      const snapshots = await WorldSnapshot.findByWorldId(id);
+      if (snapshots.length === 0) {
+        console.log(`No snapshots of world ${id}`);
+      }
+      for (const snapshot of snapshots) {
+        console.log(`  ${snapshot.id}  cycle ${snapshot.cycle}  ${snapshot.label}  (${snapshot.created_at.toISOString()})`);
+      }
+    } else if (command === 'restore') {
+      const summary = await restoreSnapshot(id);
+      console.log(`✓ Restored world ${summary.world_id} to "${summary.label}" (cycle ${summary.cycle})`);
+    } else {
+      const summary = await forkSnapshot(id, rest.join(' ') || undefined);
+      console.log(`✓ Forked "${summary.label}" into "${summary.name}" (world ${summary.world_id})`);
+      console.log(`  ${summary.areas} area(s), ${summary.characters} character(s), ${summary.items} item(s), ${summary.events} event(s)`);
+    }
+  } finally {
+    await end();
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+
+/**
+ * World file import and export
+ *
+ * Imports a world file (see format.js) as a new world, in one transaction:
+ * nothing is created unless the whole file imports. Exports a world as a world
+ * file, giving each area, character and item a slug made from its name.
+ *
+ * Usage:
+ *   node src/world/transfer.js validate <file>
+ *   node src/world/transfer.js import <file>
+ *   node src/world/transfer.js export <world_id> [file]
+ *
+ * Files ending in .json are JSON; anything else is YAML. Without a file,
+ * export writes YAML to standard output.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { World, WritingStyle, Species, Area, Character, Item } from '../db/models/index.js';
+import { end, transaction } from '../db/index.js';
+import { describeClock, MINUTES_PER_DAY, parseTime } from '../mcp/handlers/clock.js';
+import {
+  WORLD_FILE_VERSION,
+  SECTION_FIELDS,
+  parseWorldFile,
+  stringifyWorldFile,
+  formatForFile,
+  validateWorldFile,
+  formatWorldErrors,
+  mapTriggerReferences,
+  slugify,
+} from './format.js';
+
+/**
+ * Copy the fields of a section that are set
+ * @param {string} section - Section name in SECTION_FIELDS
+ * @param {Object} entry - Entry or database row
+ * @param {Array<string>} [skip] - Fields to leave out
+ * @returns {Object} Fields that are neither null nor undefined
+ */
+function pickFields(section, entry, skip = []) {
+  const fields = {};
+  for (const [field, type] of Object.entries(SECTION_FIELDS[section])) {
+    if (skip.includes(field) || entry[field] === null || entry[field] === undefined) continue;
+    // NUMERIC columns come back from PostgreSQL as strings
+    fields[field] = ['number', 'percentage'].includes(type) ? parseFloat(entry[field]) : entry[field];
+  }
+  return fields;
+}
+
+/**
+ * Import a parsed world file as a new world
+ * @param {Object} doc - Parsed world file
+ * @returns {Promise<Object>} {world_id, name, species, areas, characters, items}
+ */
+export async function importWorld(doc) {
+  const report = validateWorldFile(doc);
+  if (!report.valid) {
+    throw new Error(`World file has errors:\n${formatWorldErrors(report.errors).join('\n')}`);
+  }
+
+  return transaction(async () => {
+    const world = await World.create({
+      name: doc.world.name,
+      description: doc.world.description || '',
+    });
+
+    if (doc.world.clock) {
+      const { day = 1, time = '08:00', minutes_per_cycle } = doc.world.clock;
+      await World.update(world.id, {
+        clock_minutes: (day - 1) * MINUTES_PER_DAY + parseTime(time),
+        minutes_per_cycle,
+      });
+    }
+
+    if (doc.writing_style) {
+      await WritingStyle.create({ ...pickFields('writing_style', doc.writing_style), world_id: world.id });
+    }
+
+    for (const species of doc.species || []) {
+      await Species.create({ ...pickFields('species', species), world_id: world.id });
+    }
+
+    // Slugs to IDs, filled in as things are created
+    const ids = { areas: new Map(), characters: new Map(), items: new Map() };
+
+    // Exits and triggers can point anywhere, so they wait until everything exists
+    for (const area of doc.areas || []) {
+      const created = await Area.create({
+        ...pickFields('areas', area, ['slug', 'exits', 'triggers']),
+        description: area.description || '',
+        world_id: world.id,
+      });
+      ids.areas.set(area.slug, created.id);
+    }
+
+    for (const character of doc.characters || []) {
+      const created = await Character.create({
+        ...pickFields('characters', character, ['slug', 'area', 'vital_status']),
+        world_id: world.id,
+        current_area_id: character.area ? ids.areas.get(character.area) : null,
+        owner_id: null,
+      });
+      if (character.vital_status && character.vital_status !== 'alive') {
+        await Character.update(created.id, { vital_status: character.vital_status });
+      }
+      ids.characters.set(character.slug, created.id);
+    }
+
+    for (const item of doc.items || []) {
+      const created = await Item.create({
+        ...pickFields('items', item, ['slug', 'area', 'held_by', 'location', 'in']),
+        world_id: world.id,
+        current_area_id: item.area ? ids.areas.get(item.area) : null,
+        held_by_character_id: item.held_by ? ids.characters.get(item.held_by) : null,
+        held_location: item.held_by ? item.location : null,
+      });
+      ids.items.set(item.slug, created.id);
+    }
+
+    for (const item of doc.items || []) {
+      if (item.in) {
+        await Item.putInContainer(ids.items.get(item.slug), ids.items.get(item.in));
+      }
+    }
+
+    for (const area of doc.areas || []) {
+      const exits = Object.fromEntries(
+        Object.entries(area.exits || {}).map(([direction, slug]) => [direction, ids.areas.get(slug)])
+      );
+      const triggers = mapTriggerReferences(area.triggers || [], (section, slug) => ids[section].get(slug));
+      await Area.update(ids.areas.get(area.slug), { exits, triggers });
+    }
+
+    return {
+      world_id: world.id,
+      name: world.name,
+      species: (doc.species || []).length,
+      areas: ids.areas.size,
+      characters: ids.characters.size,
+      items: ids.items.size,
+    };
+  });
+}
+
+/**
+ * Give each row a slug made from its name, unique among the rows
+ * @param {Array} rows - Rows with id and name
+ * @returns {Map<number, string>} Slugs by ID
+ */
+function assignSlugs(rows) {
+  const slugs = new Map();
+  const taken = new Set();
+  for (const row of rows) {
+    const base = slugify(row.name);
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) {
+      slug = `${base}_${n}`;
+    }
+    taken.add(slug);
+    slugs.set(row.id, slug);
+  }
+  return slugs;
+}
+
+/**
+ * Export a world as a world file document
+ *
+ * References to things outside the world (an exit into another world, a
+ * trigger naming a deleted item) keep their IDs; importing the file reports
+ * them so they can be fixed.
+ *
+ * @param {number} worldId - World ID
+ * @returns {Promise<Object>} World document
+ */
+export async function exportWorld(worldId) {
+  const world = await World.findById(worldId);
+  if (!world) {
+    throw new Error(`World not found: ${worldId}`);
+  }
+
+  const [style, species, areas, characters, items] = await Promise.all([
+    WritingStyle.findByWorldId(worldId),
+    Species.findByWorldId(worldId),
+    Area.findByWorldId(worldId),
+    Character.findByWorldId(worldId),
+    Item.findByWorldId(worldId),
+  ]);
+
+  const slugs = {
+    areas: assignSlugs(areas),
+    characters: assignSlugs(characters),
+    items: assignSlugs(items),
+  };
+  const slugFor = (section, id) => slugs[section].get(id) ?? id;
+
+  const clock = describeClock(world);
+  const doc = {
+    version: WORLD_FILE_VERSION,
+    world: {
+      name: world.name,
+      description: world.description,
+      clock: { day: clock.day, time: clock.time, minutes_per_cycle: clock.minutes_per_cycle },
+    },
+  };
+
+  if (style) {
+    doc.writing_style = pickFields('writing_style', style);
+  }
+
+  doc.species = species.map(s => pickFields('species', s));
+
+  doc.areas = areas.map(area => ({
+    slug: slugs.areas.get(area.id),
+    ...pickFields('areas', area, ['slug', 'exits', 'triggers']),
+    exits: Object.fromEntries(
+      Object.entries(area.exits || {}).map(([direction, id]) => [direction, slugFor('areas', id)])
+    ),
+    triggers: mapTriggerReferences(area.triggers || [], slugFor),
+  }));
+
+  doc.characters = characters.map(character => ({
+    slug: slugs.characters.get(character.id),
+    ...pickFields('characters', character, ['slug', 'area']),
+    ...(character.current_area_id ? { area: slugFor('areas', character.current_area_id) } : {}),
+  }));
+
+  doc.items = items.map(item => {
+    const place = {};
+    if (item.current_area_id) {
+      place.area = slugFor('areas', item.current_area_id);
+    } else if (item.held_by_character_id) {
+      place.held_by = slugFor('characters', item.held_by_character_id);
+      place.location = item.held_location;
+    } else if (item.contained_in_item_id) {
+      place.in = slugFor('items', item.contained_in_item_id);
+    }
+    return {
+      slug: slugs.items.get(item.id),
+      ...pickFields('items', item, ['slug', 'area', 'held_by', 'location', 'in']),
+      ...place,
+    };
+  });
+
+  return doc;
+}
+
+/**
+ * Read and parse a world file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} Parsed document
+ */
+async function readWorldFile(filePath) {
+  const file = path.resolve(filePath);
+
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read world file ${file}: ${error.message}`);
+  }
+
+  try {
+    return parseWorldFile(text, formatForFile(file));
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Import a world file as a new world
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} Import summary (see importWorld)
+ */
+export async function importWorldFile(filePath) {
+  return importWorld(await readWorldFile(filePath));
+}
+
+/**
+ * Export a world to a file
+ * @param {number} worldId - World ID
+ * @param {string} filePath - Path to write (.json for JSON, otherwise YAML)
+ * @returns {Promise<string>} Absolute path written
+ */
+export async function exportWorldFile(worldId, filePath) {
+  const file = path.resolve(filePath);
+  const doc = await exportWorld(worldId);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, stringifyWorldFile(doc, formatForFile(file)));
+  return file;
+}
+
+// Main execution
+async function main() {
+  const [command, target, file] = process.argv.slice(2);
+
+  if (!target || !['validate', 'import', 'export'].includes(command)) {
+    console.error('Usage:');
+    console.error('  node src/world/transfer.js validate <file>');
+    console.error('  node src/world/transfer.js import <file>');
+    console.error('  node src/world/transfer.js export <world_id> [file]');
+    process.exit(1);
+  }
+
+  if (command === 'validate') {
+    const report = validateWorldFile(await readWorldFile(target));
+    formatWorldErrors(report.errors).forEach(line => console.log(line));
+    console.log(report.valid ? '✓ Valid world file' : `✗ ${report.errors.length} error(s)`);
+    process.exit(report.valid ? 0 : 1);
+  }
+
+  try {
+    if (command === 'import') {
+      const summary = await importWorldFile(target);
+      console.log(`✓ Imported "${summary.name}" (world ${summary.world_id})`);
+      console.log(`  ${summary.areas} area(s), ${summary.characters} character(s), ${summary.items} item(s), ${summary.species} species`);
+    } else if (file) {
+      const written = await exportWorldFile(parseInt(target, 10), file);
+      console.log(`✓ Exported world ${target} to ${written}`);
+    } else {
+      process.stdout.write(stringifyWorldFile(await exportWorld(parseInt(target, 10))));
+    }
+  } finally {
+    await end();
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,519 @@
+/**
+ * YAML reader and writer for world files
+ *
+ * Covers the part of YAML that hand-written world files use, with no
+ * dependencies:
+ * - block mappings and sequences (including "- key: value" items)
+ * - single-line flow collections: [a, b], {key: value}
+ * - plain, 'single' and "double" quoted scalars; null, booleans and numbers
+ * - literal (|) and folded (>) block scalars, with - and + chomping
+ * - comments and a leading --- document marker
+ *
+ * Anchors, aliases, tags and multi-document streams are rejected.
+ * stringifyYaml writes nothing that parseYaml cannot read back.
+ */
+
+const NULLS = ['~', 'null', 'Null', 'NULL'];
+const TRUES = ['true', 'True', 'TRUE'];
+const FALSES = ['false', 'False', 'FALSE'];
+const INTEGER = /^[-+]?\d+$/;
+const FLOAT = /^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Error with the 1-based line it was found on
+ * @param {string} message - What is wrong
+ * @param {number} index - 0-based line index
+ * @returns {Error} Error with a line property
+ */
+function yamlError(message, index) {
+  const error = new Error(`YAML error at line ${index + 1}: ${message}`);
+  error.line = index + 1;
+  return error;
+}
+
+/**
+ * Resolve a plain (unquoted) scalar to null, a boolean, a number or a string
+ * @param {string} text - Scalar text, already trimmed
+ * @returns {*} Value
+ */
+function resolvePlain(text) {
+  if (text === '' || NULLS.includes(text)) return null;
+  if (TRUES.includes(text)) return true;
+  if (FALSES.includes(text)) return false;
+  if (INTEGER.test(text)) return parseInt(text, 10);
+  if (FLOAT.test(text)) return parseFloat(text);
+  return text;
+}
+
+/**
+ * Read a quoted scalar starting at text[pos]
+ * @param {string} text - Line text
+ * @param {number} pos - Position of the opening quote
+ * @param {number} index - Line index, for errors
+ * @returns {Object} {value, end} where end is just past the closing quote
+ */
+function readQuoted(text, pos, index) {
+  const quote = text[pos];
+  let i = pos + 1;
+
+  if (quote === "'") {
+    let value = '';
+    while (i < text.length) {
+      if (text[i] === "'") {
+        if (text[i + 1] === "'") {
+          value += "'";
+          i += 2;
+          continue;
+        }
+        return { value, end: i + 1 };
+      }
+      value += text[i++];
+    }
+    throw yamlError('Unterminated single-quoted string', index);
+  }
+
+  while (i < text.length) {
+    if (text[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (text[i] === '"') {
+      try {
+        return { value: JSON.parse(text.slice(pos, i + 1)), end: i + 1 };
+      } catch {
+        throw yamlError(`Invalid escape in ${text.slice(pos, i + 1)}`, index);
+      }
+    }
+    i++;
+  }
+  throw yamlError('Unterminated double-quoted string', index);
+}
+
+/**
+ * Find where a comment starts on a line (a # after whitespace, outside quotes)
+ * @param {string} text - Line text
+ * @returns {number} Position of the #, or the line length
+ */
+function commentStart(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\' && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      if (i === 0 || /[\s[{,:]/.test(text[i - 1])) quote = c;
+    } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return i;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Parse a single-line flow collection or scalar
+ * @param {string} text - Value text, without its comment
+ * @param {number} index - Line index, for errors
+ * @returns {*} Value
+ */
+function parseFlow(text, index) {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const readScalar = (stops) => {
+    skipSpace();
+    if (text[pos] === '"' || text[pos] === "'") {
+      const { value, end } = readQuoted(text, pos, index);
+      pos = end;
+      return value;
+    }
+    const start = pos;
+    while (pos < text.length && !stops.includes(text[pos])) {
+      // A colon only ends a key when followed by a space
+      if (text[pos] === ':' && stops.includes(':') && !/\s|$/.test(text[pos + 1] || '')) {
+        pos++;
+        continue;
+      }
+      pos++;
+    }
+    return resolvePlain(text.slice(start, pos).trim());
+  };
+
+  const readValue = (stops) => {
+    skipSpace();
+    if (text[pos] === '[') {
+      pos++;
+      const list = [];
+      skipSpace();
+      if (text[pos] === ']') {
+        pos++;
+        return list;
+      }
+      for (;;) {
+        list.push(readValue(',]'));
+        skipSpace();
+        if (text[pos] === ',') {
+          pos++;
+          skipSpace();
+          if (text[pos] === ']') { pos++; return list; }
+          continue;
+        }
+        if (text[pos] === ']') { pos++; return list; }
+        throw yamlError(`Expected , or ] in ${text}`, index);
+      }
+    }
+    if (text[pos] === '{') {
+      pos++;
+      const map = {};
+      skipSpace();
+      if (text[pos] === '}') {
+        pos++;
+        return map;
+      }
+      for (;;) {
+        const key = readScalar(':,}');
+        skipSpace();
+        if (text[pos] !== ':') {
+          throw yamlError(`Expected : after "${key}" in ${text}`, index);
+        }
+        pos++;
+        map[String(key)] = readValue(',}');
+        skipSpace();
+        if (text[pos] === ',') {
+          pos++;
+          skipSpace();
+          if (text[pos] === '}') { pos++; return map; }
+          continue;
+        }
+        if (text[pos] === '}') { pos++; return map; }
+        throw yamlError(`Expected , or } in ${text}`, index);
+      }
+    }
+    return readScalar(stops);
+  };
+
+  const value = readValue('');
+  skipSpace();
+  if (pos < text.length) {
+    throw yamlError(`Unexpected text after value: ${text.slice(pos)}`, index);
+  }
+  return value;
+}
+
+/**
+ * Parse a YAML document
+ * @param {string} text - YAML source
+ * @returns {*} Parsed value
+ */
+export function parseYaml(text) {
+  const lines = text.split(/\r?\n/);
+  let index = 0;
+
+  const isBlank = (i) => /^\s*(#.*)?$/.test(lines[i]) || (i === firstContent && /^---\s*(#.*)?$/.test(lines[i]));
+  let firstContent = lines.findIndex(line => !/^\s*(#.*)?$/.test(line));
+
+  const indentOf = (i) => {
+    const match = /^( *)(\t?)/.exec(lines[i]);
+    if (match[2]) {
+      throw yamlError('Tabs cannot be used for indentation', i);
+    }
+    return match[1].length;
+  };
+
+  // Move to the next line with content; returns its indentation, or -1 at the end
+  const nextContent = () => {
+    while (index < lines.length && isBlank(index)) index++;
+    return index < lines.length ? indentOf(index) : -1;
+  };
+
+  const isSequenceItem = (content) => content === '-' || content.startsWith('- ');
+
+  // Split "key: rest" (the key may be quoted); null when the line is not a key
+  const splitKey = (content) => {
+    if (content[0] === '"' || content[0] === "'") {
+      const { value, end } = readQuoted(content, 0, index);
+      const rest = content.slice(end);
+      const match = /^\s*:(?:\s+|$)/.exec(rest);
+      return match ? { key: value, rest: rest.slice(match[0].length) } : null;
+    }
+    const match = /^([^#\s[\]{},][^#]*?)\s*:(?:\s+|$)/.exec(content);
+    if (!match) return null;
+    return { key: match[1], rest: content.slice(match[0].length) };
+  };
+
+  const rejectUnsupported = (value) => {
+    if (/^[&*!]/.test(value)) {
+      throw yamlError('Anchors, aliases and tags are not supported', index);
+    }
+  };
+
+  const parseBlockScalar = (header, parentIndent) => {
+    const match = /^([|>])([-+]?)$/.exec(header);
+    if (!match) {
+      throw yamlError(`Unsupported block scalar header: ${header}`, index);
+    }
+    const [, style, chomp] = match;
+    index++;
+
+    const body = [];
+    let contentIndent = null;
+    while (index < lines.length) {
+      const line = lines[index];
+      if (/^\s*$/.test(line)) {
+        body.push('');
+        index++;
+        continue;
+      }
+      const indent = indentOf(index);
+      if (contentIndent === null) {
+        if (indent <= parentIndent) break;
+        contentIndent = indent;
+      }
+      if (indent < contentIndent) break;
+      body.push(line.slice(contentIndent));
+      index++;
+    }
+
+    // Trailing blank lines belong to the scalar only with + chomping
+    let trailing = 0;
+    while (body.length > 0 && body[body.length - 1] === '') {
+      body.pop();
+      trailing++;
+    }
+
+    let value;
+    if (style === '|') {
+      value = body.join('\n');
+    } else {
+      // Folding joins lines with spaces; each blank line becomes a newline
+      value = body.reduce((text, line, i) => {
+        if (i === 0) return line;
+        if (line === '') return text + '\n';
+        return text + (body[i - 1] === '' ? '' : ' ') + line;
+      }, '');
+    }
+
+    if (body.length === 0) return '';
+    if (chomp === '-') return value;
+    if (chomp === '+') return value + '\n'.repeat(trailing + 1);
+    return value + '\n';
+  };
+
+  // Value text after "key:" or "- "
+  const parseInlineValue = (text, parentIndent) => {
+    const value = text.slice(0, commentStart(text)).trim();
+    rejectUnsupported(value);
+
+    if (value[0] === '|' || value[0] === '>') {
+      return parseBlockScalar(value, parentIndent);
+    }
+
+    const lineIndex = index;
+    index++;
+    const childIndent = nextContent();
+    if (value !== '' && childIndent > parentIndent) {
+      throw yamlError('Unexpected indentation (multi-line plain and flow values are not supported)', index);
+    }
+    index = lineIndex + 1;
+    return parseFlow(value, lineIndex);
+  };
+
+  const parseNode = (indent) => {
+    const content = lines[index].slice(indent);
+    if (isSequenceItem(content)) return parseSequence(indent);
+    if (splitKey(content)) return parseMapping(indent);
+    return parseInlineValue(content, indent - 1);
+  };
+
+  // A value nested under "key:" or "-" with nothing after it
+  const parseNested = (parentIndent, allowSameIndentSequence) => {
+    index++;
+    const indent = nextContent();
+    if (indent > parentIndent) return parseNode(indent);
+    if (allowSameIndentSequence && indent === parentIndent && isSequenceItem(lines[index].slice(indent))) {
+      return parseSequence(indent);
+    }
+    return null;
+  };
+
+  const parseMapping = (indent) => {
+    const map = {};
+    while (nextContent() === indent) {
+      const content = lines[index].slice(indent);
+      if (isSequenceItem(content)) break;
+
+      const entry = splitKey(content);
+      if (!entry) {
+        throw yamlError(`Expected "key: value", got: ${content.trim()}`, index);
+      }
+      const key = String(entry.key);
+      if (Object.prototype.hasOwnProperty.call(map, key)) {
+        throw yamlError(`Duplicate key: ${key}`, index);
+      }
+
+      const rest = entry.rest.slice(0, commentStart(entry.rest)).trim();
+      map[key] = rest === ''
+        ? parseNested(indent, true)
+        : parseInlineValue(entry.rest, indent);
+    }
+
+    if (index < lines.length && nextContent() > indent) {
+      throw yamlError('Unexpected indentation', index);
+    }
+    return map;
+  };
+
+  const parseSequence = (indent) => {
+    const list = [];
+    while (nextContent() === indent) {
+      const content = lines[index].slice(indent);
+      if (!isSequenceItem(content)) break;
+
+      const rest = content.slice(1);
+      const offset = indent + 1 + (rest.length - rest.trimStart().length);
+      const item = rest.trim();
+
+      if (item === '' || item[0] === '#') {
+        list.push(parseNested(indent, false));
+      } else if (isSequenceItem(item) || splitKey(item)) {
+        // "- key: value" and "- - item" continue as a block at the item's column
+        lines[index] = ' '.repeat(offset) + item;
+        list.push(parseNode(offset));
+      } else {
+        list.push(parseInlineValue(rest, indent));
+      }
+    }
+
+    if (index < lines.length && nextContent() > indent) {
+      throw yamlError('Unexpected indentation', index);
+    }
+    return list;
+  };
+
+  if (firstContent === -1) {
+    return null;
+  }
+  const indent = nextContent();
+  if (indent === -1) {
+    return null;
+  }
+  const value = parseNode(indent);
+  if (nextContent() !== -1) {
+    const content = lines[index].trim();
+    throw yamlError(content.startsWith('---') ? 'Only one document per file is supported' : `Unexpected content: ${content}`, index);
+  }
+  return value;
+}
+
+/**
+ * Check whether a string can be written without quotes
+ * @param {string} text - String
+ * @returns {boolean} True when it reads back as the same string
+ */
+function isPlainSafe(text) {
+  return text !== '' &&
+    text === text.trim() &&
+    !/^[-?:,[\]{}#&*!|>'"%@`]/.test(text) &&
+    !/:(\s|$)|\s#|[\n\t]/.test(text) &&
+    resolvePlain(text) === text;
+}
+
+/**
+ * Format a scalar
+ * @param {*} value - null, boolean, number or string
+ * @returns {string} YAML scalar
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return isPlainSafe(value) ? value : JSON.stringify(value);
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`Cannot write ${value} as YAML`);
+  }
+  return String(value);
+}
+
+/**
+ * Format a value that fits after "key: " or "- ", or null when it needs a block
+ * @param {*} value - Value
+ * @returns {string|null} Inline YAML
+ */
+function formatInline(value) {
+  if (Array.isArray(value)) return value.length === 0 ? '[]' : null;
+  if (value !== null && typeof value === 'object') return Object.keys(value).length === 0 ? '{}' : null;
+  if (typeof value === 'string' && value.includes('\n') && !/^\s|\r/.test(value)) return null;
+  return formatScalar(value);
+}
+
+/**
+ * Write a multi-line string as a literal block scalar
+ * @param {string} text - String containing newlines
+ * @param {string} pad - Indentation of the block
+ * @returns {Array<string>} Header suffix and lines
+ */
+function formatBlockScalar(text, pad) {
+  const trailing = /\n*$/.exec(text)[0].length;
+  const header = trailing === 0 ? '|-' : trailing === 1 ? '|' : '|+';
+  const body = (trailing > 1 ? text.slice(0, -1) : text.replace(/\n$/, '')).split('\n');
+  return [header, ...body.map(line => (line === '' ? '' : pad + line))];
+}
+
+/**
+ * Write the lines of a block value
+ * @param {*} value - Array or object (or multi-line string)
+ * @param {number} indent - Indentation in spaces
+ * @returns {Array<string>} Lines
+ */
+function formatBlock(value, indent) {
+  const pad = ' '.repeat(indent);
+  const lines = [];
+
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const inline = formatInline(item);
+      if (inline !== null) {
+        lines.push(`${pad}- ${inline}`);
+      } else if (typeof item === 'string') {
+        const [header, ...body] = formatBlockScalar(item, pad + '  ');
+        lines.push(`${pad}- ${header}`, ...body);
+      } else {
+        // The item's first line shares the dash's line
+        const nested = formatBlock(item, indent + 2);
+        lines.push(`${pad}- ${nested[0].slice(indent + 2)}`, ...nested.slice(1));
+      }
+    }
+    return lines;
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    const name = formatScalar(key);
+    const inline = formatInline(item);
+    if (inline !== null) {
+      lines.push(`${pad}${name}: ${inline}`);
+    } else if (typeof item === 'string') {
+      const [header, ...body] = formatBlockScalar(item, pad + '  ');
+      lines.push(`${pad}${name}: ${header}`, ...body);
+    } else {
+      lines.push(`${pad}${name}:`, ...formatBlock(item, indent + 2));
+    }
+  }
+  return lines;
+}
+
+/**
+ * Write a value as a YAML document
+ * @param {*} value - JSON-compatible value
+ * @returns {string} YAML text, ending in a newline
+ */
+export function stringifyYaml(value) {
+  const inline = formatInline(value);
+  if (inline !== null) {
+    return inline + '\n';
+  }
+  if (typeof value === 'string') {
+    return formatBlockScalar(value, '  ').join('\n') + '\n';
+  }
+  return formatBlock(value, 0).join('\n') + '\n';
+}